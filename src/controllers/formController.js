@@ -1,4 +1,12 @@
 const formService = require('../services/formService');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * The respondent token returned by startSubmission, sent as the
+ * X-Respondent-Token header or, where the body is JSON, as `respondent_token`
+ */
+const getRespondentToken = (req) => req.get('X-Respondent-Token') ||
+  (req.body && !Buffer.isBuffer(req.body) ? req.body.respondent_token : undefined);
 
 class FormController {
   /**
@@ -23,7 +31,7 @@ class FormController {
   async createForm(req, res) {
     try {
       const { workspaceId } = req.params;
-      const { name, description, is_private } = req.body;
+      const { name, description, is_private, hidden_fields, variables, default_language, languages } = req.body;
 
       if (!name) {
         return res.status(400).json({ error: 'Form name is required' });
@@ -32,13 +40,21 @@ class FormController {
       const form = await formService.createForm(workspaceId, {
         name,
         description,
-        is_private: is_private ?? false
+        is_private: is_private ?? false,
+        hidden_fields,
+        variables,
+        default_language,
+        languages
       });
 
       res.status(201).json(form);
     } catch (error) {
       console.error('Error creating form:', error);
-      res.status(500).json({ error: 'Failed to create form' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to create form' });
+      }
     }
   }
 
@@ -67,7 +83,7 @@ class FormController {
   async updateForm(req, res) {
     try {
       const { formId } = req.params;
-      const { name, description, is_private } = req.body;
+      const { name, description, is_private, hidden_fields, variables, default_language, languages } = req.body;
 
       if (!name) {
         return res.status(400).json({ error: 'Form name is required' });
@@ -76,18 +92,26 @@ class FormController {
       const form = await formService.updateForm(formId, {
         name,
         description,
-        is_private
+        is_private,
+        hidden_fields,
+        variables,
+        default_language,
+        languages
       });
 
       res.json(form);
     } catch (error) {
       console.error('Error updating form:', error);
-      res.status(500).json({ error: 'Failed to update form' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update form' });
+      }
     }
   }
 
   /**
-   * Delete form
+   * Move a form to the trash
    */
   async deleteForm(req, res) {
     try {
@@ -96,7 +120,417 @@ class FormController {
       res.status(204).send();
     } catch (error) {
       console.error('Error deleting form:', error);
-      res.status(500).json({ error: 'Failed to delete form' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to delete form' });
+      }
+    }
+  }
+
+  /**
+   * Restore a form from the trash
+   */
+  async restoreForm(req, res) {
+    try {
+      const { formId } = req.params;
+      const form = await formService.restoreForm(formId);
+      res.json(form);
+    } catch (error) {
+      console.error('Error restoring form:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to restore form' });
+      }
+    }
+  }
+
+  /**
+   * List the workspace's trashed forms, questions and submissions
+   */
+  async listTrash(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const trash = await formService.listTrash(workspaceId);
+      res.json(trash);
+    } catch (error) {
+      console.error('Error listing trash:', error);
+      res.status(500).json({ error: 'Failed to list trash' });
+    }
+  }
+
+  /**
+   * Duplicate a form into the same or another workspace
+   */
+  async duplicateForm(req, res) {
+    try {
+      const { formId } = req.params;
+      const { workspaceId, name } = req.body;
+
+      const form = await formService.duplicateForm(formId, { workspaceId, name });
+      res.status(201).json(form);
+    } catch (error) {
+      console.error('Error duplicating form:', error);
+      res.status(500).json({ error: 'Failed to duplicate form' });
+    }
+  }
+
+  /**
+   * Export a form as a portable JSON definition
+   */
+  async getFormDefinition(req, res) {
+    try {
+      const { formId } = req.params;
+      const definition = await formService.exportFormDefinition(formId);
+      res.json(definition);
+    } catch (error) {
+      console.error('Error exporting form definition:', error);
+      res.status(500).json({ error: 'Failed to export form definition' });
+    }
+  }
+
+  /**
+   * Create a form from a portable JSON definition
+   */
+  async importForm(req, res) {
+    try {
+      const workspaceId = req.params.workspaceId || req.body.workspaceId;
+      const { definition } = req.body;
+
+      if (!workspaceId) {
+        return res.status(400).json({ error: 'Workspace ID is required' });
+      }
+
+      if (!definition) {
+        return res.status(400).json({ error: 'Form definition is required' });
+      }
+
+      const form = await formService.importFormDefinition(workspaceId, definition);
+      res.status(201).json(form);
+    } catch (error) {
+      console.error('Error importing form:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to import form' });
+      }
+    }
+  }
+
+  /**
+   * Mark or unmark a form as a template
+   */
+  async setFormTemplate(req, res) {
+    try {
+      const { formId } = req.params;
+      const { scope } = req.body;
+
+      if (scope !== null && !['workspace', 'global'].includes(scope)) {
+        return res.status(400).json({ error: 'Scope must be workspace, global or null' });
+      }
+
+      const form = await formService.setFormTemplate(formId, scope);
+      res.json(form);
+    } catch (error) {
+      console.error('Error updating form template:', error);
+      res.status(500).json({ error: 'Failed to update form template' });
+    }
+  }
+
+  /**
+   * Set a custom form slug
+   */
+  async updateFormSlug(req, res) {
+    try {
+      const { formId } = req.params;
+      const { slug } = req.body;
+
+      const form = await formService.updateFormSlug(formId, slug);
+      res.json(form);
+    } catch (error) {
+      console.error('Error updating form slug:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update form slug' });
+      }
+    }
+  }
+
+  /**
+   * List templates available to a workspace
+   */
+  async listTemplates(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const templates = await formService.listTemplates(workspaceId);
+      res.json(templates);
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      res.status(500).json({ error: 'Failed to list templates' });
+    }
+  }
+
+  /**
+   * Create a form from a template
+   */
+  async instantiateTemplate(req, res) {
+    try {
+      const { workspaceId, templateId } = req.params;
+      const { name } = req.body;
+
+      const form = await formService.instantiateTemplate(templateId, workspaceId, { name });
+      res.status(201).json(form);
+    } catch (error) {
+      console.error('Error instantiating template:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to create form from template' });
+      }
+    }
+  }
+
+  /**
+   * List the workspace question bank
+   */
+  async listBankQuestions(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const { search, type } = req.query;
+
+      const questions = await formService.listBankQuestions(workspaceId, { search, type });
+      res.json(questions);
+    } catch (error) {
+      console.error('Error listing question bank:', error);
+      res.status(500).json({ error: 'Failed to list question bank' });
+    }
+  }
+
+  /**
+   * Add a question to the bank, either from its fields or by saving an
+   * existing form question (`question_id`)
+   */
+  async createBankQuestion(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const { question_id, type, text, description, is_required, max_chars, choices, properties, translations } = req.body;
+
+      if (question_id) {
+        const bankQuestion = await formService.saveQuestionToBank(question_id, workspaceId, req.user?.id);
+        return res.status(201).json(bankQuestion);
+      }
+
+      if (!type || !text) {
+        return res.status(400).json({ error: 'Question type and text are required' });
+      }
+
+      const bankQuestion = await formService.createBankQuestion(workspaceId, {
+        type,
+        text,
+        description,
+        is_required: is_required ?? false,
+        max_chars,
+        choices,
+        properties,
+        translations
+      }, req.user?.id);
+
+      res.status(201).json(bankQuestion);
+    } catch (error) {
+      console.error('Error creating bank question:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to add question to bank' });
+      }
+    }
+  }
+
+  /**
+   * Get a bank question and the forms that use it
+   */
+  async getBankQuestion(req, res) {
+    try {
+      const { workspaceId, bankQuestionId } = req.params;
+      const bankQuestion = await formService.getBankQuestion(bankQuestionId, workspaceId);
+      res.json(bankQuestion);
+    } catch (error) {
+      console.error('Error getting bank question:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to get bank question' });
+      }
+    }
+  }
+
+  /**
+   * Update a bank question
+   */
+  async updateBankQuestion(req, res) {
+    try {
+      const { workspaceId, bankQuestionId } = req.params;
+      const { text, description, is_required, max_chars, choices, properties, translations } = req.body;
+
+      if (text !== undefined && !text) {
+        return res.status(400).json({ error: 'Question text is required' });
+      }
+
+      const bankQuestion = await formService.updateBankQuestion(bankQuestionId, workspaceId, {
+        text,
+        description,
+        is_required,
+        max_chars,
+        choices,
+        properties,
+        translations
+      });
+
+      res.json(bankQuestion);
+    } catch (error) {
+      console.error('Error updating bank question:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update bank question' });
+      }
+    }
+  }
+
+  /**
+   * Remove a question from the bank
+   */
+  async deleteBankQuestion(req, res) {
+    try {
+      const { workspaceId, bankQuestionId } = req.params;
+      await formService.deleteBankQuestion(bankQuestionId, workspaceId);
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting bank question:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to delete bank question' });
+      }
+    }
+  }
+
+  /**
+   * Aggregate a bank question's responses across the forms that use it
+   */
+  async getBankQuestionAnalytics(req, res) {
+    try {
+      const { workspaceId, bankQuestionId } = req.params;
+      const { start_date, end_date } = req.query;
+
+      const analytics = await formService.getBankQuestionAnalytics(bankQuestionId, workspaceId, {
+        startDate: start_date,
+        endDate: end_date
+      });
+
+      res.json(analytics);
+    } catch (error) {
+      console.error('Error getting bank question analytics:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to get bank question analytics' });
+      }
+    }
+  }
+
+  /**
+   * Insert a linked copy of a bank question into a form
+   */
+  async insertBankQuestion(req, res) {
+    try {
+      const { formId } = req.params;
+      const { bank_question_id, key } = req.body;
+
+      if (!bank_question_id) {
+        return res.status(400).json({ error: 'bank_question_id is required' });
+      }
+
+      const question = await formService.insertBankQuestion(formId, bank_question_id, { key });
+      res.status(201).json(question);
+    } catch (error) {
+      console.error('Error inserting bank question:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to insert bank question' });
+      }
+    }
+  }
+
+  /**
+   * Update a linked copy from its bank question
+   */
+  async syncQuestionFromBank(req, res) {
+    try {
+      const { questionId } = req.params;
+      const question = await formService.syncQuestionFromBank(questionId);
+      res.json(question);
+    } catch (error) {
+      console.error('Error syncing question from bank:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to sync question from bank' });
+      }
+    }
+  }
+
+  /**
+   * Publish the current draft as a new form version
+   */
+  async publishForm(req, res) {
+    try {
+      const { formId } = req.params;
+      const version = await formService.publishForm(formId, req.user.id);
+      res.status(201).json(version);
+    } catch (error) {
+      console.error('Error publishing form:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to publish form' });
+      }
+    }
+  }
+
+  /**
+   * List published form versions
+   */
+  async listFormVersions(req, res) {
+    try {
+      const { formId } = req.params;
+      const versions = await formService.listFormVersions(formId);
+      res.json(versions);
+    } catch (error) {
+      console.error('Error listing form versions:', error);
+      res.status(500).json({ error: 'Failed to list form versions' });
+    }
+  }
+
+  /**
+   * Get a published form version with its snapshot
+   */
+  async getFormVersion(req, res) {
+    try {
+      const { formId, versionNumber } = req.params;
+      const version = await formService.getFormVersion(formId, parseInt(versionNumber));
+
+      if (!version) {
+        return res.status(404).json({ error: 'Form version not found' });
+      }
+
+      res.json(version);
+    } catch (error) {
+      console.error('Error getting form version:', error);
+      res.status(500).json({ error: 'Failed to get form version' });
     }
   }
 
@@ -106,7 +540,7 @@ class FormController {
   async createQuestion(req, res) {
     try {
       const { formId } = req.params;
-      const { type, text, description, is_required, max_chars, choices } = req.body;
+      const { type, text, description, is_required, max_chars, choices, logic, properties, key, translations } = req.body;
 
       if (!type || !text) {
         return res.status(400).json({ error: 'Question type and text are required' });
@@ -118,13 +552,21 @@ class FormController {
         description,
         is_required: is_required ?? false,
         max_chars,
-        choices
+        choices,
+        logic,
+        properties,
+        key,
+        translations
       });
 
       res.status(201).json(question);
     } catch (error) {
       console.error('Error creating question:', error);
-      res.status(500).json({ error: 'Failed to create question' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to create question' });
+      }
     }
   }
 
@@ -134,7 +576,7 @@ class FormController {
   async updateQuestion(req, res) {
     try {
       const { questionId } = req.params;
-      const { text, description, is_required, max_chars, choices } = req.body;
+      const { text, description, is_required, max_chars, choices, logic, properties, key, translations } = req.body;
 
       if (!text) {
         return res.status(400).json({ error: 'Question text is required' });
@@ -145,13 +587,21 @@ class FormController {
         description,
         is_required,
         max_chars,
-        choices
+        choices,
+        logic,
+        properties,
+        key,
+        translations
       });
 
       res.json(question);
     } catch (error) {
       console.error('Error updating question:', error);
-      res.status(500).json({ error: 'Failed to update question' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update question' });
+      }
     }
   }
 
@@ -165,7 +615,29 @@ class FormController {
       res.status(204).send();
     } catch (error) {
       console.error('Error deleting question:', error);
-      res.status(500).json({ error: 'Failed to delete question' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to delete question' });
+      }
+    }
+  }
+
+  /**
+   * Restore a question (and the questions nested under it) from the trash
+   */
+  async restoreQuestion(req, res) {
+    try {
+      const { questionId } = req.params;
+      await formService.restoreQuestion(questionId);
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error restoring question:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to restore question' });
+      }
     }
   }
 
@@ -185,7 +657,31 @@ class FormController {
       res.status(204).send();
     } catch (error) {
       console.error('Error reordering questions:', error);
-      res.status(500).json({ error: 'Failed to reorder questions' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to reorder questions' });
+      }
+    }
+  }
+
+  /**
+   * Apply a batch of question and choice operations all or nothing
+   */
+  async updateFormStructure(req, res) {
+    try {
+      const { formId } = req.params;
+      const { operations } = req.body;
+
+      const structure = await formService.updateFormStructure(formId, operations);
+      res.json(structure);
+    } catch (error) {
+      console.error('Error updating form structure:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update form structure' });
+      }
     }
   }
 
@@ -220,7 +716,54 @@ class FormController {
       res.json(updatedSettings);
     } catch (error) {
       console.error('Error updating form settings:', error);
-      res.status(500).json({ error: 'Failed to update form settings' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update form settings' });
+      }
+    }
+  }
+
+  /**
+   * Get a form's password and invite settings
+   */
+  async getFormAccess(req, res) {
+    try {
+      const { formId } = req.params;
+      const access = await formService.getFormAccess(formId);
+      res.json(access);
+    } catch (error) {
+      console.error('Error fetching form access:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to fetch form access' });
+      }
+    }
+  }
+
+  /**
+   * Set a form's password and invite settings
+   */
+  async updateFormAccess(req, res) {
+    try {
+      const { formId } = req.params;
+      const { password, invite_only, invited_emails, invited_domains } = req.body;
+
+      const access = await formService.updateFormAccess(formId, {
+        password,
+        invite_only,
+        invited_emails,
+        invited_domains
+      });
+      res.json(access);
+    } catch (error) {
+      console.error('Error updating form access:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update form access' });
+      }
     }
   }
 
@@ -244,17 +787,21 @@ class FormController {
   async createQuestionChoice(req, res) {
     try {
       const { questionId } = req.params;
-      const { text } = req.body;
+      const { text, is_correct, points, translations } = req.body;
 
       if (!text) {
         return res.status(400).json({ error: 'Choice text is required' });
       }
 
-      const choice = await formService.createQuestionChoice(questionId, text);
+      const choice = await formService.createQuestionChoice(questionId, text, { is_correct, points, translations });
       res.status(201).json(choice);
     } catch (error) {
       console.error('Error creating question choice:', error);
-      res.status(500).json({ error: 'Failed to create question choice' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to create question choice' });
+      }
     }
   }
 
@@ -264,17 +811,21 @@ class FormController {
   async updateQuestionChoice(req, res) {
     try {
       const { choiceId } = req.params;
-      const { text } = req.body;
+      const { text, is_correct, points, translations } = req.body;
 
       if (!text) {
         return res.status(400).json({ error: 'Choice text is required' });
       }
 
-      const choice = await formService.updateQuestionChoice(choiceId, text);
+      const choice = await formService.updateQuestionChoice(choiceId, text, { is_correct, points, translations });
       res.json(choice);
     } catch (error) {
       console.error('Error updating question choice:', error);
-      res.status(500).json({ error: 'Failed to update question choice' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to update question choice' });
+      }
     }
   }
 
@@ -288,7 +839,11 @@ class FormController {
       res.status(204).send();
     } catch (error) {
       console.error('Error deleting question choice:', error);
-      res.status(500).json({ error: 'Failed to delete question choice' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to delete question choice' });
+      }
     }
   }
 
@@ -313,32 +868,56 @@ class FormController {
   }
 
   /**
-   * Start a form submission
+   * Exchange a form password or invited email for an access token
    */
-  async startSubmission(req, res) {
+  async requestFormAccess(req, res) {
     try {
       const { formId } = req.params;
-      const { email } = req.body;
+      const { password, email } = req.body;
 
-      if (!email) {
-        return res.status(400).json({ error: 'Email is required' });
+      const access = await formService.requestFormAccess(formId, { password, email });
+      res.json(access);
+    } catch (error) {
+      console.error('Error requesting form access:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to check form access' });
       }
+    }
+  }
+
+  /**
+   * Start a form submission
+   */
+  async startSubmission(req, res) {
+    try {
+      const { formId } = req.params;
+      const { email, hidden_fields, language } = req.body;
 
-      // Validate email format
+      // Whether an email is required depends on the form's submission policy
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email)) {
+      if (email && !emailRegex.test(email)) {
         return res.status(400).json({ error: 'Invalid email format' });
       }
 
       const submission = await formService.startSubmission(formId, email, {
         ip_address: req.ip,
         user_agent: req.get('User-Agent')
+      }, {
+        hiddenFields: hidden_fields,
+        language,
+        acceptLanguage: req.get('Accept-Language'),
+        accessToken: req.get('X-Form-Access-Token'),
+        respondentToken: getRespondentToken(req)
       });
 
       res.status(201).json(submission);
     } catch (error) {
       console.error('Error starting submission:', error);
-      if (error.message === 'Duplicate submission') {
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else if (error.message === 'Duplicate submission') {
         res.status(409).json({ error: 'You have already submitted this form' });
       } else {
         res.status(500).json({ error: 'Failed to start submission' });
@@ -352,7 +931,8 @@ class FormController {
   async completeSubmission(req, res) {
     try {
       const { formId, submissionId } = req.params;
-      const { responses, startTime } = req.body;
+      // Answers that were autosaved need not be sent again
+      const { responses = [], startTime } = req.body;
 
       if (!Array.isArray(responses)) {
         return res.status(400).json({ error: 'Responses must be an array' });
@@ -360,11 +940,274 @@ class FormController {
 
       const completionTime = startTime ? Math.floor((Date.now() - startTime) / 1000) : null;
 
-      const submission = await formService.completeSubmission(formId, submissionId, responses, completionTime);
+      const submission = await formService.completeSubmission(
+        formId,
+        submissionId,
+        responses,
+        completionTime,
+        getRespondentToken(req)
+      );
       res.json(submission);
     } catch (error) {
       console.error('Error completing submission:', error);
-      res.status(500).json({ error: 'Failed to complete submission' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to complete submission' });
+      }
+    }
+  }
+
+  /**
+   * Edit a completed submission within the form's edit window
+   */
+  async editSubmission(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      const { responses = [] } = req.body;
+
+      if (!Array.isArray(responses)) {
+        return res.status(400).json({ error: 'Responses must be an array' });
+      }
+
+      const result = await formService.editSubmission(formId, submissionId, responses, getRespondentToken(req));
+      res.json(result);
+    } catch (error) {
+      console.error('Error editing submission:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to edit submission' });
+      }
+    }
+  }
+
+  /**
+   * Autosave the answer to one question of an in-progress submission
+   */
+  async saveAnswer(req, res) {
+    try {
+      const { formId, submissionId, questionId } = req.params;
+      const { data } = req.body;
+
+      const answers = await formService.saveAnswers(formId, submissionId, [{ questionId, data }], getRespondentToken(req));
+      res.json({ answers });
+    } catch (error) {
+      console.error('Error saving answer:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to save answer' });
+      }
+    }
+  }
+
+  /**
+   * Autosave several answers of an in-progress submission at once
+   */
+  async saveAnswers(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      const { responses } = req.body;
+
+      if (!Array.isArray(responses)) {
+        return res.status(400).json({ error: 'Responses must be an array' });
+      }
+
+      const answers = await formService.saveAnswers(formId, submissionId, responses, getRespondentToken(req));
+      res.json({ answers });
+    } catch (error) {
+      console.error('Error saving answers:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to save answers' });
+      }
+    }
+  }
+
+  /**
+   * Save and continue later: email the respondent a resume link
+   */
+  async sendResumeLink(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      const { responses = [] } = req.body || {};
+
+      if (!Array.isArray(responses)) {
+        return res.status(400).json({ error: 'Responses must be an array' });
+      }
+
+      const result = await formService.sendResumeLink(formId, submissionId, responses, getRespondentToken(req));
+      res.json(result);
+    } catch (error) {
+      console.error('Error sending resume link:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to send resume link' });
+      }
+    }
+  }
+
+  /**
+   * Email the respondent a code to verify their address
+   */
+  async sendVerificationCode(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+
+      const result = await formService.sendVerificationCode(formId, submissionId);
+      res.json(result);
+    } catch (error) {
+      console.error('Error sending verification code:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to send verification code' });
+      }
+    }
+  }
+
+  /**
+   * Verify the respondent's email with the code they received
+   */
+  async verifySubmissionEmail(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).json({ error: 'Code is required' });
+      }
+
+      const result = await formService.verifySubmissionEmail(formId, submissionId, code, getRespondentToken(req));
+      res.json(result);
+    } catch (error) {
+      console.error('Error verifying submission email:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to verify email' });
+      }
+    }
+  }
+
+  /**
+   * Validate one page of an in-progress submission
+   */
+  async validateSubmissionPage(req, res) {
+    try {
+      const { formId, submissionId, pageNumber } = req.params;
+      const { responses } = req.body;
+
+      if (!Array.isArray(responses)) {
+        return res.status(400).json({ error: 'Responses must be an array' });
+      }
+
+      const result = await formService.validatePage(
+        formId,
+        submissionId,
+        parseInt(pageNumber),
+        responses,
+        getRespondentToken(req)
+      );
+      res.json({ valid: true, ...result });
+    } catch (error) {
+      console.error('Error validating submission page:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to validate page' });
+      }
+    }
+  }
+
+  /**
+   * Upload a file for a file-upload question. The request body is the raw
+   * file; its name is sent URL-encoded in the X-File-Name header.
+   */
+  async uploadSubmissionFile(req, res) {
+    try {
+      const { formId, submissionId, questionId } = req.params;
+
+      if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ error: 'Send the file as the raw request body' });
+      }
+
+      let fileName = req.get('X-File-Name');
+      try {
+        fileName = decodeURIComponent(fileName || '');
+      } catch (error) {
+        return res.status(400).json({ error: 'X-File-Name must be URL-encoded' });
+      }
+
+      const file = await formService.uploadSubmissionFile(formId, submissionId, questionId, {
+        fileName,
+        mimeType: req.get('Content-Type') || 'application/octet-stream',
+        buffer: req.body
+      }, getRespondentToken(req));
+      res.status(201).json(file);
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to upload file' });
+      }
+    }
+  }
+
+  /**
+   * Answer body-parser failures on the upload route (e.g. the body exceeding
+   * the server-wide size limit) in the API error format
+   */
+  handleUploadError(err, req, res, next) {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json(new ApiError('File exceeds the maximum upload size', {
+        code: 'FILE_TOO_LARGE',
+        status: 413
+      }).toJSON());
+    }
+    next(err);
+  }
+
+  /**
+   * Remove an upload from an in-progress submission
+   */
+  async deleteSubmissionFile(req, res) {
+    try {
+      const { formId, submissionId, fileId } = req.params;
+      await formService.deleteSubmissionFile(formId, submissionId, fileId, getRespondentToken(req));
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting file:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to delete file' });
+      }
+    }
+  }
+
+  /**
+   * Download a submitted file using a signed link from the submission details
+   */
+  async downloadFile(req, res) {
+    try {
+      const { buffer, fileName, contentType } = await formService.getFileDownload(req.params.token);
+
+      res.setHeader('Content-Type', contentType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.send(buffer);
+    } catch (error) {
+      console.error('Error downloading file:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to download file' });
+      }
     }
   }
 
@@ -374,19 +1217,26 @@ class FormController {
   async listSubmissions(req, res) {
     try {
       const { formId } = req.params;
-      const { page, limit, sort_by, sort_order } = req.query;
+      const { page, limit, sort_by, sort_order, hidden_fields, variables } = req.query;
 
       const result = await formService.listSubmissions(formId, {
         page: parseInt(page),
         limit: parseInt(limit),
         sortBy: sort_by,
-        sortOrder: sort_order
+        sortOrder: sort_order,
+        // ?hidden_fields[utm_source]=newsletter&variables[tier]=gold
+        hiddenFields: hidden_fields,
+        variables
       });
 
       res.json(result);
     } catch (error) {
       console.error('Error listing submissions:', error);
-      res.status(500).json({ error: 'Failed to list submissions' });
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to list submissions' });
+      }
     }
   }
 
@@ -409,6 +1259,60 @@ class FormController {
     }
   }
 
+  /**
+   * Move a submission to the trash
+   */
+  async deleteSubmission(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      await formService.deleteSubmission(formId, submissionId);
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting submission:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to delete submission' });
+      }
+    }
+  }
+
+  /**
+   * List the earlier versions of an edited submission
+   */
+  async listSubmissionRevisions(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      const revisions = await formService.listSubmissionRevisions(formId, submissionId);
+      res.json(revisions);
+    } catch (error) {
+      console.error('Error listing submission revisions:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to list submission revisions' });
+      }
+    }
+  }
+
+  /**
+   * Restore a submission from the trash
+   */
+  async restoreSubmission(req, res) {
+    try {
+      const { formId, submissionId } = req.params;
+      await formService.restoreSubmission(formId, submissionId);
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error restoring submission:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: 'Failed to restore submission' });
+      }
+    }
+  }
+
   /**
    * Get form analytics
    */
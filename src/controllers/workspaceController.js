@@ -1,4 +1,5 @@
 const workspaceService = require('../services/workspaceService');
+const { ApiError } = require('../utils/errors');
 
 class WorkspaceController {
   /**
@@ -73,6 +74,27 @@ class WorkspaceController {
       res.status(500).json({ error: error.message });
     }
   }
+
+  /**
+   * Set a custom workspace slug
+   */
+  async updateWorkspaceSlug(req, res) {
+    try {
+      const { workspaceId } = req.params;
+      const { slug } = req.body;
+      const userId = req.user.id;  // Set by auth middleware
+
+      const workspace = await workspaceService.updateWorkspaceSlug(workspaceId, slug, userId);
+      res.json(workspace);
+    } catch (error) {
+      console.error('Update workspace slug error:', error);
+      if (error instanceof ApiError) {
+        res.status(error.status).json(error.toJSON());
+      } else {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  }
 }
 
 module.exports = new WorkspaceController(); 
\ No newline at end of file
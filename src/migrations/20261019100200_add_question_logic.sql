@@ -0,0 +1,7 @@
+-- Add conditional logic (show_if conditions and jump rules) to questions
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS logic JSONB;
+
+-- Logic must be a JSON object when present
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_logic_is_object;
+ALTER TABLE questions ADD CONSTRAINT questions_logic_is_object
+  CHECK (logic IS NULL OR jsonb_typeof(logic) = 'object');
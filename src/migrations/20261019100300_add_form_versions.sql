@@ -0,0 +1,90 @@
+-- Published form versions: immutable snapshots of a form's draft
+CREATE TABLE IF NOT EXISTS form_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  form_id UUID REFERENCES forms(id) ON DELETE CASCADE NOT NULL,
+  version_number INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  published_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  published_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (form_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS form_versions_form_id_idx ON form_versions (form_id);
+
+-- Latest published version number, null while the form is an unpublished draft
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS published_version INTEGER;
+
+-- Record which version each submission was answered against
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS form_version_id UUID REFERENCES form_versions(id);
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS version_number INTEGER;
+
+-- Responses belong to the version snapshot, so editing or deleting a draft
+-- question must not cascade into stored answers
+ALTER TABLE question_responses DROP CONSTRAINT IF EXISTS question_responses_question_id_fkey;
+
+-- Snapshots are never modified once published
+ALTER TABLE form_versions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view versions of forms they can view" ON form_versions;
+CREATE POLICY "Users can view versions of forms they can view"
+  ON form_versions FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM forms f
+      INNER JOIN workspaces w ON w.id = f.workspace_id
+      WHERE f.id = form_versions.form_id
+      AND (w.user_id = auth.uid() OR (NOT f.is_private AND w.type = 'public'))
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can publish forms in their workspaces" ON form_versions;
+CREATE POLICY "Users can publish forms in their workspaces"
+  ON form_versions FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM forms f
+      INNER JOIN workspaces w ON w.id = f.workspace_id
+      WHERE f.id = form_id
+      AND w.user_id = auth.uid()
+    )
+  );
+
+-- Publish existing forms as version 1 so their public links keep working
+INSERT INTO form_versions (form_id, version_number, snapshot)
+SELECT
+  f.id,
+  1,
+  jsonb_build_object(
+    'form', jsonb_build_object(
+      'id', f.id,
+      'workspace_id', f.workspace_id,
+      'name', f.name,
+      'description', f.description,
+      'slug', f.slug,
+      'is_private', f.is_private
+    ),
+    'settings', (SELECT to_jsonb(s) FROM form_settings s WHERE s.form_id = f.id),
+    'questions', COALESCE((
+      SELECT jsonb_agg(
+        to_jsonb(q) || jsonb_build_object('choices', COALESCE((
+          SELECT jsonb_agg(to_jsonb(c) ORDER BY c."order")
+          FROM question_choices c
+          WHERE c.question_id = q.id
+        ), '[]'::jsonb))
+        ORDER BY q."order"
+      )
+      FROM questions q
+      WHERE q.form_id = f.id
+    ), '[]'::jsonb)
+  )
+FROM forms f
+WHERE NOT EXISTS (SELECT 1 FROM form_versions v WHERE v.form_id = f.id);
+
+UPDATE forms SET published_version = 1 WHERE published_version IS NULL;
+
+UPDATE form_submissions fs
+SET form_version_id = v.id, version_number = v.version_number
+FROM form_versions v
+WHERE v.form_id = fs.form_id
+AND v.version_number = 1
+AND fs.form_version_id IS NULL;
@@ -0,0 +1,11 @@
+-- Template library: forms can be offered as templates to their workspace or to everyone
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS is_template BOOLEAN DEFAULT false NOT NULL;
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS template_scope TEXT;
+
+ALTER TABLE forms DROP CONSTRAINT IF EXISTS forms_template_scope_check;
+ALTER TABLE forms ADD CONSTRAINT forms_template_scope_check CHECK (
+  (is_template AND template_scope IN ('workspace', 'global'))
+  OR (NOT is_template AND template_scope IS NULL)
+);
+
+CREATE INDEX IF NOT EXISTS forms_templates_idx ON forms (template_scope, workspace_id) WHERE is_template;
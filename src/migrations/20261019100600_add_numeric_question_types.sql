@@ -0,0 +1,8 @@
+-- Numeric question types: star rating, opinion scale, net promoter score and plain numbers
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'rating';
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'opinion-scale';
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'nps';
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'number';
+
+-- Type-specific configuration, e.g. { "steps": 5 } for ratings or { "min": 0, "max": 100, "step": 5 } for numbers
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS properties JSONB DEFAULT '{}'::jsonb NOT NULL;
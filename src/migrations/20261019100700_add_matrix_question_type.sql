@@ -0,0 +1,4 @@
+-- Matrix (Likert grid) questions: choices are the row statements and
+-- properties.columns holds the shared scale, e.g.
+-- { "columns": [{ "value": "agree", "label": "Agree" }, ...], "multiple": false }
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'matrix';
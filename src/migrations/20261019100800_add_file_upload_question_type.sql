@@ -0,0 +1,66 @@
+-- File upload questions; limits live in questions.properties, e.g.
+-- { "allowed_types": ["application/pdf", "image/*"], "max_size": 5242880, "max_files": 2 }
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'file-upload';
+
+-- Files uploaded while a submission is in progress. The bytes live in the
+-- configured storage backend under storage_key; answers reference rows by id.
+CREATE TABLE IF NOT EXISTS submission_files (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE NOT NULL,
+  form_id UUID REFERENCES forms(id) ON DELETE CASCADE NOT NULL,
+  question_id UUID NOT NULL,
+  file_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size BIGINT NOT NULL CHECK (size > 0),
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS submission_files_submission_id_idx ON submission_files (submission_id, question_id);
+
+-- Uploads are written by the service role; owners may only read them
+ALTER TABLE submission_files ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view files submitted to their forms" ON submission_files;
+CREATE POLICY "Users can view files submitted to their forms"
+  ON submission_files FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM forms f
+      INNER JOIN workspaces w ON w.id = f.workspace_id
+      WHERE f.id = submission_files.form_id
+      AND w.user_id = auth.uid()
+    )
+  );
+
+-- Store an upload only while its question is under the file limit. Uploads
+-- to the same submission queue on the submission row lock and re-count, so
+-- concurrent uploads cannot go past max_files. Returns no row when full.
+CREATE OR REPLACE FUNCTION insert_submission_file(
+  p_id UUID,
+  p_submission_id UUID,
+  p_form_id UUID,
+  p_question_id UUID,
+  p_file_name TEXT,
+  p_mime_type TEXT,
+  p_size BIGINT,
+  p_storage_key TEXT,
+  p_max_files INTEGER
+)
+RETURNS SETOF submission_files AS $$
+BEGIN
+  PERFORM 1 FROM form_submissions WHERE id = p_submission_id FOR UPDATE;
+
+  IF (
+    SELECT COUNT(*) FROM submission_files
+    WHERE submission_id = p_submission_id AND question_id = p_question_id
+  ) >= p_max_files THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO submission_files (id, submission_id, form_id, question_id, file_name, mime_type, size, storage_key)
+  VALUES (p_id, p_submission_id, p_form_id, p_question_id, p_file_name, p_mime_type, p_size, p_storage_key)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
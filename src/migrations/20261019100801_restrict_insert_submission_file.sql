@@ -0,0 +1,9 @@
+-- insert_submission_file runs as its owner, so only the API's service role
+-- may call it, with a fixed search path.
+ALTER FUNCTION insert_submission_file(UUID, UUID, UUID, UUID, TEXT, TEXT, BIGINT, TEXT, INTEGER)
+  SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION insert_submission_file(UUID, UUID, UUID, UUID, TEXT, TEXT, BIGINT, TEXT, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION insert_submission_file(UUID, UUID, UUID, UUID, TEXT, TEXT, BIGINT, TEXT, INTEGER)
+  TO service_role;
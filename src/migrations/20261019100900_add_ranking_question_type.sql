@@ -0,0 +1,3 @@
+-- Ranking questions order the question's choices; an optional
+-- { "rank_limit": 3 } in properties asks for the top N only
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'ranking';
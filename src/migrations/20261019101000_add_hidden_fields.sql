@@ -0,0 +1,16 @@
+-- Hidden fields: context (campaign, CRM IDs, ...) passed in the form link's
+-- query string and stored with the submission without asking the respondent
+
+-- Field names the form accepts, e.g. ["utm_source", "customer_id"]
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS hidden_fields JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+ALTER TABLE forms DROP CONSTRAINT IF EXISTS forms_hidden_fields_is_array;
+ALTER TABLE forms ADD CONSTRAINT forms_hidden_fields_is_array
+  CHECK (jsonb_typeof(hidden_fields) = 'array');
+
+-- Values captured for the submission, kept apart from the free-form metadata
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS hidden_fields JSONB DEFAULT '{}'::jsonb NOT NULL;
+
+-- Answers to hidden questions, prefilled from URL parameters at start
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS prefilled_answers JSONB DEFAULT '{}'::jsonb NOT NULL;
+
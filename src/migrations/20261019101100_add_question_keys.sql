@@ -0,0 +1,9 @@
+-- Question keys name a question inside its form so later text can pipe its
+-- answer, e.g. "Thanks {{q:first_name}}"
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS key TEXT;
+
+ALTER TABLE questions DROP CONSTRAINT IF EXISTS questions_key_format;
+ALTER TABLE questions ADD CONSTRAINT questions_key_format
+  CHECK (key IS NULL OR key ~ '^[A-Za-z_][A-Za-z0-9_]{0,63}$');
+
+CREATE UNIQUE INDEX IF NOT EXISTS questions_form_id_key_idx ON questions (form_id, key) WHERE key IS NOT NULL;
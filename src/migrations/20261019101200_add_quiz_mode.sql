@@ -0,0 +1,24 @@
+-- Quiz mode: choices and text questions carry the answer key, completed
+-- submissions store their score and each scored response is marked
+ALTER TABLE question_choices ADD COLUMN IF NOT EXISTS is_correct BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE question_choices ADD COLUMN IF NOT EXISTS points NUMERIC;
+
+ALTER TABLE question_choices DROP CONSTRAINT IF EXISTS question_choices_points_check;
+ALTER TABLE question_choices ADD CONSTRAINT question_choices_points_check
+  CHECK (points IS NULL OR points >= 0);
+
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS is_quiz BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS pass_percentage NUMERIC;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS score_bands JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE form_settings DROP CONSTRAINT IF EXISTS form_settings_pass_percentage_check;
+ALTER TABLE form_settings ADD CONSTRAINT form_settings_pass_percentage_check
+  CHECK (pass_percentage IS NULL OR (pass_percentage >= 0 AND pass_percentage <= 100));
+
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS score NUMERIC;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS max_score NUMERIC;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS score_percentage NUMERIC;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS passed BOOLEAN;
+
+ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS is_correct BOOLEAN;
+ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS score NUMERIC;
@@ -0,0 +1,10 @@
+-- Calculated variables: named expressions over answers and hidden fields,
+-- e.g. [{"name": "bmi", "expression": "q.weight / (q.height / 100) ^ 2"}]
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS variables JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+ALTER TABLE forms DROP CONSTRAINT IF EXISTS forms_variables_is_array;
+ALTER TABLE forms ADD CONSTRAINT forms_variables_is_array
+  CHECK (jsonb_typeof(variables) = 'array');
+
+-- Values worked out when the submission was completed
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS variables JSONB DEFAULT '{}'::jsonb NOT NULL;
@@ -0,0 +1,3 @@
+-- Sections are page breaks: a top-level row with a title (text) and
+-- description whose children are the questions on its page
+ALTER TYPE question_type ADD VALUE IF NOT EXISTS 'section';
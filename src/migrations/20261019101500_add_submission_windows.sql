@@ -0,0 +1,64 @@
+-- Submission windows: forms can open and close on a schedule and stop
+-- accepting responses once a cap is reached
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS closes_at TIMESTAMPTZ;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS max_submissions INTEGER;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS closed_message TEXT;
+
+ALTER TABLE form_settings DROP CONSTRAINT IF EXISTS form_settings_max_submissions_check;
+ALTER TABLE form_settings ADD CONSTRAINT form_settings_max_submissions_check
+  CHECK (max_submissions IS NULL OR max_submissions > 0);
+
+ALTER TABLE form_settings DROP CONSTRAINT IF EXISTS form_settings_window_check;
+ALTER TABLE form_settings ADD CONSTRAINT form_settings_window_check
+  CHECK (opens_at IS NULL OR closes_at IS NULL OR opens_at < closes_at);
+
+-- Completed submissions are counted on the form row so the cap can be
+-- claimed with a single conditional update
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS completed_submissions INTEGER NOT NULL DEFAULT 0;
+
+UPDATE forms f
+SET completed_submissions = (
+  SELECT COUNT(*) FROM form_submissions s
+  WHERE s.form_id = f.id AND s.status = 'completed'
+);
+
+-- Take one completion slot. Concurrent callers queue on the form row lock
+-- and re-check the cap, so the count can never pass max_submissions.
+CREATE OR REPLACE FUNCTION claim_submission_slot(p_form_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+  claimed INTEGER;
+BEGIN
+  UPDATE forms
+  SET completed_submissions = completed_submissions + 1
+  WHERE id = p_form_id
+    AND completed_submissions < COALESCE(
+      (SELECT max_submissions FROM form_settings WHERE form_id = p_form_id),
+      2147483647
+    );
+
+  GET DIAGNOSTICS claimed = ROW_COUNT;
+  RETURN claimed > 0;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Give back a slot when the completion it was claimed for fails
+CREATE OR REPLACE FUNCTION release_submission_slot(p_form_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE forms
+  SET completed_submissions = GREATEST(completed_submissions - 1, 0)
+  WHERE id = p_form_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Count a restored completion again; restores are not held to the cap
+CREATE OR REPLACE FUNCTION reclaim_submission_slot(p_form_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE forms
+  SET completed_submissions = completed_submissions + 1
+  WHERE id = p_form_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
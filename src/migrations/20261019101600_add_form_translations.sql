@@ -0,0 +1,16 @@
+-- Multi-language forms: a default language, the languages respondents can
+-- pick from, and translations keyed by language next to the original text
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS default_language TEXT DEFAULT 'en' NOT NULL;
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS languages JSONB DEFAULT '["en"]'::jsonb NOT NULL;
+
+ALTER TABLE forms DROP CONSTRAINT IF EXISTS forms_languages_is_array;
+ALTER TABLE forms ADD CONSTRAINT forms_languages_is_array
+  CHECK (jsonb_typeof(languages) = 'array');
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb NOT NULL;
+ALTER TABLE question_choices ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb NOT NULL;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb NOT NULL;
+
+-- The language each respondent answered in; responses keep pointing at the
+-- same question and choice IDs whatever the language
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS language TEXT;
@@ -0,0 +1,69 @@
+-- Workspace question bank: reusable questions that forms insert as linked
+-- copies and can later re-sync from
+CREATE TABLE IF NOT EXISTS question_bank (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE NOT NULL,
+  type question_type NOT NULL,
+  text TEXT NOT NULL,
+  description TEXT,
+  is_required BOOLEAN DEFAULT false NOT NULL,
+  max_chars INTEGER,
+  properties JSONB DEFAULT '{}'::jsonb NOT NULL,
+  translations JSONB DEFAULT '{}'::jsonb NOT NULL,
+  -- Bumped on every edit so linked copies can tell they are out of date
+  version INTEGER DEFAULT 1 NOT NULL,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS question_bank_workspace_id_idx ON question_bank (workspace_id);
+
+CREATE TABLE IF NOT EXISTS question_bank_choices (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  bank_question_id UUID REFERENCES question_bank(id) ON DELETE CASCADE NOT NULL,
+  text TEXT NOT NULL,
+  "order" INTEGER NOT NULL,
+  is_correct BOOLEAN DEFAULT false NOT NULL,
+  points NUMERIC CHECK (points IS NULL OR points >= 0),
+  translations JSONB DEFAULT '{}'::jsonb NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS question_bank_choices_bank_question_id_idx ON question_bank_choices (bank_question_id);
+
+-- Linked copies remember their bank question (and the version last synced)
+-- and which bank choice each of their choices came from, so responses can be
+-- combined across forms
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS bank_question_id UUID REFERENCES question_bank(id) ON DELETE SET NULL;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS bank_version INTEGER;
+ALTER TABLE question_choices ADD COLUMN IF NOT EXISTS bank_choice_id UUID REFERENCES question_bank_choices(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS questions_bank_question_id_idx ON questions (bank_question_id);
+
+ALTER TABLE question_bank ENABLE ROW LEVEL SECURITY;
+ALTER TABLE question_bank_choices ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage the question bank of their workspaces" ON question_bank;
+CREATE POLICY "Users can manage the question bank of their workspaces"
+  ON question_bank FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM workspaces w
+      WHERE w.id = question_bank.workspace_id
+      AND w.user_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can manage bank choices of their workspaces" ON question_bank_choices;
+CREATE POLICY "Users can manage bank choices of their workspaces"
+  ON question_bank_choices FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM question_bank b
+      INNER JOIN workspaces w ON w.id = b.workspace_id
+      WHERE b.id = question_bank_choices.bank_question_id
+      AND w.user_id = auth.uid()
+    )
+  );
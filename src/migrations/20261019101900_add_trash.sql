@@ -0,0 +1,147 @@
+-- Trash: forms, questions and submissions are soft deleted with a
+-- deleted_at timestamp, can be restored, and are purged by the API once
+-- TRASH_RETENTION_DAYS have passed
+ALTER TABLE forms ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS forms_deleted_at_idx ON forms (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS questions_deleted_at_idx ON questions (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS form_submissions_deleted_at_idx ON form_submissions (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Trashed rows no longer hold on to their question key or respondent email;
+-- restoring checks for a clash first
+DROP INDEX IF EXISTS questions_form_id_key_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS questions_form_id_key_idx ON questions (form_id, key)
+  WHERE key IS NOT NULL AND deleted_at IS NULL;
+
+ALTER TABLE form_submissions DROP CONSTRAINT IF EXISTS form_submissions_form_id_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS form_submissions_form_id_email_idx ON form_submissions (form_id, email)
+  WHERE deleted_at IS NULL;
+
+-- Builder batches move deleted questions to the trash instead of removing them
+CREATE OR REPLACE FUNCTION apply_form_structure(
+  p_form_id UUID,
+  p_questions JSONB,
+  p_choices JSONB,
+  p_deleted_question_ids UUID[],
+  p_deleted_choice_ids UUID[]
+)
+RETURNS VOID AS $$
+DECLARE
+  q JSONB;
+  c JSONB;
+BEGIN
+  DELETE FROM question_choices
+  USING questions
+  WHERE question_choices.question_id = questions.id
+    AND questions.form_id = p_form_id
+    AND question_choices.id = ANY(p_deleted_choice_ids);
+
+  -- Deleted questions go to the trash; the batch lists their nested
+  -- questions too, so they share a deleted_at and are restored together
+  UPDATE questions
+  SET deleted_at = now()
+  WHERE form_id = p_form_id AND id = ANY(p_deleted_question_ids) AND deleted_at IS NULL;
+
+  -- Keys are unique per form, so release the ones being rewritten before a
+  -- question can take over another's key
+  UPDATE questions
+  SET key = NULL
+  WHERE form_id = p_form_id
+    AND key IS NOT NULL
+    AND id IN (SELECT (value->>'id')::UUID FROM jsonb_array_elements(p_questions));
+
+  -- Parents come first so the path trigger can read their path
+  FOR q IN SELECT value FROM jsonb_array_elements(p_questions) LOOP
+    INSERT INTO questions (
+      id, form_id, parent_id, type, text, description, is_required, max_chars, "order",
+      logic, properties, key, translations, bank_question_id, bank_version
+    )
+    VALUES (
+      (q->>'id')::UUID,
+      p_form_id,
+      (q->>'parent_id')::UUID,
+      (q->>'type')::question_type,
+      q->>'text',
+      q->>'description',
+      COALESCE((q->>'is_required')::BOOLEAN, false),
+      (q->>'max_chars')::INTEGER,
+      (q->>'order')::INTEGER,
+      NULLIF(q->'logic', 'null'::JSONB),
+      COALESCE(NULLIF(q->'properties', 'null'::JSONB), '{}'::JSONB),
+      q->>'key',
+      COALESCE(NULLIF(q->'translations', 'null'::JSONB), '{}'::JSONB),
+      (q->>'bank_question_id')::UUID,
+      (q->>'bank_version')::INTEGER
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      parent_id = EXCLUDED.parent_id,
+      text = EXCLUDED.text,
+      description = EXCLUDED.description,
+      is_required = EXCLUDED.is_required,
+      max_chars = EXCLUDED.max_chars,
+      "order" = EXCLUDED."order",
+      logic = EXCLUDED.logic,
+      properties = EXCLUDED.properties,
+      key = EXCLUDED.key,
+      translations = EXCLUDED.translations,
+      bank_question_id = EXCLUDED.bank_question_id,
+      bank_version = EXCLUDED.bank_version
+    WHERE questions.form_id = p_form_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Question % does not belong to form %', q->>'id', p_form_id;
+    END IF;
+  END LOOP;
+
+  -- Moving a question leaves the paths of the questions below it stale
+  WITH RECURSIVE tree AS (
+    SELECT id, text2ltree(id::text) AS path
+    FROM questions
+    WHERE form_id = p_form_id AND parent_id IS NULL
+    UNION ALL
+    SELECT child.id, tree.path || text2ltree(child.id::text)
+    FROM questions child
+    JOIN tree ON child.parent_id = tree.id
+  )
+  UPDATE questions
+  SET path = tree.path
+  FROM tree
+  WHERE questions.id = tree.id AND questions.path IS DISTINCT FROM tree.path;
+
+  FOR c IN SELECT value FROM jsonb_array_elements(p_choices) LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM questions WHERE id = (c->>'question_id')::UUID AND form_id = p_form_id
+    ) THEN
+      RAISE EXCEPTION 'Choice % does not belong to form %', c->>'id', p_form_id;
+    END IF;
+
+    INSERT INTO question_choices (
+      id, question_id, text, "order", is_correct, points, translations, bank_choice_id
+    )
+    VALUES (
+      (c->>'id')::UUID,
+      (c->>'question_id')::UUID,
+      c->>'text',
+      (c->>'order')::INTEGER,
+      COALESCE((c->>'is_correct')::BOOLEAN, false),
+      (c->>'points')::NUMERIC,
+      COALESCE(NULLIF(c->'translations', 'null'::JSONB), '{}'::JSONB),
+      (c->>'bank_choice_id')::UUID
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      text = EXCLUDED.text,
+      "order" = EXCLUDED."order",
+      is_correct = EXCLUDED.is_correct,
+      points = EXCLUDED.points,
+      translations = EXCLUDED.translations,
+      bank_choice_id = EXCLUDED.bank_choice_id
+    WHERE question_choices.question_id = EXCLUDED.question_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Choice % does not belong to question %', c->>'id', c->>'question_id';
+    END IF;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,20 @@
+-- Trashed completions give their slot under the response cap back
+UPDATE forms f
+SET completed_submissions = (
+  SELECT COUNT(*) FROM form_submissions s
+  WHERE s.form_id = f.id AND s.status = 'completed' AND s.deleted_at IS NULL
+);
+
+-- The slot functions run as their owner, so only the API's service role may
+-- call them, with a fixed search path.
+ALTER FUNCTION claim_submission_slot(UUID) SET search_path = public;
+ALTER FUNCTION release_submission_slot(UUID) SET search_path = public;
+ALTER FUNCTION reclaim_submission_slot(UUID) SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION claim_submission_slot(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_submission_slot(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reclaim_submission_slot(UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION claim_submission_slot(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION release_submission_slot(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION reclaim_submission_slot(UUID) TO service_role;
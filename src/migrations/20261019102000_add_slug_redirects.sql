@@ -0,0 +1,37 @@
+-- Slug history: public links resolve strictly by workspaces.slug and
+-- forms.slug, and the slugs a workspace or form used to have redirect to
+-- its current link
+CREATE TABLE IF NOT EXISTS slug_redirects (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE NOT NULL,
+  -- NULL for a former workspace slug
+  form_id UUID REFERENCES forms(id) ON DELETE CASCADE,
+  slug TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Former form slugs are unique within their workspace, former workspace slugs globally
+CREATE UNIQUE INDEX IF NOT EXISTS slug_redirects_form_slug_idx ON slug_redirects (workspace_id, slug)
+  WHERE form_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS slug_redirects_workspace_slug_idx ON slug_redirects (slug)
+  WHERE form_id IS NULL;
+CREATE INDEX IF NOT EXISTS slug_redirects_form_id_idx ON slug_redirects (form_id);
+
+-- Forms created before slugs were generated everywhere
+UPDATE forms
+SET slug = LOWER(REGEXP_REPLACE(REGEXP_REPLACE(name, '[^a-zA-Z0-9\s-]', '', 'g'), '\s+', '-', 'g')) || '-' || LEFT(id::text, 8)
+WHERE slug IS NULL;
+
+-- Redirects are written by the API with the service role; owners may read theirs
+ALTER TABLE slug_redirects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view slug redirects of their workspaces" ON slug_redirects;
+CREATE POLICY "Users can view slug redirects of their workspaces"
+  ON slug_redirects FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM workspaces w
+      WHERE w.id = slug_redirects.workspace_id
+      AND w.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,27 @@
+-- Respondent access control: an optional form password (scrypt hash, checked
+-- by the API) and an invite-only mode limited to listed emails or domains.
+-- Kept apart from forms so the hash never travels with form payloads.
+CREATE TABLE IF NOT EXISTS form_access (
+  form_id UUID REFERENCES forms(id) ON DELETE CASCADE PRIMARY KEY,
+  password_hash TEXT,
+  invite_only BOOLEAN NOT NULL DEFAULT false,
+  -- Lowercased by the API
+  invited_emails TEXT[] NOT NULL DEFAULT '{}',
+  invited_domains TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+ALTER TABLE form_access ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage access to forms in their workspaces" ON form_access;
+CREATE POLICY "Users can manage access to forms in their workspaces"
+  ON form_access FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM forms f
+      INNER JOIN workspaces w ON w.id = f.workspace_id
+      WHERE f.id = form_access.form_id
+      AND w.user_id = auth.uid()
+    )
+  );
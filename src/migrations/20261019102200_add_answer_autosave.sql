@@ -0,0 +1,13 @@
+-- Autosave: answers of in-progress submissions are upserted one question at
+-- a time, so a submission holds at most one response per question
+ALTER TABLE question_responses ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+-- Keep the latest response where older data answered a question twice
+DELETE FROM question_responses a
+USING question_responses b
+WHERE a.submission_id = b.submission_id
+  AND a.question_id = b.question_id
+  AND (a.submitted_at, a.id) < (b.submitted_at, b.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS question_responses_submission_question_idx
+  ON question_responses (submission_id, question_id);
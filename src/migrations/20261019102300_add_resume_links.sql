@@ -0,0 +1,4 @@
+-- Save and continue later: when a resume link was last emailed for a
+-- submission, so repeated requests cannot flood the respondent's inbox.
+-- The links themselves are signed tokens and are not stored.
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS resume_link_sent_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,19 @@
+-- Respondent email verification: forms can require respondents to confirm
+-- their address with an emailed one-time code before completing
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS verify_email BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE;
+
+-- The live code of a submission, as a keyed hash. Kept apart from
+-- form_submissions so it never travels with submission payloads.
+CREATE TABLE IF NOT EXISTS submission_verifications (
+  submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE PRIMARY KEY,
+  code_hash TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  sent_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Only the API (service role) reads and writes codes
+ALTER TABLE submission_verifications ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,218 @@
+-- Submission policies: forms choose between anonymous responses, one per
+-- email, unlimited, or one per period, and may let respondents edit a
+-- completed submission for a number of hours
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS submission_policy TEXT NOT NULL DEFAULT 'one_per_email';
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS submission_period_hours INTEGER;
+ALTER TABLE form_settings ADD COLUMN IF NOT EXISTS edit_window_hours INTEGER;
+
+ALTER TABLE form_settings DROP CONSTRAINT IF EXISTS form_settings_submission_policy_check;
+ALTER TABLE form_settings ADD CONSTRAINT form_settings_submission_policy_check
+  CHECK (submission_policy IN ('anonymous', 'one_per_email', 'unlimited', 'one_per_period'));
+
+ALTER TABLE form_settings DROP CONSTRAINT IF EXISTS form_settings_submission_period_check;
+ALTER TABLE form_settings ADD CONSTRAINT form_settings_submission_period_check
+  CHECK (submission_policy <> 'one_per_period' OR submission_period_hours > 0);
+
+ALTER TABLE form_settings DROP CONSTRAINT IF EXISTS form_settings_edit_window_check;
+ALTER TABLE form_settings ADD CONSTRAINT form_settings_edit_window_check
+  CHECK (edit_window_hours IS NULL OR edit_window_hours > 0);
+
+-- Anonymous submissions have no email; respondents are recognised by the
+-- hash of the opaque token handed out when they start
+ALTER TABLE form_submissions ALTER COLUMN email DROP NOT NULL;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS respondent_token_hash TEXT;
+CREATE INDEX IF NOT EXISTS form_submissions_respondent_token_hash_idx ON form_submissions (respondent_token_hash);
+
+-- One submission per email is now a policy, so uniqueness moves to a key
+-- that is only set for submissions made under it
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+UPDATE form_submissions SET dedupe_key = email WHERE dedupe_key IS NULL AND email IS NOT NULL;
+
+DROP INDEX IF EXISTS form_submissions_form_id_email_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS form_submissions_form_id_dedupe_key_idx ON form_submissions (form_id, dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND deleted_at IS NULL;
+
+-- Editing a completed submission keeps the answers it replaced
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS revision_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS submission_revisions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  submission_id UUID REFERENCES form_submissions(id) ON DELETE CASCADE NOT NULL,
+  revision_number INTEGER NOT NULL,
+  -- [{ question_id, response_data, is_correct, score }]
+  responses JSONB NOT NULL DEFAULT '[]',
+  variables JSONB,
+  score NUMERIC,
+  max_score NUMERIC,
+  score_percentage NUMERIC,
+  passed BOOLEAN,
+  -- When the replaced answers were submitted
+  submitted_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (submission_id, revision_number)
+);
+
+ALTER TABLE submission_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Form owners can view submission revisions" ON submission_revisions;
+CREATE POLICY "Form owners can view submission revisions"
+  ON submission_revisions FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM form_submissions fs
+      INNER JOIN forms f ON f.id = fs.form_id
+      INNER JOIN workspaces w ON w.id = f.workspace_id
+      WHERE fs.id = submission_revisions.submission_id
+      AND w.user_id = auth.uid()
+    )
+  );
+
+-- Mark a submission completed. Under the one_per_period policy
+-- (p_period_hours set) the respondent's other completions are checked in the
+-- same transaction, holding a lock on the form and email, so parallel
+-- submissions cannot both complete within one period. Returns the outcome
+-- ('completed', 'already_completed' or 'period_taken') and, for the latter,
+-- when the respondent last completed the form.
+CREATE OR REPLACE FUNCTION complete_submission(
+  p_submission_id UUID,
+  p_completion_time INTEGER,
+  p_variables JSONB,
+  p_score NUMERIC,
+  p_max_score NUMERIC,
+  p_score_percentage NUMERIC,
+  p_passed BOOLEAN,
+  p_period_hours INTEGER
+)
+RETURNS TABLE (outcome TEXT, last_completed_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+  v_submission form_submissions%ROWTYPE;
+  v_last_completed_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT * INTO v_submission FROM form_submissions WHERE id = p_submission_id FOR UPDATE;
+  IF NOT FOUND OR v_submission.status = 'completed' THEN
+    RETURN QUERY SELECT 'already_completed'::TEXT, NULL::TIMESTAMP WITH TIME ZONE;
+    RETURN;
+  END IF;
+
+  IF p_period_hours IS NOT NULL AND v_submission.email IS NOT NULL THEN
+    PERFORM pg_advisory_xact_lock(hashtext(v_submission.form_id::text || ':' || v_submission.email));
+
+    SELECT MAX(completed_at) INTO v_last_completed_at
+    FROM form_submissions
+    WHERE form_id = v_submission.form_id
+      AND email = v_submission.email
+      AND id <> p_submission_id
+      AND status = 'completed'
+      AND deleted_at IS NULL;
+
+    IF v_last_completed_at > now() - make_interval(hours => p_period_hours) THEN
+      RETURN QUERY SELECT 'period_taken'::TEXT, v_last_completed_at;
+      RETURN;
+    END IF;
+  END IF;
+
+  UPDATE form_submissions
+  SET status = 'completed',
+      completed_at = now(),
+      completion_time = p_completion_time,
+      variables = p_variables,
+      score = p_score,
+      max_score = p_max_score,
+      score_percentage = p_score_percentage,
+      passed = p_passed
+  WHERE id = p_submission_id;
+
+  RETURN QUERY SELECT 'completed'::TEXT, NULL::TIMESTAMP WITH TIME ZONE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Edit a completed submission in one transaction: its current answers and
+-- results become the next revision, then the new ones replace them.
+-- p_revision_count is the revision count the edit was based on; returns the
+-- new revision number, or NULL when another edit was saved first.
+CREATE OR REPLACE FUNCTION edit_submission(
+  p_submission_id UUID,
+  p_revision_count INTEGER,
+  -- [{ question_id, response_data, is_correct, score }]
+  p_responses JSONB,
+  p_variables JSONB,
+  p_score NUMERIC,
+  p_max_score NUMERIC,
+  p_score_percentage NUMERIC,
+  p_passed BOOLEAN
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_submission form_submissions%ROWTYPE;
+  v_revision INTEGER;
+BEGIN
+  SELECT * INTO v_submission FROM form_submissions
+  WHERE id = p_submission_id AND status = 'completed'
+  FOR UPDATE;
+
+  IF NOT FOUND OR v_submission.revision_count <> p_revision_count THEN
+    RETURN NULL;
+  END IF;
+
+  v_revision := v_submission.revision_count + 1;
+
+  INSERT INTO submission_revisions (
+    submission_id, revision_number, responses, variables,
+    score, max_score, score_percentage, passed, submitted_at
+  )
+  VALUES (
+    p_submission_id,
+    v_revision,
+    COALESCE((
+      SELECT jsonb_agg(jsonb_build_object(
+        'question_id', question_id,
+        'response_data', response_data,
+        'is_correct', is_correct,
+        'score', score
+      ))
+      FROM question_responses
+      WHERE submission_id = p_submission_id
+    ), '[]'::jsonb),
+    v_submission.variables,
+    v_submission.score,
+    v_submission.max_score,
+    v_submission.score_percentage,
+    v_submission.passed,
+    COALESCE(v_submission.edited_at, v_submission.completed_at)
+  );
+
+  UPDATE form_submissions
+  SET revision_count = v_revision,
+      edited_at = now(),
+      variables = p_variables,
+      score = p_score,
+      max_score = p_max_score,
+      score_percentage = p_score_percentage,
+      passed = p_passed
+  WHERE id = p_submission_id;
+
+  DELETE FROM question_responses
+  WHERE submission_id = p_submission_id
+    AND question_id NOT IN (
+      SELECT (response->>'question_id')::UUID FROM jsonb_array_elements(p_responses) response
+    );
+
+  INSERT INTO question_responses (submission_id, question_id, response_data, is_correct, score, updated_at)
+  SELECT
+    p_submission_id,
+    (response->>'question_id')::UUID,
+    response->'response_data',
+    (response->>'is_correct')::BOOLEAN,
+    (response->>'score')::NUMERIC,
+    now()
+  FROM jsonb_array_elements(p_responses) response
+  ON CONFLICT (submission_id, question_id) DO UPDATE
+  SET response_data = EXCLUDED.response_data,
+      is_correct = EXCLUDED.is_correct,
+      score = EXCLUDED.score,
+      updated_at = EXCLUDED.updated_at;
+
+  RETURN v_revision;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,4 @@
+-- Databases that applied the migrations before they had distinct
+-- timestamps ran add_trash after add_submission_policies, which brought
+-- back the one-submission-per-email index. Uniqueness is the dedupe_key's.
+DROP INDEX IF EXISTS form_submissions_form_id_email_idx;
@@ -0,0 +1,16 @@
+-- complete_submission and edit_submission run as their owner, so only the
+-- API's service role may call them, with a fixed search path.
+ALTER FUNCTION complete_submission(UUID, INTEGER, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER)
+  SET search_path = public;
+ALTER FUNCTION edit_submission(UUID, INTEGER, JSONB, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN)
+  SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION complete_submission(UUID, INTEGER, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION edit_submission(UUID, INTEGER, JSONB, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN)
+  FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION complete_submission(UUID, INTEGER, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER)
+  TO service_role;
+GRANT EXECUTE ON FUNCTION edit_submission(UUID, INTEGER, JSONB, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN)
+  TO service_role;
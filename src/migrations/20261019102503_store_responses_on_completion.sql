@@ -0,0 +1,94 @@
+-- complete_submission stores the final answers in the same transaction that
+-- completes the submission, as edit_submission does. The new argument list
+-- makes it a new function, so the old one is dropped first.
+DROP FUNCTION IF EXISTS complete_submission(UUID, INTEGER, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER);
+
+-- Mark a submission completed and replace its stored answers with the final
+-- ones. Under the one_per_period policy (p_period_hours set) the
+-- respondent's other completions are checked in the same transaction,
+-- holding a lock on the form and email, so parallel submissions cannot both
+-- complete within one period. Returns the outcome ('completed',
+-- 'already_completed' or 'period_taken') and, for the latter, when the
+-- respondent last completed the form.
+CREATE OR REPLACE FUNCTION complete_submission(
+  p_submission_id UUID,
+  p_completion_time INTEGER,
+  -- [{ question_id, response_data, is_correct, score }]
+  p_responses JSONB,
+  p_variables JSONB,
+  p_score NUMERIC,
+  p_max_score NUMERIC,
+  p_score_percentage NUMERIC,
+  p_passed BOOLEAN,
+  p_period_hours INTEGER
+)
+RETURNS TABLE (outcome TEXT, last_completed_at TIMESTAMP WITH TIME ZONE) AS $$
+DECLARE
+  v_submission form_submissions%ROWTYPE;
+  v_last_completed_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT * INTO v_submission FROM form_submissions WHERE id = p_submission_id FOR UPDATE;
+  IF NOT FOUND OR v_submission.status = 'completed' THEN
+    RETURN QUERY SELECT 'already_completed'::TEXT, NULL::TIMESTAMP WITH TIME ZONE;
+    RETURN;
+  END IF;
+
+  IF p_period_hours IS NOT NULL AND v_submission.email IS NOT NULL THEN
+    PERFORM pg_advisory_xact_lock(hashtext(v_submission.form_id::text || ':' || v_submission.email));
+
+    SELECT MAX(completed_at) INTO v_last_completed_at
+    FROM form_submissions
+    WHERE form_id = v_submission.form_id
+      AND email = v_submission.email
+      AND id <> p_submission_id
+      AND status = 'completed'
+      AND deleted_at IS NULL;
+
+    IF v_last_completed_at > now() - make_interval(hours => p_period_hours) THEN
+      RETURN QUERY SELECT 'period_taken'::TEXT, v_last_completed_at;
+      RETURN;
+    END IF;
+  END IF;
+
+  UPDATE form_submissions
+  SET status = 'completed',
+      completed_at = now(),
+      completion_time = p_completion_time,
+      variables = p_variables,
+      score = p_score,
+      max_score = p_max_score,
+      score_percentage = p_score_percentage,
+      passed = p_passed
+  WHERE id = p_submission_id;
+
+  -- Autosaved answers that did not make it into the final set, e.g. to
+  -- questions the respondent's later answers hid
+  DELETE FROM question_responses
+  WHERE submission_id = p_submission_id
+    AND question_id NOT IN (
+      SELECT (response->>'question_id')::UUID FROM jsonb_array_elements(p_responses) response
+    );
+
+  INSERT INTO question_responses (submission_id, question_id, response_data, is_correct, score, updated_at)
+  SELECT
+    p_submission_id,
+    (response->>'question_id')::UUID,
+    response->'response_data',
+    (response->>'is_correct')::BOOLEAN,
+    (response->>'score')::NUMERIC,
+    now()
+  FROM jsonb_array_elements(p_responses) response
+  ON CONFLICT (submission_id, question_id) DO UPDATE
+  SET response_data = EXCLUDED.response_data,
+      is_correct = EXCLUDED.is_correct,
+      score = EXCLUDED.score,
+      updated_at = EXCLUDED.updated_at;
+
+  RETURN QUERY SELECT 'completed'::TEXT, NULL::TIMESTAMP WITH TIME ZONE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION complete_submission(UUID, INTEGER, JSONB, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION complete_submission(UUID, INTEGER, JSONB, JSONB, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, INTEGER)
+  TO service_role;
@@ -1,8 +1,36 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router({ mergeParams: true });
 const formController = require('../controllers/formController');
 const { authenticateUser } = require('../middleware/auth');
 const formService = require('../services/formService');
+const { ApiError } = require('../utils/errors');
+
+// Uploads arrive as the raw request body; per-question limits are checked by the service
+const rawUpload = express.raw({
+  type: () => true,
+  limit: parseInt(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024
+});
+
+// Form passwords are short and each guess costs an scrypt hash, so failed
+// access attempts are limited per client and form
+const FORM_ACCESS_WINDOW = 15 * 60 * 1000; // 15 minutes
+const formAccessLimiter = rateLimit({
+  windowMs: FORM_ACCESS_WINDOW,
+  max: parseInt(process.env.FORM_ACCESS_MAX_ATTEMPTS) || 10,
+  keyGenerator: (req) => `${req.ip}:${req.params.formId}`,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    const retryAfter = Math.max(1, Math.ceil(((req.rateLimit.resetTime?.getTime() || Date.now() + FORM_ACCESS_WINDOW) - Date.now()) / 1000));
+    res.status(429).json(new ApiError('Too many attempts; try again later', {
+      code: 'ACCESS_THROTTLED',
+      status: 429,
+      details: { retry_after: retryAfter }
+    }).toJSON());
+  }
+});
 
 // ============= Public Routes (No Auth Required) =============
 
@@ -12,32 +40,35 @@ router.get('/test', (req, res) => {
 });
 
 // Public submission routes - these must come BEFORE the workspace/form route to avoid conflicts
+router.post('/:formId/access', formAccessLimiter, formController.requestFormAccess);
 router.post('/:formId/submissions/start', formController.startSubmission);
+router.put('/:formId/submissions/:submissionId/answers', formController.saveAnswers);
+router.put('/:formId/submissions/:submissionId/answers/:questionId', formController.saveAnswer);
+router.post('/:formId/submissions/:submissionId/resume-link', formController.sendResumeLink);
+router.post('/:formId/submissions/:submissionId/verification', formController.sendVerificationCode);
+router.post('/:formId/submissions/:submissionId/verification/confirm', formController.verifySubmissionEmail);
 router.post('/:formId/submissions/:submissionId/complete', formController.completeSubmission);
-router.get('/:formId/submissions/list', async (req, res) => {
-  try {
-    const { formId } = req.params;
-    const { page, limit, sortBy, sortOrder } = req.query;
-    
-    const result = await formService.listSubmissionsWithDetails(formId, {
-      page: parseInt(page) || 1,
-      limit: parseInt(limit) || 10,
-      sortBy: sortBy || 'created_at',
-      sortOrder: sortOrder || 'desc'
-    });
-    
-    res.json(result);
-  } catch (error) {
-    console.error('[FormRoutes] Error listing submissions with details:', error);
-    res.status(500).json({ 
-      error: 'Failed to list submissions',
-      message: error.message 
-    });
-  }
-});
+router.put('/:formId/submissions/:submissionId', formController.editSubmission);
+router.post('/:formId/submissions/:submissionId/pages/:pageNumber/validate', formController.validateSubmissionPage);
+router.post(
+  '/:formId/submissions/:submissionId/questions/:questionId/files',
+  rawUpload,
+  formController.uploadSubmissionFile,
+  formController.handleUploadError
+);
+router.delete('/:formId/submissions/:submissionId/files/:fileId', formController.deleteSubmissionFile);
+
+// Signed download links handed out with submission details
+router.get('/files/:token', formController.downloadFile);
 
 // Public route to access form by workspace and form name
-router.get('/:workspaceSlug/:formSlug', async (req, res) => {
+router.get('/:workspaceSlug/:formSlug', async (req, res, next) => {
+  // Under /api/workspaces/:workspaceId/forms two-segment paths are management
+  // routes (e.g. /:formId/settings), not public form links
+  if (req.params.workspaceId) {
+    return next();
+  }
+
   const startTime = Date.now();
   const userAgent = req.headers['user-agent'];
   const ipAddress = req.ip || req.connection.remoteAddress;
@@ -60,7 +91,14 @@ router.get('/:workspaceSlug/:formSlug', async (req, res) => {
     }
 
     const path = `${req.params.workspaceSlug}/${req.params.formSlug}`;
-    const form = await formService.getFormByPath(path);
+    // Query parameters carry hidden field values, question prefills and ?lang=
+    const form = await formService.getFormByPath(path, req.query, {
+      acceptLanguage: req.get('Accept-Language'),
+      // Links may carry the token so they can be opened directly
+      accessToken: req.get('X-Form-Access-Token') || req.query.access_token,
+      // Needed with ?submission_id=, whose answers are piped into the text
+      respondentToken: req.get('X-Respondent-Token')
+    });
     
     const duration = Date.now() - startTime;
     console.log(`[Form Access] Success - Form "${form.name}" accessed (took ${duration}ms):`, {
@@ -82,7 +120,15 @@ router.get('/:workspaceSlug/:formSlug', async (req, res) => {
     });
 
     // Send appropriate error response
-    if (error.message.includes('not found')) {
+    if (error instanceof ApiError && error.code === 'FORM_MOVED') {
+      // Old slugs redirect to the form's current link, keeping the query string
+      const { workspace_slug: workspaceSlug, form_slug: formSlug } = error.details;
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      res.location(`${req.baseUrl}/${workspaceSlug}/${formSlug}${query}`);
+      res.status(error.status).json(error.toJSON());
+    } else if (error instanceof ApiError) {
+      res.status(error.status).json(error.toJSON());
+    } else if (error.message.includes('not found')) {
       res.status(404).json({
         error: 'Form not found',
         details: error.message
@@ -104,18 +150,48 @@ router.get('/:workspaceSlug/:formSlug', async (req, res) => {
 // ============= Protected Routes (Auth Required) =============
 router.use(authenticateUser);
 
+// Template library routes - must come before /:formId
+router.get('/templates', formController.listTemplates);
+router.post('/templates/:templateId/instantiate', formController.instantiateTemplate);
+
+// Question bank routes - must come before /:formId
+router.get('/question-bank', formController.listBankQuestions);
+router.post('/question-bank', formController.createBankQuestion);
+router.get('/question-bank/:bankQuestionId', formController.getBankQuestion);
+router.put('/question-bank/:bankQuestionId', formController.updateBankQuestion);
+router.delete('/question-bank/:bankQuestionId', formController.deleteBankQuestion);
+router.get('/question-bank/:bankQuestionId/analytics', formController.getBankQuestionAnalytics);
+
+// Trash routes - must come before /:formId
+router.get('/trash', formController.listTrash);
+
 // Form management routes
 router.get('/', formController.listForms);
 router.post('/', formController.createForm);
+router.post('/import', formController.importForm);
 router.get('/:formId', formController.getForm);
 router.put('/:formId', formController.updateForm);
 router.delete('/:formId', formController.deleteForm);
+router.post('/:formId/restore', formController.restoreForm);
+router.post('/:formId/duplicate', formController.duplicateForm);
+router.put('/:formId/template', formController.setFormTemplate);
+router.put('/:formId/slug', formController.updateFormSlug);
+router.get('/:formId/definition', formController.getFormDefinition);
+
+// Versioning routes
+router.post('/:formId/publish', formController.publishForm);
+router.get('/:formId/versions', formController.listFormVersions);
+router.get('/:formId/versions/:versionNumber', formController.getFormVersion);
 
 // Question management routes
 router.post('/:formId/questions', formController.createQuestion);
 router.put('/:formId/questions/:questionId', formController.updateQuestion);
 router.delete('/:formId/questions/:questionId', formController.deleteQuestion);
+router.post('/:formId/questions/:questionId/restore', formController.restoreQuestion);
 router.post('/:formId/questions/reorder', formController.reorderQuestions);
+router.post('/:formId/questions/from-bank', formController.insertBankQuestion);
+router.post('/:formId/questions/:questionId/bank-sync', formController.syncQuestionFromBank);
+router.patch('/:formId/structure', formController.updateFormStructure);
 
 // Question choices routes
 router.get('/:formId/questions/:questionId/choices', formController.getQuestionChoices);
@@ -128,9 +204,42 @@ router.post('/:formId/questions/:questionId/choices/reorder', formController.reo
 router.get('/:formId/settings', formController.getFormSettings);
 router.put('/:formId/settings', formController.updateFormSettings);
 
+// Respondent access routes
+router.get('/:formId/access', formController.getFormAccess);
+router.put('/:formId/access', formController.updateFormAccess);
+
 // Submission management routes (admin only)
 router.get('/:formId/submissions', formController.listSubmissions);
+router.get('/:formId/submissions/list', async (req, res) => {
+  try {
+    const { formId } = req.params;
+    const { page, limit, sortBy, sortOrder, hidden_fields, variables } = req.query;
+    
+    const result = await formService.listSubmissionsWithDetails(formId, {
+      page: parseInt(page) || 1,
+      limit: parseInt(limit) || 10,
+      sortBy: sortBy || 'created_at',
+      sortOrder: sortOrder || 'desc',
+      hiddenFields: hidden_fields,
+      variables
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('[FormRoutes] Error listing submissions with details:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    res.status(500).json({ 
+      error: 'Failed to list submissions',
+      message: error.message 
+    });
+  }
+});
 router.get('/:formId/submissions/:submissionId', formController.getSubmission);
+router.delete('/:formId/submissions/:submissionId', formController.deleteSubmission);
+router.post('/:formId/submissions/:submissionId/restore', formController.restoreSubmission);
+router.get('/:formId/submissions/:submissionId/revisions', formController.listSubmissionRevisions);
 
 // Analytics routes
 router.get('/:formId/analytics', formController.getFormAnalytics);
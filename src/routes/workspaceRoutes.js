@@ -16,6 +16,9 @@ router.get('/', workspaceController.getWorkspaces);
 // Get single workspace
 router.get('/:workspaceId', workspaceController.getWorkspace);
 
+// Set a custom workspace slug
+router.put('/:workspaceId/slug', workspaceController.updateWorkspaceSlug);
+
 // Mount form routes
 router.use('/:workspaceId/forms', formRoutes);
 
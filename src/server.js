@@ -7,8 +7,12 @@ const app = express();
 
 // Security middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// File uploads are read as the raw request body by the form routes, whatever
+// their content type, so the JSON and form parsers must leave them alone
+const isUpload = (req) => req.method === 'POST' && /\/submissions\/[^/]+\/questions\/[^/]+\/files\/?$/.test(req.path);
+const unlessUpload = (parser) => (req, res, next) => (isUpload(req) ? next() : parser(req, res, next));
+app.use(unlessUpload(express.json()));
+app.use(unlessUpload(express.urlencoded({ extended: true })));
 
 // Security headers
 app.use((req, res, next) => {
@@ -76,7 +80,16 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Purge trashed forms, questions and submissions once their retention period is over
+const formService = require('./services/formService');
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const purgeTrash = () => formService.purgeExpiredTrash().catch(error => {
+  console.error('Error purging trash:', error);
+});
+
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  purgeTrash();
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL).unref();
 }); 
\ No newline at end of file
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ApiError } = require('../utils/errors');
+const { createSignedToken, verifySignedToken } = require('../utils/tokens');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_PURPOSE = 'form-access';
+
+// Lifetime of the access token handed out for a correct password or invited email
+const ACCESS_TOKEN_TTL = parseInt(process.env.FORM_ACCESS_TOKEN_TTL) || 2 * 60 * 60;
+
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_INVITES = 5000;
+const KEY_LENGTH = 64;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_REGEX = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+const normalize = (value) => value.trim().toLowerCase();
+
+class AccessService {
+  /**
+   * Validate an access configuration before it is saved
+   * @param {Object} access - `password`, `invite_only`, `invited_emails` and
+   *   `invited_domains`; fields left undefined are not changed
+   * @throws {ApiError} INVALID_ACCESS
+   */
+  validateAccess({ password, invite_only, invited_emails, invited_domains }) {
+    const details = {};
+
+    if (password !== undefined && password !== null &&
+      (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH)) {
+      details.password = `password must be text of ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters, or null to remove it`;
+    }
+
+    if (invite_only !== undefined && typeof invite_only !== 'boolean') {
+      details.invite_only = 'invite_only must be a boolean';
+    }
+
+    [['invited_emails', invited_emails, EMAIL_REGEX], ['invited_domains', invited_domains, DOMAIN_REGEX]]
+      .forEach(([field, list, pattern]) => {
+        if (list === undefined) return;
+        if (!Array.isArray(list) || list.length > MAX_INVITES) {
+          details[field] = `${field} must be an array of at most ${MAX_INVITES} entries`;
+        } else if (!list.every(entry => typeof entry === 'string' && pattern.test(normalize(entry)))) {
+          details[field] = field === 'invited_emails'
+            ? 'invited_emails must only contain email addresses'
+            : 'invited_domains must only contain domain names such as "example.com"';
+        }
+      });
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form access settings are invalid', { code: 'INVALID_ACCESS', status: 400, details });
+    }
+  }
+
+  /**
+   * Lowercase and deduplicate a list of invited emails or domains
+   * @param {Array<string>} list
+   */
+  normalizeInvites(list) {
+    return [...new Set(list.map(normalize))];
+  }
+
+  /**
+   * Hash a form password with a random salt (`scrypt$<salt>$<key>`)
+   * @param {string} password
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   * @param {*} password
+   * @param {string} hash - From hashPassword
+   */
+  async verifyPassword(password, hash) {
+    const [scheme, salt, key] = (hash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !key || typeof password !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Whether an email is on the invite list, by address or by domain
+   * @param {Object} access - Stored form access row
+   * @param {string} email
+   */
+  isInvited(access, email) {
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email.trim())) return false;
+
+    const address = normalize(email);
+    const domain = address.slice(address.lastIndexOf('@') + 1);
+    return (access.invited_emails || []).includes(address) ||
+      (access.invited_domains || []).includes(domain);
+  }
+
+  /**
+   * Whether respondents need an access token for this form
+   * @param {Object|null} access - Stored form access row
+   */
+  isRestricted(access) {
+    return Boolean(access?.password_hash || access?.invite_only);
+  }
+
+  /**
+   * Issue an access token once the respondent has given the password and,
+   * for invite-only forms, an invited email. Tokens name the password they
+   * were issued for, so changing it locks out earlier tokens.
+   * @param {string} formId
+   * @param {Object|null} access - Stored form access row
+   * @param {string} [email] - Invited email, for invite-only forms
+   * @returns {{ token: string, expiresAt: string }}
+   */
+  createAccessToken(formId, access, email) {
+    return createSignedToken(TOKEN_PURPOSE, {
+      form_id: formId,
+      email: access?.invite_only ? normalize(email) : null,
+      password: this._fingerprint(access?.password_hash)
+    }, ACCESS_TOKEN_TTL);
+  }
+
+  /**
+   * Refuse respondents who may not see or answer a form
+   * @param {string} formId
+   * @param {Object} options
+   * @param {boolean} options.isPrivate - The form's `is_private` flag
+   * @param {Object|null} options.access - Stored form access row
+   * @param {string} [options.token] - Access token sent by the respondent
+   * @param {string} [options.email] - Email the submission is started with;
+   *   it must be the invited email the token was issued for
+   * @throws {ApiError} FORM_ACCESS_DENIED with a `reason`
+   */
+  assertAccess(formId, { isPrivate, access, token, email }) {
+    if (!this.isRestricted(access)) {
+      // Private forms without a password or invite list are for the owner only
+      if (isPrivate) throw this.deniedError('private');
+      return;
+    }
+
+    // Respondents are asked for what they have not given yet
+    const missing = access.password_hash ? 'password_required' : 'invite_required';
+    if (!token) throw this.deniedError(missing);
+
+    let payload;
+    try {
+      payload = verifySignedToken(TOKEN_PURPOSE, token);
+    } catch (error) {
+      if (error.code === 'TOKEN_EXPIRED') throw this.deniedError('access_expired');
+      throw this.deniedError(missing);
+    }
+
+    if (payload.form_id !== formId || payload.password !== this._fingerprint(access.password_hash)) {
+      throw this.deniedError(missing);
+    }
+
+    if (access.invite_only) {
+      // Removing an email from the list also revokes its tokens
+      if (!payload.email || !this.isInvited(access, payload.email)) {
+        throw this.deniedError('not_invited');
+      }
+      if (email !== undefined && (typeof email !== 'string' || normalize(email) !== payload.email)) {
+        throw this.deniedError('not_invited');
+      }
+    }
+  }
+
+  /**
+   * The FORM_ACCESS_DENIED error for a reason
+   * @param {'private'|'password_required'|'invalid_password'|'invite_required'|'not_invited'|'access_expired'} reason
+   */
+  deniedError(reason) {
+    return new ApiError('You do not have access to this form', {
+      code: 'FORM_ACCESS_DENIED',
+      status: 403,
+      details: { reason }
+    });
+  }
+
+  /**
+   * Short digest of a password hash, so tokens do not carry the hash itself
+   * @private
+   */
+  _fingerprint(hash) {
+    return hash ? crypto.createHash('sha256').update(hash).digest('base64url').slice(0, 16) : null;
+  }
+}
+
+module.exports = new AccessService();
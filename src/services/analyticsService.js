@@ -0,0 +1,300 @@
+const validationService = require('./validationService');
+
+const TEXT_TYPES = ['short-text', 'long-text', 'email', 'phone', 'address', 'website'];
+const CHOICE_TYPES = ['multiple-choice', 'dropdown', 'checkbox'];
+const SCALE_TYPES = ['rating', 'opinion-scale', 'nps'];
+
+const TOP_RESPONSES_LIMIT = 10;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const percentage = (count, total) => (total > 0 ? round((count / total) * 100) : 0);
+
+/**
+ * Mean, median and spread of a list of numbers
+ * @private
+ */
+const describeNumbers = (values) => {
+  if (values.length === 0) {
+    return { mean: null, median: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+
+  return {
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+};
+
+const numericValues = (responses) => responses
+  .map(response => response.response_data?.value)
+  .filter(value => typeof value === 'number' && Number.isFinite(value));
+
+const summarizeScale = (question, responses) => {
+  const values = numericValues(responses);
+  const { min, max } = validationService.getScale(question);
+
+  // Include every point of the scale so charts show empty buckets too
+  const distribution = {};
+  for (let point = min; point <= max; point++) {
+    distribution[point] = 0;
+  }
+  values.forEach(value => {
+    distribution[value] = (distribution[value] || 0) + 1;
+  });
+
+  return {
+    ...describeNumbers(values),
+    scale: { min, max },
+    distribution
+  };
+};
+
+const summarizeNps = (question, responses) => {
+  const summary = summarizeScale(question, responses);
+  const values = numericValues(responses);
+  const total = values.length;
+
+  const promoters = values.filter(value => value >= 9).length;
+  const passives = values.filter(value => value >= 7 && value <= 8).length;
+  const detractors = values.filter(value => value <= 6).length;
+
+  return {
+    ...summary,
+    nps: {
+      score: total > 0 ? Math.round(percentage(promoters, total) - percentage(detractors, total)) : null,
+      promoters: { count: promoters, percentage: percentage(promoters, total) },
+      passives: { count: passives, percentage: percentage(passives, total) },
+      detractors: { count: detractors, percentage: percentage(detractors, total) }
+    }
+  };
+};
+
+const summarizeNumber = (question, responses) => {
+  const values = numericValues(responses);
+
+  const distribution = {};
+  values.forEach(value => {
+    distribution[value] = (distribution[value] || 0) + 1;
+  });
+
+  return {
+    ...describeNumbers(values),
+    sum: round(values.reduce((sum, value) => sum + value, 0)),
+    distribution
+  };
+};
+
+const summarizeChoices = (question, responses) => {
+  const counts = new Map((question.choices || []).map(choice => [choice.id, 0]));
+
+  responses.forEach(response => {
+    const data = response.response_data || {};
+    const selected = Array.isArray(data.choiceIds) ? data.choiceIds : [data.choiceId];
+    selected.filter(Boolean).forEach(choiceId => {
+      counts.set(choiceId, (counts.get(choiceId) || 0) + 1);
+    });
+  });
+
+  const choiceText = new Map((question.choices || []).map(choice => [choice.id, choice.text]));
+
+  return {
+    distribution: [...counts.entries()].map(([choiceId, count]) => ({
+      choice_id: choiceId,
+      // Choices removed from the draft since the response was given have no text
+      text: choiceText.get(choiceId) ?? null,
+      count,
+      percentage: percentage(count, responses.length)
+    }))
+  };
+};
+
+const summarizeMatrix = (question, responses) => {
+  const columns = question.properties?.columns || [];
+  const rows = [...(question.choices || [])].sort((a, b) => a.order - b.order);
+
+  const table = rows.map(row => {
+    const counts = Object.fromEntries(columns.map(column => [column.value, 0]));
+    let answered = 0;
+
+    responses.forEach(response => {
+      const selection = response.response_data?.rows?.[row.id];
+      const selected = (Array.isArray(selection) ? selection : [selection])
+        .filter(value => value !== undefined && value !== null);
+
+      if (selected.length === 0) return;
+      answered++;
+      selected.forEach(value => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+
+    return {
+      choice_id: row.id,
+      text: row.text,
+      total_responses: answered,
+      counts,
+      percentages: Object.fromEntries(
+        Object.entries(counts).map(([value, count]) => [value, percentage(count, answered)])
+      )
+    };
+  });
+
+  return {
+    columns: columns.map(({ value, label }) => ({ value, label })),
+    rows: table
+  };
+};
+
+/**
+ * Ranking answers are ordered choice IDs. Each answer awards a choice
+ * `positions - index` Borda points, so first place is worth the most.
+ * @private
+ */
+const summarizeRanking = (question, responses) => {
+  const positions = validationService.getRankPositions(question);
+  const choices = [...(question.choices || [])].sort((a, b) => a.order - b.order);
+  const stats = new Map(choices.map(choice => [choice.id, {
+    ranks: new Array(positions).fill(0),
+    rankSum: 0,
+    timesRanked: 0,
+    borda: 0
+  }]));
+
+  responses.forEach(response => {
+    const ranked = response.response_data?.choiceIds;
+    if (!Array.isArray(ranked)) return;
+
+    ranked.slice(0, positions).forEach((choiceId, index) => {
+      const choiceStats = stats.get(choiceId);
+      if (!choiceStats) return;
+
+      choiceStats.ranks[index]++;
+      choiceStats.rankSum += index + 1;
+      choiceStats.timesRanked++;
+      choiceStats.borda += positions - index;
+    });
+  });
+
+  return {
+    positions,
+    rankings: choices
+      .map(choice => {
+        const choiceStats = stats.get(choice.id);
+        return {
+          choice_id: choice.id,
+          text: choice.text,
+          average_rank: choiceStats.timesRanked > 0 ? round(choiceStats.rankSum / choiceStats.timesRanked) : null,
+          times_ranked: choiceStats.timesRanked,
+          // rank_distribution[i] is how often the choice was ranked at position i + 1
+          rank_distribution: choiceStats.ranks,
+          borda_score: choiceStats.borda
+        };
+      })
+      .sort((a, b) => b.borda_score - a.borda_score)
+  };
+};
+
+const summarizeYesNo = (question, responses) => {
+  const yes = responses.filter(response => response.response_data?.value === true).length;
+  const no = responses.filter(response => response.response_data?.value === false).length;
+
+  return {
+    distribution: {
+      yes: { count: yes, percentage: percentage(yes, responses.length) },
+      no: { count: no, percentage: percentage(no, responses.length) }
+    }
+  };
+};
+
+const summarizeText = (question, responses) => {
+  const texts = responses
+    .map(response => response.response_data?.text)
+    .filter(text => typeof text === 'string');
+
+  const counts = new Map();
+  texts.forEach(text => {
+    const key = text.trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return {
+    average_length: texts.length > 0
+      ? Math.round(texts.reduce((sum, text) => sum + text.length, 0) / texts.length)
+      : null,
+    common_responses: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_RESPONSES_LIMIT)
+      .map(([text, count]) => ({ text, count }))
+  };
+};
+
+const summarizeDates = (question, responses) => {
+  const dates = responses
+    .map(response => response.response_data?.date)
+    .filter(Boolean)
+    .sort();
+
+  return {
+    earliest: dates[0] || null,
+    latest: dates[dates.length - 1] || null
+  };
+};
+
+/**
+ * Type-aware aggregators. Each receives the question (with choices and
+ * properties) and its stored responses, and returns type-specific statistics.
+ */
+const aggregators = {
+  ...Object.fromEntries(TEXT_TYPES.map(type => [type, summarizeText])),
+  ...Object.fromEntries(CHOICE_TYPES.map(type => [type, summarizeChoices])),
+  ...Object.fromEntries(SCALE_TYPES.map(type => [type, summarizeScale])),
+  'nps': summarizeNps,
+  'number': summarizeNumber,
+  'matrix': summarizeMatrix,
+  'ranking': summarizeRanking,
+  'yes-no': summarizeYesNo,
+  'date': summarizeDates
+};
+
+class AnalyticsService {
+  /**
+   * Aggregate the responses to a single question
+   * @param {Object} question - Question row including choices and properties
+   * @param {Array<{response_data: Object, is_correct?: boolean}>} responses - Responses from completed submissions
+   */
+  summarizeQuestion(question, responses) {
+    const aggregate = aggregators[question.type];
+
+    // Quiz answers are marked when stored; unscored questions have no marks
+    const marked = responses.filter(response => typeof response.is_correct === 'boolean');
+    const correct = marked.filter(response => response.is_correct).length;
+
+    return {
+      question_id: question.id,
+      type: question.type,
+      text: question.text,
+      total_responses: responses.length,
+      ...(aggregate ? aggregate(question, responses) : {}),
+      ...(marked.length > 0 && {
+        correctness: {
+          correct,
+          incorrect: marked.length - correct,
+          rate: percentage(correct, marked.length)
+        }
+      })
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,104 @@
+const { ApiError } = require('../utils/errors');
+
+const MAX_CLOSED_MESSAGE_LENGTH = 1000;
+
+const DEFAULT_MESSAGES = {
+  not_open: 'This form is not open yet',
+  closed: 'This form is closed',
+  full: 'This form is no longer accepting responses'
+};
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+class AvailabilityService {
+  /**
+   * Validate the schedule and cap settings before they are saved
+   * @param {Object} settings - Settings being saved
+   * @param {Object} [current] - Stored settings, so a new `opens_at` is
+   *   compared with an unchanged `closes_at` and vice versa
+   * @throws {ApiError} INVALID_SETTINGS
+   */
+  validateSettings(settings, current = {}) {
+    const details = {};
+    const { opens_at, closes_at, max_submissions, closed_message } = settings;
+
+    ['opens_at', 'closes_at'].forEach(field => {
+      const value = settings[field];
+      if (value !== undefined && value !== null && !isTimestamp(value)) {
+        details[field] = `${field} must be an ISO 8601 timestamp`;
+      }
+    });
+
+    const opensAt = opens_at !== undefined ? opens_at : current?.opens_at;
+    const closesAt = closes_at !== undefined ? closes_at : current?.closes_at;
+    if (!details.opens_at && !details.closes_at && isTimestamp(opensAt) && isTimestamp(closesAt) &&
+      Date.parse(opensAt) >= Date.parse(closesAt)) {
+      details.closes_at = 'closes_at must be after opens_at';
+    }
+
+    if (max_submissions !== undefined && max_submissions !== null &&
+      (!Number.isInteger(max_submissions) || max_submissions < 1)) {
+      details.max_submissions = 'max_submissions must be a positive whole number';
+    }
+
+    if (closed_message !== undefined && closed_message !== null &&
+      (typeof closed_message !== 'string' || closed_message.length > MAX_CLOSED_MESSAGE_LENGTH)) {
+      details.closed_message = `closed_message must be text of at most ${MAX_CLOSED_MESSAGE_LENGTH} characters`;
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form settings are invalid', { code: 'INVALID_SETTINGS', status: 400, details });
+    }
+  }
+
+  /**
+   * Whether a form accepts submissions right now
+   * @param {Object|null} settings - Live form settings
+   * @param {number} completedCount - Submissions completed so far
+   * @param {Date} [now]
+   * @returns {{open: boolean, reason: 'not_open'|'closed'|'full'|null}}
+   */
+  getAvailability(settings, completedCount, now = new Date()) {
+    if (settings?.opens_at && now < new Date(settings.opens_at)) {
+      return { open: false, reason: 'not_open' };
+    }
+    if (settings?.closes_at && now >= new Date(settings.closes_at)) {
+      return { open: false, reason: 'closed' };
+    }
+    if (settings?.max_submissions && completedCount >= settings.max_submissions) {
+      return { open: false, reason: 'full' };
+    }
+    return { open: true, reason: null };
+  }
+
+  /**
+   * Refuse a form that is outside its schedule or has reached its cap
+   * @param {Object|null} settings - Live form settings
+   * @param {number} completedCount - Submissions completed so far
+   * @throws {ApiError} FORM_CLOSED with the reason and the form's closed message
+   */
+  assertOpen(settings, completedCount) {
+    const { open, reason } = this.getAvailability(settings, completedCount);
+    if (open) return;
+
+    throw this.closedError(settings, reason);
+  }
+
+  /**
+   * The FORM_CLOSED error for a reason
+   * @param {Object|null} settings - Live form settings
+   * @param {'not_open'|'closed'|'full'} reason
+   */
+  closedError(settings, reason) {
+    return new ApiError(settings?.closed_message || DEFAULT_MESSAGES[reason], {
+      code: 'FORM_CLOSED',
+      status: 403,
+      details: {
+        reason,
+        ...(reason === 'not_open' && { opens_at: settings.opens_at })
+      }
+    });
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,381 @@
+const logicService = require('./logicService');
+const pageService = require('./pageService');
+const pipingService = require('./pipingService');
+const scoringService = require('./scoringService');
+const translationService = require('./translationService');
+const validationService = require('./validationService');
+const variableService = require('./variableService');
+const { ApiError } = require('../utils/errors');
+const { remapIds } = require('../utils/remapIds');
+
+const DEFINITION_FORMAT = 'tagform.form-definition';
+const DEFINITION_VERSION = 1;
+
+// Fields carried over verbatim; everything else on a row is database state
+const FORM_FIELDS = ['name', 'description', 'is_private', 'hidden_fields', 'variables', 'default_language', 'languages'];
+const QUESTION_FIELDS = ['type', 'key', 'text', 'description', 'is_required', 'max_chars', 'properties', 'translations'];
+const CHOICE_FIELDS = ['is_correct', 'points', 'translations'];
+const SETTINGS_FIELDS = [
+  'landing_page_title',
+  'landing_page_description',
+  'landing_page_button_text',
+  'show_progress_bar',
+  'ending_page_title',
+  'ending_page_description',
+  'ending_page_button_text',
+  'redirect_url',
+  'is_quiz',
+  'pass_percentage',
+  'score_bands',
+  'translations'
+];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields
+    .filter(field => source[field] !== undefined && source[field] !== null)
+    .map(field => [field, source[field]])
+);
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isEmptyObject = (value) => isPlainObject(value) && Object.keys(value).length === 0;
+
+class DefinitionService {
+  /**
+   * Convert a form (as returned by FormService.getForm) into a portable
+   * definition. Database IDs are replaced by refs (`q1`, `c1`, ...) that are
+   * only meaningful inside the document.
+   * @param {Object} form - Form with settings, questions and choices
+   */
+  toDefinition(form) {
+    const idMap = new Map();
+    const ordered = logicService.orderQuestions(form.questions || []);
+
+    ordered.forEach((question, index) => {
+      idMap.set(question.id, `q${index + 1}`);
+    });
+
+    let choiceCount = 0;
+    ordered.forEach(question => {
+      (question.choices || []).forEach(choice => {
+        choiceCount++;
+        idMap.set(choice.id, `c${choiceCount}`);
+      });
+    });
+
+    const toNode = (question) => {
+      const node = {
+        ref: idMap.get(question.id),
+        ...pick(question, QUESTION_FIELDS)
+      };
+
+      if (isEmptyObject(node.translations)) {
+        delete node.translations;
+      }
+
+      if (question.logic) {
+        node.logic = remapIds(question.logic, idMap);
+      }
+
+      if (question.choices && question.choices.length > 0) {
+        node.choices = [...question.choices]
+          .sort((a, b) => a.order - b.order)
+          .map(choice => ({
+            ref: idMap.get(choice.id),
+            text: choice.text,
+            ...(choice.is_correct && { is_correct: true }),
+            ...(choice.points !== undefined && choice.points !== null && { points: choice.points }),
+            ...(choice.translations && !isEmptyObject(choice.translations) && { translations: choice.translations })
+          }));
+      }
+
+      const children = ordered.filter(child => child.parent_id === question.id);
+      if (children.length > 0) {
+        node.children = children.map(toNode);
+      }
+
+      return node;
+    };
+
+    const questionIds = new Set(ordered.map(question => question.id));
+    const roots = ordered.filter(question => !question.parent_id || !questionIds.has(question.parent_id));
+    const settings = Array.isArray(form.settings) ? form.settings[0] : form.settings;
+    const exportedSettings = settings ? pick(settings, SETTINGS_FIELDS) : {};
+    if (isEmptyObject(exportedSettings.translations)) {
+      delete exportedSettings.translations;
+    }
+
+    return {
+      format: DEFINITION_FORMAT,
+      version: DEFINITION_VERSION,
+      exported_at: new Date().toISOString(),
+      form: pick(form, FORM_FIELDS),
+      settings: exportedSettings,
+      questions: roots.map(toNode)
+    };
+  }
+
+  /**
+   * Validate a definition and convert it into rows ready to be inserted.
+   * Questions come back as a flat list whose `id`/`parent_id` (and choice
+   * `id`s) are the document refs, as expected by FormService._copyQuestions.
+   * @param {Object} definition - The imported document
+   * @throws {ApiError} INVALID_DEFINITION with a path to message map
+   */
+  fromDefinition(definition) {
+    const details = {};
+
+    if (!isPlainObject(definition)) {
+      this._throwIfInvalid({ definition: 'Definition must be a JSON object' });
+    }
+
+    if (definition.format !== DEFINITION_FORMAT) {
+      details.format = `format must be "${DEFINITION_FORMAT}"`;
+    }
+
+    if (!Number.isInteger(definition.version) || definition.version < 1 || definition.version > DEFINITION_VERSION) {
+      details.version = `Unsupported definition version; this server reads versions 1 to ${DEFINITION_VERSION}`;
+    }
+
+    if (!isPlainObject(definition.form)) {
+      details.form = 'form must be an object';
+    } else {
+      if (typeof definition.form.name !== 'string' || !definition.form.name.trim()) {
+        details['form.name'] = 'Form name is required';
+      }
+      if (definition.form.is_private !== undefined && typeof definition.form.is_private !== 'boolean') {
+        details['form.is_private'] = 'is_private must be a boolean';
+      }
+      if (definition.form.hidden_fields !== undefined) {
+        try {
+          validationService.validateHiddenFields(definition.form.hidden_fields);
+        } catch (error) {
+          if (!(error instanceof ApiError)) throw error;
+          details['form.hidden_fields'] = error.message;
+        }
+      }
+      if (definition.form.default_language !== undefined || definition.form.languages !== undefined) {
+        const defaultLanguage = definition.form.default_language;
+        try {
+          translationService.validateLanguages({
+            default_language: defaultLanguage,
+            languages: definition.form.languages ?? [defaultLanguage]
+          });
+        } catch (error) {
+          if (!(error instanceof ApiError)) throw error;
+          Object.entries(error.details).forEach(([key, message]) => {
+            details[`form.${key}`] = message;
+          });
+        }
+      }
+    }
+
+    if (definition.settings !== undefined && !isPlainObject(definition.settings)) {
+      details.settings = 'settings must be an object';
+    } else if (definition.settings) {
+      Object.keys(definition.settings)
+        .filter(key => !SETTINGS_FIELDS.includes(key))
+        .forEach(key => {
+          details[`settings.${key}`] = 'Unknown setting';
+        });
+
+      [
+        () => scoringService.validateSettings(definition.settings),
+        () => translationService.validateSettingsTranslations(definition.settings)
+      ].forEach(check => {
+        try {
+          check();
+        } catch (error) {
+          if (!(error instanceof ApiError)) throw error;
+          Object.entries(error.details).forEach(([key, message]) => {
+            details[`settings.${key}`] = message;
+          });
+        }
+      });
+    }
+
+    const questions = [];
+    const refs = new Set();
+    const keys = new Set();
+
+    const visit = (nodes, parentRef, path) => {
+      if (!Array.isArray(nodes)) {
+        details[path] = 'questions must be an array';
+        return;
+      }
+
+      nodes.forEach((node, index) => {
+        const nodePath = `${path}[${index}]`;
+
+        if (!isPlainObject(node)) {
+          details[nodePath] = 'Question must be an object';
+          return;
+        }
+
+        if (typeof node.ref !== 'string' || !node.ref) {
+          details[`${nodePath}.ref`] = 'Question ref is required';
+        } else if (refs.has(node.ref)) {
+          details[`${nodePath}.ref`] = `Duplicate ref "${node.ref}"`;
+        }
+        refs.add(node.ref);
+
+        if (node.key !== undefined) {
+          if (!validationService.isFieldName(node.key)) {
+            details[`${nodePath}.key`] = 'key may only contain letters, digits and underscores';
+          } else if (keys.has(node.key)) {
+            details[`${nodePath}.key`] = `Duplicate key "${node.key}"`;
+          }
+          keys.add(node.key);
+        }
+
+        if (!validationService.isSupportedType(node.type)) {
+          details[`${nodePath}.type`] = `Unknown question type "${node.type}"`;
+        }
+
+        if (typeof node.text !== 'string' || !node.text.trim()) {
+          details[`${nodePath}.text`] = 'Question text is required';
+        }
+
+        if (node.is_required !== undefined && typeof node.is_required !== 'boolean') {
+          details[`${nodePath}.is_required`] = 'is_required must be a boolean';
+        }
+
+        if (node.max_chars !== undefined && (!Number.isInteger(node.max_chars) || node.max_chars < 1)) {
+          details[`${nodePath}.max_chars`] = 'max_chars must be a positive integer';
+        }
+
+        try {
+          validationService.validateProperties(node.type, node.properties);
+        } catch (error) {
+          if (!(error instanceof ApiError)) throw error;
+          Object.entries(error.details).forEach(([key, message]) => {
+            details[`${nodePath}.properties.${key}`] = message;
+          });
+        }
+
+        if (node.logic !== undefined && !isPlainObject(node.logic)) {
+          details[`${nodePath}.logic`] = 'logic must be an object';
+        }
+
+        const choices = [];
+        if (node.choices !== undefined) {
+          if (!Array.isArray(node.choices)) {
+            details[`${nodePath}.choices`] = 'choices must be an array';
+          } else {
+            node.choices.forEach((choice, choiceIndex) => {
+              const choicePath = `${nodePath}.choices[${choiceIndex}]`;
+
+              if (!isPlainObject(choice) || typeof choice.text !== 'string' || !choice.text.trim()) {
+                details[choicePath] = 'Choice text is required';
+                return;
+              }
+
+              // Choices nobody references may omit their ref
+              const ref = choice.ref || `${node.ref}:choice:${choiceIndex + 1}`;
+              if (refs.has(ref)) {
+                details[`${choicePath}.ref`] = `Duplicate ref "${ref}"`;
+              }
+              refs.add(ref);
+              choices.push({ id: ref, text: choice.text, order: choiceIndex + 1, ...pick(choice, CHOICE_FIELDS) });
+            });
+
+            try {
+              scoringService.validateChoices(node.choices);
+            } catch (error) {
+              if (!(error instanceof ApiError)) throw error;
+              Object.entries(error.details).forEach(([key, message]) => {
+                details[`${nodePath}.${key}`] = message;
+              });
+            }
+          }
+        }
+
+        try {
+          translationService.validateQuestionTranslations({
+            translations: node.translations,
+            choices: Array.isArray(node.choices) ? node.choices : []
+          });
+        } catch (error) {
+          if (!(error instanceof ApiError)) throw error;
+          Object.entries(error.details).forEach(([key, message]) => {
+            details[`${nodePath}.${key}`] = message;
+          });
+        }
+
+        try {
+          pageService.validateSection({ type: node.type, parent_id: parentRef, is_required: node.is_required, choices });
+        } catch (error) {
+          if (!(error instanceof ApiError)) throw error;
+          Object.entries(error.details).forEach(([key, message]) => {
+            details[`${nodePath}.${key}`] = message;
+          });
+        }
+
+        questions.push({
+          ...pick(node, QUESTION_FIELDS),
+          id: node.ref,
+          parent_id: parentRef,
+          order: index + 1,
+          logic: node.logic || null,
+          choices
+        });
+
+        if (node.children !== undefined) {
+          visit(node.children, node.ref, `${nodePath}.children`);
+        }
+      });
+    };
+
+    visit(definition.questions === undefined ? [] : definition.questions, null, 'questions');
+    this._throwIfInvalid(details);
+
+    // Variables, logic refs and piped text are checked with the same rules applied when saving
+    const hiddenFields = definition.form.hidden_fields || [];
+    const variables = definition.form.variables || [];
+    const collect = (prefix, check) => {
+      try {
+        check();
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        Object.entries(error.details || {}).forEach(([key, message]) => {
+          details[`${prefix}.${key}`] = message;
+        });
+      }
+    };
+
+    // Logic and text can only be checked against variables that parse
+    collect('form', () => variableService.validateVariables(variables, questions, hiddenFields));
+    this._throwIfInvalid(details);
+
+    questions.forEach(question => {
+      const prefix = `questions[ref=${question.id}]`;
+      if (question.logic) {
+        collect(`${prefix}.logic`, () => logicService.validateLogic(question.logic, question.id, questions, variables));
+      }
+      collect(prefix, () => pipingService.validateQuestionReferences(question, question.id, questions, hiddenFields, variables));
+    });
+    collect('settings', () => pipingService.validateSettingsReferences(definition.settings || {}, questions, hiddenFields, variables));
+    this._throwIfInvalid(details);
+
+    return {
+      form: pick(definition.form, FORM_FIELDS),
+      settings: pick(definition.settings || {}, SETTINGS_FIELDS),
+      questions
+    };
+  }
+
+  /**
+   * @private
+   */
+  _throwIfInvalid(details) {
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form definition is invalid', {
+        code: 'INVALID_DEFINITION',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new DefinitionService();
@@ -1,5 +1,12 @@
 const nodemailer = require('nodemailer');
 
+// Form names are written by form owners, so they are escaped in HTML mail
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailService {
   constructor() {
     // Initialize transporter in constructor
@@ -61,6 +68,87 @@ class EmailService {
       console.error('Error sending welcome email:', error);
     }
   }
+
+  /**
+   * Send a respondent the link to carry on with a form later
+   * @param {string} email
+   * @param {Object} resume
+   * @param {string} resume.formName
+   * @param {string} resume.link - Signed resume link
+   * @param {string} resume.expiresAt - When the link stops working
+   */
+  async sendResumeLink(email, { formName, link, expiresAt }) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTestAccount();
+      }
+
+      const expires = new Date(expiresAt).toUTCString();
+      const info = await this.transporter.sendMail({
+        from: '"TagForm Team" <noreply@tagform.com>',
+        to: email,
+        subject: `Continue "${formName}" where you left off`,
+        text: `Hi,\n\nYour answers to "${formName}" have been saved. Open this link to continue on any device:\n\n${link}\n\nThe link works until ${expires} or until you submit the form.\n\nBest regards,\nThe TagForm Team`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Continue where you left off</h2>
+            <p>Your answers to "${escapeHtml(formName)}" have been saved.</p>
+            <p><a href="${escapeHtml(link)}">Continue the form</a></p>
+            <p>The link works until ${expires} or until you submit the form.</p>
+            <p>Best regards,<br>The TagForm Team</p>
+          </div>
+        `
+      });
+
+      // Log the test email URL (only works in development)
+      console.log('Preview URL: %s', nodemailer.getTestMessageUrl(info));
+      return info;
+    } catch (error) {
+      console.error('Error sending resume link email:', error);
+      // Unlike the welcome email, the respondent is waiting for this one
+      throw error;
+    }
+  }
+
+  /**
+   * Send a respondent the one-time code that confirms their email
+   * @param {string} email
+   * @param {Object} verification
+   * @param {string} verification.formName
+   * @param {string} verification.code - Six digits
+   * @param {string} verification.expiresAt - When the code stops working
+   */
+  async sendVerificationCode(email, { formName, code, expiresAt }) {
+    try {
+      if (!this.transporter) {
+        await this.initializeTestAccount();
+      }
+
+      const minutes = Math.max(1, Math.round((new Date(expiresAt) - Date.now()) / 60000));
+      const info = await this.transporter.sendMail({
+        from: '"TagForm Team" <noreply@tagform.com>',
+        to: email,
+        subject: `${code} is your code for "${formName}"`,
+        text: `Hi,\n\nEnter this code to confirm your email address for "${formName}":\n\n${code}\n\nThe code expires in ${minutes} minutes. If you did not request it, you can ignore this email.\n\nBest regards,\nThe TagForm Team`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2>Confirm your email address</h2>
+            <p>Enter this code to confirm your email address for "${escapeHtml(formName)}":</p>
+            <p style="font-size: 24px; font-weight: bold; letter-spacing: 4px;">${code}</p>
+            <p>The code expires in ${minutes} minutes. If you did not request it, you can ignore this email.</p>
+            <p>Best regards,<br>The TagForm Team</p>
+          </div>
+        `
+      });
+
+      // Log the test email URL (only works in development)
+      console.log('Preview URL: %s', nodemailer.getTestMessageUrl(info));
+      return info;
+    } catch (error) {
+      console.error('Error sending verification code email:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new EmailService(); 
\ No newline at end of file
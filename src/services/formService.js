@@ -1,8 +1,57 @@
+const crypto = require('crypto');
 const { Parser } = require('json2csv');
 const { createClient } = require('@supabase/supabase-js');
 const { supabase } = require('../config/supabase');
+const validationService = require('./validationService');
+const logicService = require('./logicService');
+const pageService = require('./pageService');
+const definitionService = require('./definitionService');
+const analyticsService = require('./analyticsService');
+const availabilityService = require('./availabilityService');
+const accessService = require('./accessService');
+const emailService = require('./emailService');
+const pipingService = require('./pipingService');
+const policyService = require('./policyService');
+const scoringService = require('./scoringService');
+const structureService = require('./structureService');
+const translationService = require('./translationService');
+const variableService = require('./variableService');
+const verificationService = require('./verificationService');
+const { ApiError } = require('../utils/errors');
+const { remapIds } = require('../utils/remapIds');
+const { createSlug, assertSlug } = require('../utils/slugs');
+const { createSignedToken, verifySignedToken } = require('../utils/tokens');
+const { storage } = require('../storage');
 require('dotenv').config();
 
+// Lifetime of the download links handed out with submission details
+const FILE_URL_TTL = parseInt(process.env.FILE_URL_TTL) || 60 * 60;
+
+// Lifetime of the resume links emailed to respondents
+const RESUME_LINK_TTL = parseInt(process.env.RESUME_LINK_TTL) || 7 * 24 * 60 * 60;
+
+// Seconds a respondent waits before another resume link is sent for the same submission
+const RESUME_LINK_COOLDOWN = parseInt(process.env.RESUME_LINK_COOLDOWN) || 60;
+
+// Days trashed forms, questions and submissions are kept before being purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Language of forms created without one
+const DEFAULT_LANGUAGE = 'en';
+
+// Bank questions keep their choices apart from form questions
+const BANK_CHOICES = { table: 'question_bank_choices', column: 'bank_question_id' };
+
+// Columns a structure batch writes, see apply_form_structure
+const STRUCTURE_QUESTION_COLUMNS = [
+  'parent_id', 'type', 'text', 'description', 'is_required', 'max_chars', 'order',
+  'logic', 'properties', 'key', 'translations', 'bank_question_id', 'bank_version'
+];
+const STRUCTURE_CHOICE_COLUMNS = ['question_id', 'text', 'order', 'is_correct', 'points', 'translations', 'bank_choice_id'];
+
+// Times a publish takes the next version number after a parallel publish took it first
+const PUBLISH_ATTEMPTS = 3;
+
 class FormService {
   constructor() {
     this.supabase = supabase;
@@ -27,21 +76,15 @@ class FormService {
    * @private
    */
   _createSlug(str) {
-    return str
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '') // Remove non-word chars
-      .replace(/[\s_-]+/g, '-') // Replace spaces and _ with -
-      .replace(/^-+|-+$/g, ''); // Remove leading/trailing -
+    return createSlug(str);
   }
 
   /**
-   * Get shareable link for a form
+   * Get shareable link for a form. Links use the stored slugs, so renaming
+   * a form or workspace does not change them.
    * @private
    */
-  _getShareableLink(workspaceName, formName) {
-    const workspaceSlug = this._createSlug(workspaceName);
-    const formSlug = this._createSlug(formName);
+  _getShareableLink(workspaceSlug, formSlug) {
     return `${process.env.APP_URL || 'https://tagform.xyz'}/${workspaceSlug}/${formSlug}`;
   }
 
@@ -63,10 +106,10 @@ class FormService {
       // Use admin client to bypass RLS if available
       const client = this.adminClient || this.supabase;
       
-      // Get workspace name first
+      // Get workspace slug first
       const { data: workspace, error: workspaceError } = await client
         .from('workspaces')
-        .select('name')
+        .select('slug')
         .eq('id', workspaceId)
         .single();
 
@@ -80,6 +123,7 @@ class FormService {
         .from('forms')
         .select('*', { count: 'exact' })
         .eq('workspace_id', workspaceId)
+        .is('deleted_at', null)
         .order('created_at', { ascending: false })
         .range(start, start + limit - 1);
 
@@ -91,7 +135,7 @@ class FormService {
       // Add shareable link to each form
       const formsWithLinks = data.map(form => ({
         ...form,
-        shareable_link: this._getShareableLink(workspace.name, form.name)
+        shareable_link: this._getShareableLink(workspace.slug, form.slug)
       }));
 
       console.log(`Found ${count || 0} forms`);
@@ -130,22 +174,44 @@ class FormService {
     return !data; // Returns true if slug is unique
   }
 
+  /**
+   * Generate a slug for a form name that is unique within a workspace
+   * @private
+   */
+  async _generateUniqueSlug(workspaceId, name) {
+    const base = this._createSlug(name) || 'form';
+    let slug = base;
+    let isUnique = await this._validateUniqueSlug(workspaceId, slug);
+
+    // If slug exists, append a number until we find a unique one
+    let counter = 1;
+    while (!isUnique) {
+      slug = `${base}-${counter}`;
+      isUnique = await this._validateUniqueSlug(workspaceId, slug);
+      counter++;
+    }
+
+    assertSlug(slug);
+    return slug;
+  }
+
   /**
    * Create a new form
    */
-  async createForm(workspaceId, { name, description, is_private }) {
+  async createForm(workspaceId, { name, description, is_private, hidden_fields, variables, default_language, languages }) {
     try {
-      // Generate initial slug
-      let slug = this._createSlug(name);
-      let isUnique = await this._validateUniqueSlug(workspaceId, slug);
-      
-      // If slug exists, append a number until we find a unique one
-      let counter = 1;
-      while (!isUnique) {
-        slug = `${this._createSlug(name)}-${counter}`;
-        isUnique = await this._validateUniqueSlug(workspaceId, slug);
-        counter++;
+      if (hidden_fields !== undefined) {
+        validationService.validateHiddenFields(hidden_fields);
       }
+      const defaultLanguage = default_language || DEFAULT_LANGUAGE;
+      const enabledLanguages = languages || [defaultLanguage];
+      translationService.validateLanguages({ default_language: defaultLanguage, languages: enabledLanguages });
+      // A new form has no questions, so its variables can only use hidden fields
+      if (variables !== undefined) {
+        variableService.validateVariables(variables, [], hidden_fields || []);
+      }
+
+      const slug = await this._generateUniqueSlug(workspaceId, name);
 
       // Create form with the unique slug
       const { data: form, error: formError } = await this.supabase
@@ -155,6 +221,10 @@ class FormService {
           name,
           description,
           is_private,
+          hidden_fields: hidden_fields || [],
+          variables: variables || [],
+          default_language: defaultLanguage,
+          languages: enabledLanguages,
           slug
         }])
         .select()
@@ -224,10 +294,12 @@ class FormService {
           ),
           settings:form_settings (*),
           workspaces!inner (
-            name
+            slug
           )
         `)
         .eq('id', formId)
+        .is('deleted_at', null)
+        .is('questions.deleted_at', null)
         .single();
 
       if (formError) {
@@ -240,7 +312,7 @@ class FormService {
       }
 
       // Add shareable link
-      form.shareable_link = this._getShareableLink(form.workspaces.name, form.name);
+      form.shareable_link = this._getShareableLink(form.workspaces.slug, form.slug);
       delete form.workspaces; // Remove workspace info from response
 
       // Sort questions and choices by order
@@ -264,11 +336,37 @@ class FormService {
   /**
    * Update form metadata
    */
-  async updateForm(formId, { name, description, is_private }) {
+  async updateForm(formId, { name, description, is_private, hidden_fields, variables, default_language, languages }) {
     try {
+      if (hidden_fields !== undefined) {
+        validationService.validateHiddenFields(hidden_fields);
+      }
+      if (default_language !== undefined || languages !== undefined) {
+        const { data: current, error: currentError } = await this.supabase
+          .from('forms')
+          .select('default_language, languages')
+          .eq('id', formId)
+          .single();
+
+        if (currentError) throw currentError;
+        translationService.validateLanguages({
+          default_language: default_language ?? current.default_language,
+          languages: languages ?? current.languages
+        });
+      }
+      // Variables may use hidden fields, so a change to either rechecks both
+      if (hidden_fields !== undefined || variables !== undefined) {
+        const current = await this._getFormDeclarations(formId);
+        await this._assertFormVariables(
+          formId,
+          variables ?? current.variables,
+          hidden_fields ?? current.hiddenFields
+        );
+      }
+
       const { data, error } = await this.supabase
         .from('forms')
-        .update({ name, description, is_private })
+        .update({ name, description, is_private, hidden_fields, variables, default_language, languages })
         .eq('id', formId)
         .select()
         .single();
@@ -281,622 +379,3541 @@ class FormService {
   }
 
   /**
-   * Delete form and all associated data (questions, choices, settings)
+   * Move a form to the trash. Its questions, settings and submissions are
+   * kept, so it can be restored until the trash is purged.
+   * @throws {ApiError} FORM_NOT_FOUND when the form does not exist or is already trashed
    */
   async deleteForm(formId) {
+    const { data, error } = await this.supabase
+      .from('forms')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', formId)
+      .is('deleted_at', null)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new ApiError('Form not found', { code: 'FORM_NOT_FOUND', status: 404 });
+    }
+    return true;
+  }
+
+  /**
+   * Take a form out of the trash
+   * @throws {ApiError} NOT_IN_TRASH when the form is not trashed
+   */
+  async restoreForm(formId) {
+    const { data, error } = await this.supabase
+      .from('forms')
+      .update({ deleted_at: null })
+      .eq('id', formId)
+      .not('deleted_at', 'is', null)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new ApiError('Form is not in the trash', { code: 'NOT_IN_TRASH', status: 404 });
+    }
+    return data[0];
+  }
+
+  /**
+   * List a workspace's trash. Questions and submissions of a trashed form
+   * are covered by the form's entry; a trashed question's nested questions
+   * are covered by its own.
+   * @param {string} workspaceId - The workspace ID
+   * @returns {{forms: Array<Object>, questions: Array<Object>, submissions: Array<Object>,
+   *   retention_days: number}} Entries carry `deleted_at` and `purge_at`
+   */
+  async listTrash(workspaceId) {
+    const [forms, questions, submissions] = await Promise.all([
+      this.supabase
+        .from('forms')
+        .select('id, name, slug, deleted_at')
+        .eq('workspace_id', workspaceId)
+        .not('deleted_at', 'is', null),
+      this.supabase
+        .from('questions')
+        .select('id, form_id, parent_id, type, text, key, deleted_at, forms!inner(name, workspace_id)')
+        .eq('forms.workspace_id', workspaceId)
+        .is('forms.deleted_at', null)
+        .not('deleted_at', 'is', null),
+      this.supabase
+        .from('form_submissions')
+        .select('id, form_id, email, status, started_at, completed_at, deleted_at, forms!inner(name, workspace_id)')
+        .eq('forms.workspace_id', workspaceId)
+        .is('forms.deleted_at', null)
+        .not('deleted_at', 'is', null)
+    ]);
+
+    const failed = [forms, questions, submissions].find(result => result.error);
+    if (failed) throw new Error(`Failed to fetch trash: ${failed.error.message}`);
+
+    const byDeletedAt = (a, b) => new Date(b.deleted_at) - new Date(a.deleted_at);
+    const withPurgeDate = ({ forms: form, ...item }) => ({
+      ...item,
+      ...(form && { form_name: form.name }),
+      purge_at: new Date(new Date(item.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+    const trashedQuestions = new Map(questions.data.map(question => [question.id, question]));
+
+    return {
+      forms: forms.data.sort(byDeletedAt).map(withPurgeDate),
+      questions: questions.data
+        .filter(question => trashedQuestions.get(question.parent_id)?.deleted_at !== question.deleted_at)
+        .sort(byDeletedAt)
+        .map(withPurgeDate),
+      submissions: submissions.data.sort(byDeletedAt).map(withPurgeDate),
+      retention_days: TRASH_RETENTION_DAYS
+    };
+  }
+
+  /**
+   * Permanently delete forms, questions and submissions that have been in the
+   * trash longer than the retention period, with their uploaded files
+   * @param {Date} [now]
+   * @returns {{forms: number, questions: number, submissions: number}} Rows purged
+   */
+  async purgeExpiredTrash(now = new Date()) {
+    const client = this.adminClient || this.supabase;
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const expired = {};
+    for (const table of ['forms', 'questions', 'form_submissions']) {
+      const { data, error } = await client
+        .from(table)
+        .select('id')
+        .lt('deleted_at', cutoff);
+
+      if (error) throw new Error(`Failed to fetch expired ${table}: ${error.message}`);
+      expired[table] = data.map(row => row.id);
+    }
+
+    // Uploads live outside the database, so collect them before their rows cascade away
+    const files = [];
+    for (const [column, ids] of [
+      ['form_id', expired.forms],
+      ['question_id', expired.questions],
+      ['submission_id', expired.form_submissions]
+    ]) {
+      if (ids.length === 0) continue;
+
+      const { data, error } = await client
+        .from('submission_files')
+        .select('storage_key')
+        .in(column, ids);
+
+      if (error) throw new Error(`Failed to fetch files: ${error.message}`);
+      files.push(...data.map(file => file.storage_key));
+    }
+
+    for (const table of ['form_submissions', 'questions', 'forms']) {
+      if (expired[table].length === 0) continue;
+
+      const { error } = await client
+        .from(table)
+        .delete()
+        .in('id', expired[table]);
+
+      if (error) throw new Error(`Failed to purge ${table}: ${error.message}`);
+    }
+
+    for (const key of new Set(files)) {
+      await storage.remove(key).catch(removeError => {
+        console.error('[FormService] Error removing purged file:', removeError);
+      });
+    }
+
+    const purged = {
+      forms: expired.forms.length,
+      questions: expired.questions.length,
+      submissions: expired.form_submissions.length
+    };
+    if (purged.forms || purged.questions || purged.submissions) {
+      console.log('[FormService] Purged expired trash:', purged);
+    }
+    return purged;
+  }
+
+  /**
+   * Deep-copy a form with its settings, question hierarchy and choices.
+   * The copy is an unpublished draft with its own unique slug.
+   * @param {string} formId - The form to copy
+   * @param {Object} options
+   * @param {string} [options.workspaceId] - Target workspace (defaults to the source workspace)
+   * @param {string} [options.name] - Name of the copy
+   */
+  async duplicateForm(formId, { workspaceId, name } = {}) {
     try {
-      // Start a Supabase transaction
+      const source = await this.getForm(formId);
+      const targetWorkspaceId = workspaceId || source.workspace_id;
+      const copyName = name || (targetWorkspaceId === source.workspace_id ? `${source.name} (Copy)` : source.name);
+
+      const slug = await this._generateUniqueSlug(targetWorkspaceId, copyName);
+
       const { data: form, error: formError } = await this.supabase
         .from('forms')
-        .select(`
-          id,
-          questions (
-            id,
-            question_choices (id)
-          ),
-          form_settings (id)
-        `)
-        .eq('id', formId)
+        .insert([{
+          workspace_id: targetWorkspaceId,
+          name: copyName,
+          description: source.description,
+          is_private: source.is_private,
+          hidden_fields: source.hidden_fields || [],
+          variables: source.variables || [],
+          default_language: source.default_language,
+          languages: source.languages,
+          slug
+        }])
+        .select()
         .single();
 
-      if (formError) throw formError;
-
-      // Delete in order to respect foreign key constraints
-      // 1. Delete question choices
-      if (form.questions) {
-        for (const question of form.questions) {
-          if (question.question_choices) {
-            const { error: choicesError } = await this.supabase
-              .from('question_choices')
-              .delete()
-              .eq('question_id', question.id);
-            if (choicesError) throw choicesError;
-          }
-        }
+      if (formError) {
+        console.error('[FormService] Error creating form copy:', formError);
+        throw formError;
       }
 
-      // 2. Delete questions
-      if (form.questions) {
-        const { error: questionsError } = await this.supabase
-          .from('questions')
-          .delete()
-          .eq('form_id', formId);
-        if (questionsError) throw questionsError;
-      }
+      const sourceSettings = Array.isArray(source.settings) ? source.settings[0] : source.settings;
+      let settings = null;
 
-      // 3. Delete form settings
-      if (form.form_settings) {
-        const { error: settingsError } = await this.supabase
+      if (sourceSettings) {
+        const { id, form_id, created_at, updated_at, ...settingsFields } = sourceSettings;
+        const { data, error: settingsError } = await this.supabase
           .from('form_settings')
-          .delete()
-          .eq('form_id', formId);
-        if (settingsError) throw settingsError;
+          .insert([{ ...settingsFields, form_id: form.id }])
+          .select()
+          .single();
+
+        if (settingsError) {
+          console.error('[FormService] Error copying form settings:', settingsError);
+          throw settingsError;
+        }
+        settings = data;
       }
 
-      // 4. Finally, delete the form itself
-      const { error: deleteError } = await this.supabase
-        .from('forms')
-        .delete()
-        .eq('id', formId);
+      await this._copyQuestions(form.id, source.questions || []);
 
-      if (deleteError) throw deleteError;
+      console.log('[FormService] Successfully duplicated form:', {
+        sourceFormId: formId,
+        formId: form.id,
+        workspaceId: targetWorkspaceId,
+        slug: form.slug
+      });
 
-      return true;
+      return { ...form, settings };
     } catch (error) {
+      console.error('[FormService] Error in duplicateForm:', error);
       throw error;
     }
   }
 
   /**
-   * Create a new question
+   * Insert copies of questions (with choices) into a form, preserving the
+   * parent/child hierarchy. Question and choice IDs referenced from logic are
+   * rewritten to point at the copies.
+   * @private
+   * @param {string} formId - The form receiving the copies
+   * @param {Array<Object>} questions - Flat list of source questions with their choices
+   * @returns {Map<string, string>} Source ID to new ID for questions and choices
    */
-  async createQuestion(formId, { type, text, description, is_required, max_chars, choices }) {
-    try {
-      // Get current max order
-      const { data: questions } = await this.supabase
-        .from('questions')
-        .select('order')
-        .eq('form_id', formId)
-        .order('order', { ascending: false })
-        .limit(1);
+  async _copyQuestions(formId, questions) {
+    const idMap = new Map();
+    const withLogic = [];
 
-      const nextOrder = questions?.[0]?.order + 1 || 1;
+    // Parents must exist before their children are inserted
+    for (const source of logicService.orderQuestions(questions)) {
+      const {
+        id, form_id, parent_id, path, created_at, updated_at,
+        choices, children, logic, ...questionFields
+      } = source;
 
-      // Create question
       const { data: question, error: questionError } = await this.supabase
         .from('questions')
         .insert([{
+          ...questionFields,
           form_id: formId,
-          type,
-          text,
-          description,
-          is_required,
-          max_chars,
-          order: nextOrder
+          parent_id: parent_id ? idMap.get(parent_id) || null : null
         }])
         .select()
         .single();
 
       if (questionError) throw questionError;
+      idMap.set(id, question.id);
 
-      // Create choices if provided
       if (choices && choices.length > 0) {
-        const choicesData = choices.map((text, index) => ({
-          question_id: question.id,
-          text,
-          order: index + 1
-        }));
-
-        const { data: questionChoices, error: choicesError } = await this.supabase
+        const sortedChoices = [...choices].sort((a, b) => a.order - b.order);
+        const { data: newChoices, error: choicesError } = await this.supabase
           .from('question_choices')
-          .insert(choicesData)
+          .insert(sortedChoices.map(({ id: choiceId, question_id, created_at, updated_at, ...choiceFields }) => ({
+            ...choiceFields,
+            question_id: question.id
+          })))
           .select();
 
         if (choicesError) throw choicesError;
-        question.choices = questionChoices;
+
+        // Match copies back to their source by display order
+        newChoices.sort((a, b) => a.order - b.order);
+        sortedChoices.forEach((choice, index) => idMap.set(choice.id, newChoices[index].id));
       }
 
-      return question;
+      if (logic) {
+        withLogic.push({ id: question.id, logic });
+      }
+    }
+
+    // Logic may reference any question or choice, so remap once all exist
+    for (const { id, logic } of withLogic) {
+      const { error: logicError } = await this.supabase
+        .from('questions')
+        .update({ logic: remapIds(logic, idMap) })
+        .eq('id', id);
+
+      if (logicError) throw logicError;
+    }
+
+    return idMap;
+  }
+
+  /**
+   * Export a form draft as a portable JSON definition without database IDs
+   * @param {string} formId - The form ID
+   */
+  async exportFormDefinition(formId) {
+    try {
+      const form = await this.getForm(formId);
+      return definitionService.toDefinition(form);
     } catch (error) {
+      console.error('[FormService] Error in exportFormDefinition:', error);
       throw error;
     }
   }
 
   /**
-   * Update a question
+   * Create a new form in a workspace from a portable JSON definition
+   * @param {string} workspaceId - Target workspace
+   * @param {Object} definition - Document produced by exportFormDefinition
+   * @throws {ApiError} INVALID_DEFINITION when the document fails validation
    */
-  async updateQuestion(questionId, { text, description, is_required, max_chars, choices }) {
+  async importFormDefinition(workspaceId, definition) {
     try {
-      // Update question
-      const { data: question, error: questionError } = await this.supabase
-        .from('questions')
-        .update({ text, description, is_required, max_chars })
-        .eq('id', questionId)
-        .select()
-        .single();
+      // Validate everything before touching the database
+      const { form: formFields, settings, questions } = definitionService.fromDefinition(definition);
+
+      const form = await this.createForm(workspaceId, {
+        name: formFields.name,
+        description: formFields.description,
+        is_private: formFields.is_private ?? true,
+        hidden_fields: formFields.hidden_fields,
+        default_language: formFields.default_language,
+        languages: formFields.languages
+      });
 
-      if (questionError) throw questionError;
+      try {
+        await this._copyQuestions(form.id, questions);
 
-      // Update choices if provided
-      if (choices) {
-        // Delete existing choices
-        await this.supabase
-          .from('question_choices')
+        // Variables and settings come after the questions they are calculated from
+        if (formFields.variables && formFields.variables.length > 0) {
+          await this.updateForm(form.id, { variables: formFields.variables });
+        }
+        if (Object.keys(settings).length > 0) {
+          await this.updateFormSettings(form.id, settings);
+        }
+      } catch (error) {
+        // Don't leave a half-imported form behind; its questions and settings cascade
+        const { error: deleteError } = await this.supabase
+          .from('forms')
           .delete()
-          .eq('question_id', questionId);
-
-        // Insert new choices
-        if (choices.length > 0) {
-          const choicesData = choices.map((text, index) => ({
-            question_id: questionId,
-            text,
-            order: index + 1
-          }));
-
-          const { data: questionChoices, error: choicesError } = await this.supabase
-            .from('question_choices')
-            .insert(choicesData)
-            .select();
+          .eq('id', form.id);
 
-          if (choicesError) throw choicesError;
-          question.choices = questionChoices;
+        if (deleteError) {
+          console.error('[FormService] Error removing partially imported form:', deleteError);
         }
+        throw error;
       }
 
-      return question;
+      console.log('[FormService] Successfully imported form definition:', {
+        formId: form.id,
+        workspaceId,
+        questionCount: questions.length
+      });
+
+      return this.getForm(form.id);
     } catch (error) {
+      console.error('[FormService] Error in importFormDefinition:', error);
       throw error;
     }
   }
 
   /**
-   * Delete a question
+   * Mark a form as a template, or unmark it
+   * @param {string} formId - The form ID
+   * @param {'workspace'|'global'|null} scope - Where the template is offered; null removes it
    */
-  async deleteQuestion(questionId) {
+  async setFormTemplate(formId, scope) {
     try {
-      const { error } = await this.supabase
-        .from('questions')
-        .delete()
-        .eq('id', questionId);
+      const { data, error } = await this.supabase
+        .from('forms')
+        .update({
+          is_template: Boolean(scope),
+          template_scope: scope || null
+        })
+        .eq('id', formId)
+        .select()
+        .single();
 
       if (error) throw error;
-      return true;
+      return data;
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * Reorder questions with support for hierarchy
+   * Give a form a custom slug. The old slug is kept in the slug history so
+   * links shared with it redirect to the new one.
    * @param {string} formId - The form ID
-   * @param {Array<{id: string, parentId: string|null, order: number}>} questionOrder - Array of question order updates
+   * @param {string} slug - The new slug
+   * @throws {ApiError} INVALID_SLUG or SLUG_TAKEN
    */
-  async reorderQuestions(formId, questionOrder) {
-    try {
-      console.log('Reordering questions:', questionOrder);
+  async updateFormSlug(formId, slug) {
+    assertSlug(slug);
 
-      // Group updates by parent_id for ordered processing
-      const updatesByParent = questionOrder.reduce((acc, item) => {
-        const key = item.parentId || 'root';
-        if (!acc[key]) acc[key] = [];
-        acc[key].push(item);
-        return acc;
-      }, {});
+    const { data: form, error: fetchError } = await this.supabase
+      .from('forms')
+      .select('id, workspace_id, slug')
+      .eq('id', formId)
+      .maybeSingle();
 
-      // Process root level questions first
-      const rootUpdates = (updatesByParent.root || []).map((item, index) => ({
-        id: item.id,
-        parent_id: null,
-        order: index + 1
-      }));
+    if (fetchError) throw fetchError;
+    if (!form) {
+      throw new ApiError('Form not found', { code: 'FORM_NOT_FOUND', status: 404 });
+    }
+    if (form.slug === slug) return form;
 
-      // Then process child questions
-      const childUpdates = Object.entries(updatesByParent)
-        .filter(([key]) => key !== 'root')
-        .flatMap(([parentId, items]) =>
-          items.map((item, index) => ({
-            id: item.id,
-            parent_id: parentId,
-            order: index + 1
-          }))
-        );
+    // Trashed forms keep their slug so they can be restored
+    const { data: taken, error: takenError } = await this.supabase
+      .from('forms')
+      .select('id')
+      .eq('workspace_id', form.workspace_id)
+      .eq('slug', slug)
+      .neq('id', formId);
 
-      const updates = [...rootUpdates, ...childUpdates];
+    if (takenError) throw takenError;
+    if (taken.length > 0) {
+      throw new ApiError(`Another form in this workspace already uses the slug "${slug}"`, {
+        code: 'SLUG_TAKEN',
+        status: 409
+      });
+    }
 
-      // Perform the updates in a transaction
-      const { error } = await this.supabase
-        .from('questions')
-        .upsert(updates, {
-          onConflict: 'id',
-          returning: 'minimal'
-        });
+    const { data, error } = await this.supabase
+      .from('forms')
+      .update({ slug })
+      .eq('id', formId)
+      .select()
+      .single();
 
-      if (error) {
-        console.error('Error reordering questions:', error);
-        throw new Error(`Failed to reorder questions: ${error.message}`);
-      }
+    if (error) throw error;
 
-      return true;
-    } catch (error) {
-      console.error('Error in reorderQuestions:', error);
-      throw error;
-    }
+    await this._recordSlugRedirect(form.workspace_id, formId, form.slug, slug);
+    return data;
   }
 
   /**
-   * Get questions with their hierarchy
-   * @param {string} formId - The form ID
+   * Keep a form's previous slug in the slug history. A live slug always wins
+   * over a former one, so history entries for the new slug are dropped.
+   * @private
    */
-  async getQuestionsHierarchy(formId) {
-    try {
-      const { data, error } = await this.supabase
-        .from('questions')
-        .select(`
-          *,
-          choices:question_choices (
-            id,
-            text,
-            order
-          )
-        `)
-        .eq('form_id', formId)
-        .order('path', { ascending: true });
+  async _recordSlugRedirect(workspaceId, formId, oldSlug, newSlug) {
+    const client = this.adminClient || this.supabase;
 
-      if (error) {
-        console.error('Error fetching questions hierarchy:', error);
-        throw new Error(`Failed to fetch questions hierarchy: ${error.message}`);
-      }
+    const { error: deleteError } = await client
+      .from('slug_redirects')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .not('form_id', 'is', null)
+      .in('slug', [oldSlug, newSlug].filter(Boolean));
 
-      // Build the hierarchy
-      const questionMap = new Map();
-      const rootQuestions = [];
+    if (deleteError) throw deleteError;
+    if (!oldSlug) return;
 
-      // First pass: Create all question nodes
-      data.forEach(question => {
-        question.children = [];
-        if (question.choices) {
-          question.choices.sort((a, b) => a.order - b.order);
-        }
-        questionMap.set(question.id, question);
-      });
+    const { error } = await client
+      .from('slug_redirects')
+      .insert([{ workspace_id: workspaceId, form_id: formId, slug: oldSlug }]);
 
-      // Second pass: Build the tree structure
-      data.forEach(question => {
-        if (question.parent_id) {
-          const parent = questionMap.get(question.parent_id);
-          if (parent) {
-            parent.children.push(question);
-          }
-        } else {
-          rootQuestions.push(question);
-        }
-      });
+    if (error) throw error;
+  }
 
-      // Sort children by order
-      const sortChildren = (questions) => {
-        questions.sort((a, b) => a.order - b.order);
-        questions.forEach(q => {
-          if (q.children.length > 0) {
-            sortChildren(q.children);
-          }
-        });
-      };
-      sortChildren(rootQuestions);
+  /**
+   * List templates available to a workspace: its own templates plus global ones
+   */
+  async listTemplates(workspaceId) {
+    try {
+      // Global templates live in other workspaces, so RLS has to be bypassed
+      const client = this.adminClient || this.supabase;
 
-      return rootQuestions;
+      const { data, error } = await client
+        .from('forms')
+        .select('id, workspace_id, name, description, template_scope, created_at, updated_at')
+        .eq('is_template', true)
+        .is('deleted_at', null)
+        .or(`template_scope.eq.global,workspace_id.eq.${workspaceId}`)
+        .order('name', { ascending: true });
+
+      if (error) throw new Error(`Failed to fetch templates: ${error.message}`);
+      return data;
     } catch (error) {
-      console.error('Error in getQuestionsHierarchy:', error);
+      console.error('[FormService] Error in listTemplates:', error);
       throw error;
     }
   }
 
   /**
-   * Move a question to be a child of another question
-   * @param {string} questionId - The question to move
-   * @param {string|null} newParentId - The new parent question ID (null for root level)
+   * Create a new form in a workspace from a template
+   * @param {string} templateId - The template form ID
+   * @param {string} workspaceId - Workspace to create the form in
+   * @param {Object} options
+   * @param {string} [options.name] - Name of the new form (defaults to the template name)
    */
-  async moveQuestion(questionId, newParentId) {
+  async instantiateTemplate(templateId, workspaceId, { name } = {}) {
     try {
-      // Verify the questions exist and are in the same form
-      if (newParentId) {
-        const { data: questions, error: fetchError } = await this.supabase
-          .from('questions')
-          .select('form_id')
-          .in('id', [questionId, newParentId]);
+      const client = this.adminClient || this.supabase;
 
-        if (fetchError) throw fetchError;
+      const { data: template, error } = await client
+        .from('forms')
+        .select('id, workspace_id, name, is_template, template_scope, deleted_at')
+        .eq('id', templateId)
+        .single();
 
-        if (questions.length !== 2 || questions[0].form_id !== questions[1].form_id) {
-          throw new Error('Invalid question IDs or questions not in same form');
-        }
-      }
+      if (error && error.code !== 'PGRST116') throw error;
 
-      // Update the question's parent
-      const { error: updateError } = await this.supabase
-        .from('questions')
-        .update({ parent_id: newParentId })
-        .eq('id', questionId);
+      const available = template?.is_template && !template.deleted_at &&
+        (template.template_scope === 'global' || template.workspace_id === workspaceId);
 
-      if (updateError) {
-        console.error('Error moving question:', updateError);
-        throw new Error(`Failed to move question: ${updateError.message}`);
+      if (!available) {
+        throw new ApiError('Template not found', { code: 'TEMPLATE_NOT_FOUND', status: 404 });
       }
 
-      return true;
+      return this.duplicateForm(templateId, { workspaceId, name: name || template.name });
     } catch (error) {
-      console.error('Error in moveQuestion:', error);
+      console.error('[FormService] Error in instantiateTemplate:', error);
       throw error;
     }
   }
 
   /**
-   * Get form settings
+   * List the question bank of a workspace
+   * @param {string} workspaceId - The workspace ID
+   * @param {Object} [options]
+   * @param {string} [options.search] - Matches question text or description
+   * @param {string} [options.type] - Only questions of this type
    */
-  async getFormSettings(formId) {
+  async listBankQuestions(workspaceId, { search, type } = {}) {
     try {
-      const { data, error } = await this.supabase
-        .from('form_settings')
-        .select('*')
-        .eq('form_id', formId)
-        .single();
+      let query = this.supabase
+        .from('question_bank')
+        .select('*, choices:question_bank_choices (*)')
+        .eq('workspace_id', workspaceId)
+        .order('text', { ascending: true });
 
-      if (error) throw error;
-      return data;
+      if (type) {
+        query = query.eq('type', type);
+      }
+      if (search) {
+        // Characters with a meaning in PostgREST filters are dropped from the term
+        const term = `%${String(search).replace(/[%_,()*\\]/g, '')}%`;
+        query = query.or(`text.ilike.${term},description.ilike.${term}`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw new Error(`Failed to fetch question bank: ${error.message}`);
+      return data.map(bankQuestion => this._sortBankChoices(bankQuestion));
     } catch (error) {
+      console.error('[FormService] Error in listBankQuestions:', error);
       throw error;
     }
   }
 
   /**
-   * Update form settings
+   * Get a bank question with its choices and the form questions linked to it
+   * @param {string} bankQuestionId - The bank question ID
+   * @param {string} [workspaceId] - When given, the question must belong to this workspace
+   * @throws {ApiError} BANK_QUESTION_NOT_FOUND
    */
-  async updateFormSettings(formId, settings) {
+  async getBankQuestion(bankQuestionId, workspaceId) {
+    const { data: bankQuestion, error } = await this.supabase
+      .from('question_bank')
+      .select('*, choices:question_bank_choices (*)')
+      .eq('id', bankQuestionId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    if (!bankQuestion || (workspaceId && bankQuestion.workspace_id !== workspaceId)) {
+      throw new ApiError('Question bank entry not found', { code: 'BANK_QUESTION_NOT_FOUND', status: 404 });
+    }
+
+    const { data: linked, error: linkedError } = await this.supabase
+      .from('questions')
+      .select('id, form_id, bank_version')
+      .eq('bank_question_id', bankQuestionId)
+      .is('deleted_at', null);
+
+    if (linkedError) throw linkedError;
+
+    return {
+      ...this._sortBankChoices(bankQuestion),
+      usage: (linked || []).map(question => ({
+        form_id: question.form_id,
+        question_id: question.id,
+        bank_version: question.bank_version,
+        up_to_date: question.bank_version === bankQuestion.version
+      }))
+    };
+  }
+
+  /**
+   * Add a question to a workspace's question bank
+   * @param {string} workspaceId - The workspace ID
+   * @param {Object} fields - Question fields as for createQuestion, without `logic` and `key`
+   * @param {string} [userId] - The user adding it
+   */
+  async createBankQuestion(workspaceId, fields, userId) {
     try {
-      const { data, error } = await this.supabase
-        .from('form_settings')
-        .update(settings)
-        .eq('form_id', formId)
+      this._validateBankQuestion(fields.type, fields);
+
+      const { data: bankQuestion, error } = await this.supabase
+        .from('question_bank')
+        .insert([{
+          workspace_id: workspaceId,
+          ...this._bankQuestionFields(fields),
+          type: fields.type,
+          version: 1,
+          created_by: userId || null
+        }])
         .select()
         .single();
 
       if (error) throw error;
-      return data;
+
+      if (fields.choices && fields.choices.length > 0) {
+        await this._syncQuestionChoices(bankQuestion.id, fields.choices, BANK_CHOICES);
+      }
+
+      return this.getBankQuestion(bankQuestion.id);
     } catch (error) {
+      console.error('[FormService] Error in createBankQuestion:', error);
       throw error;
     }
   }
 
   /**
-   * Get question choices
+   * Save a form question, with its choices, to the question bank. The
+   * question becomes a linked copy of the new bank entry.
+   * @param {string} questionId - The form question ID
+   * @param {string} workspaceId - The workspace whose bank receives it
+   * @param {string} [userId] - The user saving it
+   * @throws {ApiError} QUESTION_NOT_FOUND when the question is trashed or on a
+   *   form outside the workspace
    */
-  async getQuestionChoices(questionId) {
+  async saveQuestionToBank(questionId, workspaceId, userId) {
     try {
-      const { data, error } = await this.supabase
-        .from('question_choices')
-        .select('*')
-        .eq('question_id', questionId)
-        .order('order', { ascending: true });
+      const { data: question, error } = await this.supabase
+        .from('questions')
+        .select('*, choices:question_choices (*), forms!inner(workspace_id, deleted_at)')
+        .eq('id', questionId)
+        .eq('forms.workspace_id', workspaceId)
+        .is('forms.deleted_at', null)
+        .is('deleted_at', null)
+        .maybeSingle();
 
       if (error) throw error;
-      return data;
+      if (!question) {
+        throw new ApiError('Question not found', { code: 'QUESTION_NOT_FOUND', status: 404 });
+      }
+
+      const choices = [...(question.choices || [])].sort((a, b) => a.order - b.order);
+      const bankQuestion = await this.createBankQuestion(workspaceId, {
+        ...question,
+        choices: choices.map(({ text, is_correct, points, translations }) => ({ text, is_correct, points, translations }))
+      }, userId);
+
+      await this._linkToBank(question.id, bankQuestion, choices.map(choice => choice.id));
+      return this.getBankQuestion(bankQuestion.id);
     } catch (error) {
+      console.error('[FormService] Error in saveQuestionToBank:', error);
       throw error;
     }
   }
 
   /**
-   * Create question choice
+   * Update a bank question. Linked copies are not changed until they are
+   * synced; the version is bumped so they show as out of date.
+   * @param {string} bankQuestionId - The bank question ID
+   * @param {string} workspaceId - The workspace the question belongs to
+   * @param {Object} fields - Fields to change; the type cannot be changed
    */
-  async createQuestionChoice(questionId, text) {
+  async updateBankQuestion(bankQuestionId, workspaceId, fields) {
     try {
-      // Get current max order
-      const { data: choices } = await this.supabase
-        .from('question_choices')
-        .select('order')
-        .eq('question_id', questionId)
-        .order('order', { ascending: false })
-        .limit(1);
+      const current = await this.getBankQuestion(bankQuestionId, workspaceId);
+      this._validateBankQuestion(current.type, {
+        ...fields,
+        properties: fields.properties !== undefined ? fields.properties : current.properties
+      });
 
-      const nextOrder = choices?.[0]?.order + 1 || 1;
+      const { error } = await this.supabase
+        .from('question_bank')
+        .update({
+          ...this._bankQuestionFields(fields),
+          version: current.version + 1,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', bankQuestionId);
 
-      const { data, error } = await this.supabase
-        .from('question_choices')
-        .insert([{
-          question_id: questionId,
-          text,
-          order: nextOrder
-        }])
-        .select()
-        .single();
+      if (error) throw error;
+
+      if (fields.choices) {
+        await this._syncQuestionChoices(bankQuestionId, fields.choices, BANK_CHOICES);
+      }
+
+      return this.getBankQuestion(bankQuestionId);
+    } catch (error) {
+      console.error('[FormService] Error in updateBankQuestion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a question from the bank. Linked copies stay in their forms as
+   * ordinary questions.
+   */
+  async deleteBankQuestion(bankQuestionId, workspaceId) {
+    try {
+      await this.getBankQuestion(bankQuestionId, workspaceId);
+
+      const { error } = await this.supabase
+        .from('question_bank')
+        .delete()
+        .eq('id', bankQuestionId);
 
       if (error) throw error;
-      return data;
+      return true;
     } catch (error) {
+      console.error('[FormService] Error in deleteBankQuestion:', error);
       throw error;
     }
   }
 
   /**
-   * Update question choice
+   * Insert a linked copy of a bank question at the end of a form
+   * @param {string} formId - The form ID
+   * @param {string} bankQuestionId - The bank question ID
+   * @param {Object} [options]
+   * @param {string} [options.key] - Question key for the copy
+   * @throws {ApiError} BANK_QUESTION_NOT_FOUND when the entry is in another workspace
    */
-  async updateQuestionChoice(choiceId, text) {
+  async insertBankQuestion(formId, bankQuestionId, { key } = {}) {
     try {
-      const { data, error } = await this.supabase
-        .from('question_choices')
-        .update({ text })
-        .eq('id', choiceId)
-        .select()
+      const { data: form, error } = await this.supabase
+        .from('forms')
+        .select('workspace_id')
+        .eq('id', formId)
         .single();
 
       if (error) throw error;
-      return data;
+
+      const bankQuestion = await this.getBankQuestion(bankQuestionId, form.workspace_id);
+      const question = await this.createQuestion(formId, {
+        ...this._bankQuestionFields(bankQuestion),
+        type: bankQuestion.type,
+        key,
+        choices: bankQuestion.choices.map(({ id, text, is_correct, points, translations }) => ({
+          text, is_correct, points, translations, bank_choice_id: id
+        }))
+      });
+
+      await this._linkToBank(question.id, bankQuestion);
+      return { ...question, bank_question_id: bankQuestion.id, bank_version: bankQuestion.version };
     } catch (error) {
+      console.error('[FormService] Error in insertBankQuestion:', error);
       throw error;
     }
   }
 
   /**
-   * Delete question choice
+   * Bring a linked copy up to date with its bank question. Choices keep
+   * their IDs, so earlier responses still count; the copy's key and logic
+   * are left alone.
+   * @param {string} questionId - The form question ID
+   * @throws {ApiError} QUESTION_NOT_LINKED
    */
-  async deleteQuestionChoice(choiceId) {
+  async syncQuestionFromBank(questionId) {
     try {
-      const { error } = await this.supabase
-        .from('question_choices')
-        .delete()
-        .eq('id', choiceId);
+      const { data: question, error } = await this.supabase
+        .from('questions')
+        .select('id, bank_question_id, choices:question_choices (id, bank_choice_id)')
+        .eq('id', questionId)
+        .single();
 
       if (error) throw error;
-      return true;
+
+      if (!question.bank_question_id) {
+        throw new ApiError('Question is not linked to the question bank', {
+          code: 'QUESTION_NOT_LINKED',
+          status: 400
+        });
+      }
+
+      const bankQuestion = await this.getBankQuestion(question.bank_question_id);
+      const choiceIds = new Map((question.choices || [])
+        .filter(choice => choice.bank_choice_id)
+        .map(choice => [choice.bank_choice_id, choice.id]));
+
+      const updated = await this.updateQuestion(questionId, {
+        ...this._bankQuestionFields(bankQuestion),
+        choices: bankQuestion.choices.map(({ id, text, is_correct, points, translations }) => ({
+          id: choiceIds.get(id), text, is_correct, points, translations, bank_choice_id: id
+        }))
+      });
+
+      await this._linkToBank(questionId, bankQuestion);
+      return { ...updated, bank_version: bankQuestion.version };
     } catch (error) {
+      console.error('[FormService] Error in syncQuestionFromBank:', error);
       throw error;
     }
   }
 
   /**
-   * Reorder question choices
+   * Aggregate the responses to a bank question across every form that uses
+   * it. Choice answers are mapped back to the bank's choices.
+   * @param {string} bankQuestionId - The bank question ID
+   * @param {string} workspaceId - The workspace the question belongs to
+   * @param {Object} [options] - `startDate` and `endDate` as for getQuestionAnalytics
    */
-  async reorderQuestionChoices(questionId, choiceIds) {
+  async getBankQuestionAnalytics(bankQuestionId, workspaceId, { startDate, endDate } = {}) {
+    const bankQuestion = await this.getBankQuestion(bankQuestionId, workspaceId);
+    const questionIds = bankQuestion.usage.map(usage => usage.question_id);
+
+    let responses = [];
+    const choiceMap = new Map();
+
+    if (questionIds.length > 0) {
+      const { data: choices, error: choicesError } = await this.supabase
+        .from('question_choices')
+        .select('id, bank_choice_id')
+        .in('question_id', questionIds);
+
+      if (choicesError) throw new Error(`Failed to fetch choices: ${choicesError.message}`);
+      choices.filter(choice => choice.bank_choice_id).forEach(choice => choiceMap.set(choice.id, choice.bank_choice_id));
+
+      let query = this.supabase
+        .from('question_responses')
+        .select('question_id, response_data, is_correct, submitted_at, form_submissions!inner(status)')
+        .in('question_id', questionIds)
+        .eq('form_submissions.status', 'completed')
+        .is('form_submissions.deleted_at', null);
+
+      if (startDate) {
+        query = query.gte('submitted_at', startDate);
+      }
+      if (endDate) {
+        query = query.lte('submitted_at', endDate);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw new Error(`Failed to fetch question analytics: ${error.message}`);
+      responses = data.map(response => ({ ...response, response_data: remapIds(response.response_data, choiceMap) }));
+    }
+
+    return {
+      ...analyticsService.summarizeQuestion(bankQuestion, responses),
+      forms: bankQuestion.usage.map(usage => ({
+        form_id: usage.form_id,
+        question_id: usage.question_id,
+        total_responses: responses.filter(response => response.question_id === usage.question_id).length
+      }))
+    };
+  }
+
+  /**
+   * Check a bank question the same way a form question is checked when saved
+   * @private
+   */
+  _validateBankQuestion(type, { properties, choices, translations }) {
+    if (!validationService.isSupportedType(type)) {
+      throw new ApiError(`Unknown question type "${type}"`, { code: 'INVALID_QUESTION_TYPE', status: 400 });
+    }
+
+    validationService.validateProperties(type, properties);
+    scoringService.validateChoices(choices);
+    translationService.validateQuestionTranslations({ translations, choices });
+  }
+
+  /**
+   * Columns shared by bank questions and their linked copies
+   * @private
+   */
+  _bankQuestionFields({ text, description, is_required, max_chars, properties, translations }) {
+    return { text, description, is_required, max_chars, properties, translations };
+  }
+
+  /**
+   * Mark a form question as a copy of a bank question at its current version
+   * @private
+   * @param {string} questionId - The form question ID
+   * @param {Object} bankQuestion - The bank question with choices
+   * @param {Array<string>} [choiceIds] - The question's choice IDs in bank
+   *   choice order, when the choices were not created from the bank
+   */
+  async _linkToBank(questionId, bankQuestion, choiceIds = []) {
+    const { error } = await this.supabase
+      .from('questions')
+      .update({ bank_question_id: bankQuestion.id, bank_version: bankQuestion.version })
+      .eq('id', questionId);
+
+    if (error) throw error;
+
+    for (const [index, choiceId] of choiceIds.entries()) {
+      const { error: choiceError } = await this.supabase
+        .from('question_choices')
+        .update({ bank_choice_id: bankQuestion.choices[index]?.id ?? null })
+        .eq('id', choiceId);
+
+      if (choiceError) throw choiceError;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _sortBankChoices(bankQuestion) {
+    return {
+      ...bankQuestion,
+      choices: [...(bankQuestion.choices || [])].sort((a, b) => a.order - b.order)
+    };
+  }
+
+  /**
+   * Publish the current draft of a form as a new immutable version.
+   * The snapshot holds everything needed to render the form and to validate
+   * submissions against it, independently of later draft edits.
+   * @param {string} formId - The form ID
+   * @param {string} userId - The user publishing the form
+   * @throws {ApiError} PUBLISH_CONFLICT when parallel publishes keep taking the version number
+   */
+  async publishForm(formId, userId) {
     try {
-      const updates = choiceIds.map((id, index) => ({
-        id,
-        order: index + 1
+      const form = await this.getForm(formId);
+      const { questions, settings, shareable_link, ...formFields } = form;
+
+      const snapshot = {
+        form: {
+          id: formFields.id,
+          workspace_id: formFields.workspace_id,
+          name: formFields.name,
+          description: formFields.description,
+          slug: formFields.slug,
+          is_private: formFields.is_private,
+          hidden_fields: formFields.hidden_fields || [],
+          variables: formFields.variables || [],
+          default_language: formFields.default_language || DEFAULT_LANGUAGE,
+          languages: formFields.languages || [formFields.default_language || DEFAULT_LANGUAGE]
+        },
+        settings: Array.isArray(settings) ? settings[0] || null : settings,
+        questions: questions || []
+      };
+
+      let version = null;
+      for (let attempt = 1; !version; attempt++) {
+        const latest = await this._getLatestVersion(formId);
+        const { data, error: versionError } = await this.supabase
+          .from('form_versions')
+          .insert([{
+            form_id: formId,
+            version_number: (latest?.version_number || 0) + 1,
+            snapshot,
+            published_by: userId
+          }])
+          .select()
+          .single();
+
+        if (versionError?.code === '23505') { // Unique violation: a parallel publish took the number
+          if (attempt < PUBLISH_ATTEMPTS) continue;
+          throw new ApiError('The form is being published by someone else, try again', {
+            code: 'PUBLISH_CONFLICT',
+            status: 409
+          });
+        }
+        if (versionError) {
+          console.error('[FormService] Error publishing form:', versionError);
+          throw versionError;
+        }
+        version = data;
+      }
+      const versionNumber = version.version_number;
+
+      // A parallel publish that finished first must not be rolled back to an older version
+      const { error: formError } = await this.supabase
+        .from('forms')
+        .update({ published_version: versionNumber })
+        .eq('id', formId)
+        .or(`published_version.is.null,published_version.lt.${versionNumber}`);
+
+      if (formError) throw formError;
+
+      console.log('[FormService] Published form version:', {
+        formId,
+        versionNumber,
+        questionCount: snapshot.questions.length
+      });
+
+      return version;
+    } catch (error) {
+      console.error('[FormService] Error in publishForm:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the published versions of a form, newest first
+   */
+  async listFormVersions(formId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('form_versions')
+        .select('id, form_id, version_number, published_at, published_by')
+        .eq('form_id', formId)
+        .order('version_number', { ascending: false });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single published version including its snapshot
+   */
+  async getFormVersion(formId, versionNumber) {
+    try {
+      const { data, error } = await this.supabase
+        .from('form_versions')
+        .select('*')
+        .eq('form_id', formId)
+        .eq('version_number', versionNumber)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recently published version of a form, or null
+   * @private
+   */
+  async _getLatestVersion(formId) {
+    const client = this.adminClient || this.supabase;
+
+    const { data, error } = await client
+      .from('form_versions')
+      .select('*')
+      .eq('form_id', formId)
+      .order('version_number', { ascending: false })
+      .limit(1);
+
+    if (error) throw new Error(`Failed to fetch form version: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Get a published version by ID
+   * @private
+   */
+  async _getVersion(versionId) {
+    const client = this.adminClient || this.supabase;
+
+    const { data, error } = await client
+      .from('form_versions')
+      .select('*')
+      .eq('id', versionId)
+      .single();
+
+    if (error) throw new Error(`Failed to fetch form version: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Answers recorded so far for a submission: prefilled values plus any
+   * stored responses
+   * @private
+   * @returns {Map<string, Object>} Question ID to response `data`
+   */
+  async _getSubmissionAnswers(submission) {
+    const client = this.adminClient || this.supabase;
+
+    const { data: responses, error } = await client
+      .from('question_responses')
+      .select('question_id, response_data')
+      .eq('submission_id', submission.id);
+
+    if (error) throw new Error(`Failed to fetch responses: ${error.message}`);
+
+    return new Map([
+      ...Object.entries(submission.prefilled_answers || {}),
+      ...(responses || []).map(response => [response.question_id, response.response_data])
+    ]);
+  }
+
+  /**
+   * Get the questions a submission was answered against: those of its
+   * published version, or the live questions for submissions that predate
+   * versioning
+   * @private
+   */
+  async _getSubmissionQuestions(submission) {
+    return (await this._getSubmissionSnapshot(submission)).questions;
+  }
+
+  /**
+   * Questions, settings and variable definitions a submission was answered against
+   * @private
+   * @returns {{questions: Array<Object>, settings: Object|null, variables: Array<Object>}}
+   */
+  async _getSubmissionSnapshot(submission) {
+    if (!submission.form_version_id) {
+      const client = this.adminClient || this.supabase;
+      const { data: settings, error } = await client
+        .from('form_settings')
+        .select('*')
+        .eq('form_id', submission.form_id)
+        .maybeSingle();
+
+      if (error) throw new Error(`Failed to fetch form settings: ${error.message}`);
+      return {
+        questions: await this._getFormQuestions(submission.form_id),
+        settings,
+        variables: (await this._getFormDeclarations(submission.form_id)).variables
+      };
+    }
+
+    const { snapshot } = await this._getVersion(submission.form_version_id);
+    return {
+      questions: snapshot.questions || [],
+      settings: snapshot.settings || null,
+      variables: snapshot.form?.variables || []
+    };
+  }
+
+  /**
+   * Create a new question
+   */
+  async createQuestion(formId, { type, text, description, is_required, max_chars, choices, logic, properties, key, translations }) {
+    try {
+      validationService.validateProperties(type, properties);
+      scoringService.validateChoices(choices);
+      translationService.validateQuestionTranslations({ translations, choices });
+      pageService.validateSection({ type, parent_id: null, is_required, choices });
+
+      const formQuestions = await this._getFormQuestions(formId);
+      const { hiddenFields, variables } = await this._getFormDeclarations(formId);
+      if (key !== undefined && key !== null) {
+        this._assertQuestionKey(key, null, formQuestions);
+      }
+      if (logic) {
+        logicService.validateLogic(logic, null, formQuestions, variables);
+      }
+      pipingService.validateQuestionReferences(
+        { text, description, translations },
+        null,
+        formQuestions,
+        hiddenFields,
+        variables
+      );
+
+      // Get current max order
+      const { data: questions } = await this.supabase
+        .from('questions')
+        .select('order')
+        .eq('form_id', formId)
+        .order('order', { ascending: false })
+        .limit(1);
+
+      const nextOrder = questions?.[0]?.order + 1 || 1;
+
+      // Create question
+      const { data: question, error: questionError } = await this.supabase
+        .from('questions')
+        .insert([{
+          form_id: formId,
+          type,
+          text,
+          description,
+          is_required,
+          max_chars,
+          logic: logic || null,
+          properties: properties || {},
+          key: key || null,
+          translations: translations || {},
+          order: nextOrder
+        }])
+        .select()
+        .single();
+
+      if (questionError) throw questionError;
+
+      // Create choices if provided
+      if (choices && choices.length > 0) {
+        const choicesData = choices.map((choice, index) => ({
+          question_id: question.id,
+          ...this._choiceFields(choice),
+          order: index + 1
+        }));
+
+        const { data: questionChoices, error: choicesError } = await this.supabase
+          .from('question_choices')
+          .insert(choicesData)
+          .select();
+
+        if (choicesError) throw choicesError;
+        question.choices = questionChoices;
+      }
+
+      return question;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a question
+   */
+  async updateQuestion(questionId, { text, description, is_required, max_chars, choices, logic, properties, key, translations }) {
+    try {
+      translationService.validateQuestionTranslations({ translations, choices });
+
+      if (logic || properties !== undefined || choices || is_required || key !== undefined || text !== undefined ||
+        description !== undefined || translations !== undefined) {
+        const { data: existing, error: existingError } = await this.supabase
+          .from('questions')
+          .select('form_id, type, key, parent_id, properties')
+          .eq('id', questionId)
+          .single();
+
+        if (existingError) throw existingError;
+
+        // Unchanged properties are checked too, so a matrix cannot be left without columns
+        validationService.validateProperties(existing.type, properties !== undefined ? properties : existing.properties);
+        scoringService.validateChoices(choices);
+        pageService.validateSection({ type: existing.type, parent_id: existing.parent_id, is_required, choices });
+
+        const formQuestions = await this._getFormQuestions(existing.form_id);
+        const { hiddenFields, variables } = await this._getFormDeclarations(existing.form_id);
+        if (key !== undefined && key !== existing.key) {
+          this._assertQuestionKeyChange(
+            existing.key,
+            key,
+            questionId,
+            formQuestions,
+            variables,
+            await this.getFormSettings(existing.form_id)
+          );
+        }
+        if (logic) {
+          logicService.validateLogic(logic, questionId, formQuestions, variables);
+        }
+        pipingService.validateQuestionReferences(
+          { text, description, translations },
+          questionId,
+          formQuestions,
+          hiddenFields,
+          variables
+        );
+
+        if (choices) {
+          const { data: existingChoices, error: choicesError } = await this.supabase
+            .from('question_choices')
+            .select('id, text, is_correct, points, translations')
+            .eq('question_id', questionId);
+
+          if (choicesError) throw choicesError;
+
+          const { removedIds } = this._matchQuestionChoices(questionId, existingChoices, choices);
+          await this._assertChoicesRemovable(existing.form_id, questionId, removedIds);
+        }
+      }
+
+      // Update question
+      const { data: question, error: questionError } = await this.supabase
+        .from('questions')
+        .update({ text, description, is_required, max_chars, logic, properties, key, translations })
+        .eq('id', questionId)
+        .select()
+        .single();
+
+      if (questionError) throw questionError;
+
+      // Reconcile choices in place so existing choice IDs (and the
+      // responses that reference them) survive the edit
+      if (choices) {
+        question.choices = await this._syncQuestionChoices(questionId, choices);
+      }
+
+      return question;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check a question key (the name used to pipe its answer into later text)
+   * @private
+   * @throws {ApiError} INVALID_QUESTION_KEY or DUPLICATE_QUESTION_KEY
+   */
+  _assertQuestionKey(key, questionId, questions) {
+    if (!validationService.isFieldName(key)) {
+      throw new ApiError('Question keys may only contain letters, digits and underscores', {
+        code: 'INVALID_QUESTION_KEY',
+        status: 400
+      });
+    }
+
+    if (questions.some(q => q.key === key && q.id !== questionId)) {
+      throw new ApiError(`Another question in this form already uses the key "${key}"`, {
+        code: 'DUPLICATE_QUESTION_KEY',
+        status: 409
+      });
+    }
+  }
+
+  /**
+   * Renaming or clearing a key would silently break the text that pipes it,
+   * the ending page that pipes it and the variables calculated from it
+   * @private
+   * @throws {ApiError} QUESTION_KEY_IN_USE
+   */
+  _assertQuestionKeyChange(oldKey, newKey, questionId, questions, variables = [], settings = null) {
+    if (newKey !== null) {
+      this._assertQuestionKey(newKey, questionId, questions);
+    }
+
+    if (oldKey && questions.some(q => q.id !== questionId && pipingService.getReferencedKeys(q).has(oldKey))) {
+      throw new ApiError(`The key "${oldKey}" is referenced by other questions`, {
+        code: 'QUESTION_KEY_IN_USE',
+        status: 409
+      });
+    }
+
+    if (oldKey && variableService.getReferencedKeys(variables).has(oldKey)) {
+      throw new ApiError(`The key "${oldKey}" is used by form variables`, {
+        code: 'QUESTION_KEY_IN_USE',
+        status: 409
+      });
+    }
+
+    if (oldKey && settings && pipingService.getReferencedKeys(settings).has(oldKey)) {
+      throw new ApiError(`The key "${oldKey}" is used on the ending page`, {
+        code: 'QUESTION_KEY_IN_USE',
+        status: 409
+      });
+    }
+  }
+
+  /**
+   * Hidden field names and variable definitions a form declares
+   * @private
+   * @returns {{hiddenFields: Array<string>, variables: Array<Object>}}
+   */
+  async _getFormDeclarations(formId) {
+    const client = this.adminClient || this.supabase;
+
+    const { data: form, error } = await client
+      .from('forms')
+      .select('hidden_fields, variables')
+      .eq('id', formId)
+      .single();
+
+    if (error) throw new Error(`Failed to fetch form: ${error.message}`);
+    return { hiddenFields: form.hidden_fields || [], variables: form.variables || [] };
+  }
+
+  /**
+   * Check variable definitions against the form, and that the logic and
+   * piped text already using variables still hold with them
+   * @private
+   * @throws {ApiError} INVALID_VARIABLES or VARIABLE_IN_USE
+   */
+  async _assertFormVariables(formId, variables, hiddenFields) {
+    const questions = await this._getFormQuestions(formId);
+    variableService.validateVariables(variables, questions, hiddenFields);
+
+    const details = {};
+    const check = (path, validate) => {
+      try {
+        validate();
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        details[path] = Object.values(error.details || {}).join('; ') || error.message;
+      }
+    };
+
+    questions.forEach(question => {
+      const usesVariables = (question.logic?.show_if?.conditions || [])
+        .concat(...(question.logic?.jumps || []).map(jump => jump?.when?.conditions || []))
+        .some(condition => condition?.variable !== undefined);
+
+      if (usesVariables) {
+        check(`questions[${question.id}].logic`, () =>
+          logicService.validateLogic(question.logic, question.id, questions, variables));
+      }
+      if (pipingService.getReferencedVariables(question).size > 0) {
+        check(`questions[${question.id}]`, () =>
+          pipingService.validateQuestionReferences(question, question.id, questions, hiddenFields, variables));
+      }
+    });
+
+    const settings = await this.getFormSettings(formId);
+    if (settings && pipingService.getReferencedVariables(settings).size > 0) {
+      check('settings', () => pipingService.validateSettingsReferences(settings, questions, hiddenFields, variables));
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Variables are still used by question logic or text', {
+        code: 'VARIABLE_IN_USE',
+        status: 409,
+        details
+      });
+    }
+  }
+
+  /**
+   * Get the text of a choice given either as a string or as `{ id, text }`
+   * @private
+   */
+  _choiceText(choice) {
+    return typeof choice === 'string' ? choice : choice?.text;
+  }
+
+  /**
+   * Columns to store for a choice. Quiz fields and translations left out of
+   * the input keep their current value (or the default for new choices).
+   * @private
+   * @param {string|Object} choice - `text` or `{ text, is_correct, points, translations }`
+   * @param {Object} [existing] - The stored choice being updated
+   */
+  _choiceFields(choice, existing = {}) {
+    return {
+      text: this._choiceText(choice),
+      is_correct: choice?.is_correct ?? existing.is_correct ?? false,
+      points: choice?.points !== undefined ? choice.points : existing.points ?? null,
+      translations: choice?.translations ?? existing.translations ?? {},
+      // Only set when a linked copy is synced from the question bank
+      ...(choice?.bank_choice_id !== undefined && { bank_choice_id: choice.bank_choice_id })
+    };
+  }
+
+  /**
+   * Replace a question's choices with the given list without recreating the
+   * ones that are kept. Choices are matched by `id` when provided, otherwise
+   * by their text; unmatched existing choices are removed.
+   * @private
+   * @param {string} questionId - The question ID (or bank question ID, see `target`)
+   * @param {Array<string|{id?: string, text: string, is_correct?: boolean, points?: number}>} choices - Desired choices in display order
+   * @param {Object} [target] - Choice table and owner column; the question bank
+   *   keeps its choices in `question_bank_choices`
+   */
+  async _syncQuestionChoices(questionId, choices, { table = 'question_choices', column = 'question_id' } = {}) {
+    const { data: existing, error: fetchError } = await this.supabase
+      .from(table)
+      .select('id, text, is_correct, points, translations')
+      .eq(column, questionId);
+
+    if (fetchError) throw fetchError;
+
+    const { keep, create, removedIds } = this._matchQuestionChoices(questionId, existing, choices, column);
+
+    if (removedIds.length > 0) {
+      const { error: deleteError } = await this.supabase
+        .from(table)
+        .delete()
+        .in('id', removedIds);
+
+      if (deleteError) throw deleteError;
+    }
+
+    if (keep.length > 0) {
+      const { error: updateError } = await this.supabase
+        .from(table)
+        .upsert(keep, { onConflict: 'id' });
+
+      if (updateError) throw updateError;
+    }
+
+    if (create.length > 0) {
+      const { error: insertError } = await this.supabase
+        .from(table)
+        .insert(create);
+
+      if (insertError) throw insertError;
+    }
+
+    const { data: synced, error: syncedError } = await this.supabase
+      .from(table)
+      .select('*')
+      .eq(column, questionId)
+      .order('order', { ascending: true });
+
+    if (syncedError) throw syncedError;
+    return synced;
+  }
+
+  /**
+   * Match the desired choices to the stored ones, by `id` when provided and
+   * otherwise by text
+   * @private
+   * @returns {{ keep: Array<Object>, create: Array<Object>, removedIds: Array<string> }}
+   *   Rows to update and insert, and the stored choices left unmatched
+   */
+  _matchQuestionChoices(questionId, existing, choices, column = 'question_id') {
+    const unmatched = new Map(existing.map(choice => [choice.id, choice]));
+    const keep = [];
+    const create = [];
+
+    choices.forEach((choice, index) => {
+      const text = this._choiceText(choice);
+      const order = index + 1;
+
+      let match = choice?.id ? unmatched.get(choice.id) : null;
+      if (!match) {
+        match = [...unmatched.values()].find(c => c.text === text);
+      }
+
+      if (match) {
+        unmatched.delete(match.id);
+        keep.push({ id: match.id, [column]: questionId, ...this._choiceFields(choice, match), order });
+      } else {
+        create.push({ [column]: questionId, ...this._choiceFields(choice), order });
+      }
+    });
+
+    return { keep, create, removedIds: [...unmatched.keys()] };
+  }
+
+  /**
+   * Removing choices would leave the show_if and jump conditions that test
+   * them pointing at nothing
+   * @private
+   * @throws {ApiError} INVALID_STRUCTURE naming the questions whose logic uses them
+   */
+  async _assertChoicesRemovable(formId, questionId, removedIds) {
+    if (removedIds.length === 0) return;
+
+    const questions = await this._getFormStructure(formId);
+    const after = questions.map(question => question.id === questionId
+      ? { ...question, choices: question.choices.filter(choice => !removedIds.includes(choice.id)) }
+      : question);
+
+    await this._assertFormStructure(formId, questions, after, { changed: new Set(), idMap: new Map() });
+  }
+
+  /**
+   * Move a question and the questions nested under it to the trash. Its
+   * responses are kept until the trash is purged.
+   * @throws {ApiError} QUESTION_NOT_FOUND when the question does not exist or is already trashed
+   * @throws {ApiError} INVALID_STRUCTURE when logic or piped text still refers to it
+   */
+  async deleteQuestion(questionId) {
+    const { data: question, error: fetchError } = await this.supabase
+      .from('questions')
+      .select('id, form_id')
+      .eq('id', questionId)
+      .is('deleted_at', null)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+    if (!question) {
+      throw new ApiError('Question not found', { code: 'QUESTION_NOT_FOUND', status: 404 });
+    }
+
+    const questions = await this._getFormStructure(question.form_id);
+    const subtree = [questionId];
+    for (let i = 0; i < subtree.length; i++) {
+      subtree.push(...questions.filter(q => q.parent_id === subtree[i]).map(q => q.id));
+    }
+
+    await this._assertFormStructure(
+      question.form_id,
+      questions,
+      questions.filter(q => !subtree.includes(q.id)),
+      { changed: new Set(), idMap: new Map() }
+    );
+
+    // One timestamp for the whole subtree so it is restored together
+    const { error } = await this.supabase
+      .from('questions')
+      .update({ deleted_at: new Date().toISOString() })
+      .in('id', subtree);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Take a question out of the trash, with the nested questions trashed
+   * along with it
+   * @throws {ApiError} NOT_IN_TRASH, PARENT_IN_TRASH or DUPLICATE_QUESTION_KEY
+   */
+  async restoreQuestion(questionId) {
+    const { data: question, error: fetchError } = await this.supabase
+      .from('questions')
+      .select('id, form_id, parent_id, deleted_at')
+      .eq('id', questionId)
+      .not('deleted_at', 'is', null)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+    if (!question) {
+      throw new ApiError('Question is not in the trash', { code: 'NOT_IN_TRASH', status: 404 });
+    }
+
+    const { data: trashed, error: trashedError } = await this.supabase
+      .from('questions')
+      .select('id, parent_id, key')
+      .eq('form_id', question.form_id)
+      .eq('deleted_at', question.deleted_at);
+
+    if (trashedError) throw trashedError;
+
+    const live = await this._getFormQuestions(question.form_id);
+    if (question.parent_id && !live.some(q => q.id === question.parent_id)) {
+      throw new ApiError('Restore the question this one is nested under first', {
+        code: 'PARENT_IN_TRASH',
+        status: 409
+      });
+    }
+
+    const subtree = [question];
+    for (let i = 0; i < subtree.length; i++) {
+      subtree.push(...trashed.filter(q => q.parent_id === subtree[i].id));
+    }
+    subtree.filter(q => q.key).forEach(q => this._assertQuestionKey(q.key, q.id, live));
+
+    const { error } = await this.supabase
+      .from('questions')
+      .update({ deleted_at: null })
+      .in('id', subtree.map(q => q.id));
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Reorder questions with support for hierarchy
+   * @param {string} formId - The form ID
+   * @param {Array<{id: string, parentId: string|null, order: number}>} questionOrder - Array of question order updates
+   * @throws {ApiError} INVALID_STRUCTURE when logic or piped text would refer to a later question
+   */
+  async reorderQuestions(formId, questionOrder) {
+    try {
+      console.log('Reordering questions:', questionOrder);
+
+      // Sections start pages, so they have to stay at the top level
+      const questions = await this._getFormStructure(formId);
+      const types = new Map(questions.map(q => [q.id, q.type]));
+      questionOrder.forEach(item => {
+        pageService.validateSection({ type: types.get(item.id), parent_id: item.parentId || null });
+      });
+
+      // Group updates by parent_id for ordered processing
+      const updatesByParent = questionOrder.reduce((acc, item) => {
+        const key = item.parentId || 'root';
+        if (!acc[key]) acc[key] = [];
+        acc[key].push(item);
+        return acc;
+      }, {});
+
+      // Process root level questions first
+      const rootUpdates = (updatesByParent.root || []).map((item, index) => ({
+        id: item.id,
+        parent_id: null,
+        order: index + 1
+      }));
+
+      // Then process child questions
+      const childUpdates = Object.entries(updatesByParent)
+        .filter(([key]) => key !== 'root')
+        .flatMap(([parentId, items]) =>
+          items.map((item, index) => ({
+            id: item.id,
+            parent_id: parentId,
+            order: index + 1
+          }))
+        );
+
+      const updates = [...rootUpdates, ...childUpdates];
+
+      const moved = new Map(updates.map(update => [update.id, update]));
+      await this._assertFormStructure(
+        formId,
+        questions,
+        questions.map(q => (moved.has(q.id) ? { ...q, ...moved.get(q.id) } : q)),
+        { changed: new Set(), idMap: new Map() }
+      );
+
+      // Perform the updates in a transaction
+      const { error } = await this.supabase
+        .from('questions')
+        .upsert(updates, {
+          onConflict: 'id',
+          returning: 'minimal'
+        });
+
+      if (error) {
+        console.error('Error reordering questions:', error);
+        throw new Error(`Failed to reorder questions: ${error.message}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error in reorderQuestions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get questions with their hierarchy
+   * @param {string} formId - The form ID
+   */
+  async getQuestionsHierarchy(formId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('questions')
+        .select(`
+          *,
+          choices:question_choices (
+            id,
+            text,
+            order
+          )
+        `)
+        .eq('form_id', formId)
+        .is('deleted_at', null)
+        .order('path', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching questions hierarchy:', error);
+        throw new Error(`Failed to fetch questions hierarchy: ${error.message}`);
+      }
+
+      // Build the hierarchy
+      const questionMap = new Map();
+      const rootQuestions = [];
+
+      // First pass: Create all question nodes
+      data.forEach(question => {
+        question.children = [];
+        if (question.choices) {
+          question.choices.sort((a, b) => a.order - b.order);
+        }
+        questionMap.set(question.id, question);
+      });
+
+      // Second pass: Build the tree structure
+      data.forEach(question => {
+        if (question.parent_id) {
+          const parent = questionMap.get(question.parent_id);
+          if (parent) {
+            parent.children.push(question);
+          }
+        } else {
+          rootQuestions.push(question);
+        }
+      });
+
+      // Sort children by order
+      const sortChildren = (questions) => {
+        questions.sort((a, b) => a.order - b.order);
+        questions.forEach(q => {
+          if (q.children.length > 0) {
+            sortChildren(q.children);
+          }
+        });
+      };
+      sortChildren(rootQuestions);
+
+      return rootQuestions;
+    } catch (error) {
+      console.error('Error in getQuestionsHierarchy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a question to be a child of another question
+   * @param {string} questionId - The question to move
+   * @param {string|null} newParentId - The new parent question ID (null for root level)
+   * @throws {ApiError} INVALID_STRUCTURE when logic or piped text would refer to a later question
+   */
+  async moveQuestion(questionId, newParentId) {
+    try {
+      // Verify the questions exist and are in the same form
+      if (newParentId) {
+        const { data: questions, error: fetchError } = await this.supabase
+          .from('questions')
+          .select('id, form_id, type')
+          .in('id', [questionId, newParentId]);
+
+        if (fetchError) throw fetchError;
+
+        if (questions.length !== 2 || questions[0].form_id !== questions[1].form_id) {
+          throw new Error('Invalid question IDs or questions not in same form');
+        }
+
+        const question = questions.find(q => q.id === questionId);
+        pageService.validateSection({ type: question.type, parent_id: newParentId });
+      }
+
+      const { data: moving, error: movingError } = await this.supabase
+        .from('questions')
+        .select('form_id')
+        .eq('id', questionId)
+        .single();
+
+      if (movingError) throw movingError;
+
+      const current = await this._getFormStructure(moving.form_id);
+      await this._assertFormStructure(
+        moving.form_id,
+        current,
+        current.map(q => (q.id === questionId ? { ...q, parent_id: newParentId } : q)),
+        { changed: new Set(), idMap: new Map() }
+      );
+
+      // Update the question's parent
+      const { error: updateError } = await this.supabase
+        .from('questions')
+        .update({ parent_id: newParentId })
+        .eq('id', questionId);
+
+      if (updateError) {
+        console.error('Error moving question:', updateError);
+        throw new Error(`Failed to move question: ${updateError.message}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error in moveQuestion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a batch of builder operations to a form's questions and choices,
+   * all or nothing. The batch is applied and validated in memory, then saved
+   * in one database transaction.
+   * @param {string} formId - The form ID
+   * @param {Array<Object>} operations - See structureService.applyOperations
+   * @returns {{questions: Array<Object>, id_map: Object<string, string>}} The
+   *   resulting question tree and the new ID of each `temp_id`
+   * @throws {ApiError} INVALID_OPERATION or INVALID_STRUCTURE
+   */
+  async updateFormStructure(formId, operations) {
+    const current = await this._getFormStructure(formId);
+    const result = structureService.applyOperations(current, operations);
+
+    // Logic written in the batch may test questions and choices by temp ID
+    const questions = result.questions.map(question => (result.changed.has(question.id) && question.logic
+      ? { ...question, logic: remapIds(question.logic, result.idMap) }
+      : question));
+
+    await this._assertFormStructure(formId, current, questions, result);
+
+    const questionRow = (question) => Object.fromEntries(STRUCTURE_QUESTION_COLUMNS.map(column => [column, question[column] ?? null]));
+    const choiceRow = (choice) => Object.fromEntries(STRUCTURE_CHOICE_COLUMNS.map(column => [column, choice[column] ?? null]));
+    const stored = new Map(current.map(question => [question.id, question]));
+    const storedChoices = new Map(current.flatMap(question => question.choices.map(choice => [choice.id, choice])));
+    const isChanged = (row, storedRow) => !storedRow || JSON.stringify(row) !== JSON.stringify(storedRow);
+
+    const { error } = await this.supabase.rpc('apply_form_structure', {
+      p_form_id: formId,
+      // Parents first, so each question's parent exists when it is inserted
+      p_questions: logicService.orderQuestions(questions)
+        .filter(question => isChanged(questionRow(question), stored.has(question.id) && questionRow(stored.get(question.id))))
+        .map(question => ({ id: question.id, ...questionRow(question) })),
+      p_choices: questions
+        .flatMap(question => question.choices)
+        .filter(choice => isChanged(choiceRow(choice), storedChoices.has(choice.id) && choiceRow(storedChoices.get(choice.id))))
+        .map(choice => ({ id: choice.id, ...choiceRow(choice) })),
+      p_deleted_question_ids: result.deletedQuestionIds,
+      p_deleted_choice_ids: result.deletedChoiceIds
+    });
+
+    if (error) {
+      console.error('Error saving form structure:', error);
+      throw new Error(`Failed to save form structure: ${error.message}`);
+    }
+
+    return {
+      questions: await this.getQuestionsHierarchy(formId),
+      id_map: Object.fromEntries(result.idMap)
+    };
+  }
+
+  /**
+   * Load a form's questions with all of their choices' columns
+   * @private
+   */
+  async _getFormStructure(formId) {
+    const { data: questions, error } = await this.supabase
+      .from('questions')
+      .select('*')
+      .eq('form_id', formId)
+      .is('deleted_at', null);
+
+    if (error) throw new Error(`Failed to fetch questions: ${error.message}`);
+
+    const { data: choices, error: choicesError } = await this.supabase
+      .from('question_choices')
+      .select('*')
+      .in('question_id', questions.map(question => question.id));
+
+    if (choicesError) throw new Error(`Failed to fetch choices: ${choicesError.message}`);
+
+    return questions.map(question => ({
+      ...question,
+      choices: choices.filter(choice => choice.question_id === question.id)
+    }));
+  }
+
+  /**
+   * Check the questions a batch produces with the rules `createQuestion` and
+   * `updateQuestion` apply. Questions the batch did not edit only fail when
+   * it breaks them, e.g. by deleting a question their logic tests.
+   * @private
+   * @param {string} formId - The form ID
+   * @param {Array<Object>} before - The stored questions
+   * @param {Array<Object>} after - The questions once the batch is applied
+   * @param {Object} result - From structureService.applyOperations
+   * @throws {ApiError} INVALID_STRUCTURE with an entry per failing question
+   */
+  async _assertFormStructure(formId, before, after, { changed, idMap }) {
+    const { hiddenFields, variables } = await this._getFormDeclarations(formId);
+    const settings = await this.getFormSettings(formId);
+    const stored = new Map(before.map(question => [question.id, question]));
+    const tempIds = new Map([...idMap].map(([tempId, id]) => [id, tempId]));
+    const details = {};
+
+    const attempt = (validate) => {
+      try {
+        validate();
+        return null;
+      } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        return Object.values(error.details || {}).join('; ') || error.message;
+      }
+    };
+    const checkPlacement = (question, questions) => () => {
+      pageService.validateSection(question);
+      logicService.validateLogic(question.logic, question.id, questions, variables);
+      pipingService.validateQuestionReferences(question, question.id, questions, hiddenFields, variables);
+    };
+
+    after.forEach(question => {
+      const path = `questions[${tempIds.get(question.id) || question.id}]`;
+
+      if (changed.has(question.id)) {
+        const message = attempt(() => {
+          validationService.validateProperties(question.type, question.properties);
+          scoringService.validateChoices(question.choices);
+          translationService.validateQuestionTranslations(question);
+          if (question.key !== undefined && question.key !== null) {
+            this._assertQuestionKey(question.key, question.id, after);
+          }
+          checkPlacement(question, after)();
+        });
+        if (message) details[path] = message;
+        return;
+      }
+
+      const message = attempt(checkPlacement(question, after));
+      if (message && !attempt(checkPlacement(stored.get(question.id), before))) {
+        details[path] = message;
+      }
+    });
+
+    const variablesMessage = attempt(() => variableService.validateVariables(variables, after, hiddenFields));
+    if (variablesMessage && !attempt(() => variableService.validateVariables(variables, before, hiddenFields))) {
+      details.variables = variablesMessage;
+    }
+
+    if (settings) {
+      const checkSettings = (questions) => () =>
+        pipingService.validateSettingsReferences(settings, questions, hiddenFields, variables);
+      const settingsMessage = attempt(checkSettings(after));
+      if (settingsMessage && !attempt(checkSettings(before))) {
+        details.settings = settingsMessage;
+      }
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('The form structure is invalid', {
+        code: 'INVALID_STRUCTURE',
+        status: 400,
+        details
+      });
+    }
+  }
+
+  /**
+   * Get form settings
+   */
+  async getFormSettings(formId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('form_settings')
+        .select('*')
+        .eq('form_id', formId)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update form settings
+   */
+  async updateFormSettings(formId, settings) {
+    try {
+      scoringService.validateSettings(settings);
+      translationService.validateSettingsTranslations(settings);
+      // Changing only one end of the window is checked against the stored other end
+      const changesOneEnd = (settings.opens_at === undefined) !== (settings.closes_at === undefined);
+      availabilityService.validateSettings(settings, changesOneEnd ? await this.getFormSettings(formId) : {});
+      verificationService.validateSettings(settings);
+      // Likewise a policy change or a period change alone is checked against the stored other half
+      const changesPolicyOnly = (settings.submission_policy === undefined) !== (settings.submission_period_hours === undefined);
+      policyService.validateSettings(settings, changesPolicyOnly ? await this.getFormSettings(formId) : {});
+      const { hiddenFields, variables } = await this._getFormDeclarations(formId);
+      pipingService.validateSettingsReferences(
+        settings,
+        await this._getFormQuestions(formId),
+        hiddenFields,
+        variables
+      );
+
+      const { data, error } = await this.supabase
+        .from('form_settings')
+        .update(settings)
+        .eq('form_id', formId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get who may respond to a form. The password itself is never returned.
+   * @param {string} formId - The form ID
+   * @throws {ApiError} FORM_NOT_FOUND
+   */
+  async getFormAccess(formId) {
+    const { data: form, error: formError } = await this.supabase
+      .from('forms')
+      .select('id, is_private')
+      .eq('id', formId)
+      .maybeSingle();
+
+    if (formError) throw formError;
+    if (!form) {
+      throw new ApiError('Form not found', { code: 'FORM_NOT_FOUND', status: 404 });
+    }
+
+    const { data: access, error } = await this.supabase
+      .from('form_access')
+      .select('*')
+      .eq('form_id', formId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return this._formatFormAccess(form, access);
+  }
+
+  /**
+   * Set a form's password and invite list. Fields left out are not changed;
+   * a `password` of null removes the password.
+   * @param {string} formId - The form ID
+   * @param {Object} input - `password`, `invite_only`, `invited_emails`, `invited_domains`
+   * @throws {ApiError} FORM_NOT_FOUND or INVALID_ACCESS
+   */
+  async updateFormAccess(formId, input) {
+    const { password, invite_only, invited_emails, invited_domains } = input;
+    accessService.validateAccess({ password, invite_only, invited_emails, invited_domains });
+
+    // Also checks the form exists
+    await this.getFormAccess(formId);
+
+    const changes = { form_id: formId, updated_at: new Date().toISOString() };
+    if (password !== undefined) {
+      changes.password_hash = password === null ? null : await accessService.hashPassword(password);
+    }
+    if (invite_only !== undefined) changes.invite_only = invite_only;
+    if (invited_emails !== undefined) changes.invited_emails = accessService.normalizeInvites(invited_emails);
+    if (invited_domains !== undefined) changes.invited_domains = accessService.normalizeInvites(invited_domains);
+
+    const { error } = await this.supabase
+      .from('form_access')
+      .upsert(changes, { onConflict: 'form_id' });
+
+    if (error) throw error;
+    return this.getFormAccess(formId);
+  }
+
+  /**
+   * @private
+   */
+  _formatFormAccess(form, access) {
+    return {
+      is_private: form.is_private,
+      password_protected: Boolean(access?.password_hash),
+      invite_only: access?.invite_only || false,
+      invited_emails: access?.invited_emails || [],
+      invited_domains: access?.invited_domains || []
+    };
+  }
+
+  /**
+   * Get question choices
+   */
+  async getQuestionChoices(questionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('question_choices')
+        .select('*')
+        .eq('question_id', questionId)
+        .order('order', { ascending: true });
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create question choice
+   */
+  async createQuestionChoice(questionId, text, { is_correct, points, translations } = {}) {
+    try {
+      scoringService.validateChoices([{ is_correct, points }]);
+      translationService.validateQuestionTranslations({ choices: [{ translations }] });
+
+      // Get current max order
+      const { data: choices } = await this.supabase
+        .from('question_choices')
+        .select('order')
+        .eq('question_id', questionId)
+        .order('order', { ascending: false })
+        .limit(1);
+
+      const nextOrder = choices?.[0]?.order + 1 || 1;
+
+      const { data, error } = await this.supabase
+        .from('question_choices')
+        .insert([{
+          question_id: questionId,
+          ...this._choiceFields({ text, is_correct, points, translations }),
+          order: nextOrder
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update question choice
+   */
+  async updateQuestionChoice(choiceId, text, { is_correct, points, translations } = {}) {
+    try {
+      scoringService.validateChoices([{ is_correct, points }]);
+      translationService.validateQuestionTranslations({ choices: [{ translations }] });
+
+      const { data, error } = await this.supabase
+        .from('question_choices')
+        .update({ text, is_correct, points, translations })
+        .eq('id', choiceId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete question choice
+   * @throws {ApiError} INVALID_STRUCTURE when question logic tests the choice
+   */
+  async deleteQuestionChoice(choiceId) {
+    try {
+      const { data: choice, error: fetchError } = await this.supabase
+        .from('question_choices')
+        .select('id, question_id, questions!inner(form_id)')
+        .eq('id', choiceId)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (choice) {
+        await this._assertChoicesRemovable(choice.questions.form_id, choice.question_id, [choice.id]);
+      }
+
+      const { error } = await this.supabase
+        .from('question_choices')
+        .delete()
+        .eq('id', choiceId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder question choices
+   */
+  async reorderQuestionChoices(questionId, choiceIds) {
+    try {
+      const updates = choiceIds.map((id, index) => ({
+        id,
+        order: index + 1
       }));
 
-      const { error } = await this.supabase
-        .from('question_choices')
-        .upsert(updates);
+      const { error } = await this.supabase
+        .from('question_choices')
+        .upsert(updates);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a form's password and, for invite-only forms, an invited email
+   * for a short-lived access token. The token is sent back with the public
+   * form request and when starting the submission.
+   * @param {string} formId - The form ID
+   * @param {Object} credentials - `password` and `email`
+   * @returns {{ access_token: string, expires_at: string }}
+   * @throws {ApiError} FORM_NOT_FOUND or FORM_ACCESS_DENIED
+   */
+  async requestFormAccess(formId, { password, email } = {}) {
+    const { form, access } = await this._getFormAccessRules(formId);
+
+    if (!accessService.isRestricted(access)) {
+      if (form.is_private) throw accessService.deniedError('private');
+    } else {
+      if (access.password_hash) {
+        if (password === undefined || password === null || password === '') {
+          throw accessService.deniedError('password_required');
+        }
+        if (!(await accessService.verifyPassword(password, access.password_hash))) {
+          console.log(`[FormService] Wrong password for form ${formId}`);
+          throw accessService.deniedError('invalid_password');
+        }
+      }
+      if (access.invite_only) {
+        if (!email) throw accessService.deniedError('invite_required');
+        if (!accessService.isInvited(access, email)) throw accessService.deniedError('not_invited');
+      }
+    }
+
+    const { token, expiresAt } = accessService.createAccessToken(formId, access, email);
+    return { access_token: token, expires_at: expiresAt };
+  }
+
+  /**
+   * Start a form submission, or hand back the respondent's in-progress one.
+   * Who counts as the same respondent depends on the form's submission
+   * policy: their email, or on anonymous forms the respondent token returned
+   * when they first started.
+   * @param {string} formId - Form ID
+   * @param {string|null} email - Required unless the form is anonymous, where it is ignored
+   * @param {Object} req - Request metadata
+   * @param {Object} [options]
+   * @param {string} [options.respondentToken] - Token from an earlier start; identifies the
+   *   respondent on anonymous forms and unlocks the saved answers when resuming
+   */
+  async startSubmission(formId, email, req, { hiddenFields, language, acceptLanguage, accessToken, respondentToken } = {}) {
+    try {
+      // Use admin client for public operations
+      const client = this.adminClient || this.supabase;
+
+      await this._assertFormAccess(formId, { token: accessToken, email: email || undefined });
+      const settings = await this._assertFormOpen(formId, { lang: language, acceptLanguage });
+
+      const policy = policyService.getPolicy(settings);
+      if (policy === 'anonymous') {
+        email = null;
+      } else if (!email) {
+        throw new ApiError('Email is required', { code: 'EMAIL_REQUIRED', status: 400 });
+      }
+
+      console.log(`[FormService] Starting submission for form ${formId} (${policy}) with email ${email}`);
+
+      // Earlier submissions by the same respondent, most recent first
+      let previous = [];
+      if (email || respondentToken) {
+        let query = client
+          .from('form_submissions')
+          .select('*')
+          .eq('form_id', formId)
+          .is('deleted_at', null);
+
+        query = email
+          ? query.eq('email', email)
+          : query.eq('respondent_token_hash', policyService.hashRespondentToken(respondentToken));
+
+        const { data, error: checkError } = await query.order('started_at', { ascending: false });
+
+        if (checkError) {
+          console.error('[FormService] Error checking existing submission:', checkError);
+          throw new Error('Failed to check existing submission');
+        }
+        previous = data || [];
+      }
+
+      const completedSubmissions = previous
+        .filter(submission => submission.status === 'completed')
+        .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at));
+      const lastCompleted = completedSubmissions[0];
+
+      if (lastCompleted && policy === 'one_per_email') {
+        // If completed, return error with more details
+        console.log('[FormService] Found completed submission:', {
+          submissionId: lastCompleted.id,
+          formId: lastCompleted.form_id,
+          email: lastCompleted.email,
+          completedAt: lastCompleted.completed_at
+        });
+        return {
+          error: true,
+          message: `This form has already been completed by ${email} on ${new Date(lastCompleted.completed_at).toLocaleString()}`,
+          submission: {
+            id: lastCompleted.id,
+            completedAt: lastCompleted.completed_at,
+            email: lastCompleted.email
+          }
+        };
+      }
+
+      if (lastCompleted && policy === 'anonymous') {
+        throw new ApiError('This form has already been completed', {
+          code: 'DUPLICATE_SUBMISSION',
+          status: 409,
+          details: { submission_id: lastCompleted.id, completed_at: lastCompleted.completed_at }
+        });
+      }
+
+      if (lastCompleted && policy === 'one_per_period') {
+        if (policyService.getNextAllowedAt(settings, lastCompleted.completed_at) > new Date()) {
+          throw policyService.periodTakenError(settings, lastCompleted.completed_at, lastCompleted.id);
+        }
+      }
+
+      const existingSubmission = previous.find(submission => submission.status !== 'completed');
+      if (existingSubmission) {
+        // If in progress, return it to continue
+        console.log('[FormService] Found in-progress submission:', {
+          submissionId: existingSubmission.id,
+          formId: existingSubmission.form_id,
+          email: existingSubmission.email,
+          startedAt: existingSubmission.started_at,
+          status: existingSubmission.status
+        });
+        // Anyone can start with any email, so the answers autosaved so far are
+        // only handed back to the holder of the submission's respondent token.
+        // Others get them through a resume link or by verifying the email.
+        const answers = policyService.isRespondent(existingSubmission, respondentToken)
+          ? await this._getSavedAnswers(existingSubmission.id)
+          : [];
+        return { ...this._formatRespondentSubmission(existingSubmission), answers };
+      }
+
+      // New submissions are answered against the latest published version
+      const version = await this._getLatestVersion(formId);
+      if (!version) {
+        throw new ApiError('Form has not been published', { code: 'FORM_NOT_PUBLISHED', status: 404 });
+      }
+
+      // Hidden field values arrive from the form link's query string
+      const { snapshot } = version;
+      const hiddenFieldValues = validationService.pickHiddenFields(snapshot.form?.hidden_fields, hiddenFields);
+      const prefilledAnswers = this._getPrefilledAnswers(
+        (snapshot.questions || []).filter(question => question.properties?.hidden),
+        hiddenFields
+      );
+
+      // Create new submission. The respondent token is only ever returned here.
+      const now = new Date().toISOString();
+      const { token, hash } = policyService.createRespondentToken();
+      const { data: submission, error: submissionError } = await client
+        .from('form_submissions')
+        .insert({
+          form_id: formId,
+          form_version_id: version.id,
+          version_number: version.version_number,
+          email,
+          // Only one_per_email submissions are unique per email
+          dedupe_key: policy === 'one_per_email' ? email : null,
+          respondent_token_hash: hash,
+          status: 'in_progress',
+          started_at: now,
+          hidden_fields: hiddenFieldValues,
+          prefilled_answers: prefilledAnswers,
+          // Kept so the respondent is served, and scored in, the same language throughout
+          language: translationService.negotiateLanguage(snapshot.form, { lang: language, acceptLanguage }),
+          metadata: {
+            user_agent: req?.headers?.['user-agent'],
+            ip_address: req?.ip
+          }
+        })
+        .select()
+        .single();
+
+      if (submissionError?.code === '23505') { // Unique violation: a parallel start won
+        throw new ApiError(`${email} has already started this form`, { code: 'DUPLICATE_SUBMISSION', status: 409 });
+      }
+      if (submissionError) {
+        console.error('[FormService] Error creating submission:', submissionError);
+        throw new Error('Failed to create submission');
+      }
+
+      console.log('[FormService] Successfully created new submission:', {
+        submissionId: submission.id,
+        formId: submission.form_id,
+        email: submission.email,
+        startedAt: submission.started_at,
+        status: submission.status
+      });
+
+      return { ...this._formatRespondentSubmission(submission), respondent_token: token, answers: [] };
+    } catch (error) {
+      console.error('[FormService] Error in startSubmission:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A submission as shown to its respondent, without the bookkeeping columns
+   * @private
+   */
+  _formatRespondentSubmission(submission) {
+    const { respondent_token_hash, dedupe_key, ...rest } = submission;
+    return rest;
+  }
+
+  /**
+   * Build prefilled answers from URL parameters for questions that declare
+   * a `prefill_param`. Values that do not fit the question are dropped.
+   * @private
+   * @param {Array<Object>} questions - Questions to prefill
+   * @param {Object} params - Parameter name to value
+   * @returns {Object} Question ID to response `data`
+   */
+  _getPrefilledAnswers(questions, params) {
+    if (!params || typeof params !== 'object') {
+      return {};
+    }
+
+    const answers = {};
+    questions.forEach(question => {
+      const param = question.properties?.prefill_param;
+      if (!param || params[param] === undefined) return;
+
+      const data = validationService.parsePrefill(question, params[param]);
+      if (data) {
+        answers[question.id] = data;
+      }
+    });
+
+    return answers;
+  }
+
+  /**
+   * Load a form's questions with their choices for response validation
+   * @private
+   */
+  async _getFormQuestions(formId) {
+    const client = this.adminClient || this.supabase;
+
+    const { data: questions, error } = await client
+      .from('questions')
+      .select(`
+        *,
+        choices:question_choices (
+          id,
+          text,
+          order,
+          is_correct,
+          points
+        )
+      `)
+      .eq('form_id', formId)
+      .is('deleted_at', null);
+
+    if (error) throw new Error(`Failed to fetch questions: ${error.message}`);
+    return questions || [];
+  }
+
+  /**
+   * Refuse submissions outside the form's schedule or once its response cap
+   * has been reached
+   * @private
+   * @param {string} formId - Form ID
+   * @param {Object} [preferences] - `lang` and `acceptLanguage` for the closed message;
+   *   `ignoreCap` for changes that do not add a response
+   * @returns {Object|null} The live settings, in the respondent's language
+   * @throws {ApiError} FORM_CLOSED
+   */
+  async _assertFormOpen(formId, preferences = {}) {
+    const client = this.adminClient || this.supabase;
+
+    const [{ data: form, error: formError }, { data: stored, error: settingsError }] = await Promise.all([
+      client.from('forms').select('completed_submissions, default_language, languages, deleted_at').eq('id', formId).single(),
+      client
+        .from('form_settings')
+        .select('opens_at, closes_at, max_submissions, closed_message, translations, verify_email, ' +
+          'submission_policy, submission_period_hours, edit_window_hours')
+        .eq('form_id', formId)
+        .single()
+    ]);
+
+    // PGRST116 is "no rows returned"; a missing form is reported by the caller
+    if (formError && formError.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch form: ${formError.message}`);
+    }
+    if (settingsError && settingsError.code !== 'PGRST116') {
+      throw new Error(`Failed to fetch form settings: ${settingsError.message}`);
+    }
+    if (form?.deleted_at) {
+      throw new ApiError('Form not found', { code: 'FORM_NOT_FOUND', status: 404 });
+    }
+
+    const settings = translationService.localizeSettings(
+      stored,
+      translationService.negotiateLanguage(form, preferences)
+    );
+    availabilityService.assertOpen(settings, preferences.ignoreCap ? 0 : form?.completed_submissions || 0);
+    return settings;
+  }
+
+  /**
+   * Load a form's `is_private` flag and access row for the public routes
+   * @private
+   * @throws {ApiError} FORM_NOT_FOUND
+   */
+  async _getFormAccessRules(formId) {
+    const client = this.adminClient || this.supabase;
+
+    const [{ data: form, error: formError }, { data: access, error }] = await Promise.all([
+      client.from('forms').select('id, is_private').eq('id', formId).is('deleted_at', null).maybeSingle(),
+      client.from('form_access').select('*').eq('form_id', formId).maybeSingle()
+    ]);
+
+    if (formError) throw new Error(`Failed to fetch form: ${formError.message}`);
+    if (error) throw new Error(`Failed to fetch form access: ${error.message}`);
+    if (!form) {
+      throw new ApiError('Form not found', { code: 'FORM_NOT_FOUND', status: 404 });
+    }
+
+    return { form, access };
+  }
+
+  /**
+   * Refuse respondents without access to a private, password-protected or
+   * invite-only form
+   * @private
+   * @param {string} formId
+   * @param {Object} options
+   * @param {string} [options.token] - Access token from requestFormAccess
+   * @param {string} [options.email] - Email a submission is being started with
+   * @throws {ApiError} FORM_NOT_FOUND or FORM_ACCESS_DENIED
+   */
+  async _assertFormAccess(formId, { token, email } = {}) {
+    const { form, access } = await this._getFormAccessRules(formId);
+    accessService.assertAccess(formId, { isPrivate: form.is_private, access, token, email });
+  }
+
+  /**
+   * Load a submission and make sure it can still be completed
+   * @private
+   */
+  async _getOpenSubmission(formId, submissionId) {
+    const client = this.adminClient || this.supabase;
+
+    const { data: submission, error } = await client
+      .from('form_submissions')
+      .select('*')
+      .eq('id', submissionId)
+      .eq('form_id', formId)
+      .is('deleted_at', null)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 is "no rows returned"
+      throw new Error(`Failed to fetch submission: ${error.message}`);
+    }
+
+    if (!submission) {
+      throw new ApiError('Submission not found', { code: 'SUBMISSION_NOT_FOUND', status: 404 });
+    }
+
+    if (submission.status === 'completed') {
+      throw new ApiError('Submission has already been completed', {
+        code: 'SUBMISSION_ALREADY_COMPLETED',
+        status: 409
+      });
+    }
+
+    return submission;
+  }
+
+  /**
+   * Load an in-progress submission for the respondent who started it
+   * @private
+   * @throws {ApiError} INVALID_RESPONDENT_TOKEN, besides those of _getOpenSubmission
+   */
+  async _getRespondentSubmission(formId, submissionId, respondentToken) {
+    const submission = await this._getOpenSubmission(formId, submissionId);
+    policyService.assertRespondent(submission, respondentToken);
+    return submission;
+  }
+
+  /**
+   * Give a respondent who proved who they are another way (a resume link or
+   * a verified email) a new respondent token. The previous one stops working.
+   * @private
+   * @returns {string} The new token
+   */
+  async _reissueRespondentToken(submissionId) {
+    const { token, hash } = policyService.createRespondentToken();
+
+    const { error } = await (this.adminClient || this.supabase)
+      .from('form_submissions')
+      .update({ respondent_token_hash: hash })
+      .eq('id', submissionId);
+
+    if (error) throw new Error(`Failed to update submission: ${error.message}`);
+    return token;
+  }
+
+  /**
+   * Complete a form submission
+   * Autosaved answers are completed with the responses sent along (which take
+   * precedence), and the result is validated before anything is finalized
+   * @throws {ApiError} INVALID_RESPONDENT_TOKEN without the token the submission was started with
+   */
+  async completeSubmission(formId, submissionId, responses = [], completionTime, respondentToken) {
+    const submission = await this._getRespondentSubmission(formId, submissionId, respondentToken);
+    const availability = await this._assertFormOpen(formId, { lang: submission.language });
+
+    // Anonymous submissions have no address to verify
+    if (availability?.verify_email && submission.email && !submission.email_verified) {
+      throw new ApiError('Verify your email address before submitting', { code: 'EMAIL_NOT_VERIFIED', status: 403 });
+    }
+
+    const { answeredResponses, scoring, outcome, variableValues } = await this._evaluateSubmission(submission, responses);
+
+    // The cap is claimed atomically so concurrent completions cannot overshoot it
+    await this._claimSubmissionSlot(formId, availability);
+
+    // Submissions started in parallel under one_per_period are only let
+    // through one at a time here, where the period is checked again. The
+    // final answers replace the autosaved ones in the same transaction.
+    const periodHours = policyService.getPolicy(availability) === 'one_per_period'
+      ? availability.submission_period_hours
+      : null;
+    const { data, error: submissionError } = await (this.adminClient || this.supabase).rpc('complete_submission', {
+      p_submission_id: submissionId,
+      p_completion_time: completionTime ?? null,
+      p_responses: this._formatResponseRows(answeredResponses, scoring),
+      p_variables: variableValues,
+      ...this._formatScoreParams(scoring, outcome),
+      p_period_hours: periodHours
+    });
+    const result = Array.isArray(data) ? data[0] : data;
+
+    if (submissionError || result?.outcome !== 'completed') {
+      await this._releaseSubmissionSlot(formId);
+      if (submissionError) throw new Error(`Failed to update submission: ${submissionError.message}`);
+      if (result?.outcome === 'period_taken') {
+        throw policyService.periodTakenError(availability, result.last_completed_at);
+      }
+      throw new ApiError('Submission has already been completed', {
+        code: 'SUBMISSION_ALREADY_COMPLETED',
+        status: 409
+      });
+    }
+
+    // Update analytics
+    await this.updateFormAnalytics(formId);
+
+    return this._formatCompletion(scoring, outcome);
+  }
+
+  /**
+   * Edit a completed submission within the form's edit window. Responses are
+   * merged with the current answers like on completion; the answers they
+   * replace are kept as a revision.
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - The completed submission
+   * @param {Array<{questionId: string, data: Object|null}>} responses - Changed answers
+   * @param {string} respondentToken - Token returned when the submission was started
+   * @returns {Object} As completeSubmission, plus the new `revision` number
+   * @throws {ApiError} EDITS_NOT_ALLOWED, INVALID_RESPONDENT_TOKEN, EDIT_WINDOW_CLOSED,
+   *   SUBMISSION_NOT_COMPLETED, SUBMISSION_EDIT_CONFLICT or VALIDATION_ERROR
+   */
+  async editSubmission(formId, submissionId, responses = [], respondentToken) {
+    const client = this.adminClient || this.supabase;
+
+    const { data: submission, error: fetchError } = await client
+      .from('form_submissions')
+      .select('*')
+      .eq('id', submissionId)
+      .eq('form_id', formId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(`Failed to fetch submission: ${fetchError.message}`);
+    if (!submission) {
+      throw new ApiError('Submission not found', { code: 'SUBMISSION_NOT_FOUND', status: 404 });
+    }
+
+    if (submission.status !== 'completed') {
+      throw new ApiError('Only completed submissions can be edited', { code: 'SUBMISSION_NOT_COMPLETED', status: 409 });
+    }
+
+    // Edits do not take another place under the response cap
+    const settings = await this._assertFormOpen(formId, { lang: submission.language, ignoreCap: true });
+    policyService.assertCanEdit(settings, submission, respondentToken);
+
+    const { answeredResponses, scoring, outcome, variableValues } = await this._evaluateSubmission(submission, responses);
+
+    // The answers being replaced become a revision and the new ones are stored
+    // in one transaction. It only goes through if no other edit was saved
+    // since the submission was read.
+    const { data: revision, error: editError } = await client.rpc('edit_submission', {
+      p_submission_id: submissionId,
+      p_revision_count: submission.revision_count || 0,
+      p_responses: this._formatResponseRows(answeredResponses, scoring),
+      p_variables: variableValues,
+      ...this._formatScoreParams(scoring, outcome)
+    });
+
+    if (editError) throw new Error(`Failed to edit submission: ${editError.message}`);
+    if (!revision) {
+      throw new ApiError('The submission was edited at the same time; reload it and try again', {
+        code: 'SUBMISSION_EDIT_CONFLICT',
+        status: 409
+      });
+    }
+
+    await this.updateFormAnalytics(formId);
+
+    return { ...this._formatCompletion(scoring, outcome), revision };
+  }
+
+  /**
+   * List the earlier versions of an edited submission, oldest first
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID
+   * @throws {ApiError} SUBMISSION_NOT_FOUND
+   */
+  async listSubmissionRevisions(formId, submissionId) {
+    const { data: submission, error: fetchError } = await this.supabase
+      .from('form_submissions')
+      .select('id, revision_count, edited_at')
+      .eq('id', submissionId)
+      .eq('form_id', formId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!submission) {
+      throw new ApiError('Submission not found', { code: 'SUBMISSION_NOT_FOUND', status: 404 });
+    }
+
+    const { data, error } = await this.supabase
+      .from('submission_revisions')
+      .select('*')
+      .eq('submission_id', submissionId)
+      .order('revision_number', { ascending: true });
+
+    if (error) throw error;
+    return { submission_id: submissionId, edited_at: submission.edited_at, revisions: data };
+  }
+
+  /**
+   * Validate a submission's answers (autosaved ones merged with those sent)
+   * against the version it was started on, and score and calculate them
+   * @private
+   * @returns {{answeredResponses: Array<Object>, scoring: Object|null, outcome: Object|null, variableValues: Object}}
+   */
+  async _evaluateSubmission(submission, responses) {
+    // Validate against the version the respondent was shown, not the draft
+    const { questions, settings, variables } = await this._getSubmissionSnapshot(submission);
+    const hiddenFields = submission.hidden_fields || {};
+
+    const resolved = await this._resolveWithSavedAnswers(submission, questions, variables, responses);
+    const { answers, visibleQuestionIds } = resolved;
+    validationService.assertValidResponses(questions, resolved.responses, { visibleQuestionIds });
+
+    // Skipped optional questions are not stored
+    const answeredResponses = resolved.responses.filter(response => {
+      const question = questions.find(q => q.id === response.questionId);
+      return !validationService.isEmpty(question, response.data);
+    });
+
+    await this._assertSubmissionFiles(submission.id, questions, answeredResponses);
+
+    // Quizzes are scored against the answer key of the submission's version
+    const scoring = settings?.is_quiz
+      ? scoringService.scoreSubmission(questions, answers, visibleQuestionIds)
+      : null;
+    // The score-band ending is returned in the language the respondent answered in
+    const outcome = scoring
+      ? scoringService.getOutcome(translationService.localizeSettings(settings, submission.language), scoring.percentage)
+      : null;
+
+    // Variables are calculated from the answers the respondent could see
+    const variableValues = variableService.evaluate(variables, {
+      questions,
+      answers: new Map([...answers].filter(([questionId]) => visibleQuestionIds.has(questionId))),
+      hiddenFields
+    });
+
+    return { answeredResponses, scoring, outcome, variableValues };
+  }
+
+  /**
+   * Response rows for final answers, marked and scored on quizzes
+   * @private
+   */
+  _formatResponseRows(answeredResponses, scoring) {
+    return answeredResponses.map(response => {
+      const result = scoring?.results.get(response.questionId);
+      return {
+        question_id: response.questionId,
+        response_data: response.data,
+        ...(result && { is_correct: result.is_correct, score: result.score })
+      };
+    });
+  }
+
+  /**
+   * Score parameters of the completion and edit RPCs; null outside quizzes
+   * @private
+   */
+  _formatScoreParams(scoring, outcome) {
+    return {
+      p_score: scoring ? scoring.score : null,
+      p_max_score: scoring ? scoring.max_score : null,
+      p_score_percentage: scoring ? scoring.percentage : null,
+      p_passed: scoring ? outcome.passed : null
+    };
+  }
+
+  /**
+   * Response to a completed (or edited) submission
+   * @private
+   */
+  _formatCompletion(scoring, outcome) {
+    if (!scoring) {
+      return { success: true };
+    }
+
+    return {
+      success: true,
+      score: {
+        score: scoring.score,
+        max_score: scoring.max_score,
+        percentage: scoring.percentage,
+        passed: outcome.passed
+      },
+      // Ending page for the respondent's score band; null falls back to the default ending
+      ending: outcome.ending
+    };
+  }
+
+  /**
+   * Count a completion against the form's response cap
+   * @private
+   * @param {string} formId - Form ID
+   * @param {Object|null} settings - Live settings, for the closed message
+   * @throws {ApiError} FORM_CLOSED when the cap was reached in the meantime
+   */
+  async _claimSubmissionSlot(formId, settings) {
+    const client = this.adminClient || this.supabase;
+
+    const { data: claimed, error } = await client.rpc('claim_submission_slot', { p_form_id: formId });
+    if (error) throw new Error(`Failed to claim submission slot: ${error.message}`);
+
+    if (!claimed) {
+      throw availabilityService.closedError(settings, 'full');
+    }
+  }
+
+  /**
+   * Give back a slot whose completion was not stored
+   * @private
+   */
+  async _releaseSubmissionSlot(formId) {
+    const client = this.adminClient || this.supabase;
+
+    const { error } = await client.rpc('release_submission_slot', { p_form_id: formId });
+    if (error) {
+      console.error('[FormService] Error releasing submission slot:', error);
+    }
+  }
+
+  /**
+   * Count a restored completion again. Owners restoring responses are not
+   * held to the cap.
+   * @private
+   */
+  async _reclaimSubmissionSlot(formId) {
+    const client = this.adminClient || this.supabase;
+
+    const { error } = await client.rpc('reclaim_submission_slot', { p_form_id: formId });
+    if (error) throw new Error(`Failed to reclaim submission slot: ${error.message}`);
+  }
+
+  /**
+   * Validate the answers to one page of an in-progress submission before the
+   * respondent moves on. Nothing is stored.
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID from startSubmission
+   * @param {number} pageNumber - Page being left, from the public form's `pages`
+   * @param {Array<{questionId: string, data: Object}>} responses - Answers so far
+   *   that were not autosaved; earlier pages are needed to evaluate conditional logic
+   * @returns {{page: number, next_page: number|null}} `next_page` is null when the
+   *   form can be completed
+   * @param {string} respondentToken - Token returned when the submission was started
+   * @throws {ApiError} INVALID_RESPONDENT_TOKEN, PAGE_NOT_FOUND or VALIDATION_ERROR
+   */
+  async validatePage(formId, submissionId, pageNumber, responses, respondentToken) {
+    const submission = await this._getRespondentSubmission(formId, submissionId, respondentToken);
+    const { questions, variables } = await this._getSubmissionSnapshot(submission);
+
+    const pages = pageService.getPages(questions);
+    const page = pages.find(candidate => candidate.number === pageNumber);
+    if (!page) {
+      throw new ApiError('Page not found', { code: 'PAGE_NOT_FOUND', status: 404 });
+    }
+
+    const resolved = await this._resolveWithSavedAnswers(submission, questions, variables, responses);
+    const onPage = new Set([page.section_id, ...page.question_ids].filter(Boolean));
+
+    validationService.assertValidResponses(
+      questions.filter(question => onPage.has(question.id)),
+      resolved.responses.filter(response => onPage.has(response.questionId)),
+      { visibleQuestionIds: resolved.visibleQuestionIds }
+    );
+
+    return {
+      page: page.number,
+      next_page: pageService.getNextPage(pages, page.number, resolved.visibleQuestionIds)
+    };
+  }
+
+  /**
+   * Autosave answers of an in-progress submission. Each answer is checked on
+   * its own: required questions and conditional logic are only enforced when
+   * the submission is completed. An empty answer (`data: null`) clears the
+   * saved one. Nothing is saved unless every answer is valid.
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID from startSubmission
+   * @param {Array<{questionId: string, data: Object|null}>} responses - Answers to save
+   * @param {string} respondentToken - Token returned when the submission was started
+   * @returns {Array<{questionId: string, data: Object, saved_at: string}>} All saved answers
+   * @throws {ApiError} INVALID_RESPONDENT_TOKEN or VALIDATION_ERROR
+   */
+  async saveAnswers(formId, submissionId, responses, respondentToken) {
+    const submission = await this._getRespondentSubmission(formId, submissionId, respondentToken);
+    await this._assertFormOpen(formId, { lang: submission.language });
+    const questions = await this._getSubmissionQuestions(submission);
+
+    // Hidden questions only ever take prefilled values
+    validationService.assertValidResponses(
+      questions.map(question => ({ ...question, is_required: false })),
+      responses,
+      { visibleQuestionIds: new Set(questions.filter(q => !q.properties?.hidden).map(q => q.id)) }
+    );
+
+    const isCleared = (response) => validationService.isEmpty(
+      questions.find(q => q.id === response.questionId),
+      response.data
+    );
+    const answered = responses.filter(response => !isCleared(response));
+    const cleared = responses.filter(isCleared);
+
+    await this._assertSubmissionFiles(submissionId, questions, answered);
+
+    const client = this.adminClient || this.supabase;
+    const savedAt = new Date().toISOString();
+
+    if (answered.length > 0) {
+      const { error } = await client
+        .from('question_responses')
+        .upsert(answered.map(response => ({
+          submission_id: submissionId,
+          question_id: response.questionId,
+          response_data: response.data,
+          updated_at: savedAt
+        })), { onConflict: 'submission_id,question_id' });
+
+      if (error) throw new Error(`Failed to save answers: ${error.message}`);
+    }
+
+    if (cleared.length > 0) {
+      const { error } = await client
+        .from('question_responses')
+        .delete()
+        .eq('submission_id', submissionId)
+        .in('question_id', cleared.map(response => response.questionId));
+
+      if (error) throw new Error(`Failed to clear answers: ${error.message}`);
+    }
+
+    return this._getSavedAnswers(submissionId);
+  }
+
+  /**
+   * Save and continue later: email the respondent a signed link that reopens
+   * their in-progress submission, on any device, until it is completed
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID from startSubmission
+   * @param {Array<{questionId: string, data: Object|null}>} [responses] - Answers to
+   *   autosave before the link is sent; saving them needs the respondent token
+   * @param {string} [respondentToken] - Token returned when the submission was started
+   * @returns {{email: string, expires_at: string}}
+   * @throws {ApiError} RESUME_LINK_THROTTLED when a link was sent moments ago
+   */
+  async sendResumeLink(formId, submissionId, responses = [], respondentToken) {
+    const submission = await this._getOpenSubmission(formId, submissionId);
+    if (!submission.email) {
+      throw new ApiError('Anonymous submissions have no email to send a link to', { code: 'EMAIL_REQUIRED', status: 400 });
+    }
+
+    if (responses.length > 0) {
+      await this.saveAnswers(formId, submissionId, responses, respondentToken);
+    } else {
+      await this._assertFormOpen(formId, { lang: submission.language });
+    }
+
+    const client = this.adminClient || this.supabase;
+    const now = new Date();
+
+    // Claim the send so repeated requests cannot flood the respondent's inbox
+    const cutoff = new Date(now.getTime() - RESUME_LINK_COOLDOWN * 1000).toISOString();
+    const { data: claimed, error: claimError } = await client
+      .from('form_submissions')
+      .update({ resume_link_sent_at: now.toISOString() })
+      .eq('id', submissionId)
+      .or(`resume_link_sent_at.is.null,resume_link_sent_at.lt.${cutoff}`)
+      .select('id');
+
+    if (claimError) throw new Error(`Failed to update submission: ${claimError.message}`);
+    if (!claimed?.length) {
+      throw new ApiError('A resume link was sent moments ago', {
+        code: 'RESUME_LINK_THROTTLED',
+        status: 429,
+        details: { retry_after: RESUME_LINK_COOLDOWN }
+      });
+    }
+
+    const { data: form, error: formError } = await client
+      .from('forms')
+      .select('name, slug, workspaces!inner(slug)')
+      .eq('id', formId)
+      .single();
+
+    if (formError) throw new Error(`Failed to fetch form: ${formError.message}`);
+
+    const { token, expiresAt } = createSignedToken('submission-resume', {
+      form_id: formId,
+      submission_id: submissionId
+    }, RESUME_LINK_TTL);
+    const link = `${this._getShareableLink(form.workspaces.slug, form.slug)}?resume=${encodeURIComponent(token)}`;
+
+    try {
+      await emailService.sendResumeLink(submission.email, { formName: form.name, link, expiresAt });
+    } catch (error) {
+      // Let the respondent try again straight away
+      await client.from('form_submissions').update({ resume_link_sent_at: null }).eq('id', submissionId);
+      throw new Error(`Failed to send resume link: ${error.message}`);
+    }
+
+    console.log(`[FormService] Sent resume link for submission ${submissionId}`);
+    return { email: submission.email, expires_at: expiresAt };
+  }
+
+  /**
+   * Email the respondent a one-time code to confirm their address, on forms
+   * that verify respondent emails. A new code replaces the previous one.
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID from startSubmission
+   * @returns {{email: string, expires_at: string}|{email_verified: true}}
+   * @throws {ApiError} VERIFICATION_NOT_REQUIRED or VERIFICATION_THROTTLED
+   */
+  async sendVerificationCode(formId, submissionId) {
+    const submission = await this._getOpenSubmission(formId, submissionId);
+    const settings = await this._assertFormOpen(formId, { lang: submission.language });
+
+    if (!settings?.verify_email || !submission.email) {
+      throw new ApiError('This form does not verify respondent emails', {
+        code: 'VERIFICATION_NOT_REQUIRED',
+        status: 400
+      });
+    }
+    if (submission.email_verified) {
+      return { email_verified: true };
+    }
+
+    const client = this.adminClient || this.supabase;
+    const { data: current, error: fetchError } = await client
+      .from('submission_verifications')
+      .select('*')
+      .eq('submission_id', submissionId)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(`Failed to fetch verification: ${fetchError.message}`);
+    verificationService.assertCanResend(current);
+
+    // Conditional on the previous send so concurrent requests send one code
+    const { code, challenge } = verificationService.createChallenge(submissionId);
+    const { data: claimed, error } = current
+      ? await client
+        .from('submission_verifications')
+        .update(challenge)
+        .eq('submission_id', submissionId)
+        .eq('sent_at', current.sent_at)
+        .select('submission_id')
+      : await client
+        .from('submission_verifications')
+        .insert(challenge)
+        .select('submission_id');
+
+    if (error && error.code !== '23505') { // 23505 is a unique violation: another send won
+      throw new Error(`Failed to store verification code: ${error.message}`);
+    }
+    if (error || !claimed?.length) {
+      throw verificationService.throttledError();
+    }
+
+    const { data: form, error: formError } = await client
+      .from('forms')
+      .select('name')
+      .eq('id', formId)
+      .single();
+
+    if (formError) throw new Error(`Failed to fetch form: ${formError.message}`);
+
+    try {
+      await emailService.sendVerificationCode(submission.email, {
+        formName: form.name,
+        code,
+        expiresAt: challenge.expires_at
+      });
+    } catch (error) {
+      // Let the respondent try again straight away
+      await client.from('submission_verifications').delete().eq('submission_id', submissionId);
+      throw new Error(`Failed to send verification code: ${error.message}`);
+    }
+
+    console.log(`[FormService] Sent verification code for submission ${submissionId}`);
+    return { email: submission.email, expires_at: challenge.expires_at };
+  }
+
+  /**
+   * Confirm a respondent's email with the code sent by sendVerificationCode
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID from startSubmission
+   * @param {string} code - The six digits from the email
+   * @param {string} [respondentToken] - Token returned when the submission was started
+   * @returns {{email_verified: true, email_verified_at: string, answers: Array<Object>,
+   *   respondent_token?: string}} A caller without the respondent token gets a new one
+   * @throws {ApiError} INVALID_CODE, CODE_EXPIRED, TOO_MANY_ATTEMPTS or VERIFICATION_THROTTLED
+   */
+  async verifySubmissionEmail(formId, submissionId, code, respondentToken) {
+    const submission = await this._getOpenSubmission(formId, submissionId);
+    const isRespondent = policyService.isRespondent(submission, respondentToken);
+    if (submission.email_verified) {
+      // No code was checked this time, so only the token holder sees the answers
+      return {
+        email_verified: true,
+        email_verified_at: submission.email_verified_at,
+        answers: isRespondent ? await this._getSavedAnswers(submissionId) : []
+      };
+    }
+
+    const client = this.adminClient || this.supabase;
+    const { data: challenge, error: fetchError } = await client
+      .from('submission_verifications')
+      .select('*')
+      .eq('submission_id', submissionId)
+      .maybeSingle();
+
+    if (fetchError) throw new Error(`Failed to fetch verification: ${fetchError.message}`);
+    verificationService.assertCanAttempt(challenge);
+
+    // The guess is counted before it is checked, so parallel guesses cannot
+    // get past the limit
+    const attempts = challenge.attempts + 1;
+    const { data: counted, error: countError } = await client
+      .from('submission_verifications')
+      .update({ attempts })
+      .eq('submission_id', submissionId)
+      .eq('attempts', challenge.attempts)
+      .select('submission_id');
+
+    if (countError) throw new Error(`Failed to record attempt: ${countError.message}`);
+    if (!counted?.length) {
+      throw verificationService.throttledError(1);
+    }
+
+    if (!verificationService.matches(challenge, code)) {
+      throw verificationService.wrongCodeError(attempts);
+    }
+
+    const verifiedAt = new Date().toISOString();
+    const { error } = await client
+      .from('form_submissions')
+      .update({ email_verified: true, email_verified_at: verifiedAt })
+      .eq('id', submissionId);
+
+    if (error) throw new Error(`Failed to update submission: ${error.message}`);
+
+    await client.from('submission_verifications').delete().eq('submission_id', submissionId);
+
+    // A respondent carrying on from another device proved their email, so
+    // they get a token of their own and the answers held back until now
+    return {
+      email_verified: true,
+      email_verified_at: verifiedAt,
+      answers: await this._getSavedAnswers(submissionId),
+      ...(!isRespondent && { respondent_token: await this._reissueRespondentToken(submissionId) })
+    };
+  }
+
+  /**
+   * Turn a resume link token back into its in-progress submission
+   * @private
+   * @throws {ApiError} INVALID_TOKEN, TOKEN_EXPIRED, SUBMISSION_NOT_FOUND or
+   *   SUBMISSION_ALREADY_COMPLETED once the submission is completed
+   */
+  async _redeemResumeToken(formId, token) {
+    const payload = verifySignedToken('submission-resume', token);
+    if (payload.form_id !== formId) {
+      throw new ApiError('Invalid token', { code: 'INVALID_TOKEN', status: 401 });
+    }
+
+    return this._getOpenSubmission(formId, payload.submission_id);
+  }
+
+  /**
+   * Answers autosaved for a submission
+   * @private
+   * @returns {Array<{questionId: string, data: Object, saved_at: string}>}
+   */
+  async _getSavedAnswers(submissionId) {
+    const client = this.adminClient || this.supabase;
+
+    const { data, error } = await client
+      .from('question_responses')
+      .select('question_id, response_data, updated_at')
+      .eq('submission_id', submissionId)
+      .order('updated_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to fetch saved answers: ${error.message}`);
+
+    return (data || []).map(row => ({
+      questionId: row.question_id,
+      data: row.response_data,
+      saved_at: row.updated_at
+    }));
+  }
+
+  /**
+   * Resolve the sent responses together with the autosaved answers they do
+   * not replace. Saved answers to questions that the respondent's later
+   * answers hid are dropped rather than reported.
+   * @private
+   */
+  async _resolveWithSavedAnswers(submission, questions, variables, responses) {
+    const sent = new Set(responses.map(response => response?.questionId));
+    const saved = (await this._getSavedAnswers(submission.id))
+      .filter(answer => !sent.has(answer.questionId))
+      .map(({ questionId, data }) => ({ questionId, data }));
+
+    const { visibleQuestionIds } = this._resolveResponses(submission, questions, variables, [...responses, ...saved]);
+    return this._resolveResponses(submission, questions, variables, [
+      ...responses,
+      ...saved.filter(answer => visibleQuestionIds.has(answer.questionId))
+    ]);
+  }
+
+  /**
+   * Merge prefilled answers into submitted responses and work out which
+   * questions the respondent sees
+   * @private
+   * @returns {{responses: Array<Object>, answers: Map<string, Object>, visibleQuestionIds: Set<string>}}
+   */
+  _resolveResponses(submission, questions, variables, responses) {
+    // Hidden questions are never shown, so their answers come only from the
+    // values prefilled when the submission started
+    const prefilled = submission.prefilled_answers || {};
+    const hiddenQuestionIds = new Set(questions.filter(q => q.properties?.hidden).map(q => q.id));
+    const merged = [
+      ...responses.filter(response => !response || !hiddenQuestionIds.has(response.questionId)),
+      ...Object.entries(prefilled)
+        .filter(([questionId]) => hiddenQuestionIds.has(questionId))
+        .map(([questionId, data]) => ({ questionId, data }))
+    ];
+
+    // Apply conditional logic so hidden branches are neither required nor answerable
+    const answers = new Map(
+      merged
+        .filter(response => response && response.questionId)
+        .map(response => [response.questionId, response.data])
+    );
+    const visibleQuestionIds = logicService.getVisibleQuestionIds(questions, answers, {
+      variables,
+      hiddenFields: submission.hidden_fields || {}
+    });
+
+    // A hidden question without a prefilled value could never be answered
+    hiddenQuestionIds.forEach(questionId => {
+      if (!prefilled[questionId]) visibleQuestionIds.delete(questionId);
+    });
+
+    return { responses: merged, answers, visibleQuestionIds };
+  }
+
+  /**
+   * Make sure file answers only reference uploads made to this submission
+   * for the same question
+   * @private
+   */
+  async _assertSubmissionFiles(submissionId, questions, responses) {
+    const fileResponses = responses.filter(response =>
+      questions.find(q => q.id === response.questionId)?.type === 'file-upload'
+    );
+    if (fileResponses.length === 0) return;
+
+    const client = this.adminClient || this.supabase;
+    const { data: files, error } = await client
+      .from('submission_files')
+      .select('id, question_id')
+      .eq('submission_id', submissionId);
+
+    if (error) throw new Error(`Failed to fetch submission files: ${error.message}`);
+
+    const fileQuestions = new Map((files || []).map(file => [file.id, file.question_id]));
+    const details = {};
+
+    fileResponses.forEach(response => {
+      const unknown = response.data.fileIds.filter(fileId => fileQuestions.get(fileId) !== response.questionId);
+      if (unknown.length > 0) {
+        details[response.questionId] = {
+          code: 'INVALID_FILE',
+          message: 'Response references files that were not uploaded for this question'
+        };
+      }
+    });
 
-      if (error) throw error;
-      return true;
-    } catch (error) {
-      throw error;
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Response validation failed', {
+        code: 'VALIDATION_ERROR',
+        status: 400,
+        details
+      });
     }
   }
 
   /**
-   * Start a form submission
+   * Upload a file for a file-upload question of an in-progress submission
+   * @param {string} formId - Form ID
+   * @param {string} submissionId - Submission ID from startSubmission
+   * @param {string} questionId - The file-upload question
+   * @param {{fileName: string, mimeType: string, buffer: Buffer}} file - The upload
+   * @param {string} respondentToken - Token returned when the submission was started
+   * @returns {Object} The stored file record; its `id` goes into the answer's `fileIds`
    */
-  async startSubmission(formId, email, req) {
-    try {
-      console.log(`[FormService] Starting submission for form ${formId} with email ${email}`);
-      
-      // Use admin client for public operations
-      const client = this.adminClient || this.supabase;
+  async uploadSubmissionFile(formId, submissionId, questionId, { fileName, mimeType, buffer }, respondentToken) {
+    const submission = await this._getRespondentSubmission(formId, submissionId, respondentToken);
+    const questions = await this._getSubmissionQuestions(submission);
+    const question = questions.find(q => q.id === questionId);
 
-      // First check if a submission exists
-      const { data: existingSubmission, error: checkError } = await client
-        .from('form_submissions')
-        .select('*')
-        .eq('form_id', formId)
-        .eq('email', email)
-        .single();
-
-      if (checkError && checkError.code !== 'PGRST116') { // PGRST116 is "no rows returned"
-        console.error('[FormService] Error checking existing submission:', checkError);
-        throw new Error('Failed to check existing submission');
-      }
-
-      // If submission exists
-      if (existingSubmission) {
-        // If completed, return error with more details
-        if (existingSubmission.status === 'completed') {
-          console.log('[FormService] Found completed submission:', {
-            submissionId: existingSubmission.id,
-            formId: existingSubmission.form_id,
-            email: existingSubmission.email,
-            completedAt: existingSubmission.completed_at
-          });
-          return {
-            error: true,
-            message: `This form has already been completed by ${email} on ${new Date(existingSubmission.completed_at).toLocaleString()}`,
-            submission: {
-              id: existingSubmission.id,
-              completedAt: existingSubmission.completed_at,
-              email: existingSubmission.email
-            }
-          };
-        }
-        // If in progress, return it to continue
-        console.log('[FormService] Found in-progress submission:', {
-          submissionId: existingSubmission.id,
-          formId: existingSubmission.form_id,
-          email: existingSubmission.email,
-          startedAt: existingSubmission.started_at,
-          status: existingSubmission.status
-        });
-        return existingSubmission;
-      }
+    if (!question) {
+      throw new ApiError('Question not found', { code: 'QUESTION_NOT_FOUND', status: 404 });
+    }
 
-      // Create new submission
-      const now = new Date().toISOString();
-      const { data: submission, error: submissionError } = await client
-        .from('form_submissions')
-        .insert({
-          form_id: formId,
-          email,
-          status: 'in_progress',
-          started_at: now,
-          metadata: {
-            user_agent: req?.headers?.['user-agent'],
-            ip_address: req?.ip
-          }
-        })
-        .select()
-        .single();
+    if (question.type !== 'file-upload') {
+      throw new ApiError('Question does not accept files', { code: 'INVALID_QUESTION_TYPE', status: 400 });
+    }
 
-      if (submissionError) {
-        console.error('[FormService] Error creating submission:', submissionError);
-        throw new Error('Failed to create submission');
-      }
+    // Keep only the base name; the storage key never contains user input
+    const safeName = String(fileName || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').slice(0, 255);
+    if (!safeName) {
+      throw new ApiError('File name is required', { code: 'INVALID_FILE_NAME', status: 400 });
+    }
 
-      console.log('[FormService] Successfully created new submission:', {
-        submissionId: submission.id,
-        formId: submission.form_id,
-        email: submission.email,
-        startedAt: submission.started_at,
-        status: submission.status
+    const fileError = validationService.validateFile(question, { mimeType, size: buffer.length });
+    if (fileError) {
+      throw new ApiError(fileError.message, {
+        code: fileError.code,
+        status: { FILE_TOO_LARGE: 413, UNSUPPORTED_FILE_TYPE: 415 }[fileError.code] || 400
       });
+    }
 
-      return submission;
-    } catch (error) {
-      console.error('[FormService] Error in startSubmission:', error);
-      throw error;
+    const client = this.adminClient || this.supabase;
+    const { count, error: countError } = await client
+      .from('submission_files')
+      .select('id', { count: 'exact', head: true })
+      .eq('submission_id', submissionId)
+      .eq('question_id', questionId);
+
+    if (countError) throw new Error(`Failed to count uploaded files: ${countError.message}`);
+
+    const { max_files: maxFiles } = validationService.getFileLimits(question);
+    const tooManyFiles = () => new ApiError(`At most ${maxFiles} file(s) can be uploaded for this question`, {
+      code: 'TOO_MANY_FILES',
+      status: 409
+    });
+    // Checked up front to spare storing the bytes; the insert enforces it
+    if (count >= maxFiles) throw tooManyFiles();
+
+    const fileId = crypto.randomUUID();
+    const storageKey = `${formId}/${submissionId}/${fileId}`;
+    await storage.save(storageKey, buffer, { contentType: mimeType });
+
+    const removeUpload = () => storage.remove(storageKey).catch(removeError => {
+      console.error('[FormService] Failed to clean up orphaned upload:', removeError);
+    });
+
+    // Inserted only while the question is under its limit, so concurrent
+    // uploads cannot go past max_files
+    const { data: inserted, error } = await client.rpc('insert_submission_file', {
+      p_id: fileId,
+      p_submission_id: submissionId,
+      p_form_id: formId,
+      p_question_id: questionId,
+      p_file_name: safeName,
+      p_mime_type: mimeType,
+      p_size: buffer.length,
+      p_storage_key: storageKey,
+      p_max_files: maxFiles
+    });
+
+    if (error) {
+      await removeUpload();
+      throw new Error(`Failed to save file: ${error.message}`);
     }
+    if (!inserted?.length) {
+      await removeUpload();
+      throw tooManyFiles();
+    }
+
+    const [{ id, question_id, file_name, mime_type, size, created_at }] = inserted;
+    const file = { id, question_id, file_name, mime_type, size, created_at };
+
+    console.log('[FormService] Stored upload:', { submissionId, questionId, fileId, size: buffer.length });
+    return file;
   }
 
   /**
-   * Complete a form submission
+   * Remove an upload from an in-progress submission
    */
-  async completeSubmission(formId, submissionId, responses, completionTime) {
-    const { error: submissionError } = await this.supabase
-      .from('form_submissions')
-      .update({
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        completion_time: completionTime
-      })
-      .eq('id', submissionId)
-      .eq('form_id', formId);
+  async deleteSubmissionFile(formId, submissionId, fileId, respondentToken) {
+    await this._getRespondentSubmission(formId, submissionId, respondentToken);
+    const client = this.adminClient || this.supabase;
+
+    const { data: file, error } = await client
+      .from('submission_files')
+      .delete()
+      .eq('id', fileId)
+      .eq('submission_id', submissionId)
+      .select('storage_key')
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to delete file: ${error.message}`);
+    if (!file) {
+      throw new ApiError('File not found', { code: 'FILE_NOT_FOUND', status: 404 });
+    }
 
-    if (submissionError) throw new Error(`Failed to update submission: ${submissionError.message}`);
+    await storage.remove(file.storage_key);
+  }
 
-    // Insert responses
-    const formattedResponses = responses.map(response => ({
-      submission_id: submissionId,
-      question_id: response.questionId,
-      response_data: response.data
-    }));
+  /**
+   * Uploaded files of a submission with expiring download URLs
+   * @private
+   */
+  async _getSubmissionFiles(submissionId) {
+    const { data: files, error } = await this.supabase
+      .from('submission_files')
+      .select('*')
+      .eq('submission_id', submissionId)
+      .order('created_at', { ascending: true });
 
-    const { error: responsesError } = await this.supabase
-      .from('question_responses')
-      .insert(formattedResponses);
+    if (error) throw new Error(`Failed to fetch submission files: ${error.message}`);
 
-    if (responsesError) throw new Error(`Failed to save responses: ${responsesError.message}`);
+    return Promise.all((files || []).map(async ({ storage_key: storageKey, ...file }) => {
+      const { url, expiresAt } = await storage.getDownloadUrl(storageKey, {
+        fileName: file.file_name,
+        contentType: file.mime_type,
+        expiresIn: FILE_URL_TTL
+      });
+      return { ...file, download_url: url, download_expires_at: expiresAt };
+    }));
+  }
 
-    // Update analytics
-    await this.updateFormAnalytics(formId);
+  /**
+   * Resolve a signed download token issued with submission details
+   * @param {string} token - Token from a download URL
+   * @returns {{buffer: Buffer, fileName: string, contentType: string}}
+   */
+  async getFileDownload(token) {
+    const { key, name, type } = verifySignedToken('file-download', token);
 
-    return { success: true };
+    try {
+      return { buffer: await storage.read(key), fileName: name, contentType: type };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ApiError('File not found', { code: 'FILE_NOT_FOUND', status: 404 });
+      }
+      throw error;
+    }
   }
 
   /**
@@ -908,7 +3925,9 @@ class FormService {
       limit = 10,
       sortBy = 'created_at',
       sortOrder = 'desc',
-      status
+      status,
+      hiddenFields,
+      variables
     } = options;
 
     const offset = (page - 1) * limit;
@@ -922,6 +3941,7 @@ class FormService {
         )
       `)
       .eq('form_id', formId)
+      .is('deleted_at', null)
       .order(sortBy, { ascending: sortOrder === 'asc' })
       .range(offset, offset + limit - 1);
 
@@ -929,6 +3949,9 @@ class FormService {
       query = query.eq('status', status);
     }
 
+    query = this._filterByJsonFields(query, 'hidden_fields', hiddenFields);
+    query = this._filterByJsonFields(query, 'variables', variables);
+
     const { data: submissions, error, count } = await query;
 
     if (error) throw new Error(`Failed to fetch submissions: ${error.message}`);
@@ -944,6 +3967,29 @@ class FormService {
     };
   }
 
+  /**
+   * Narrow a form_submissions query to exact values inside a JSON column
+   * (hidden field values or calculated variables)
+   * @private
+   * @param {Object} query - Supabase query builder
+   * @param {'hidden_fields'|'variables'} column - JSON column to filter on
+   * @param {Object} [filters] - Name to required value, compared as text
+   * @throws {ApiError} INVALID_FILTER for names that cannot be field names
+   */
+  _filterByJsonFields(query, column, filters) {
+    if (!filters) {
+      return query;
+    }
+
+    return Object.entries(filters).reduce((filtered, [name, value]) => {
+      // The name becomes part of the column path, so only plain identifiers are allowed
+      if (!validationService.isFieldName(name) || typeof value !== 'string') {
+        throw new ApiError(`Invalid ${column} filter "${name}"`, { code: 'INVALID_FILTER', status: 400 });
+      }
+      return filtered.eq(`${column}->>${name}`, value);
+    }, query);
+  }
+
   /**
    * Get submission details
    */
@@ -958,12 +4004,100 @@ class FormService {
         )
       `)
       .eq('id', submissionId)
+      .is('deleted_at', null)
       .single();
 
     if (error) throw new Error(`Failed to fetch submission: ${error.message}`);
+
+    // Render against the questions the submission was answered on
+    submission.questions = await this._getSubmissionQuestions(submission);
+    submission.files = await this._getSubmissionFiles(submissionId);
     return submission;
   }
 
+  /**
+   * Move a submission to the trash. It leaves the form's lists, exports and
+   * analytics until it is restored.
+   * @throws {ApiError} SUBMISSION_NOT_FOUND
+   */
+  async deleteSubmission(formId, submissionId) {
+    const { data, error } = await this.supabase
+      .from('form_submissions')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', submissionId)
+      .eq('form_id', formId)
+      .is('deleted_at', null)
+      .select('id, status');
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new ApiError('Submission not found', { code: 'SUBMISSION_NOT_FOUND', status: 404 });
+    }
+
+    // A trashed completion no longer counts against the response cap
+    if (data[0].status === 'completed') {
+      await this._releaseSubmissionSlot(formId);
+    }
+
+    await this.updateFormAnalytics(formId);
+    return true;
+  }
+
+  /**
+   * Take a submission out of the trash
+   * @throws {ApiError} NOT_IN_TRASH, or DUPLICATE_SUBMISSION when the
+   *   respondent has submitted again since
+   */
+  async restoreSubmission(formId, submissionId) {
+    const { data: submission, error: fetchError } = await this.supabase
+      .from('form_submissions')
+      .select('id, email, dedupe_key, status')
+      .eq('id', submissionId)
+      .eq('form_id', formId)
+      .not('deleted_at', 'is', null)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+    if (!submission) {
+      throw new ApiError('Submission is not in the trash', { code: 'NOT_IN_TRASH', status: 404 });
+    }
+
+    // Only submissions made under the one-per-email policy can clash
+    const { data: current, error: currentError } = submission.dedupe_key
+      ? await this.supabase
+        .from('form_submissions')
+        .select('id')
+        .eq('form_id', formId)
+        .eq('dedupe_key', submission.dedupe_key)
+        .is('deleted_at', null)
+      : { data: [], error: null };
+
+    if (currentError) throw currentError;
+    if (current.length > 0) {
+      throw new ApiError(`${submission.email} has submitted this form again since`, {
+        code: 'DUPLICATE_SUBMISSION',
+        status: 409
+      });
+    }
+
+    const { data: restored, error } = await this.supabase
+      .from('form_submissions')
+      .update({ deleted_at: null })
+      .eq('id', submissionId)
+      .not('deleted_at', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+
+    // Counted against the cap again, even if the form has filled up since
+    if (restored?.length && submission.status === 'completed') {
+      await this._reclaimSubmissionSlot(formId);
+    }
+
+    await this.updateFormAnalytics(formId);
+    return true;
+  }
+
   /**
    * Get form analytics
    */
@@ -989,25 +4123,46 @@ class FormService {
 
   /**
    * Get question analytics
+   * Aggregates the responses of completed submissions according to the question type
    */
   async getQuestionAnalytics(questionId, options = {}) {
     const { startDate, endDate } = options;
+
+    const { data: question, error: questionError } = await this.supabase
+      .from('questions')
+      .select(`
+        *,
+        choices:question_choices (
+          id,
+          text,
+          order,
+          is_correct,
+          points
+        )
+      `)
+      .eq('id', questionId)
+      .single();
+
+    if (questionError) throw new Error(`Failed to fetch question: ${questionError.message}`);
+
     let query = this.supabase
-      .from('question_analytics')
-      .select('*')
-      .eq('question_id', questionId);
+      .from('question_responses')
+      .select('response_data, is_correct, submitted_at, form_submissions!inner(status)')
+      .eq('question_id', questionId)
+      .eq('form_submissions.status', 'completed')
+      .is('form_submissions.deleted_at', null);
 
     if (startDate) {
-      query = query.gte('date', startDate);
+      query = query.gte('submitted_at', startDate);
     }
     if (endDate) {
-      query = query.lte('date', endDate);
+      query = query.lte('submitted_at', endDate);
     }
 
-    const { data: analytics, error } = await query;
+    const { data: responses, error } = await query;
 
     if (error) throw new Error(`Failed to fetch question analytics: ${error.message}`);
-    return analytics;
+    return analyticsService.summarizeQuestion(question, responses);
   }
 
   /**
@@ -1024,7 +4179,8 @@ class FormService {
         .from('form_submissions')
         .select('completion_time')
         .eq('form_id', formId)
-        .eq('status', 'completed');
+        .eq('status', 'completed')
+        .is('deleted_at', null);
 
       if (submissionsError) {
         console.error('[FormService] Error fetching submissions:', submissionsError);
@@ -1079,7 +4235,8 @@ class FormService {
         )
       `)
       .eq('form_id', formId)
-      .eq('status', 'completed');
+      .eq('status', 'completed')
+      .is('deleted_at', null);
 
     if (error) throw new Error(`Failed to fetch data for export: ${error.message}`);
 
@@ -1094,9 +4251,16 @@ class FormService {
       started_at: submission.started_at,
       completed_at: submission.completed_at,
       completion_time: submission.completion_time,
+      language: submission.language,
+      ...Object.fromEntries(
+        Object.entries(submission.hidden_fields || {}).map(([name, value]) => [`hidden_${name}`, value])
+      ),
+      ...Object.fromEntries(
+        Object.entries(submission.variables || {}).map(([name, value]) => [`var_${name}`, value])
+      ),
       ...submission.question_responses.reduce((acc, response) => ({
         ...acc,
-        [`question_${response.question_id}`]: JSON.stringify(response.response_data)
+        ...this._flattenResponse(response)
       }), {})
     }));
 
@@ -1104,6 +4268,27 @@ class FormService {
     return parser.parse(flattenedData);
   }
 
+  /**
+   * CSV columns for a single response. Matrix answers get one column per row
+   * so each statement can be analysed on its own.
+   * @private
+   */
+  _flattenResponse(response) {
+    const data = response.response_data || {};
+    const column = `question_${response.question_id}`;
+
+    if (data.rows && typeof data.rows === 'object' && !Array.isArray(data.rows)) {
+      return Object.fromEntries(
+        Object.entries(data.rows).map(([rowId, selection]) => [
+          `${column}_row_${rowId}`,
+          Array.isArray(selection) ? selection.join('; ') : selection
+        ])
+      );
+    }
+
+    return { [column]: JSON.stringify(response.response_data) };
+  }
+
   /**
    * Initialize question hierarchy
    * This should be called once to set up hierarchy support
@@ -1184,6 +4369,8 @@ class FormService {
         `)
         .eq('workspace_id', workspace.id)
         .eq('slug', formSlug)
+        .is('deleted_at', null)
+        .is('questions.deleted_at', null)
         .single();
 
       if (formError) {
@@ -1217,7 +4404,7 @@ class FormService {
    * Get form by URL path
    * @param {string} path - The URL path after the domain (e.g., "my-workspace/my-form")
    */
-  async getFormByPath(path) {
+  async getFormByPath(path, query = {}, { acceptLanguage, accessToken, respondentToken } = {}) {
     try {
       console.log(`[FormService] Fetching form by path: ${path}`);
       
@@ -1229,87 +4416,109 @@ class FormService {
         throw new Error('Invalid form path format');
       }
 
-      // Use admin client to bypass RLS if available
-      const client = this.adminClient || this.supabase;
-
-      // First get the workspace by name (convert slug back to name format)
-      const workspaceName = workspaceSlug.replace(/-/g, ' ');
-      console.log('[FormService] Fetching workspace with name:', workspaceName);
-      
-      const { data: workspaces, error: workspaceError } = await client
-        .from('workspaces')
-        .select('id, name')
-        .ilike('name', workspaceName);
+      const { workspace, form: storedForm, moved } = await this._resolveFormPath(workspaceSlug, formSlug);
 
-      if (workspaceError) {
-        console.error('[FormService] Error fetching workspace:', workspaceError);
-        throw new Error('Failed to fetch workspace');
+      // Old links are sent on to the form's current slugs
+      if (moved) {
+        throw new ApiError('This form has moved', {
+          code: 'FORM_MOVED',
+          status: 301,
+          details: { workspace_slug: workspace.slug, form_slug: storedForm.slug }
+        });
       }
 
-      console.log('[FormService] Found workspaces:', workspaces);
-
-      if (!workspaces || workspaces.length === 0) {
-        console.error('[FormService] Workspace not found:', { workspaceName });
-        throw new Error('Workspace not found');
+      // A resume link stands in for the access check: the respondent was let
+      // in when they started the submission
+      const resumed = query.resume ? await this._redeemResumeToken(storedForm.id, query.resume) : null;
+      if (!resumed) {
+        await this._assertFormAccess(storedForm.id, { token: accessToken });
+      }
+      await this._assertFormOpen(storedForm.id, { lang: query.lang, acceptLanguage });
+
+      // A respondent resuming a submission gets the version they started on.
+      // Earlier answers are piped into the text, so only for its respondent.
+      const submission = resumed || (query.submission_id
+        ? await this._getRespondentSubmission(storedForm.id, query.submission_id, respondentToken)
+        : null);
+
+      // Respondents always get a published version, never the draft
+      const version = submission?.form_version_id
+        ? await this._getVersion(submission.form_version_id)
+        : await this._getLatestVersion(storedForm.id);
+
+      if (!version) {
+        console.error('[FormService] Form has no published version:', { formId: storedForm.id });
+        throw new Error('Published form not found');
       }
 
-      const workspaceId = workspaces[0].id;
-      const workspaceNameFound = workspaces[0].name;
-
-      console.log('[FormService] Using workspace:', {
-        id: workspaceId,
-        name: workspaceNameFound
-      });
+      const { snapshot } = version;
 
-      // Then get the form with its questions and settings
-      console.log('[FormService] Fetching form:', { workspaceId, formSlug });
-      const { data: forms, error: formError } = await client
-        .from('forms')
-        .select(`
-          *,
-          questions (
-            *,
-            choices:question_choices (
-              id,
-              text,
-              order
-            )
-          ),
-          settings:form_settings (*)
-        `)
-        .eq('workspace_id', workspaceId)
-        .ilike('name', formSlug.replace(/-/g, ' '));
+      // A resumed submission keeps its language; otherwise ?lang= or Accept-Language decides
+      const language = submission?.language ||
+        translationService.negotiateLanguage(snapshot.form, { lang: query.lang, acceptLanguage });
+      const questions = (snapshot.questions || []).map(question => translationService.localizeQuestion(question, language));
 
-      if (formError) {
-        console.error('[FormService] Error fetching form:', formError);
-        throw new Error('Failed to fetch form');
-      }
+      // Offer URL-parameter prefills for the questions the respondent sees;
+      // hidden questions are filled in when the submission starts
+      const prefills = this._getPrefilledAnswers(
+        questions.filter(question => !question.properties?.hidden),
+        query
+      );
 
-      console.log('[FormService] Found forms:', forms);
+      // Variable expressions can give away answer logic, so only their values are served
+      const { variables, ...publicForm } = snapshot.form;
+
+      const form = {
+        ...publicForm,
+        hidden_field_values: this._pickQueryHiddenFields(snapshot.form.hidden_fields, query),
+        // Quiz answer keys never reach respondents
+        questions: questions.map(question => {
+          const served = scoringService.stripAnswerKey(question);
+          return prefills[question.id] ? { ...served, prefill: prefills[question.id] } : served;
+        }),
+        // Page structure for multi-page rendering and the progress bar
+        pages: pageService.getPages(questions),
+        settings: translationService.localizeSettings(snapshot.settings, language),
+        language,
+        version: version.version_number,
+        published_at: version.published_at
+      };
 
-      if (!forms || forms.length === 0) {
-        console.error('[FormService] Form not found:', { workspaceId, formSlug });
-        throw new Error('Form not found');
+      form.shareable_link = this._getShareableLink(workspace.slug, storedForm.slug);
+
+      // The client needs the submission to carry on where the respondent left off
+      if (resumed) {
+        form.submission = {
+          id: resumed.id,
+          email: resumed.email,
+          status: resumed.status,
+          started_at: resumed.started_at,
+          language: resumed.language,
+          answers: await this._getSavedAnswers(resumed.id),
+          // Opening the link on another device hands that device the submission
+          ...(!policyService.isRespondent(resumed, respondentToken) && {
+            respondent_token: await this._reissueRespondentToken(resumed.id)
+          })
+        };
       }
 
-      const form = forms[0];
-
-      // Sort questions and choices by order
-      if (form.questions) {
-        form.questions.sort((a, b) => a.order - b.order);
-        form.questions.forEach(question => {
-          if (question.choices) {
-            question.choices.sort((a, b) => a.order - b.order);
-          }
+      if (submission) {
+        // Pipe earlier answers, hidden fields and variables into the text
+        const answers = await this._getSubmissionAnswers(submission);
+        const hiddenFields = submission.hidden_fields || {};
+
+        return pipingService.renderForm(form, {
+          questions: form.questions,
+          answers,
+          hiddenFields,
+          // Calculated as on completion: from the untranslated questions with their answer keys
+          variables: variableService.evaluate(variables, { questions: snapshot.questions || [], answers, hiddenFields })
         });
       }
 
-      // Add shareable link using the workspace name and form name
-      form.shareable_link = `${process.env.APP_URL || 'https://tagform.xyz'}/${this._createSlug(workspaceNameFound)}/${this._createSlug(form.name)}`;
-
       console.log(`[FormService] Successfully fetched form:`, {
         formId: form.id,
-        workspaceName: workspaceNameFound,
+        workspaceSlug: workspace.slug,
         formName: form.name,
         questionCount: form.questions?.length || 0
       });
@@ -1321,6 +4530,97 @@ class FormService {
     }
   }
 
+  /**
+   * Find the form a public link points to, strictly by the stored workspace
+   * and form slugs. Slugs the workspace or form had before resolve too, with
+   * `moved` set so the caller can redirect to the current link.
+   * @private
+   * @returns {{workspace: Object, form: Object, moved: boolean}}
+   */
+  async _resolveFormPath(workspaceSlug, formSlug) {
+    const client = this.adminClient || this.supabase;
+    let moved = false;
+
+    const findWorkspace = async (column, value) => {
+      const { data, error } = await client
+        .from('workspaces')
+        .select('id, name, slug')
+        .eq(column, value)
+        .maybeSingle();
+
+      if (error) throw new Error(`Failed to fetch workspace: ${error.message}`);
+      return data;
+    };
+    const findForm = async (column, value) => {
+      const { data, error } = await client
+        .from('forms')
+        .select('*')
+        .eq(column, value)
+        .eq('workspace_id', workspace.id)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (error) throw new Error(`Failed to fetch form: ${error.message}`);
+      return data;
+    };
+    const findRedirect = async (slug, workspaceId) => {
+      let query = client
+        .from('slug_redirects')
+        .select('workspace_id, form_id')
+        .eq('slug', slug);
+
+      query = workspaceId
+        ? query.eq('workspace_id', workspaceId).not('form_id', 'is', null)
+        : query.is('form_id', null);
+
+      const { data, error } = await query.maybeSingle();
+      if (error) throw new Error(`Failed to fetch slug history: ${error.message}`);
+      return data;
+    };
+
+    let workspace = await findWorkspace('slug', workspaceSlug);
+    if (!workspace) {
+      const redirect = await findRedirect(workspaceSlug);
+      workspace = redirect && await findWorkspace('id', redirect.workspace_id);
+      moved = true;
+    }
+    if (!workspace) {
+      console.error('[FormService] Workspace not found:', { workspaceSlug });
+      throw new Error('Workspace not found');
+    }
+
+    let form = await findForm('slug', formSlug);
+    if (!form) {
+      const redirect = await findRedirect(formSlug, workspace.id);
+      form = redirect && await findForm('id', redirect.form_id);
+      moved = true;
+    }
+    if (!form) {
+      console.error('[FormService] Form not found:', { workspaceId: workspace.id, formSlug });
+      throw new Error('Form not found');
+    }
+
+    return { workspace, form, moved };
+  }
+
+  /**
+   * Hidden field values from a public link's query string. Unlike
+   * startSubmission, malformed values are dropped rather than rejected so the
+   * form still loads.
+   * @private
+   */
+  _pickQueryHiddenFields(declared, query) {
+    const values = {};
+    (declared || []).forEach(name => {
+      try {
+        Object.assign(values, validationService.pickHiddenFields([name], query));
+      } catch (error) {
+        // e.g. a repeated parameter (?plan=a&plan=b) or an overly long value
+      }
+    });
+    return values;
+  }
+
   /**
    * Regenerate slugs for all forms in a workspace
    */
@@ -1329,7 +4629,7 @@ class FormService {
       // Get all forms in the workspace
       const { data: forms, error: fetchError } = await this.supabase
         .from('forms')
-        .select('id, name')
+        .select('id, name, slug')
         .eq('workspace_id', workspaceId);
 
       if (fetchError) {
@@ -1340,18 +4640,13 @@ class FormService {
       // Process each form
       const results = [];
       for (const form of forms) {
-        // Generate initial slug
-        let slug = this._createSlug(form.name);
-        let isUnique = await this._validateUniqueSlug(workspaceId, slug);
-        
-        // If slug exists, append a number until we find a unique one
-        let counter = 1;
-        while (!isUnique) {
-          slug = `${this._createSlug(form.name)}-${counter}`;
-          isUnique = await this._validateUniqueSlug(workspaceId, slug);
-          counter++;
+        if (form.slug === (this._createSlug(form.name) || 'form')) {
+          results.push({ formId: form.id, success: true, slug: form.slug });
+          continue;
         }
 
+        const slug = await this._generateUniqueSlug(workspaceId, form.name);
+
         // Update the form with the new slug
         const { data: updatedForm, error: updateError } = await this.supabase
           .from('forms')
@@ -1364,6 +4659,8 @@ class FormService {
           console.error(`[FormService] Error updating form ${form.id}:`, updateError);
           results.push({ formId: form.id, success: false, error: updateError });
         } else {
+          // Links shared with the old slug keep working
+          await this._recordSlugRedirect(workspaceId, form.id, form.slug, slug);
           console.log(`[FormService] Successfully updated form ${form.id} with slug:`, slug);
           results.push({ formId: form.id, success: true, slug });
         }
@@ -1376,7 +4673,7 @@ class FormService {
     }
   }
 
-  async listSubmissionsWithDetails(formId, { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = {}) {
+  async listSubmissionsWithDetails(formId, { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc', hiddenFields, variables } = {}) {
     try {
       console.log(`[FormService] Fetching submissions with details for form ${formId}`);
       
@@ -1403,6 +4700,7 @@ class FormService {
           )
         `)
         .eq('id', formId)
+        .is('questions.deleted_at', null)
         .single();
 
       if (formError) {
@@ -1411,7 +4709,7 @@ class FormService {
       }
 
       // Get submissions with responses
-      const { data: submissions, error: submissionsError, count } = await client
+      const submissionsQuery = client
         .from('form_submissions')
         .select(`
           *,
@@ -1423,9 +4721,16 @@ class FormService {
           )
         `, { count: 'exact' })
         .eq('form_id', formId)
+        .is('deleted_at', null)
         .order(sortBy, { ascending: sortOrder === 'asc' })
         .range((page - 1) * limit, page * limit - 1);
 
+      const { data: submissions, error: submissionsError, count } = await this._filterByJsonFields(
+        this._filterByJsonFields(submissionsQuery, 'hidden_fields', hiddenFields),
+        'variables',
+        variables
+      );
+
       if (submissionsError) {
         console.error('[FormService] Error fetching submissions:', submissionsError);
         throw new Error('Failed to fetch submissions');
@@ -1434,14 +4739,41 @@ class FormService {
       // Create a map of question IDs to questions for easy lookup
       const questionMap = new Map(form.questions.map(q => [q.id, q]));
 
+      // Submissions are described with the questions of the version they were answered on
+      const versionIds = [...new Set(submissions.map(s => s.form_version_id).filter(Boolean))];
+      const versionQuestionMaps = new Map();
+
+      if (versionIds.length > 0) {
+        const { data: versions, error: versionsError } = await client
+          .from('form_versions')
+          .select('id, snapshot')
+          .in('id', versionIds);
+
+        if (versionsError) {
+          console.error('[FormService] Error fetching form versions:', versionsError);
+          throw new Error('Failed to fetch form versions');
+        }
+
+        versions.forEach(version => {
+          versionQuestionMaps.set(
+            version.id,
+            new Map((version.snapshot.questions || []).map(q => [q.id, q]))
+          );
+        });
+      }
+
       // Enhance submissions with question details
-      const enhancedSubmissions = submissions.map(submission => ({
-        ...submission,
-        question_responses: submission.question_responses.map(response => ({
-          ...response,
-          question: questionMap.get(response.question_id)
-        })).sort((a, b) => (a.question?.order || 0) - (b.question?.order || 0))
-      }));
+      const enhancedSubmissions = submissions.map(submission => {
+        const submissionQuestions = versionQuestionMaps.get(submission.form_version_id) || questionMap;
+
+        return {
+          ...submission,
+          question_responses: submission.question_responses.map(response => ({
+            ...response,
+            question: submissionQuestions.get(response.question_id)
+          })).sort((a, b) => (a.question?.order || 0) - (b.question?.order || 0))
+        };
+      });
 
       console.log(`[FormService] Found ${enhancedSubmissions.length} submissions`);
 
@@ -0,0 +1,312 @@
+const variableService = require('./variableService');
+const { ApiError } = require('../utils/errors');
+
+const OPERATORS = [
+  'equals',
+  'not_equals',
+  'contains',
+  'not_contains',
+  'answered',
+  'not_answered',
+  'greater_than',
+  'less_than'
+];
+
+// Operators that compare against a value rather than just checking presence
+const VALUE_OPERATORS = OPERATORS.filter(op => !['answered', 'not_answered'].includes(op));
+
+const END_OF_FORM = 'end';
+
+/**
+ * Pull the comparable value out of a response `data` payload
+ * @private
+ */
+const answerValue = (data) => {
+  if (data === undefined || data === null || typeof data !== 'object') {
+    return undefined;
+  }
+
+  if (data.choiceIds !== undefined) return data.choiceIds;
+  if (data.choiceId !== undefined) return data.choiceId;
+  if (data.value !== undefined) return data.value;
+  if (data.text !== undefined) return data.text;
+  return data.date;
+};
+
+const isUnanswered = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+/**
+ * Evaluate a single condition against the answer it references
+ * @private
+ */
+const evaluateCondition = (condition, value) => {
+  switch (condition.operator) {
+    case 'answered':
+      return !isUnanswered(value);
+    case 'not_answered':
+      return isUnanswered(value);
+    case 'equals':
+      return Array.isArray(value)
+        ? value.length === 1 && value[0] === condition.value
+        : normalize(value) === normalize(condition.value);
+    case 'not_equals':
+      return !evaluateCondition({ ...condition, operator: 'equals' }, value);
+    case 'contains':
+      if (Array.isArray(value)) return value.includes(condition.value);
+      return typeof value === 'string' && normalize(value).includes(normalize(String(condition.value)));
+    case 'not_contains':
+      return !evaluateCondition({ ...condition, operator: 'contains' }, value);
+    case 'greater_than':
+      return !isUnanswered(value) && value > condition.value;
+    case 'less_than':
+      return !isUnanswered(value) && value < condition.value;
+    default:
+      return false;
+  }
+};
+
+class LogicService {
+  /**
+   * Flatten questions into respondent order: parents before their children,
+   * siblings by `order`
+   * @param {Array<Object>} questions - Question rows with `id`, `parent_id` and `order`
+   */
+  orderQuestions(questions) {
+    const byParent = new Map();
+    const ids = new Set(questions.map(q => q.id));
+
+    questions.forEach(question => {
+      // Questions whose parent is missing are treated as root questions
+      const key = question.parent_id && ids.has(question.parent_id) ? question.parent_id : null;
+      if (!byParent.has(key)) byParent.set(key, []);
+      byParent.get(key).push(question);
+    });
+
+    const ordered = [];
+    const visit = (parentId) => {
+      (byParent.get(parentId) || [])
+        .sort((a, b) => a.order - b.order)
+        .forEach(question => {
+          ordered.push(question);
+          visit(question.id);
+        });
+    };
+    visit(null);
+
+    return ordered;
+  }
+
+  /**
+   * Evaluate a condition group (`{ match: 'all'|'any', conditions: [...] }`)
+   * @param {Object} group - Condition group
+   * @param {Function} getValue - Returns the current answer value for a question ID
+   * @param {Function} [getVariable] - Returns the current value of a variable by name
+   */
+  evaluateGroup(group, getValue, getVariable = () => undefined) {
+    if (!group || !Array.isArray(group.conditions) || group.conditions.length === 0) {
+      return true;
+    }
+
+    const results = group.conditions.map(condition =>
+      evaluateCondition(
+        condition,
+        condition.variable !== undefined ? getVariable(condition.variable) : getValue(condition.question_id)
+      )
+    );
+
+    return group.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  /**
+   * Work out which questions a respondent actually sees given their answers.
+   * A question is visible when it is not skipped by an earlier jump, its
+   * parent is visible and its `show_if` conditions hold. Answers to hidden
+   * questions are ignored when evaluating later conditions.
+   * @param {Array<Object>} questions - The form's questions
+   * @param {Map<string, Object>} answers - Question ID to response `data`
+   * @param {Object} [context] - For conditions on calculated variables
+   * @param {Array<Object>} [context.variables] - The form's variable definitions
+   * @param {Object} [context.hiddenFields] - Hidden field name to value
+   * @returns {Set<string>} IDs of the visible questions
+   */
+  getVisibleQuestionIds(questions, answers, { variables = [], hiddenFields } = {}) {
+    const visible = new Set();
+    const getValue = (questionId) =>
+      visible.has(questionId) ? answerValue(answers.get(questionId)) : undefined;
+
+    // Variables are worked out from the answers to the questions shown so far
+    const getVariable = (name) => variableService.evaluate(variables, {
+      questions,
+      answers: new Map([...answers].filter(([questionId]) => visible.has(questionId))),
+      hiddenFields
+    })[name];
+
+    const questionIds = new Set(questions.map(q => q.id));
+    let jumpTarget = null;
+
+    for (const question of this.orderQuestions(questions)) {
+      if (jumpTarget === END_OF_FORM) break;
+
+      if (jumpTarget) {
+        if (question.id !== jumpTarget) continue;
+        jumpTarget = null;
+      }
+
+      if (question.parent_id && questionIds.has(question.parent_id) && !visible.has(question.parent_id)) {
+        continue;
+      }
+
+      const logic = question.logic || {};
+      if (!this.evaluateGroup(logic.show_if, getValue, getVariable)) {
+        continue;
+      }
+
+      visible.add(question.id);
+
+      // Jump conditions without a question_id test the question itself
+      const getJumpValue = (questionId) => getValue(questionId || question.id);
+      const jump = (logic.jumps || []).find(rule => this.evaluateGroup(rule.when, getJumpValue, getVariable));
+      if (jump) {
+        jumpTarget = jump.to;
+      }
+    }
+
+    return visible;
+  }
+
+  /**
+   * Validate a question's logic before it is saved
+   * @param {Object|null} logic - The logic definition
+   * @param {string|null} questionId - The question the logic belongs to (null for a new question)
+   * @param {Array<Object>} questions - Existing questions of the form
+   * @param {Array<Object>} [variables] - The form's variable definitions
+   * @throws {ApiError} INVALID_LOGIC with per-rule details
+   */
+  validateLogic(logic, questionId, questions, variables = []) {
+    if (logic === undefined || logic === null) {
+      return;
+    }
+
+    const details = {};
+
+    if (typeof logic !== 'object' || Array.isArray(logic)) {
+      details.logic = 'Logic must be an object';
+      this._throwIfInvalid(details);
+    }
+
+    // New questions are appended, so every existing question precedes them
+    const ordered = this.orderQuestions(questions);
+    const position = questionId ? ordered.findIndex(q => q.id === questionId) : ordered.length;
+    const questionMap = new Map(ordered.map((q, index) => [q.id, { question: q, index }]));
+    const keyPositions = new Map(ordered.map((q, index) => [q.key, index]).filter(([key]) => key));
+    const dependencies = variableService.getDependencies(variables);
+
+    // A variable can be tested once every question it is calculated from has been answered
+    const isVariableReady = (name, allowSelf) => [...dependencies.get(name)].every(key => {
+      const index = keyPositions.get(key);
+      return index < position || (allowSelf && index === position);
+    });
+
+    // `show_if` may only look back; jump conditions may also test the question itself
+    const validateGroup = (group, path, allowSelf) => {
+      if (!group || typeof group !== 'object') {
+        details[path] = 'Condition group must be an object';
+        return;
+      }
+
+      if (group.match !== undefined && !['all', 'any'].includes(group.match)) {
+        details[`${path}.match`] = 'match must be "all" or "any"';
+      }
+
+      if (!Array.isArray(group.conditions) || group.conditions.length === 0) {
+        details[`${path}.conditions`] = 'At least one condition is required';
+        return;
+      }
+
+      group.conditions.forEach((condition, index) => {
+        const conditionPath = `${path}.conditions[${index}]`;
+
+        if (condition && typeof condition === 'object' && condition.variable !== undefined) {
+          if (!dependencies.has(condition.variable)) {
+            details[conditionPath] = `Condition references an unknown variable "${condition.variable}"`;
+          } else if (!isVariableReady(condition.variable, allowSelf)) {
+            details[conditionPath] = 'Condition references a variable calculated from later questions';
+          } else if (!OPERATORS.includes(condition.operator)) {
+            details[conditionPath] = `Unknown operator "${condition.operator}"`;
+          } else if (VALUE_OPERATORS.includes(condition.operator) && condition.value === undefined) {
+            details[conditionPath] = `Operator "${condition.operator}" requires a value`;
+          }
+          return;
+        }
+        const isSelf = allowSelf && condition && (!condition.question_id || condition.question_id === questionId);
+        const referenced = condition && questionMap.get(isSelf ? questionId : condition.question_id);
+
+        if (!condition || typeof condition !== 'object') {
+          details[conditionPath] = 'Condition must be an object';
+        } else if (!isSelf && !referenced) {
+          details[conditionPath] = 'Condition references a question that is not in this form';
+        } else if (!isSelf && referenced.index >= position) {
+          details[conditionPath] = 'Conditions can only reference earlier questions';
+        } else if (!OPERATORS.includes(condition.operator)) {
+          details[conditionPath] = `Unknown operator "${condition.operator}"`;
+        } else if (VALUE_OPERATORS.includes(condition.operator) && condition.value === undefined) {
+          details[conditionPath] = `Operator "${condition.operator}" requires a value`;
+        } else if (
+          referenced &&
+          ['equals', 'not_equals', 'contains', 'not_contains'].includes(condition.operator) &&
+          referenced.question.choices?.length > 0 &&
+          !referenced.question.choices.some(choice => choice.id === condition.value)
+        ) {
+          details[conditionPath] = 'Condition value must be a choice ID of the referenced question';
+        }
+      });
+    };
+
+    if (logic.show_if !== undefined && logic.show_if !== null) {
+      validateGroup(logic.show_if, 'show_if', false);
+    }
+
+    if (logic.jumps !== undefined) {
+      if (!Array.isArray(logic.jumps)) {
+        details.jumps = 'jumps must be an array';
+      } else {
+        logic.jumps.forEach((jump, index) => {
+          const path = `jumps[${index}]`;
+          validateGroup(jump?.when, `${path}.when`, true);
+
+          if (jump?.to === END_OF_FORM) return;
+
+          const target = questionMap.get(jump?.to);
+          if (!target) {
+            details[`${path}.to`] = `Jump target must be a question in this form or "${END_OF_FORM}"`;
+          } else if (target.index <= position) {
+            details[`${path}.to`] = 'Jumps can only move forward in the form';
+          }
+        });
+      }
+    }
+
+    this._throwIfInvalid(details);
+  }
+
+  /**
+   * @private
+   */
+  _throwIfInvalid(details) {
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Question logic is invalid', {
+        code: 'INVALID_LOGIC',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new LogicService();
@@ -0,0 +1,99 @@
+const logicService = require('./logicService');
+const { ApiError } = require('../utils/errors');
+
+const SECTION_TYPE = 'section';
+
+class PageService {
+  /**
+   * Whether a question row is a section (page break) rather than a question
+   * @param {Object} question - Question row
+   */
+  isSection(question) {
+    return question?.type === SECTION_TYPE;
+  }
+
+  /**
+   * Split questions into pages. Every top-level section starts a new page
+   * that runs until the next section; questions before the first section
+   * form an untitled first page.
+   * @param {Array<Object>} questions - The form's questions
+   * @returns {Array<{number: number, section_id: string|null, title: string|null,
+   *   description: string|null, question_ids: Array<string>}>} Pages in respondent order
+   */
+  getPages(questions) {
+    const pages = [];
+
+    logicService.orderQuestions(questions).forEach(question => {
+      if (this.isSection(question) && !question.parent_id) {
+        pages.push({
+          number: pages.length + 1,
+          section_id: question.id,
+          title: question.text ?? null,
+          description: question.description ?? null,
+          question_ids: []
+        });
+        return;
+      }
+
+      if (pages.length === 0) {
+        pages.push({ number: 1, section_id: null, title: null, description: null, question_ids: [] });
+      }
+      pages[pages.length - 1].question_ids.push(question.id);
+    });
+
+    return pages;
+  }
+
+  /**
+   * The next page with anything left to show, skipping pages whose section
+   * or questions are all hidden by logic
+   * @param {Array<Object>} pages - Result of getPages
+   * @param {number} pageNumber - The current page
+   * @param {Set<string>} visibleQuestionIds - Questions visible with the answers so far
+   * @returns {number|null} null when the form can be completed
+   */
+  getNextPage(pages, pageNumber, visibleQuestionIds) {
+    const hasVisibleQuestions = (page) => page.question_ids.some(questionId => visibleQuestionIds.has(questionId));
+
+    // A section without questions is a statement page and is shown on its own
+    const next = pages.find(page =>
+      page.number > pageNumber &&
+      (page.section_id
+        ? visibleQuestionIds.has(page.section_id) && (page.question_ids.length === 0 || hasVisibleQuestions(page))
+        : hasVisibleQuestions(page))
+    );
+    return next ? next.number : null;
+  }
+
+  /**
+   * Check the fields that do not apply to sections
+   * @param {Object} question - `type`, `parent_id`, `is_required` and `choices` of the row being saved
+   * @throws {ApiError} INVALID_SECTION
+   */
+  validateSection(question) {
+    if (!this.isSection(question)) {
+      return;
+    }
+
+    const details = {};
+    if (question.parent_id) {
+      details.parent_id = 'Sections can only be placed at the top level of the form';
+    }
+    if (question.is_required) {
+      details.is_required = 'Sections cannot be required';
+    }
+    if (question.choices && question.choices.length > 0) {
+      details.choices = 'Sections cannot have choices';
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Section is invalid', {
+        code: 'INVALID_SECTION',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new PageService();
@@ -0,0 +1,278 @@
+const logicService = require('./logicService');
+const validationService = require('./validationService');
+const variableService = require('./variableService');
+const { ApiError } = require('../utils/errors');
+
+// `{{ q:first_name }}`, `{{hidden:company}}` or `{{var:total}}`; whitespace inside the braces is ignored
+const TOKEN_REGEX = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const REFERENCE_REGEX = /^([a-z]+):(.+)$/;
+
+const NAMESPACES = ['q', 'hidden', 'var'];
+
+// Question fields and settings fields that may contain references
+const QUESTION_TEXT_FIELDS = ['text', 'description'];
+const LANDING_TEXT_FIELDS = ['landing_page_title', 'landing_page_description'];
+const ENDING_TEXT_FIELDS = ['ending_page_title', 'ending_page_description'];
+
+/**
+ * List the references in a piece of text
+ * @private
+ * @returns {Array<{token: string, namespace: string, name: string}>}
+ */
+const parseReferences = (text) => {
+  if (typeof text !== 'string') return [];
+
+  return [...text.matchAll(TOKEN_REGEX)].map(([token, body]) => {
+    const match = body.match(REFERENCE_REGEX);
+    return {
+      token,
+      namespace: match ? match[1] : null,
+      name: match ? match[2].trim() : null
+    };
+  });
+};
+
+/**
+ * Render an answer as text for use inside a sentence
+ * @private
+ */
+const formatAnswer = (question, data) => {
+  if (!question || !data || typeof data !== 'object') return '';
+
+  const choiceText = (choiceId) => (question.choices || []).find(choice => choice.id === choiceId)?.text;
+
+  if (Array.isArray(data.choiceIds)) {
+    return data.choiceIds.map(choiceText).filter(Boolean).join(', ');
+  }
+  if (data.choiceId !== undefined) return choiceText(data.choiceId) || '';
+  if (typeof data.value === 'boolean') return data.value ? 'Yes' : 'No';
+  if (data.value !== undefined && data.value !== null) return String(data.value);
+  if (typeof data.text === 'string') return data.text;
+  if (typeof data.date === 'string') return data.date;
+
+  // Matrix and file answers have no sensible inline form
+  return '';
+};
+
+/**
+ * A source followed by each of its translations, with the path prefix to
+ * report problems under
+ * @private
+ */
+const withTranslations = (source) => [
+  { prefix: '', fields: source },
+  ...Object.entries(source?.translations || {}).map(([language, entry]) => ({
+    prefix: `translations.${language}.`,
+    fields: entry
+  }))
+];
+
+class PipingService {
+  /**
+   * Check the references in a question's text fields before it is saved.
+   * Question references must name an earlier question by its `key`; hidden
+   * field references must name a field the form declares; variables must
+   * only be calculated from earlier questions. Translations follow the same rules.
+   * @param {Object} fields - `text`, `description` and/or `translations`
+   * @param {string|null} questionId - The question being saved (null for a new question)
+   * @param {Array<Object>} questions - The form's questions
+   * @param {Array<string>} hiddenFields - The form's declared hidden fields
+   * @param {Array<Object>} [variables] - The form's variable definitions
+   * @throws {ApiError} INVALID_REFERENCE with a field to message map
+   */
+  validateQuestionReferences(fields, questionId, questions, hiddenFields, variables = []) {
+    const ordered = logicService.orderQuestions(questions);
+    const position = questionId ? ordered.findIndex(q => q.id === questionId) : ordered.length;
+    const earlierKeys = new Set(ordered.slice(0, Math.max(position, 0)).map(q => q.key).filter(Boolean));
+
+    this._throwIfInvalid(Object.assign({}, ...withTranslations(fields).map(({ prefix, fields: source }) =>
+      this._checkFields(source, QUESTION_TEXT_FIELDS, {
+        questions,
+        hiddenFields,
+        variables,
+        prefix,
+        isAvailable: key => earlierKeys.has(key),
+        unavailableMessage: 'can only reference earlier questions'
+      })
+    )));
+  }
+
+  /**
+   * Check the references in form settings before they are saved. The landing
+   * page is shown before any answers exist, so only hidden fields (and
+   * variables calculated from them) can be used there; the ending page may
+   * reference any question.
+   * @param {Object} settings - Settings being saved
+   * @param {Array<Object>} questions - The form's questions
+   * @param {Array<string>} hiddenFields - The form's declared hidden fields
+   * @param {Array<Object>} [variables] - The form's variable definitions
+   * @throws {ApiError} INVALID_REFERENCE
+   */
+  validateSettingsReferences(settings, questions, hiddenFields, variables = []) {
+    this._throwIfInvalid(Object.assign({}, ...withTranslations(settings).map(({ prefix, fields: source }) => ({
+      ...this._checkFields(source, LANDING_TEXT_FIELDS, {
+        questions,
+        hiddenFields,
+        variables,
+        prefix,
+        isAvailable: () => false,
+        unavailableMessage: 'cannot be used on the landing page'
+      }),
+      ...this._checkFields(source, ENDING_TEXT_FIELDS, {
+        questions,
+        hiddenFields,
+        variables,
+        prefix,
+        isAvailable: () => true
+      })
+    }))));
+  }
+
+  /**
+   * Names of the questions (by key) referenced from a question's text fields
+   * or from the ending page of form settings, in any language
+   * @param {Object} source - Question row or form settings
+   * @returns {Set<string>}
+   */
+  getReferencedKeys(source) {
+    return this._getReferencedNames(source, [...QUESTION_TEXT_FIELDS, ...ENDING_TEXT_FIELDS], 'q');
+  }
+
+  /**
+   * Names of the variables referenced from a question's text fields or from
+   * the landing and ending pages of form settings, in any language
+   * @param {Object} source - Question row or form settings
+   * @returns {Set<string>}
+   */
+  getReferencedVariables(source) {
+    return this._getReferencedNames(
+      source,
+      [...QUESTION_TEXT_FIELDS, ...LANDING_TEXT_FIELDS, ...ENDING_TEXT_FIELDS],
+      'var'
+    );
+  }
+
+  /**
+   * Replace references in a piece of text. Unanswered questions and missing
+   * hidden fields or variables render as an empty string.
+   * @param {string} text - Template text
+   * @param {Object} context
+   * @param {Array<Object>} context.questions - The form's questions with choices
+   * @param {Map<string, Object>} context.answers - Question ID to response `data`
+   * @param {Object} context.hiddenFields - Hidden field name to value
+   * @param {Object} [context.variables] - Variable name to calculated value
+   */
+  interpolate(text, { questions, answers, hiddenFields, variables }) {
+    if (typeof text !== 'string' || !text.includes('{{')) {
+      return text;
+    }
+
+    const byKey = new Map(questions.filter(q => q.key).map(q => [q.key, q]));
+
+    return text.replace(TOKEN_REGEX, (token, body) => {
+      const match = body.match(REFERENCE_REGEX);
+      if (!match) return token;
+
+      const [, namespace, rawName] = match;
+      const name = rawName.trim();
+
+      if (namespace === 'q') {
+        const question = byKey.get(name);
+        return question ? formatAnswer(question, answers.get(question.id)) : '';
+      }
+      if (namespace === 'hidden') {
+        return hiddenFields?.[name] ?? '';
+      }
+      if (namespace === 'var') {
+        const value = variables?.[name];
+        if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+        return value === undefined || value === null ? '' : String(value);
+      }
+      return token;
+    });
+  }
+
+  /**
+   * Interpolate every pipeable text of a served form
+   * @param {Object} form - Form with `questions` and `settings`
+   * @param {Object} context - See interpolate
+   * @returns {Object} A copy of the form
+   */
+  renderForm(form, context) {
+    const render = (source, fields) => source && Object.fromEntries(
+      Object.entries(source).map(([field, value]) => [
+        field,
+        fields.includes(field) ? this.interpolate(value, context) : value
+      ])
+    );
+
+    return {
+      ...form,
+      questions: (form.questions || []).map(question => render(question, QUESTION_TEXT_FIELDS)),
+      settings: render(form.settings, [...LANDING_TEXT_FIELDS, ...ENDING_TEXT_FIELDS])
+    };
+  }
+
+  /**
+   * @private
+   */
+  _checkFields(source, fields, { questions, hiddenFields, variables, prefix = '', isAvailable, unavailableMessage }) {
+    const details = {};
+    const keys = new Set(questions.map(q => q.key).filter(Boolean));
+    const declared = new Set(hiddenFields || []);
+    const dependencies = variableService.getDependencies(variables);
+
+    fields.forEach(field => {
+      const problems = parseReferences(source?.[field]).map(({ token, namespace, name }) => {
+        if (!NAMESPACES.includes(namespace) || !validationService.isFieldName(name)) {
+          return `${token} is not a valid reference; use {{q:key}}, {{hidden:name}} or {{var:name}}`;
+        }
+        if (namespace === 'hidden') {
+          return declared.has(name) ? null : `${token} references an undeclared hidden field`;
+        }
+        if (namespace === 'var') {
+          if (!dependencies.has(name)) return `${token} references an unknown variable`;
+          // A variable is only known once the questions it is calculated from are answered
+          return [...dependencies.get(name)].every(isAvailable) ? null : `${token} ${unavailableMessage}`;
+        }
+        if (!keys.has(name)) {
+          return `${token} references an unknown question key`;
+        }
+        return isAvailable(name) ? null : `${token} ${unavailableMessage}`;
+      }).filter(Boolean);
+
+      if (problems.length > 0) {
+        details[`${prefix}${field}`] = problems.join('; ');
+      }
+    });
+
+    return details;
+  }
+
+  /**
+   * @private
+   */
+  _getReferencedNames(source, fields, namespace) {
+    return new Set(
+      withTranslations(source)
+        .flatMap(({ fields: entry }) => fields.flatMap(field => parseReferences(entry?.[field])))
+        .filter(reference => reference.namespace === namespace)
+        .map(reference => reference.name)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _throwIfInvalid(details) {
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Text references are invalid', {
+        code: 'INVALID_REFERENCE',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new PipingService();
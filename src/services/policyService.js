@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/errors');
+
+const POLICIES = ['anonymous', 'one_per_email', 'unlimited', 'one_per_period'];
+const DEFAULT_POLICY = 'one_per_email';
+
+// Upper bounds for the period between responses and the edit window
+const MAX_PERIOD_HOURS = 24 * 365 * 10;
+const MAX_EDIT_WINDOW_HOURS = 24 * 365;
+
+const HOUR = 60 * 60 * 1000;
+
+const isHours = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+class PolicyService {
+  /**
+   * Validate the submission policy settings before they are saved
+   * @param {Object} settings - Settings being saved
+   * @param {Object} [current] - Stored settings, so a period can be checked
+   *   against an unchanged policy and vice versa
+   * @throws {ApiError} INVALID_SETTINGS
+   */
+  validateSettings(settings, current = {}) {
+    const details = {};
+    const { submission_policy, submission_period_hours, edit_window_hours } = settings;
+
+    if (submission_policy !== undefined && !POLICIES.includes(submission_policy)) {
+      details.submission_policy = `submission_policy must be one of: ${POLICIES.join(', ')}`;
+    }
+
+    if (submission_period_hours !== undefined && submission_period_hours !== null &&
+      !isHours(submission_period_hours, MAX_PERIOD_HOURS)) {
+      details.submission_period_hours = `submission_period_hours must be a whole number from 1 to ${MAX_PERIOD_HOURS}`;
+    }
+
+    const policy = submission_policy !== undefined ? submission_policy : current?.submission_policy;
+    const period = submission_period_hours !== undefined ? submission_period_hours : current?.submission_period_hours;
+    if (!details.submission_policy && !details.submission_period_hours && policy === 'one_per_period' && !period) {
+      details.submission_period_hours = 'submission_period_hours is required for the one_per_period policy';
+    }
+
+    if (edit_window_hours !== undefined && edit_window_hours !== null &&
+      !isHours(edit_window_hours, MAX_EDIT_WINDOW_HOURS)) {
+      details.edit_window_hours = `edit_window_hours must be a whole number from 1 to ${MAX_EDIT_WINDOW_HOURS}`;
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form settings are invalid', { code: 'INVALID_SETTINGS', status: 400, details });
+    }
+  }
+
+  /**
+   * The submission policy of a form
+   * @param {Object|null} settings - Live form settings
+   * @returns {'anonymous'|'one_per_email'|'unlimited'|'one_per_period'}
+   */
+  getPolicy(settings) {
+    return settings?.submission_policy || DEFAULT_POLICY;
+  }
+
+  /**
+   * When a respondent may answer again after a completed submission under
+   * the one_per_period policy
+   * @param {Object} settings - Live form settings
+   * @param {string} completedAt - Completion time of their latest submission
+   * @returns {Date}
+   */
+  getNextAllowedAt(settings, completedAt) {
+    return new Date(new Date(completedAt).getTime() + settings.submission_period_hours * HOUR);
+  }
+
+  /**
+   * The DUPLICATE_SUBMISSION error for a respondent who answered within the
+   * one_per_period period
+   * @param {Object} settings - Live form settings
+   * @param {string} completedAt - Completion time of their latest submission
+   * @param {string} [submissionId] - That submission
+   */
+  periodTakenError(settings, completedAt, submissionId) {
+    const nextAllowedAt = this.getNextAllowedAt(settings, completedAt);
+    return new ApiError(`You can respond to this form again after ${nextAllowedAt.toLocaleString()}`, {
+      code: 'DUPLICATE_SUBMISSION',
+      status: 409,
+      details: {
+        ...(submissionId && { submission_id: submissionId }),
+        next_allowed_at: nextAllowedAt.toISOString()
+      }
+    });
+  }
+
+  /**
+   * Issue an opaque respondent token. It is returned once; only its hash is stored.
+   * @returns {{token: string, hash: string}}
+   */
+  createRespondentToken() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    return { token, hash: this.hashRespondentToken(token) };
+  }
+
+  /**
+   * @param {string} token
+   */
+  hashRespondentToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Whether a respondent token is the one a submission was started with,
+   * compared in constant time
+   * @param {Object} submission - Submission row with its `respondent_token_hash`
+   * @param {*} token - Token sent by the caller
+   */
+  isRespondent(submission, token) {
+    const expected = submission.respondent_token_hash;
+    const actual = typeof token === 'string' && token ? this.hashRespondentToken(token) : '';
+    return Boolean(expected) && expected.length === actual.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+  }
+
+  /**
+   * Refuse callers that do not hold a submission's respondent token. The
+   * submission ID alone is not a secret: it is handed to anyone who starts
+   * the form with the same email.
+   * @param {Object} submission - Submission row with its `respondent_token_hash`
+   * @param {*} token - Token sent by the caller
+   * @throws {ApiError} INVALID_RESPONDENT_TOKEN
+   */
+  assertRespondent(submission, token) {
+    if (!this.isRespondent(submission, token)) {
+      throw new ApiError('A valid respondent token is required for this submission', {
+        code: 'INVALID_RESPONDENT_TOKEN',
+        status: 403
+      });
+    }
+  }
+
+  /**
+   * Refuse to edit a completed submission outside the form's edit window or
+   * without the respondent token it was started with
+   * @param {Object|null} settings - Live form settings
+   * @param {Object} submission - The completed submission
+   * @param {string} [token] - Respondent token sent with the edit
+   * @param {Date} [now]
+   * @throws {ApiError} EDITS_NOT_ALLOWED, INVALID_RESPONDENT_TOKEN or EDIT_WINDOW_CLOSED
+   */
+  assertCanEdit(settings, submission, token, now = new Date()) {
+    if (!settings?.edit_window_hours) {
+      throw new ApiError('Responses to this form cannot be edited', { code: 'EDITS_NOT_ALLOWED', status: 403 });
+    }
+
+    this.assertRespondent(submission, token);
+
+    const closesAt = new Date(new Date(submission.completed_at).getTime() + settings.edit_window_hours * HOUR);
+    if (now >= closesAt) {
+      throw new ApiError('The time to edit this submission is over', {
+        code: 'EDIT_WINDOW_CLOSED',
+        status: 403,
+        details: { closed_at: closesAt.toISOString() }
+      });
+    }
+  }
+}
+
+module.exports = new PolicyService();
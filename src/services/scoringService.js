@@ -0,0 +1,193 @@
+const { ApiError } = require('../utils/errors');
+
+const CHOICE_TYPES = ['multiple-choice', 'dropdown', 'checkbox'];
+const TEXT_TYPES = ['short-text', 'long-text', 'email', 'phone', 'address', 'website'];
+
+const DEFAULT_POINTS = 1;
+
+const normalize = (text) => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isPoints = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const choicePoints = (choice) => choice.points ?? DEFAULT_POINTS;
+
+/**
+ * Score one answer. Single-choice questions award the points of a correct
+ * choice; checkbox questions award the points of all correct choices only
+ * when exactly the correct set is selected; text questions award
+ * `properties.points` when the answer matches an accepted answer.
+ * @private
+ * @returns {{is_correct: boolean, score: number, max_score: number}|null} null when the question is not scored
+ */
+const scoreAnswer = (question, data) => {
+  const choices = question.choices || [];
+  const correct = choices.filter(choice => choice.is_correct);
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    if (correct.length === 0) return null;
+
+    if (question.type === 'checkbox') {
+      const maxScore = correct.reduce((sum, choice) => sum + choicePoints(choice), 0);
+      const selected = new Set(data?.choiceIds || []);
+      const isCorrect = selected.size === correct.length && correct.every(choice => selected.has(choice.id));
+      return { is_correct: isCorrect, score: isCorrect ? maxScore : 0, max_score: maxScore };
+    }
+
+    const maxScore = Math.max(...correct.map(choicePoints));
+    const chosen = correct.find(choice => choice.id === data?.choiceId);
+    return { is_correct: Boolean(chosen), score: chosen ? choicePoints(chosen) : 0, max_score: maxScore };
+  }
+
+  const accepted = question.properties?.accepted_answers;
+  if (TEXT_TYPES.includes(question.type) && Array.isArray(accepted) && accepted.length > 0) {
+    const maxScore = question.properties.points ?? DEFAULT_POINTS;
+    const isCorrect = typeof data?.text === 'string' && accepted.some(answer => normalize(answer) === normalize(data.text));
+    return { is_correct: isCorrect, score: isCorrect ? maxScore : 0, max_score: maxScore };
+  }
+
+  return null;
+};
+
+class ScoringService {
+  /**
+   * Score a completed submission
+   * @param {Array<Object>} questions - Questions including choices and properties
+   * @param {Map<string, Object>} answers - Question ID to response `data`
+   * @param {Set<string>} visibleQuestionIds - Questions the respondent was shown;
+   *   questions hidden by logic do not count towards the maximum
+   * @returns {{score: number, max_score: number, percentage: number|null, results: Map<string, Object>}}
+   */
+  scoreSubmission(questions, answers, visibleQuestionIds) {
+    const results = new Map();
+    let score = 0;
+    let maxScore = 0;
+
+    questions
+      .filter(question => visibleQuestionIds.has(question.id))
+      .forEach(question => {
+        const result = scoreAnswer(question, answers.get(question.id));
+        if (!result) return;
+
+        results.set(question.id, result);
+        score += result.score;
+        maxScore += result.max_score;
+      });
+
+    return {
+      score: round(score),
+      max_score: round(maxScore),
+      percentage: maxScore > 0 ? round((score / maxScore) * 100) : null,
+      results
+    };
+  }
+
+  /**
+   * Pass/fail and the ending page for a score
+   * @param {Object} settings - Form settings
+   * @param {number|null} percentage - Score percentage
+   * @returns {{passed: boolean|null, ending: Object|null}} `ending` is the score band
+   *   with the highest `min_percentage` the score reaches
+   */
+  getOutcome(settings, percentage) {
+    const passMark = settings?.pass_percentage;
+    const passed = passMark === null || passMark === undefined || percentage === null
+      ? null
+      : percentage >= passMark;
+
+    const ending = percentage === null
+      ? null
+      : [...(settings?.score_bands || [])]
+        .sort((a, b) => b.min_percentage - a.min_percentage)
+        .find(band => percentage >= band.min_percentage) || null;
+
+    return { passed, ending };
+  }
+
+  /**
+   * Remove correct answers from a question before it is served to respondents
+   * @param {Object} question - Question including choices and properties
+   */
+  stripAnswerKey(question) {
+    const { accepted_answers, points, ...properties } = question.properties || {};
+
+    return {
+      ...question,
+      properties,
+      ...(question.choices && {
+        choices: question.choices.map(({ is_correct, points: choicePoints, ...choice }) => choice)
+      })
+    };
+  }
+
+  /**
+   * Validate the scoring fields of choices before they are saved
+   * @param {Array<string|Object>} choices - Choices as accepted by createQuestion
+   * @throws {ApiError} INVALID_CHOICES
+   */
+  validateChoices(choices) {
+    const details = {};
+
+    (choices || []).forEach((choice, index) => {
+      if (!choice || typeof choice !== 'object') return;
+
+      if (choice.is_correct !== undefined && typeof choice.is_correct !== 'boolean') {
+        details[`choices[${index}].is_correct`] = 'is_correct must be a boolean';
+      }
+      if (choice.points !== undefined && choice.points !== null && !isPoints(choice.points)) {
+        details[`choices[${index}].points`] = 'points must be a number of at least 0';
+      }
+    });
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Choices are invalid', { code: 'INVALID_CHOICES', status: 400, details });
+    }
+  }
+
+  /**
+   * Validate quiz settings before they are saved
+   * @param {Object} settings - Settings being saved
+   * @throws {ApiError} INVALID_SETTINGS
+   */
+  validateSettings(settings) {
+    const details = {};
+    const { is_quiz, pass_percentage, score_bands } = settings;
+
+    if (is_quiz !== undefined && typeof is_quiz !== 'boolean') {
+      details.is_quiz = 'is_quiz must be a boolean';
+    }
+
+    if (pass_percentage !== undefined && pass_percentage !== null &&
+      (!isPoints(pass_percentage) || pass_percentage > 100)) {
+      details.pass_percentage = 'pass_percentage must be a number from 0 to 100';
+    }
+
+    if (score_bands !== undefined && score_bands !== null) {
+      if (!Array.isArray(score_bands)) {
+        details.score_bands = 'score_bands must be an array';
+      } else {
+        score_bands.forEach((band, index) => {
+          if (!band || typeof band !== 'object' ||
+            !isPoints(band.min_percentage) || band.min_percentage > 100) {
+            details[`score_bands[${index}].min_percentage`] = 'min_percentage must be a number from 0 to 100';
+          }
+          if (typeof band?.title !== 'string' || !band.title.trim()) {
+            details[`score_bands[${index}].title`] = 'title is required';
+          }
+        });
+
+        const minimums = score_bands.map(band => band?.min_percentage);
+        if (new Set(minimums).size !== minimums.length) {
+          details.score_bands = 'Each band needs a different min_percentage';
+        }
+      }
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form settings are invalid', { code: 'INVALID_SETTINGS', status: 400, details });
+    }
+  }
+}
+
+module.exports = new ScoringService();
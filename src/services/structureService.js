@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/errors');
+const validationService = require('./validationService');
+
+const MAX_OPERATIONS = 500;
+
+const QUESTION_FIELDS = ['text', 'description', 'is_required', 'max_chars', 'logic', 'properties', 'key', 'translations'];
+const CHOICE_FIELDS = ['text', 'is_correct', 'points', 'translations'];
+
+const OPERATIONS = [
+  'create_question',
+  'update_question',
+  'move_question',
+  'delete_question',
+  'create_choice',
+  'update_choice',
+  'move_choice',
+  'delete_choice'
+];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Thrown while applying one operation; reported under its index
+ * @private
+ */
+class OperationError extends Error {}
+
+class StructureService {
+  /**
+   * Apply a builder batch to a form's questions in memory. Operations run in
+   * order and may refer to questions and choices created earlier in the batch
+   * by their `temp_id`. Nothing is saved here.
+   * @param {Array<Object>} questions - The form's questions, each with its `choices`
+   * @param {Array<Object>} operations - Create/update/move/delete operations
+   *   on questions and choices
+   * @returns {{questions: Array<Object>, idMap: Map<string, string>, changed: Set<string>,
+   *   deletedQuestionIds: Array<string>, deletedChoiceIds: Array<string>}}
+   *   The resulting questions with their final `order`, the temp ID to new ID map,
+   *   the questions created or edited (including their choices), the stored
+   *   questions to trash and the stored choices to remove
+   * @throws {ApiError} INVALID_OPERATION with the failing operation's index
+   */
+  applyOperations(questions, operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      this._throwInvalid({ operations: 'operations must be a non-empty array' });
+    }
+    if (operations.length > MAX_OPERATIONS) {
+      this._throwInvalid({ operations: `A batch can have at most ${MAX_OPERATIONS} operations` });
+    }
+
+    const state = {
+      questions: new Map(questions.map(q => [q.id, {
+        ...q,
+        choices: [...(q.choices || [])].sort((a, b) => a.order - b.order).map(choice => ({ ...choice }))
+      }])),
+      siblings: new Map(),
+      idMap: new Map(),
+      changed: new Set(),
+      stored: new Set(questions.map(q => q.id)),
+      storedChoices: new Map(questions.flatMap(q => (q.choices || []).map(choice => [choice.id, q.id])))
+    };
+
+    [...state.questions.values()]
+      .sort((a, b) => a.order - b.order)
+      .forEach(question => this._siblingsOf(state, question.parent_id).push(question.id));
+
+    operations.forEach((operation, index) => {
+      try {
+        if (!isPlainObject(operation) || !OPERATIONS.includes(operation.op)) {
+          throw new OperationError(`op must be one of ${OPERATIONS.join(', ')}`);
+        }
+        this[`_${operation.op}`](state, operation);
+      } catch (error) {
+        if (!(error instanceof OperationError)) throw error;
+        this._throwInvalid({ [`operations[${index}]`]: error.message });
+      }
+    });
+
+    // Orders follow each question's and choice's position among its siblings
+    state.siblings.forEach(ids => ids.forEach((id, index) => {
+      state.questions.get(id).order = index + 1;
+    }));
+    state.questions.forEach(question => question.choices.forEach((choice, index) => {
+      choice.order = index + 1;
+    }));
+
+    const remaining = new Set(state.questions.keys());
+    const remainingChoices = new Set([...state.questions.values()].flatMap(q => q.choices.map(choice => choice.id)));
+
+    return {
+      questions: [...state.questions.values()],
+      idMap: state.idMap,
+      changed: state.changed,
+      deletedQuestionIds: [...state.stored].filter(id => !remaining.has(id)),
+      // Choices of deleted questions stay with them so they come back on restore
+      deletedChoiceIds: [...state.storedChoices]
+        .filter(([id, questionId]) => !remainingChoices.has(id) && remaining.has(questionId))
+        .map(([id]) => id)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _create_question(state, operation) {
+    const { type, text, choices = [] } = operation;
+    if (typeof type !== 'string') throw new OperationError('type is required');
+    if (!validationService.isSupportedType(type)) throw new OperationError(`Unknown question type "${type}"`);
+    if (typeof text !== 'string') throw new OperationError('text is required');
+    if (!Array.isArray(choices)) throw new OperationError('choices must be an array');
+
+    const id = this._newId(state, operation.temp_id);
+    const parentId = this._parentId(state, operation.parent_id);
+
+    state.questions.set(id, {
+      id,
+      parent_id: parentId,
+      type,
+      is_required: false,
+      max_chars: null,
+      logic: null,
+      properties: {},
+      key: null,
+      translations: {},
+      ...pick(operation, QUESTION_FIELDS),
+      choices: choices.map(choice => this._newChoice(state, id, choice))
+    });
+    this._insertAt(this._siblingsOf(state, parentId), id, operation.position);
+    state.changed.add(id);
+  }
+
+  /**
+   * @private
+   */
+  _update_question(state, operation) {
+    const question = this._question(state, operation.id);
+    if (operation.type !== undefined && operation.type !== question.type) {
+      throw new OperationError('A question\'s type cannot be changed');
+    }
+    if (operation.text !== undefined && typeof operation.text !== 'string') {
+      throw new OperationError('text must be a string');
+    }
+
+    Object.assign(question, pick(operation, QUESTION_FIELDS));
+    state.changed.add(question.id);
+  }
+
+  /**
+   * @private
+   */
+  _move_question(state, operation) {
+    const question = this._question(state, operation.id);
+    const parentId = operation.parent_id === undefined ? question.parent_id : this._parentId(state, operation.parent_id);
+
+    for (let ancestor = parentId; ancestor; ancestor = state.questions.get(ancestor)?.parent_id) {
+      if (ancestor === question.id) throw new OperationError('A question cannot be moved inside itself');
+    }
+
+    const siblings = this._siblingsOf(state, question.parent_id);
+    siblings.splice(siblings.indexOf(question.id), 1);
+    question.parent_id = parentId;
+    this._insertAt(this._siblingsOf(state, parentId), question.id, operation.position);
+  }
+
+  /**
+   * Delete a question together with the questions nested under it
+   * @private
+   */
+  _delete_question(state, operation) {
+    const question = this._question(state, operation.id);
+    const siblings = this._siblingsOf(state, question.parent_id);
+    siblings.splice(siblings.indexOf(question.id), 1);
+
+    const remove = (id) => {
+      (state.siblings.get(id) || []).forEach(remove);
+      state.siblings.delete(id);
+      state.questions.delete(id);
+      state.changed.delete(id);
+    };
+    remove(question.id);
+  }
+
+  /**
+   * @private
+   */
+  _create_choice(state, operation) {
+    const question = this._question(state, operation.question_id);
+    this._insertAt(question.choices, this._newChoice(state, question.id, operation), operation.position);
+    state.changed.add(question.id);
+  }
+
+  /**
+   * @private
+   */
+  _update_choice(state, operation) {
+    const { question, choice } = this._choice(state, operation.id);
+    if (operation.text !== undefined && typeof operation.text !== 'string') {
+      throw new OperationError('text must be a string');
+    }
+
+    Object.assign(choice, pick(operation, CHOICE_FIELDS));
+    state.changed.add(question.id);
+  }
+
+  /**
+   * @private
+   */
+  _move_choice(state, operation) {
+    const { question, choice } = this._choice(state, operation.id);
+    question.choices.splice(question.choices.indexOf(choice), 1);
+    this._insertAt(question.choices, choice, operation.position);
+    state.changed.add(question.id);
+  }
+
+  /**
+   * @private
+   */
+  _delete_choice(state, operation) {
+    const { question, choice } = this._choice(state, operation.id);
+    question.choices.splice(question.choices.indexOf(choice), 1);
+    state.changed.add(question.id);
+  }
+
+  /**
+   * @private
+   */
+  _newChoice(state, questionId, fields) {
+    if (!isPlainObject(fields) || typeof fields.text !== 'string') {
+      throw new OperationError('Choices need a text');
+    }
+
+    return {
+      id: this._newId(state, fields.temp_id),
+      question_id: questionId,
+      is_correct: false,
+      points: null,
+      translations: {},
+      ...pick(fields, CHOICE_FIELDS)
+    };
+  }
+
+  /**
+   * Generate the ID of a new row, remembering the client's temp ID for it
+   * @private
+   */
+  _newId(state, tempId) {
+    if (tempId !== undefined && (typeof tempId !== 'string' || !tempId)) {
+      throw new OperationError('temp_id must be a string');
+    }
+    if (tempId !== undefined && (state.idMap.has(tempId) || state.stored.has(tempId) || state.storedChoices.has(tempId))) {
+      throw new OperationError(`temp_id "${tempId}" is already used`);
+    }
+
+    const id = crypto.randomUUID();
+    if (tempId !== undefined) state.idMap.set(tempId, id);
+    return id;
+  }
+
+  /**
+   * Resolve a stored ID or a temp ID from earlier in the batch
+   * @private
+   */
+  _resolve(state, id) {
+    return state.idMap.get(id) || id;
+  }
+
+  /**
+   * @private
+   */
+  _question(state, id) {
+    const question = typeof id === 'string' && state.questions.get(this._resolve(state, id));
+    if (!question) throw new OperationError(`Question "${id}" is not in this form`);
+    return question;
+  }
+
+  /**
+   * @private
+   */
+  _choice(state, id) {
+    const resolved = typeof id === 'string' && this._resolve(state, id);
+    for (const question of state.questions.values()) {
+      const choice = question.choices.find(c => c.id === resolved);
+      if (choice) return { question, choice };
+    }
+    throw new OperationError(`Choice "${id}" is not in this form`);
+  }
+
+  /**
+   * @private
+   */
+  _parentId(state, parentId) {
+    return parentId === undefined || parentId === null ? null : this._question(state, parentId).id;
+  }
+
+  /**
+   * @private
+   */
+  _siblingsOf(state, parentId) {
+    const key = parentId || null;
+    if (!state.siblings.has(key)) state.siblings.set(key, []);
+    return state.siblings.get(key);
+  }
+
+  /**
+   * Insert at a 1-based position; anything else appends
+   * @private
+   */
+  _insertAt(list, item, position) {
+    if (position !== undefined && position !== null && (!Number.isInteger(position) || position < 1)) {
+      throw new OperationError('position must be a whole number of at least 1');
+    }
+    list.splice(position ? Math.min(position - 1, list.length) : list.length, 0, item);
+  }
+
+  /**
+   * @private
+   */
+  _throwInvalid(details) {
+    throw new ApiError('Structure operations are invalid', {
+      code: 'INVALID_OPERATION',
+      status: 400,
+      details
+    });
+  }
+}
+
+module.exports = new StructureService();
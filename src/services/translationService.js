@@ -0,0 +1,277 @@
+const { ApiError } = require('../utils/errors');
+
+// BCP 47 tags such as `en`, `sw` or `pt-BR`
+const LANGUAGE_REGEX = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+const MAX_LANGUAGES = 20;
+const MAX_TEXT_LENGTH = 10000;
+
+const QUESTION_TEXT_FIELDS = ['text', 'description'];
+const SETTINGS_TEXT_FIELDS = [
+  'landing_page_title',
+  'landing_page_description',
+  'landing_page_button_text',
+  'ending_page_title',
+  'ending_page_description',
+  'ending_page_button_text',
+  'closed_message'
+];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isText = (value) => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+
+const primaryTag = (language) => language.split('-')[0].toLowerCase();
+
+/**
+ * Requested languages from an `Accept-Language` header, most preferred first
+ * @private
+ */
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== 'string') return [];
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag: tag.trim(), quality: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+};
+
+/**
+ * Check each language entry of a `translations` object
+ * @private
+ * @param {*} translations - Language tag to translated fields
+ * @param {string} path - Prefix for error paths
+ * @param {Function} checkEntry - (entry, entryPath, details) => void
+ */
+const checkTranslations = (translations, path, checkEntry, details) => {
+  if (translations === undefined || translations === null) return;
+
+  if (!isPlainObject(translations)) {
+    details[path] = 'translations must be an object keyed by language';
+    return;
+  }
+
+  Object.entries(translations).forEach(([language, entry]) => {
+    const entryPath = `${path}.${language}`;
+    if (!LANGUAGE_REGEX.test(language)) {
+      details[entryPath] = `"${language}" is not a language tag`;
+    } else if (!isPlainObject(entry)) {
+      details[entryPath] = 'Translation must be an object';
+    } else {
+      checkEntry(entry, entryPath, details);
+    }
+  });
+};
+
+const checkTextFields = (entry, entryPath, details, fields) => {
+  Object.entries(entry).forEach(([field, value]) => {
+    if (!fields.includes(field)) {
+      details[`${entryPath}.${field}`] = 'Unknown translated field';
+    } else if (value !== null && !isText(value)) {
+      details[`${entryPath}.${field}`] = `${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`;
+    }
+  });
+};
+
+const checkLabelMap = (value, path, details) => {
+  if (!isPlainObject(value) || Object.values(value).some(label => !isText(label))) {
+    details[path] = 'Must map each value to its translated label';
+  }
+};
+
+class TranslationService {
+  /**
+   * Validate a form's default language and enabled languages
+   * @param {Object} form - `default_language` and `languages`
+   * @throws {ApiError} INVALID_LANGUAGES
+   */
+  validateLanguages({ default_language: defaultLanguage, languages }) {
+    const details = {};
+
+    if (typeof defaultLanguage !== 'string' || !LANGUAGE_REGEX.test(defaultLanguage)) {
+      details.default_language = 'default_language must be a language tag such as "en" or "pt-BR"';
+    }
+
+    if (!Array.isArray(languages)) {
+      details.languages = 'languages must be an array of language tags';
+    } else {
+      if (languages.length > MAX_LANGUAGES) {
+        details.languages = `A form can have at most ${MAX_LANGUAGES} languages`;
+      }
+      languages.forEach((language, index) => {
+        if (typeof language !== 'string' || !LANGUAGE_REGEX.test(language)) {
+          details[`languages[${index}]`] = 'Must be a language tag such as "fr" or "pt-BR"';
+        } else if (languages.indexOf(language) !== index) {
+          details[`languages[${index}]`] = `Duplicate language "${language}"`;
+        }
+      });
+      if (!details.default_language && !languages.includes(defaultLanguage)) {
+        details.languages = 'languages must include the default language';
+      }
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form languages are invalid', { code: 'INVALID_LANGUAGES', status: 400, details });
+    }
+  }
+
+  /**
+   * Validate the translations of a question and its choices before they are
+   * saved. Question translations hold `text`, `description` and, for scale and
+   * matrix questions, `labels` and `columns` (column value to label); choice
+   * translations hold `text`.
+   * @param {Object} question - `translations` and `choices` of the question being saved
+   * @throws {ApiError} INVALID_TRANSLATIONS
+   */
+  validateQuestionTranslations({ translations, choices }) {
+    const details = {};
+
+    checkTranslations(translations, 'translations', (entry, entryPath) => {
+      const { labels, columns, ...textFields } = entry;
+      checkTextFields(textFields, entryPath, details, QUESTION_TEXT_FIELDS);
+      if (labels !== undefined) checkLabelMap(labels, `${entryPath}.labels`, details);
+      if (columns !== undefined) checkLabelMap(columns, `${entryPath}.columns`, details);
+    }, details);
+
+    (choices || []).forEach((choice, index) => {
+      if (!isPlainObject(choice)) return;
+      checkTranslations(choice.translations, `choices[${index}].translations`, (entry, entryPath) => {
+        checkTextFields(entry, entryPath, details, ['text']);
+      }, details);
+    });
+
+    this._throwIfInvalid(details);
+  }
+
+  /**
+   * Validate `settings.translations`: the landing, ending and closed texts,
+   * plus `score_bands` as a list of `{ title, description }` matching the
+   * quiz score bands by position
+   * @param {Object} settings - Settings being saved
+   * @throws {ApiError} INVALID_TRANSLATIONS
+   */
+  validateSettingsTranslations(settings) {
+    const details = {};
+
+    checkTranslations(settings.translations, 'translations', (entry, entryPath) => {
+      const { score_bands: bands, ...textFields } = entry;
+      checkTextFields(textFields, entryPath, details, SETTINGS_TEXT_FIELDS);
+
+      if (bands !== undefined && (!Array.isArray(bands) || bands.some(band =>
+        !isPlainObject(band) || Object.entries(band).some(([field, value]) =>
+          !['title', 'description'].includes(field) || (value !== null && !isText(value)))))) {
+        details[`${entryPath}.score_bands`] = 'score_bands must be a list of { title, description }';
+      }
+    }, details);
+
+    this._throwIfInvalid(details);
+  }
+
+  /**
+   * Pick the language to serve a respondent: an explicit `lang` first, then
+   * the `Accept-Language` header, then the form's default. A regional tag
+   * falls back to its base language (`fr-CA` is served `fr`) and vice versa.
+   * @param {Object} form - `default_language` and `languages`
+   * @param {Object} request
+   * @param {string} [request.lang] - From the `?lang=` query parameter
+   * @param {string} [request.acceptLanguage] - The `Accept-Language` header
+   * @returns {string|null} null for forms published before languages existed
+   */
+  negotiateLanguage(form, { lang, acceptLanguage } = {}) {
+    const languages = form?.languages || [];
+    const requested = [...(typeof lang === 'string' ? [lang] : []), ...parseAcceptLanguage(acceptLanguage)];
+
+    for (const tag of requested) {
+      const exact = languages.find(language => language.toLowerCase() === tag.toLowerCase());
+      if (exact) return exact;
+
+      const related = languages.find(language => primaryTag(language) === primaryTag(tag));
+      if (related) return related;
+    }
+
+    return form?.default_language || null;
+  }
+
+  /**
+   * A question in one language. Untranslated fields keep the default
+   * language's text; question and choice IDs are unchanged.
+   * @param {Object} question - Question with choices and `translations`
+   * @param {string|null} language - Language to serve
+   * @returns {Object} A copy without `translations`
+   */
+  localizeQuestion(question, language) {
+    const { translations, ...localized } = question;
+    const entry = (language && translations?.[language]) || {};
+
+    QUESTION_TEXT_FIELDS.forEach(field => {
+      if (entry[field]) localized[field] = entry[field];
+    });
+
+    if (localized.properties && (entry.labels || entry.columns)) {
+      const { labels, columns } = localized.properties;
+      localized.properties = {
+        ...localized.properties,
+        ...(labels && { labels: { ...labels, ...entry.labels } }),
+        ...(Array.isArray(columns) && {
+          columns: columns.map(column => ({ ...column, label: entry.columns?.[column.value] || column.label }))
+        })
+      };
+    }
+
+    if (localized.choices) {
+      localized.choices = localized.choices.map(({ translations: choiceTranslations, ...choice }) => ({
+        ...choice,
+        text: (language && choiceTranslations?.[language]?.text) || choice.text
+      }));
+    }
+
+    return localized;
+  }
+
+  /**
+   * Form settings in one language
+   * @param {Object|null} settings - Settings with `translations`
+   * @param {string|null} language - Language to serve
+   * @returns {Object|null} A copy without `translations`
+   */
+  localizeSettings(settings, language) {
+    if (!settings) return settings;
+
+    const { translations, ...localized } = settings;
+    const entry = (language && translations?.[language]) || {};
+
+    SETTINGS_TEXT_FIELDS.forEach(field => {
+      if (entry[field]) localized[field] = entry[field];
+    });
+
+    if (Array.isArray(localized.score_bands) && Array.isArray(entry.score_bands)) {
+      localized.score_bands = localized.score_bands.map((band, index) => ({
+        ...band,
+        title: entry.score_bands[index]?.title || band.title,
+        description: entry.score_bands[index]?.description || band.description
+      }));
+    }
+
+    return localized;
+  }
+
+  /**
+   * @private
+   */
+  _throwIfInvalid(details) {
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Translations are invalid', {
+        code: 'INVALID_TRANSLATIONS',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,836 @@
+const { ApiError } = require('../utils/errors');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9\s().-]+$/;
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+
+// Upload limits; a question may lower but never raise MAX_FILE_SIZE
+const MAX_FILE_SIZE = parseInt(process.env.MAX_UPLOAD_BYTES) || 25 * 1024 * 1024;
+const DEFAULT_FILE_LIMITS = { allowed_types: [], max_size: 10 * 1024 * 1024, max_files: 1 };
+const MAX_FILES_PER_QUESTION = 10;
+const MIME_TYPE_REGEX = /^[\w.+-]+\/(\*|[\w.+-]+)$/;
+
+// Hidden field and prefill parameter names double as URL query parameter names
+const FIELD_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const MAX_HIDDEN_FIELDS = 50;
+const MAX_HIDDEN_FIELD_LENGTH = 1000;
+
+/**
+ * Build a per-question validation error
+ * @private
+ */
+const fail = (code, message) => ({ code, message });
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// A stray `choiceIds` on a single-choice question is invalid rather than empty
+const isChoiceEmpty = (data) => isBlank(data.choiceId) && data.choiceIds === undefined;
+
+/**
+ * Check a free-text answer against the question's max_chars
+ * @private
+ */
+const validateText = (question, data) => {
+  if (typeof data.text !== 'string') {
+    return fail('INVALID_TEXT', 'Response must be a text value');
+  }
+
+  if (question.max_chars && data.text.length > question.max_chars) {
+    return fail('TEXT_TOO_LONG', `Response exceeds the maximum of ${question.max_chars} characters`);
+  }
+
+  return null;
+};
+
+const validateEmail = (question, data) => {
+  const error = validateText(question, data);
+  if (error) return error;
+
+  if (!EMAIL_REGEX.test(data.text.trim())) {
+    return fail('INVALID_EMAIL', 'Response must be a valid email address');
+  }
+
+  return null;
+};
+
+const validatePhone = (question, data) => {
+  const error = validateText(question, data);
+  if (error) return error;
+
+  const digits = data.text.replace(/\D/g, '');
+  if (
+    !PHONE_REGEX.test(data.text.trim()) ||
+    digits.length < MIN_PHONE_DIGITS ||
+    digits.length > MAX_PHONE_DIGITS
+  ) {
+    return fail('INVALID_PHONE', 'Response must be a valid phone number');
+  }
+
+  return null;
+};
+
+const validateWebsite = (question, data) => {
+  const error = validateText(question, data);
+  if (error) return error;
+
+  // Accept bare domains such as "example.com" by assuming https
+  const value = data.text.trim();
+  const candidate = /^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+
+  try {
+    const url = new URL(candidate);
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+      throw new Error('Unsupported URL');
+    }
+  } catch (error) {
+    return fail('INVALID_URL', 'Response must be a valid website address');
+  }
+
+  return null;
+};
+
+const validateDate = (question, data) => {
+  const match = typeof data.date === 'string' && data.date.match(DATE_REGEX);
+  if (!match) {
+    return fail('INVALID_DATE', 'Date must be in YYYY-MM-DD format');
+  }
+
+  // Round-trip through Date to reject values such as 2024-02-30
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return fail('INVALID_DATE', 'Date is not a valid calendar date');
+  }
+
+  return null;
+};
+
+const validateSingleChoice = (question, data) => {
+  if (data.choiceIds !== undefined) {
+    return fail('INVALID_CHOICE', 'Only one choice can be selected for this question');
+  }
+
+  const choices = question.choices || [];
+  if (!choices.some(choice => choice.id === data.choiceId)) {
+    return fail('INVALID_CHOICE', 'Selected choice does not exist');
+  }
+
+  return null;
+};
+
+const validateMultipleChoice = (question, data) => {
+  if (!Array.isArray(data.choiceIds)) {
+    return fail('INVALID_CHOICE', 'Selected choices must be an array of choice IDs');
+  }
+
+  if (new Set(data.choiceIds).size !== data.choiceIds.length) {
+    return fail('INVALID_CHOICE', 'The same choice cannot be selected twice');
+  }
+
+  const choiceIds = new Set((question.choices || []).map(choice => choice.id));
+  if (data.choiceIds.some(id => !choiceIds.has(id))) {
+    return fail('INVALID_CHOICE', 'Selected choice does not exist');
+  }
+
+  return null;
+};
+
+/**
+ * Number of positions a ranking answer must fill: every choice, or the
+ * top `properties.rank_limit` when that is lower
+ * @private
+ */
+const rankPositionsFor = (question) => {
+  const choiceCount = (question.choices || []).length;
+  const limit = question.properties?.rank_limit;
+  return limit ? Math.min(limit, choiceCount) : choiceCount;
+};
+
+const validateRanking = (question, data) => {
+  const error = validateMultipleChoice(question, data);
+  if (error) return error;
+
+  const positions = rankPositionsFor(question);
+  if (data.choiceIds.length !== positions) {
+    return fail('INVALID_RANKING', positions === (question.choices || []).length
+      ? 'Every choice must be ranked exactly once'
+      : `Exactly ${positions} choices must be ranked`);
+  }
+
+  return null;
+};
+
+const validateBoolean = (question, data) => {
+  if (typeof data.value !== 'boolean') {
+    return fail('INVALID_VALUE', 'Response must be true or false');
+  }
+
+  return null;
+};
+
+const DEFAULT_RATING_STEPS = 5;
+const MAX_RATING_STEPS = 10;
+const DEFAULT_OPINION_SCALE = { start: 1, end: 5 };
+
+/**
+ * Resolve the integer range answers to a scale question must fall in
+ * @private
+ */
+const scaleFor = (question) => {
+  const properties = question.properties || {};
+
+  switch (question.type) {
+    case 'rating':
+      return { min: 1, max: properties.steps || DEFAULT_RATING_STEPS, step: 1 };
+    case 'opinion-scale':
+      return {
+        min: properties.start ?? DEFAULT_OPINION_SCALE.start,
+        max: properties.end ?? DEFAULT_OPINION_SCALE.end,
+        step: 1
+      };
+    case 'nps':
+      return { min: 0, max: 10, step: 1 };
+    default:
+      return null;
+  }
+};
+
+const validateScale = (question, data) => {
+  const { min, max } = scaleFor(question);
+
+  if (!Number.isInteger(data.value) || data.value < min || data.value > max) {
+    return fail('OUT_OF_RANGE', `Response must be a whole number from ${min} to ${max}`);
+  }
+
+  return null;
+};
+
+const validateNumber = (question, data) => {
+  const { min, max, step } = question.properties || {};
+
+  if (typeof data.value !== 'number' || !Number.isFinite(data.value)) {
+    return fail('INVALID_NUMBER', 'Response must be a number');
+  }
+
+  if (min !== undefined && min !== null && data.value < min) {
+    return fail('OUT_OF_RANGE', `Response must be at least ${min}`);
+  }
+
+  if (max !== undefined && max !== null && data.value > max) {
+    return fail('OUT_OF_RANGE', `Response must be at most ${max}`);
+  }
+
+  if (step) {
+    // Compare with a tolerance so 0.1 + 0.2 style rounding does not fail
+    const offset = (data.value - (min || 0)) / step;
+    if (Math.abs(offset - Math.round(offset)) > 1e-9) {
+      return fail('INVALID_STEP', `Response must be in increments of ${step}`);
+    }
+  }
+
+  return null;
+};
+
+const isValueEmpty = (data) => data.value === undefined || data.value === null;
+
+/**
+ * Matrix questions use their choices as row statements and
+ * `properties.columns` as the shared scale
+ * @private
+ */
+const validateMatrix = (question, data) => {
+  if (!data.rows || typeof data.rows !== 'object' || Array.isArray(data.rows)) {
+    return fail('INVALID_MATRIX', 'Response must map row IDs to selected columns');
+  }
+
+  const { columns = [], multiple = false } = question.properties || {};
+  const columnValues = new Set(columns.map(column => column.value));
+  const rows = question.choices || [];
+  const rowIds = new Set(rows.map(row => row.id));
+
+  for (const [rowId, selection] of Object.entries(data.rows)) {
+    if (!rowIds.has(rowId)) {
+      return fail('INVALID_CHOICE', 'Response references a row that does not exist');
+    }
+
+    if (selection === null || selection === undefined) continue;
+
+    const selected = multiple ? selection : [selection];
+    if (!Array.isArray(selected) || (!multiple && Array.isArray(selection))) {
+      return fail('INVALID_MATRIX', multiple
+        ? 'Each row must be an array of column values'
+        : 'Each row takes a single column value');
+    }
+
+    if (new Set(selected).size !== selected.length || selected.some(value => !columnValues.has(value))) {
+      return fail('INVALID_CHOICE', 'Selected column does not exist');
+    }
+  }
+
+  if (question.is_required) {
+    const missing = rows.filter(row => isMatrixRowEmpty(data.rows[row.id]));
+    if (missing.length > 0) {
+      return fail('REQUIRED_FIELD', `Every row must be answered (${missing.length} missing)`);
+    }
+  }
+
+  return null;
+};
+
+const isMatrixRowEmpty = (selection) =>
+  selection === undefined || selection === null || (Array.isArray(selection) && selection.length === 0);
+
+const isMatrixEmpty = (data) =>
+  data.rows === undefined ||
+  (data.rows && typeof data.rows === 'object' && Object.values(data.rows).every(isMatrixRowEmpty));
+
+const fileLimitsFor = (question) => {
+  const properties = question.properties || {};
+
+  return {
+    allowed_types: properties.allowed_types || DEFAULT_FILE_LIMITS.allowed_types,
+    max_size: Math.min(properties.max_size || DEFAULT_FILE_LIMITS.max_size, MAX_FILE_SIZE),
+    max_files: properties.max_files || DEFAULT_FILE_LIMITS.max_files
+  };
+};
+
+/**
+ * File answers reference uploads by ID; that the uploads exist and belong
+ * to the submission is checked by FormService when the submission completes
+ * @private
+ */
+const validateFiles = (question, data) => {
+  const { fileIds } = data;
+
+  if (!Array.isArray(fileIds) || fileIds.some(id => typeof id !== 'string' || !id)) {
+    return fail('INVALID_RESPONSE', 'Response must list uploaded file IDs');
+  }
+
+  if (new Set(fileIds).size !== fileIds.length) {
+    return fail('INVALID_FILE', 'The same file was attached more than once');
+  }
+
+  const { max_files: maxFiles } = fileLimitsFor(question);
+  if (fileIds.length > maxFiles) {
+    return fail('TOO_MANY_FILES', `At most ${maxFiles} file(s) can be attached`);
+  }
+
+  return null;
+};
+
+/**
+ * Per question type rules. `isEmpty` decides whether the answer counts as
+ * "not answered" (relevant for is_required), `validate` checks the shape and
+ * content of a non-empty answer and returns an error object or null.
+ */
+const questionTypes = {
+  'short-text': { isEmpty: data => isBlank(data.text), validate: validateText },
+  'long-text': { isEmpty: data => isBlank(data.text), validate: validateText },
+  'address': { isEmpty: data => isBlank(data.text), validate: validateText },
+  'email': { isEmpty: data => isBlank(data.text), validate: validateEmail },
+  'phone': { isEmpty: data => isBlank(data.text), validate: validatePhone },
+  'website': { isEmpty: data => isBlank(data.text), validate: validateWebsite },
+  'date': { isEmpty: data => isBlank(data.date), validate: validateDate },
+  'multiple-choice': { isEmpty: isChoiceEmpty, validate: validateSingleChoice },
+  'dropdown': { isEmpty: isChoiceEmpty, validate: validateSingleChoice },
+  'checkbox': {
+    isEmpty: data => data.choiceIds === undefined || (Array.isArray(data.choiceIds) && data.choiceIds.length === 0),
+    validate: validateMultipleChoice
+  },
+  'ranking': {
+    isEmpty: data => data.choiceIds === undefined || (Array.isArray(data.choiceIds) && data.choiceIds.length === 0),
+    validate: validateRanking
+  },
+  'yes-no': { isEmpty: isValueEmpty, validate: validateBoolean },
+  'rating': { isEmpty: isValueEmpty, validate: validateScale },
+  'opinion-scale': { isEmpty: isValueEmpty, validate: validateScale },
+  'nps': { isEmpty: isValueEmpty, validate: validateScale },
+  'number': { isEmpty: isValueEmpty, validate: validateNumber },
+  'matrix': { isEmpty: isMatrixEmpty, validate: validateMatrix },
+  'file-upload': {
+    isEmpty: data => data.fileIds === undefined || (Array.isArray(data.fileIds) && data.fileIds.length === 0),
+    validate: validateFiles
+  },
+  // Page breaks carry a title and description but take no answer
+  'section': {
+    isEmpty: data => Object.keys(data).length === 0,
+    validate: () => fail('NOT_ANSWERABLE', 'Sections cannot be answered')
+  }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Find a choice from a URL value, by ID or (case-insensitively) by text
+ * @private
+ */
+const findChoiceId = (question, raw) => {
+  const value = raw.trim().toLowerCase();
+  const choice = (question.choices || []).find(c => c.id === raw || c.text.trim().toLowerCase() === value);
+  return choice ? choice.id : undefined;
+};
+
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+/**
+ * Turn a raw query parameter into response `data` for a question type
+ */
+const prefillParsers = {
+  ...Object.fromEntries(
+    ['short-text', 'long-text', 'address', 'email', 'phone', 'website'].map(type => [type, raw => ({ text: raw })])
+  ),
+  'date': raw => ({ date: raw }),
+  'multiple-choice': (raw, question) => ({ choiceId: findChoiceId(question, raw) }),
+  'dropdown': (raw, question) => ({ choiceId: findChoiceId(question, raw) }),
+  'checkbox': (raw, question) => ({ choiceIds: raw.split(',').map(part => findChoiceId(question, part)) }),
+  'yes-no': raw => {
+    const value = raw.trim().toLowerCase();
+    return { value: TRUE_VALUES.includes(value) ? true : FALSE_VALUES.includes(value) ? false : undefined };
+  },
+  ...Object.fromEntries(
+    ['rating', 'opinion-scale', 'nps', 'number'].map(type => [type, raw => ({ value: raw.trim() === '' ? undefined : Number(raw) })])
+  )
+};
+
+// Answer key of text questions in quizzes
+const textQuizRule = (properties) => {
+  const errors = {};
+  const { accepted_answers: accepted, points } = properties;
+
+  if (accepted !== undefined &&
+    (!Array.isArray(accepted) || accepted.some(answer => typeof answer !== 'string' || !answer.trim()))) {
+    errors.accepted_answers = 'accepted_answers must be a list of non-empty strings';
+  }
+  if (points !== undefined && points !== null && (!isNumber(points) || points < 0)) {
+    errors.points = 'points must be a number of at least 0';
+  }
+  return errors;
+};
+
+/**
+ * Checks for the type-specific `properties` of a question, run when the
+ * question is saved. Each returns a map of property name to error message.
+ */
+const propertyRules = {
+  ...Object.fromEntries(
+    ['short-text', 'long-text', 'address', 'email', 'phone', 'website'].map(type => [type, textQuizRule])
+  ),
+  'rating': (properties) => {
+    const errors = {};
+    if (properties.steps !== undefined &&
+      (!Number.isInteger(properties.steps) || properties.steps < 2 || properties.steps > MAX_RATING_STEPS)) {
+      errors.steps = `steps must be a whole number from 2 to ${MAX_RATING_STEPS}`;
+    }
+    return errors;
+  },
+  'opinion-scale': (properties) => {
+    const errors = {};
+    const start = properties.start ?? DEFAULT_OPINION_SCALE.start;
+    const end = properties.end ?? DEFAULT_OPINION_SCALE.end;
+
+    if (![0, 1].includes(start)) {
+      errors.start = 'start must be 0 or 1';
+    }
+    if (!Number.isInteger(end) || end - start < 2 || end > 10) {
+      errors.end = 'end must be a whole number up to 10, at least 2 above start';
+    }
+    if (properties.labels !== undefined &&
+      (typeof properties.labels !== 'object' || Array.isArray(properties.labels) ||
+        Object.entries(properties.labels).some(([key, label]) =>
+          !['left', 'center', 'right'].includes(key) || typeof label !== 'string'))) {
+      errors.labels = 'labels may only contain left, center and right text';
+    }
+    return errors;
+  },
+  'nps': (properties) => {
+    const errors = {};
+    if (properties.labels !== undefined &&
+      (typeof properties.labels !== 'object' || Array.isArray(properties.labels))) {
+      errors.labels = 'labels must be an object';
+    }
+    return errors;
+  },
+  'matrix': (properties) => {
+    const errors = {};
+    const { columns, multiple } = properties;
+
+    if (!Array.isArray(columns) || columns.length < 2) {
+      errors.columns = 'columns must list at least two scale options';
+    } else if (columns.some(column =>
+      !column || typeof column.value !== 'string' || !column.value || typeof column.label !== 'string')) {
+      errors.columns = 'Each column needs a string value and label';
+    } else if (new Set(columns.map(column => column.value)).size !== columns.length) {
+      errors.columns = 'Column values must be unique';
+    }
+
+    if (multiple !== undefined && typeof multiple !== 'boolean') {
+      errors.multiple = 'multiple must be a boolean';
+    }
+    return errors;
+  },
+  'ranking': (properties) => {
+    const errors = {};
+    if (properties.rank_limit !== undefined && properties.rank_limit !== null &&
+      (!Number.isInteger(properties.rank_limit) || properties.rank_limit < 1)) {
+      errors.rank_limit = 'rank_limit must be a positive whole number';
+    }
+    return errors;
+  },
+  'file-upload': (properties) => {
+    const errors = {};
+    const { allowed_types: allowedTypes, max_size: maxSize, max_files: maxFiles } = properties;
+
+    if (allowedTypes !== undefined &&
+      (!Array.isArray(allowedTypes) || allowedTypes.some(type => typeof type !== 'string' || !MIME_TYPE_REGEX.test(type)))) {
+      errors.allowed_types = 'allowed_types must be a list of MIME types such as "application/pdf" or "image/*"';
+    }
+    if (maxSize !== undefined && (!Number.isInteger(maxSize) || maxSize < 1 || maxSize > MAX_FILE_SIZE)) {
+      errors.max_size = `max_size must be a number of bytes from 1 to ${MAX_FILE_SIZE}`;
+    }
+    if (maxFiles !== undefined &&
+      (!Number.isInteger(maxFiles) || maxFiles < 1 || maxFiles > MAX_FILES_PER_QUESTION)) {
+      errors.max_files = `max_files must be a whole number from 1 to ${MAX_FILES_PER_QUESTION}`;
+    }
+    return errors;
+  },
+  'section': (properties) => {
+    const errors = {};
+    // Hiding a section would hide its whole page; that is what logic is for
+    if (properties.hidden) {
+      errors.hidden = 'Sections cannot be hidden; use show_if logic instead';
+    }
+    return errors;
+  },
+  'number': (properties) => {
+    const errors = {};
+    ['min', 'max', 'step'].forEach(key => {
+      if (properties[key] !== undefined && properties[key] !== null && !isNumber(properties[key])) {
+        errors[key] = `${key} must be a number`;
+      }
+    });
+    if (isNumber(properties.min) && isNumber(properties.max) && properties.min > properties.max) {
+      errors.max = 'max must not be less than min';
+    }
+    if (isNumber(properties.step) && properties.step <= 0) {
+      errors.step = 'step must be greater than 0';
+    }
+    return errors;
+  }
+};
+
+class ValidationService {
+  /**
+   * Whether answers to a question type can be validated
+   * @param {string} type - Question type
+   */
+  isSupportedType(type) {
+    return Object.prototype.hasOwnProperty.call(questionTypes, type);
+  }
+
+  /**
+   * Integer range of a rating, opinion-scale or NPS question
+   * @param {Object} question - Question row
+   * @returns {{min: number, max: number, step: number}|null} null for other types
+   */
+  getScale(question) {
+    return scaleFor(question);
+  }
+
+  /**
+   * Number of positions a ranking question's answers fill
+   * @param {Object} question - Question row including its choices
+   */
+  getRankPositions(question) {
+    return rankPositionsFor(question);
+  }
+
+  /**
+   * Upload limits of a file-upload question, with defaults applied
+   * @param {Object} question - Question row
+   * @returns {{allowed_types: Array<string>, max_size: number, max_files: number}}
+   */
+  getFileLimits(question) {
+    return fileLimitsFor(question);
+  }
+
+  /**
+   * Check an uploaded file against a file-upload question's limits
+   * @param {Object} question - Question row
+   * @param {{mimeType: string, size: number}} file - The upload
+   * @returns {{code: string, message: string}|null} The error, or null when allowed
+   */
+  validateFile(question, { mimeType, size }) {
+    const limits = fileLimitsFor(question);
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+
+    const allowed = limits.allowed_types.length === 0 || limits.allowed_types.some(pattern => {
+      const normalized = pattern.toLowerCase();
+      return normalized.endsWith('/*')
+        ? type.startsWith(normalized.slice(0, -1))
+        : type === normalized;
+    });
+
+    if (!allowed) {
+      return fail('UNSUPPORTED_FILE_TYPE', `Files of type "${type || 'unknown'}" are not accepted`);
+    }
+
+    if (size === 0) {
+      return fail('EMPTY_FILE', 'File is empty');
+    }
+
+    if (size > limits.max_size) {
+      return fail('FILE_TOO_LARGE', `File exceeds the maximum size of ${limits.max_size} bytes`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate the type-specific properties of a question before it is saved
+   * @param {string} type - Question type
+   * @param {Object|null} properties - Question properties
+   * @throws {ApiError} INVALID_PROPERTIES with per-property details
+   */
+  validateProperties(type, properties) {
+    if (properties === undefined || properties === null) {
+      // Other types work without properties; a matrix cannot be answered without columns
+      if (type !== 'matrix') return;
+      properties = {};
+    }
+
+    let details;
+    if (typeof properties !== 'object' || Array.isArray(properties)) {
+      details = { properties: 'properties must be an object' };
+    } else {
+      details = propertyRules[type] ? propertyRules[type](properties) : {};
+
+      // Prefill settings apply to every question type
+      if (properties.hidden !== undefined && typeof properties.hidden !== 'boolean') {
+        details.hidden = 'hidden must be a boolean';
+      }
+      if (properties.prefill_param !== undefined && properties.prefill_param !== null) {
+        if (typeof properties.prefill_param !== 'string' || !FIELD_NAME_REGEX.test(properties.prefill_param)) {
+          details.prefill_param = 'prefill_param must be a URL parameter name (letters, digits and underscores)';
+        } else if (!prefillParsers[type]) {
+          details.prefill_param = `Questions of type "${type}" cannot be prefilled`;
+        }
+      }
+    }
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Question properties are invalid', {
+        code: 'INVALID_PROPERTIES',
+        status: 400,
+        details
+      });
+    }
+  }
+
+  /**
+   * Build response data for a question from a URL parameter value
+   * @param {Object} question - Question row including its choices
+   * @param {string} raw - The parameter value
+   * @returns {Object|null} Response `data`, or null when the value does not fit the question
+   */
+  parsePrefill(question, raw) {
+    const parse = prefillParsers[question.type];
+    if (!parse || typeof raw !== 'string') {
+      return null;
+    }
+
+    const data = parse(raw, question);
+    if (this.isEmpty(question, data)) {
+      return null;
+    }
+
+    // Prefills are only offered when they would be accepted as an answer
+    return this.validateAnswer({ ...question, is_required: false }, data) ? null : data;
+  }
+
+  /**
+   * Validate the hidden field names a form declares
+   * @param {Array<string>} names - Declared field names
+   * @throws {ApiError} INVALID_HIDDEN_FIELDS
+   */
+  validateHiddenFields(names) {
+    let message;
+
+    if (!Array.isArray(names)) {
+      message = 'hidden_fields must be an array of field names';
+    } else if (names.length > MAX_HIDDEN_FIELDS) {
+      message = `A form can declare at most ${MAX_HIDDEN_FIELDS} hidden fields`;
+    } else if (names.some(name => typeof name !== 'string' || !FIELD_NAME_REGEX.test(name))) {
+      message = 'Hidden field names may only contain letters, digits and underscores';
+    } else if (new Set(names).size !== names.length) {
+      message = 'Hidden field names must be unique';
+    }
+
+    if (message) {
+      throw new ApiError(message, { code: 'INVALID_HIDDEN_FIELDS', status: 400 });
+    }
+  }
+
+  /**
+   * Keep the values of declared hidden fields. Undeclared parameters are
+   * ignored so arbitrary query strings on shared links do not break a submission.
+   * @param {Array<string>} declared - Field names declared by the form
+   * @param {Object} values - Field name to value, e.g. from the query string
+   * @returns {Object} Declared field name to string value
+   * @throws {ApiError} INVALID_HIDDEN_FIELDS when a declared value is not a short string
+   */
+  pickHiddenFields(declared, values) {
+    if (values === undefined || values === null) {
+      return {};
+    }
+
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      throw new ApiError('hidden_fields must be an object', { code: 'INVALID_HIDDEN_FIELDS', status: 400 });
+    }
+
+    const picked = {};
+    (declared || []).forEach(name => {
+      const value = values[name];
+      if (value === undefined || value === null) return;
+
+      if (typeof value !== 'string' || value.length > MAX_HIDDEN_FIELD_LENGTH) {
+        throw new ApiError(`Hidden field "${name}" must be text of at most ${MAX_HIDDEN_FIELD_LENGTH} characters`, {
+          code: 'INVALID_HIDDEN_FIELDS',
+          status: 400
+        });
+      }
+      picked[name] = value;
+    });
+
+    return picked;
+  }
+
+  /**
+   * Whether a string can be used as a hidden field name, e.g. in a filter
+   * @param {string} name - Candidate name
+   */
+  isFieldName(name) {
+    return typeof name === 'string' && FIELD_NAME_REGEX.test(name);
+  }
+
+  /**
+   * Whether an answer should be treated as missing
+   * @param {Object} question - Question row
+   * @param {Object} data - The response `data` payload
+   */
+  isEmpty(question, data) {
+    if (data === undefined || data === null) {
+      return true;
+    }
+
+    const type = questionTypes[question.type];
+    return type ? type.isEmpty(data) : false;
+  }
+
+  /**
+   * Validate a single answer against its question
+   * @param {Object} question - Question row including its choices
+   * @param {Object} data - The response `data` payload
+   * @returns {{code: string, message: string}|null} The error, or null when valid
+   */
+  validateAnswer(question, data) {
+    if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+      return fail('INVALID_RESPONSE', 'Response data must be an object');
+    }
+
+    if (this.isEmpty(question, data)) {
+      return question.is_required
+        ? fail('REQUIRED_FIELD', 'This question is required')
+        : null;
+    }
+
+    const type = questionTypes[question.type];
+    if (!type) {
+      return fail('UNSUPPORTED_QUESTION_TYPE', `Question type "${question.type}" cannot be answered`);
+    }
+
+    return type.validate(question, data);
+  }
+
+  /**
+   * Validate a full set of responses for a form
+   * @param {Array<Object>} questions - The form's questions including their choices
+   * @param {Array<{questionId: string, data: Object}>} responses - Submitted responses
+   * @param {Object} [options]
+   * @param {Set<string>} [options.visibleQuestionIds] - Questions shown to the respondent
+   *   after conditional logic; others may not be answered and are never required
+   * @returns {Object} Map of question ID to error; empty when everything is valid
+   */
+  validateResponses(questions, responses, options = {}) {
+    const { visibleQuestionIds } = options;
+    const isVisible = (question) => !visibleQuestionIds || visibleQuestionIds.has(question.id);
+    const details = {};
+    const questionMap = new Map(questions.map(question => [question.id, question]));
+    const answered = new Set();
+
+    responses.forEach((response, index) => {
+      if (!response || typeof response !== 'object' || !response.questionId) {
+        details[`responses[${index}]`] = fail('INVALID_RESPONSE', 'Each response must include a questionId');
+        return;
+      }
+
+      const question = questionMap.get(response.questionId);
+      if (!question) {
+        details[response.questionId] = fail('UNKNOWN_QUESTION', 'Question does not belong to this form');
+        return;
+      }
+
+      if (answered.has(question.id)) {
+        details[question.id] = fail('DUPLICATE_RESPONSE', 'Question was answered more than once');
+        return;
+      }
+      answered.add(question.id);
+
+      if (!isVisible(question)) {
+        if (!this.isEmpty(question, response.data)) {
+          details[question.id] = fail('HIDDEN_QUESTION', 'Question is hidden by the form logic and cannot be answered');
+        }
+        return;
+      }
+
+      const error = this.validateAnswer(question, response.data);
+      if (error) {
+        details[question.id] = error;
+      }
+    });
+
+    // Required questions that were left out of the payload entirely
+    questions.forEach(question => {
+      if (question.is_required && isVisible(question) && !answered.has(question.id) && !details[question.id]) {
+        details[question.id] = fail('REQUIRED_FIELD', 'This question is required');
+      }
+    });
+
+    return details;
+  }
+
+  /**
+   * Validate responses and throw an ApiError carrying the per-question details
+   * @throws {ApiError} VALIDATION_ERROR when any response is invalid
+   */
+  assertValidResponses(questions, responses, options = {}) {
+    const details = this.validateResponses(questions, responses, options);
+
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Submission contains invalid responses', {
+        code: 'VALIDATION_ERROR',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new ValidationService();
@@ -0,0 +1,191 @@
+const validationService = require('./validationService');
+const { ApiError } = require('../utils/errors');
+const {
+  ExpressionError,
+  parseExpression,
+  evaluateExpression,
+  getReferences
+} = require('../utils/expression');
+
+const MAX_VARIABLES = 50;
+
+/**
+ * The value an expression sees for an answer: choice answers become the
+ * choice text (a list for checkbox and ranking), everything else its plain value
+ * @private
+ */
+const answerValue = (question, data) => {
+  if (!question || !data || typeof data !== 'object') return null;
+
+  const choiceText = (choiceId) => (question.choices || []).find(choice => choice.id === choiceId)?.text ?? null;
+
+  if (Array.isArray(data.choiceIds)) return data.choiceIds.map(choiceText).filter(text => text !== null);
+  if (data.choiceId !== undefined) return choiceText(data.choiceId);
+  if (data.value !== undefined) return data.value;
+  if (data.text !== undefined) return data.text;
+  if (data.date !== undefined) return data.date;
+
+  // Matrix and file answers cannot be used in calculations
+  return null;
+};
+
+class VariableService {
+  /**
+   * Validate a form's variable definitions before they are saved. Each
+   * variable is `{ name, expression }`; expressions may reference question
+   * keys, declared hidden fields and variables defined before them.
+   * @param {Array<Object>} variables - Variable definitions in evaluation order
+   * @param {Array<Object>} questions - The form's questions
+   * @param {Array<string>} hiddenFields - The form's declared hidden fields
+   * @throws {ApiError} INVALID_VARIABLES with a path to message map
+   */
+  validateVariables(variables, questions, hiddenFields) {
+    if (!Array.isArray(variables)) {
+      this._throwIfInvalid({ variables: 'variables must be an array' });
+    }
+
+    const details = {};
+    if (variables.length > MAX_VARIABLES) {
+      details.variables = `A form can have at most ${MAX_VARIABLES} variables`;
+    }
+
+    const keys = new Set(questions.map(q => q.key).filter(Boolean));
+    const declared = new Set(hiddenFields || []);
+    const defined = new Set();
+
+    variables.forEach((variable, index) => {
+      const path = `variables[${index}]`;
+
+      if (!variable || typeof variable !== 'object' || Array.isArray(variable)) {
+        details[path] = 'Variable must be an object';
+        return;
+      }
+
+      const unknownFields = Object.keys(variable).filter(field => !['name', 'expression'].includes(field));
+      if (unknownFields.length > 0) {
+        details[path] = `Unknown fields: ${unknownFields.join(', ')}`;
+      }
+
+      if (!validationService.isFieldName(variable.name)) {
+        details[`${path}.name`] = 'name may only contain letters, digits and underscores';
+      } else if (defined.has(variable.name)) {
+        details[`${path}.name`] = `Duplicate variable "${variable.name}"`;
+      }
+
+      try {
+        const problems = getReferences(parseExpression(variable.expression))
+          .map(({ namespace, name }) => {
+            if (namespace === 'q' && !keys.has(name)) return `q.${name} is not a question key in this form`;
+            if (namespace === 'hidden' && !declared.has(name)) return `hidden.${name} is not a declared hidden field`;
+            if (namespace === 'var' && !defined.has(name)) return `var.${name} must be defined before this variable`;
+            return null;
+          })
+          .filter(Boolean);
+
+        if (problems.length > 0) {
+          details[`${path}.expression`] = [...new Set(problems)].join('; ');
+        }
+      } catch (error) {
+        if (!(error instanceof ExpressionError)) throw error;
+        details[`${path}.expression`] = error.message;
+      }
+
+      // Added even when invalid so one mistake does not cascade into later variables
+      if (validationService.isFieldName(variable.name)) {
+        defined.add(variable.name);
+      }
+    });
+
+    this._throwIfInvalid(details);
+  }
+
+  /**
+   * The question keys each variable depends on, following references to
+   * earlier variables
+   * @param {Array<Object>} variables - Valid variable definitions
+   * @returns {Map<string, Set<string>>} Variable name to question keys
+   */
+  getDependencies(variables) {
+    const dependencies = new Map();
+
+    (variables || []).forEach(variable => {
+      const keys = new Set();
+      getReferences(parseExpression(variable.expression)).forEach(({ namespace, name }) => {
+        if (namespace === 'q') keys.add(name);
+        if (namespace === 'var') (dependencies.get(name) || []).forEach(key => keys.add(key));
+      });
+      dependencies.set(variable.name, keys);
+    });
+
+    return dependencies;
+  }
+
+  /**
+   * Question keys used directly by any variable
+   * @param {Array<Object>} variables - Valid variable definitions
+   * @returns {Set<string>}
+   */
+  getReferencedKeys(variables) {
+    return new Set(
+      (variables || []).flatMap(variable =>
+        getReferences(parseExpression(variable.expression))
+          .filter(reference => reference.namespace === 'q')
+          .map(reference => reference.name)
+      )
+    );
+  }
+
+  /**
+   * Evaluate every variable in order. A variable whose expression cannot be
+   * worked out for these answers (e.g. a division by zero) is null rather
+   * than failing the submission.
+   * @param {Array<Object>} variables - Variable definitions
+   * @param {Object} context
+   * @param {Array<Object>} context.questions - The form's questions with choices
+   * @param {Map<string, Object>} context.answers - Question ID to response `data`
+   * @param {Object} [context.hiddenFields] - Hidden field name to value
+   * @returns {Object} Variable name to value
+   */
+  evaluate(variables, { questions, answers, hiddenFields }) {
+    const byKey = new Map(questions.filter(q => q.key).map(q => [q.key, q]));
+    const values = {};
+
+    const resolve = (namespace, name) => {
+      if (namespace === 'q') {
+        const question = byKey.get(name);
+        return question ? answerValue(question, answers.get(question.id)) : null;
+      }
+      // Own properties only, so names such as `constructor` are not read off the prototype
+      const source = namespace === 'hidden' ? hiddenFields : values;
+      return source && Object.prototype.hasOwnProperty.call(source, name) ? source[name] ?? null : null;
+    };
+
+    (variables || []).forEach(variable => {
+      try {
+        const value = evaluateExpression(parseExpression(variable.expression), resolve);
+        // Lists (e.g. a checkbox answer passed through) are stored as text
+        values[variable.name] = Array.isArray(value) ? value.join(', ') : value;
+      } catch (error) {
+        if (!(error instanceof ExpressionError)) throw error;
+        values[variable.name] = null;
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  _throwIfInvalid(details) {
+    if (Object.keys(details).length > 0) {
+      throw new ApiError('Form variables are invalid', {
+        code: 'INVALID_VARIABLES',
+        status: 400,
+        details
+      });
+    }
+  }
+}
+
+module.exports = new VariableService();
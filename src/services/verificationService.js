@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { ApiError } = require('../utils/errors');
+const { sign } = require('../utils/tokens');
+
+// Lifetime of an emailed verification code
+const CODE_TTL = parseInt(process.env.VERIFICATION_CODE_TTL) || 10 * 60;
+
+// Seconds before another code can be sent for the same submission
+const RESEND_COOLDOWN = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN) || 60;
+
+// Wrong guesses allowed per code
+const MAX_ATTEMPTS = parseInt(process.env.VERIFICATION_MAX_ATTEMPTS) || 5;
+
+const CODE_LENGTH = 6;
+
+class VerificationService {
+  /**
+   * Validate the email verification setting before it is saved
+   * @param {Object} settings - Settings being saved
+   * @throws {ApiError} INVALID_SETTINGS
+   */
+  validateSettings({ verify_email }) {
+    if (verify_email !== undefined && typeof verify_email !== 'boolean') {
+      throw new ApiError('Form settings are invalid', {
+        code: 'INVALID_SETTINGS',
+        status: 400,
+        details: { verify_email: 'verify_email must be a boolean' }
+      });
+    }
+  }
+
+  /**
+   * Generate a one-time code for a submission. Only its hash is stored.
+   * @param {string} submissionId
+   * @param {Date} [now]
+   * @returns {{code: string, challenge: Object}} The code to email and the
+   *   `submission_verifications` row
+   */
+  createChallenge(submissionId, now = new Date()) {
+    const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+
+    return {
+      code,
+      challenge: {
+        submission_id: submissionId,
+        code_hash: this._hash(submissionId, code),
+        attempts: 0,
+        sent_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + CODE_TTL * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Refuse to send another code while the last one is fresh
+   * @param {Object|null} challenge - Stored row for the submission
+   * @param {Date} [now]
+   * @throws {ApiError} VERIFICATION_THROTTLED with `retry_after` seconds
+   */
+  assertCanResend(challenge, now = new Date()) {
+    if (!challenge) return;
+
+    const wait = Math.ceil((new Date(challenge.sent_at).getTime() + RESEND_COOLDOWN * 1000 - now.getTime()) / 1000);
+    if (wait > 0) throw this.throttledError(wait);
+  }
+
+  /**
+   * The VERIFICATION_THROTTLED error
+   * @param {number} [retryAfter] - Seconds to wait
+   */
+  throttledError(retryAfter = RESEND_COOLDOWN) {
+    return new ApiError('A code was sent moments ago', {
+      code: 'VERIFICATION_THROTTLED',
+      status: 429,
+      details: { retry_after: retryAfter }
+    });
+  }
+
+  /**
+   * Refuse a guess when there is no live code or its guesses are used up
+   * @param {Object|null} challenge - Stored row for the submission
+   * @param {Date} [now]
+   * @throws {ApiError} CODE_EXPIRED or TOO_MANY_ATTEMPTS
+   */
+  assertCanAttempt(challenge, now = new Date()) {
+    if (!challenge || new Date(challenge.expires_at) <= now) {
+      throw new ApiError('The code has expired; request a new one', { code: 'CODE_EXPIRED', status: 400 });
+    }
+    if (challenge.attempts >= MAX_ATTEMPTS) {
+      throw new ApiError('Too many wrong codes; request a new one', { code: 'TOO_MANY_ATTEMPTS', status: 429 });
+    }
+  }
+
+  /**
+   * Compare a code the respondent typed with the stored hash in constant time
+   * @param {Object} challenge - Stored row for the submission
+   * @param {*} code
+   */
+  matches(challenge, code) {
+    if (typeof code !== 'string' && typeof code !== 'number') return false;
+
+    const expected = Buffer.from(challenge.code_hash);
+    const actual = Buffer.from(this._hash(challenge.submission_id, String(code).trim()));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * The INVALID_CODE error after a wrong guess
+   * @param {number} attempts - Wrong guesses so far, this one included
+   */
+  wrongCodeError(attempts) {
+    return new ApiError('The code is not correct', {
+      code: 'INVALID_CODE',
+      status: 400,
+      details: { attempts_left: Math.max(0, MAX_ATTEMPTS - attempts) }
+    });
+  }
+
+  /**
+   * Keyed hash of a code, bound to its submission
+   * @private
+   */
+  _hash(submissionId, code) {
+    return sign(`${submissionId}:${code}`);
+  }
+}
+
+module.exports = new VerificationService();
@@ -1,4 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
+const { ApiError } = require('../utils/errors');
+const { createSlug, assertSlug, RESERVED_WORKSPACE_SLUGS } = require('../utils/slugs');
 require('dotenv').config();
 
 class WorkspaceService {
@@ -24,10 +26,12 @@ class WorkspaceService {
    */
   async createWorkspace(name, type, userId) {
     try {
+      const slug = await this._generateUniqueSlug(name);
+
       const { data, error } = await this.supabase
         .from('workspaces')
         .insert([
-          { name, type, user_id: userId }
+          { name, type, user_id: userId, slug }
         ])
         .select()
         .single();
@@ -113,6 +117,97 @@ class WorkspaceService {
       throw error;
     }
   }
+
+  /**
+   * Give a workspace a custom slug. The old slug is kept in the slug history
+   * so links to the workspace's forms redirect to the new one.
+   * @param {string} workspaceId
+   * @param {string} slug - The new slug
+   * @param {string} userId - Only the owner may change it
+   * @throws {ApiError} WORKSPACE_NOT_FOUND, INVALID_SLUG or SLUG_TAKEN
+   */
+  async updateWorkspaceSlug(workspaceId, slug, userId) {
+    assertSlug(slug, { workspace: true });
+
+    const { data: workspace, error: fetchError } = await this.supabase
+      .from('workspaces')
+      .select('id, slug')
+      .eq('id', workspaceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!workspace) {
+      throw new ApiError('Workspace not found', { code: 'WORKSPACE_NOT_FOUND', status: 404 });
+    }
+    if (workspace.slug === slug) return workspace;
+
+    if (!(await this._isSlugAvailable(slug, workspaceId))) {
+      throw new ApiError(`The slug "${slug}" is already taken`, { code: 'SLUG_TAKEN', status: 409 });
+    }
+
+    const { data, error } = await this.supabase
+      .from('workspaces')
+      .update({ slug })
+      .eq('id', workspaceId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Former workspace slugs have no form; drop the entry for the new slug (it is
+    // live again) and keep the old one
+    const { error: deleteError } = await this.supabase
+      .from('slug_redirects')
+      .delete()
+      .is('form_id', null)
+      .in('slug', [workspace.slug, slug]);
+
+    if (deleteError) throw deleteError;
+
+    const { error: insertError } = await this.supabase
+      .from('slug_redirects')
+      .insert([{ workspace_id: workspaceId, form_id: null, slug: workspace.slug }]);
+
+    if (insertError) throw insertError;
+    return data;
+  }
+
+  /**
+   * A slug is free when no other workspace uses it now or used it before
+   * @private
+   */
+  async _isSlugAvailable(slug, workspaceId = null) {
+    const [{ data: current, error }, { data: former, error: formerError }] = await Promise.all([
+      this.supabase.from('workspaces').select('id').eq('slug', slug),
+      this.supabase.from('slug_redirects').select('workspace_id').is('form_id', null).eq('slug', slug)
+    ]);
+
+    if (error) throw error;
+    if (formerError) throw formerError;
+
+    return [...current.map(row => row.id), ...former.map(row => row.workspace_id)]
+      .every(id => id === workspaceId);
+  }
+
+  /**
+   * Generate a slug for a workspace name that is not in use
+   * @private
+   */
+  async _generateUniqueSlug(name) {
+    const base = createSlug(name) || 'workspace';
+    let slug = RESERVED_WORKSPACE_SLUGS.includes(base) ? `${base}-1` : base;
+
+    // If slug exists, append a number until we find a unique one
+    let counter = RESERVED_WORKSPACE_SLUGS.includes(base) ? 2 : 1;
+    while (!(await this._isSlugAvailable(slug))) {
+      slug = `${base}-${counter}`;
+      counter++;
+    }
+
+    assertSlug(slug, { workspace: true });
+    return slug;
+  }
 }
 
 module.exports = new WorkspaceService(); 
\ No newline at end of file
@@ -0,0 +1,40 @@
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const LocalStorage = require('./localStorage');
+const SupabaseStorage = require('./supabaseStorage');
+require('dotenv').config();
+
+/**
+ * Storage adapters share one interface:
+ *   save(key, buffer, { contentType })
+ *   read(key) -> Buffer
+ *   remove(key)
+ *   getDownloadUrl(key, { fileName, contentType, expiresIn }) -> { url, expiresAt }
+ *
+ * The adapter is chosen with STORAGE_DRIVER ('local' by default, or 'supabase').
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({
+        root: process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+        publicUrl: process.env.API_URL || ''
+      });
+    case 'supabase':
+      if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('The supabase storage driver requires SUPABASE_SERVICE_ROLE_KEY');
+      }
+      return new SupabaseStorage({
+        client: createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+          auth: { autoRefreshToken: false, persistSession: false }
+        }),
+        bucket: process.env.SUPABASE_STORAGE_BUCKET || 'submission-files'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+  }
+};
+
+const storage = createStorage();
+
+module.exports = { storage, createStorage };
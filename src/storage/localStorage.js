@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createSignedToken } = require('../utils/tokens');
+
+/**
+ * Stores files on the local filesystem. Downloads are served by the API's
+ * `/files/:token` route using a signed, expiring token.
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory files are written to
+   * @param {string} [options.publicUrl] - Base URL of the API, used to build download links
+   */
+  constructor({ root, publicUrl = '' }) {
+    this.root = path.resolve(root);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Resolve a storage key to a path, refusing keys that escape the root
+   * @private
+   */
+  _resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this._resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  async read(key) {
+    return fs.readFile(this._resolve(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this._resolve(key), { force: true });
+  }
+
+  async getDownloadUrl(key, { fileName, contentType, expiresIn }) {
+    const { token, expiresAt } = createSignedToken('file-download', {
+      key,
+      name: fileName,
+      type: contentType
+    }, expiresIn);
+
+    return { url: `${this.publicUrl}/api/files/${token}`, expiresAt };
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,55 @@
+/**
+ * Stores files in a Supabase Storage bucket. The bucket should be private;
+ * downloads go through Supabase signed URLs.
+ */
+class SupabaseStorage {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Supabase client with access to the bucket (service role)
+   * @param {string} options.bucket - Bucket name
+   */
+  constructor({ client, bucket }) {
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async save(key, buffer, { contentType } = {}) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) throw new Error(`Failed to upload file: ${error.message}`);
+  }
+
+  async read(key) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) throw new Error(`Failed to download file: ${error.message}`);
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async remove(key) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) throw new Error(`Failed to delete file: ${error.message}`);
+  }
+
+  async getDownloadUrl(key, { fileName, expiresIn }) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .createSignedUrl(key, expiresIn, { download: fileName });
+
+    if (error) throw new Error(`Failed to create download URL: ${error.message}`);
+
+    return {
+      url: data.signedUrl,
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+    };
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,36 @@
+/**
+ * Error raised by services for failures the client can act on.
+ * Carries an HTTP status and a machine-readable code so controllers can
+ * answer with the documented `{ error: { message, code, details } }` format.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} options
+   * @param {string} options.code - Machine-readable error code (e.g. 'VALIDATION_ERROR')
+   * @param {number} options.status - HTTP status to respond with
+   * @param {Object} [options.details] - Extra information, e.g. per-question errors
+   */
+  constructor(message, { code, status = 400, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  toJSON() {
+    const error = {
+      message: this.message,
+      code: this.code
+    };
+
+    if (this.details) {
+      error.details = this.details;
+    }
+
+    return { error };
+  }
+}
+
+module.exports = { ApiError };
@@ -0,0 +1,445 @@
+/**
+ * A small expression language for calculated form variables. Expressions are
+ * parsed into a tree and walked by an interpreter; nothing is ever passed to
+ * `eval` or `Function`.
+ *
+ *   round(q.weight / (q.height / 100) ^ 2, 1)
+ *   q.seats * lookup(q.plan, "Starter", 10, "Pro", 25, 0)
+ *   q.age >= 65 or hidden.segment == "senior" ? "high" : "standard"
+ *
+ * References are `q.<question key>`, `hidden.<hidden field>` and
+ * `var.<variable name>`.
+ */
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 40;
+
+const NAMESPACES = ['q', 'hidden', 'var'];
+const KEYWORDS = { true: true, false: false, null: null };
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+// Longest first so `<=` is not read as `<`
+const SYMBOLS = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ',', '.'];
+
+/**
+ * Raised for malformed expressions and for values an expression cannot work with
+ */
+class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const number = source.slice(index).match(/^(\d+(\.\d+)?|\.\d+)/);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), at: index });
+      index += number[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = index + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) end++;
+        value += source[end];
+        end++;
+      }
+      if (end >= source.length) {
+        throw new ExpressionError(`Unterminated string at position ${index + 1}`);
+      }
+      tokens.push({ type: 'string', value, at: index });
+      index = end + 1;
+      continue;
+    }
+
+    const word = source.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (word) {
+      const name = word[0];
+      if (Object.prototype.hasOwnProperty.call(WORD_OPERATORS, name)) {
+        tokens.push({ type: 'symbol', value: WORD_OPERATORS[name], at: index });
+      } else if (Object.prototype.hasOwnProperty.call(KEYWORDS, name)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[name], at: index });
+      } else {
+        tokens.push({ type: 'name', value: name, at: index });
+      }
+      index += name.length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(candidate => source.startsWith(candidate, index));
+    if (!symbol) {
+      throw new ExpressionError(`Unexpected character "${char}" at position ${index + 1}`);
+    }
+    tokens.push({ type: 'symbol', value: symbol, at: index });
+    index += symbol.length;
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive-descent parser. Precedence from loosest to tightest:
+ * `?:`, `or`, `and`, `not`, comparisons, `+ -`, `* / %`, unary minus, `^`.
+ */
+const parse = (tokens) => {
+  let position = 0;
+  let depth = 0;
+
+  const peek = () => tokens[position];
+  const isSymbol = (...values) => peek()?.type === 'symbol' && values.includes(peek().value);
+  const describe = (token) => (token ? `"${token.value}" at position ${token.at + 1}` : 'end of expression');
+
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      throw new ExpressionError(`Expected "${value}" but found ${describe(peek())}`);
+    }
+    position++;
+  };
+
+  // Guards the interpreter's recursion as well as the parser's
+  const nested = (parseNode) => {
+    if (++depth > MAX_DEPTH) {
+      throw new ExpressionError('Expression is nested too deeply');
+    }
+    const node = parseNode();
+    depth--;
+    return node;
+  };
+
+  const binary = (parseOperand, operators) => () => {
+    let node = parseOperand();
+    while (isSymbol(...operators)) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new ExpressionError('Unexpected end of expression');
+    }
+
+    if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'symbol' && token.value === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'name') {
+      if (isSymbol('.')) {
+        position++;
+        const name = tokens[position++];
+        if (!NAMESPACES.includes(token.value) || name?.type !== 'name') {
+          throw new ExpressionError(`Invalid reference at position ${token.at + 1}; use q.key, hidden.name or var.name`);
+        }
+        return { type: 'reference', namespace: token.value, name: name.value };
+      }
+
+      if (isSymbol('(')) {
+        if (!Object.prototype.hasOwnProperty.call(functions, token.value)) {
+          throw new ExpressionError(`Unknown function "${token.value}"`);
+        }
+        position++;
+        const args = [];
+        if (!isSymbol(')')) {
+          args.push(parseExpression());
+          while (isSymbol(',')) {
+            position++;
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+
+        const { minArgs, maxArgs = minArgs } = functions[token.value];
+        if (args.length < minArgs || args.length > maxArgs) {
+          throw new ExpressionError(`Wrong number of arguments for ${token.value}()`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      throw new ExpressionError(`Unknown name "${token.value}" at position ${token.at + 1}; use q.key, hidden.name or var.name`);
+    }
+
+    throw new ExpressionError(`Unexpected ${describe(token)}`);
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (!isSymbol('^')) return base;
+    position++;
+    // Right-associative, and binds tighter than unary minus: -2 ^ 2 is -4
+    return { type: 'binary', operator: '^', left: base, right: nested(parseUnary) };
+  };
+
+  const parseUnary = () => {
+    if (isSymbol('-')) {
+      position++;
+      return { type: 'unary', operator: '-', operand: nested(parseUnary) };
+    }
+    return parsePower();
+  };
+
+  const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    if (!isSymbol('==', '!=', '<', '<=', '>', '>=')) return left;
+    const operator = tokens[position++].value;
+    return { type: 'binary', operator, left, right: parseAdditive() };
+  };
+
+  const parseNot = () => {
+    if (isSymbol('!')) {
+      position++;
+      return { type: 'unary', operator: '!', operand: nested(parseNot) };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = binary(parseNot, ['&&']);
+  const parseOr = binary(parseAnd, ['||']);
+
+  const parseExpression = () => nested(() => {
+    const condition = parseOr();
+    if (!isSymbol('?')) return condition;
+    position++;
+    const then = parseExpression();
+    expect(':');
+    return { type: 'conditional', condition, then, otherwise: parseExpression() };
+  });
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new ExpressionError(`Unexpected ${describe(peek())}`);
+  }
+  return tree;
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const isEqual = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') {
+    const left = toNumber(a, true);
+    const right = toNumber(b, true);
+    return left !== undefined && left === right;
+  }
+  return normalize(a) === normalize(b);
+};
+
+/**
+ * Numbers for arithmetic. Unanswered values count as 0 so optional extras can
+ * be added up; numeric text (hidden fields always arrive as text) is converted.
+ * @param {*} value
+ * @param {boolean} [lenient] - Return undefined rather than throwing
+ */
+const toNumber = (value, lenient = false) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (lenient) return undefined;
+  throw new ExpressionError(`Expected a number but got ${JSON.stringify(value)}`);
+};
+
+const isTruthy = (value) =>
+  !(value === null || value === undefined || value === false || value === 0 || value === '' ||
+    (Array.isArray(value) && value.length === 0));
+
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+const numbers = (values) => values.flat().filter(value => value !== null && value !== undefined).map(value => toNumber(value));
+
+/**
+ * Built-in functions. `lazy` functions receive unevaluated argument nodes so
+ * only the branch taken is evaluated.
+ */
+const functions = {
+  if: {
+    minArgs: 3,
+    lazy: true,
+    call: ([condition, then, otherwise], evaluate) => (isTruthy(evaluate(condition)) ? evaluate(then) : evaluate(otherwise))
+  },
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    call: ([value, digits = 0]) => {
+      const factor = 10 ** Math.min(Math.max(Math.trunc(toNumber(digits)), 0), 10);
+      return Math.round(toNumber(value) * factor) / factor;
+    }
+  },
+  floor: { minArgs: 1, call: ([value]) => Math.floor(toNumber(value)) },
+  ceil: { minArgs: 1, call: ([value]) => Math.ceil(toNumber(value)) },
+  abs: { minArgs: 1, call: ([value]) => Math.abs(toNumber(value)) },
+  sqrt: { minArgs: 1, call: ([value]) => Math.sqrt(toNumber(value)) },
+  min: { minArgs: 1, maxArgs: Infinity, call: (args) => (numbers(args).length > 0 ? Math.min(...numbers(args)) : null) },
+  max: { minArgs: 1, maxArgs: Infinity, call: (args) => (numbers(args).length > 0 ? Math.max(...numbers(args)) : null) },
+  sum: { minArgs: 1, maxArgs: Infinity, call: (args) => numbers(args).reduce((total, value) => total + value, 0) },
+  count: { minArgs: 1, call: ([value]) => (Array.isArray(value) ? value.length : (value === null || value === undefined || value === '' ? 0 : 1)) },
+  answered: { minArgs: 1, call: ([value]) => isTruthy(value) || value === 0 || value === false },
+  contains: {
+    minArgs: 2,
+    call: ([list, item]) => (Array.isArray(list)
+      ? list.some(entry => isEqual(entry, item))
+      : typeof list === 'string' && normalize(list).includes(normalize(toText(item))))
+  },
+  concat: { minArgs: 1, maxArgs: Infinity, call: (args) => args.map(toText).join('') },
+  // lookup(value, key1, result1, key2, result2, ..., [default])
+  lookup: {
+    minArgs: 3,
+    maxArgs: Infinity,
+    call: ([value, ...pairs]) => {
+      for (let index = 0; index + 1 < pairs.length; index += 2) {
+        if (isEqual(value, pairs[index])) return pairs[index + 1];
+      }
+      return pairs.length % 2 === 1 ? pairs[pairs.length - 1] : null;
+    }
+  }
+};
+
+const arithmetic = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => {
+    if (b === 0) throw new ExpressionError('Division by zero');
+    return a / b;
+  },
+  '%': (a, b) => {
+    if (b === 0) throw new ExpressionError('Division by zero');
+    return a % b;
+  },
+  '^': (a, b) => a ** b
+};
+
+const compare = (operator, a, b) => {
+  if (operator === '==') return isEqual(a, b);
+  if (operator === '!=') return !isEqual(a, b);
+
+  // Ordering an unanswered value against anything is false, as in logic rules
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+
+  const left = typeof a === 'string' && typeof b === 'string' ? a : toNumber(a);
+  const right = typeof a === 'string' && typeof b === 'string' ? b : toNumber(b);
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    default: return left >= right;
+  }
+};
+
+/**
+ * Parse an expression
+ * @param {string} source - Expression text
+ * @returns {Object} Syntax tree for evaluateExpression
+ * @throws {ExpressionError}
+ */
+const parseExpression = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression is required');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`Expression must be at most ${MAX_LENGTH} characters`);
+  }
+  return parse(tokenize(source));
+};
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} tree - Result of parseExpression
+ * @param {Function} resolve - `(namespace, name) => value` for references
+ * @returns {number|string|boolean|Array|null}
+ * @throws {ExpressionError} When a value cannot be used, e.g. division by zero
+ */
+const evaluateExpression = (tree, resolve) => {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'reference': {
+        const value = resolve(node.namespace, node.name);
+        return value === undefined ? null : value;
+      }
+      case 'unary':
+        return node.operator === '!' ? !isTruthy(evaluate(node.operand)) : -toNumber(evaluate(node.operand));
+      case 'conditional':
+        return isTruthy(evaluate(node.condition)) ? evaluate(node.then) : evaluate(node.otherwise);
+      case 'call': {
+        const fn = functions[node.name];
+        return fn.lazy ? fn.call(node.args, evaluate) : fn.call(node.args.map(evaluate));
+      }
+      case 'binary': {
+        if (node.operator === '&&') return isTruthy(evaluate(node.left)) && isTruthy(evaluate(node.right));
+        if (node.operator === '||') return isTruthy(evaluate(node.left)) || isTruthy(evaluate(node.right));
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (arithmetic[node.operator]) {
+          return arithmetic[node.operator](toNumber(left), toNumber(right));
+        }
+        return compare(node.operator, left, right);
+      }
+      default:
+        throw new ExpressionError(`Unknown node type "${node.type}"`);
+    }
+  };
+
+  const result = evaluate(tree);
+  if (typeof result === 'number' && !Number.isFinite(result)) {
+    throw new ExpressionError('Result is not a finite number');
+  }
+  return result;
+};
+
+/**
+ * List the references in a parsed expression
+ * @param {Object} tree - Result of parseExpression
+ * @returns {Array<{namespace: string, name: string}>}
+ */
+const getReferences = (tree) => {
+  const references = [];
+  const visit = (node) => {
+    if (node.type === 'reference') {
+      references.push({ namespace: node.namespace, name: node.name });
+    }
+    [node.left, node.right, node.operand, node.condition, node.then, node.otherwise, ...(node.args || [])]
+      .filter(Boolean)
+      .forEach(visit);
+  };
+  visit(tree);
+  return references;
+};
+
+module.exports = {
+  ExpressionError,
+  parseExpression,
+  evaluateExpression,
+  getReferences
+};
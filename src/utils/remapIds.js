@@ -0,0 +1,23 @@
+/**
+ * Recursively replace string values (and object keys) that appear as keys in
+ * an ID map. Used to rewrite question/choice references inside logic when
+ * questions are copied or converted to and from portable definitions, and
+ * choice IDs inside responses (matrix answers are keyed by row choice).
+ * @param {*} value - Any JSON value
+ * @param {Map<string, string>} idMap - Old ID to new ID
+ */
+const remapIds = (value, idMap) => {
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [idMap.get(key) ?? key, remapIds(item, idMap)])
+    );
+  }
+
+  return typeof value === 'string' && idMap.has(value) ? idMap.get(value) : value;
+};
+
+module.exports = { remapIds };
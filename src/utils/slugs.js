@@ -0,0 +1,45 @@
+const { ApiError } = require('./errors');
+
+const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 100;
+
+// Public links are served from /api/:workspaceSlug/:formSlug, next to these routes
+const RESERVED_WORKSPACE_SLUGS = ['api', 'auth', 'files', 'forms', 'test', 'workspaces'];
+
+// Room left for the `-<n>` suffix that makes a generated slug unique
+const MAX_SUFFIX_LENGTH = 10;
+
+/**
+ * Convert a string to a URL-safe slug. Names without Latin letters or digits
+ * give an empty slug, so callers fall back to a base of their own.
+ * @param {string} str
+ */
+const createSlug = (str) => str
+  .toLowerCase()
+  .trim()
+  .replace(/[^\w\s-]/g, '') // Remove non-word chars
+  .replace(/[\s_-]+/g, '-') // Replace spaces and _ with -
+  .slice(0, MAX_SLUG_LENGTH - MAX_SUFFIX_LENGTH)
+  .replace(/^-+|-+$/g, ''); // Remove leading/trailing -
+
+/**
+ * Check a slug chosen by an owner
+ * @param {*} slug
+ * @param {Object} [options]
+ * @param {boolean} [options.workspace] - Workspace slugs may not shadow API routes
+ * @throws {ApiError} INVALID_SLUG
+ */
+const assertSlug = (slug, { workspace = false } = {}) => {
+  if (typeof slug !== 'string' || slug.length > MAX_SLUG_LENGTH || !SLUG_REGEX.test(slug)) {
+    throw new ApiError(
+      `Slugs are lowercase letters and digits separated by single hyphens, at most ${MAX_SLUG_LENGTH} characters`,
+      { code: 'INVALID_SLUG', status: 400 }
+    );
+  }
+
+  if (workspace && RESERVED_WORKSPACE_SLUGS.includes(slug)) {
+    throw new ApiError(`"${slug}" is reserved`, { code: 'INVALID_SLUG', status: 400 });
+  }
+};
+
+module.exports = { createSlug, assertSlug, RESERVED_WORKSPACE_SLUGS };
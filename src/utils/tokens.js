@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+const getSecret = () => {
+  const secret = process.env.TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('Missing TOKEN_SECRET environment variable. Please check your .env file.');
+  }
+  return secret;
+};
+
+/**
+ * HMAC a value with the token secret, e.g. to store a one-time code
+ * @param {string} value
+ * @returns {string} base64url digest
+ */
+const sign = (value) => crypto
+  .createHmac('sha256', getSecret())
+  .update(value)
+  .digest('base64url');
+
+/**
+ * Create a compact signed token (`<payload>.<signature>`) that expires.
+ * The purpose is signed with the payload so a token issued for one feature
+ * cannot be replayed against another.
+ * @param {string} purpose - What the token grants, e.g. 'file-download'
+ * @param {Object} payload - JSON-serialisable claims
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {{ token: string, expiresAt: string }}
+ */
+const createSignedToken = (purpose, payload, expiresIn) => {
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  const body = Buffer.from(JSON.stringify({ ...payload, purpose, exp })).toString('base64url');
+
+  return {
+    token: `${body}.${sign(body)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Check a token's signature, purpose and expiry
+ * @param {string} purpose - The purpose the token must have been issued for
+ * @param {string} token - Token from createSignedToken
+ * @returns {Object} The payload
+ * @throws {ApiError} INVALID_TOKEN or TOKEN_EXPIRED
+ */
+const verifySignedToken = (purpose, token) => {
+  const invalid = new ApiError('Invalid token', { code: 'INVALID_TOKEN', status: 401 });
+  const [body, signature] = typeof token === 'string' ? token.split('.') : [];
+
+  if (!body || !signature) throw invalid;
+
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalid;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid;
+  }
+
+  if (payload.purpose !== purpose) throw invalid;
+
+  if (!Number.isInteger(payload.exp) || payload.exp * 1000 < Date.now()) {
+    throw new ApiError('Token has expired', { code: 'TOKEN_EXPIRED', status: 401 });
+  }
+
+  return payload;
+};
+
+module.exports = { createSignedToken, verifySignedToken, sign };
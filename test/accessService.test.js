@@ -0,0 +1,86 @@
+process.env.TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const accessService = require('../src/services/accessService');
+const { createSignedToken } = require('../src/utils/tokens');
+
+const reasonOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.strictEqual(error.code, 'FORM_ACCESS_DENIED');
+    return error.details.reason;
+  }
+  assert.fail('Expected FORM_ACCESS_DENIED');
+};
+
+test('validateAccess checks each field it is given', () => {
+  assert.doesNotThrow(() => accessService.validateAccess({ password: null, invited_domains: ['Example.com'] }));
+  assert.doesNotThrow(() => accessService.validateAccess({}));
+
+  try {
+    accessService.validateAccess({ password: 'abc', invite_only: 'yes', invited_emails: ['nope'], invited_domains: ['@x'] });
+    assert.fail('Expected INVALID_ACCESS');
+  } catch (error) {
+    assert.strictEqual(error.code, 'INVALID_ACCESS');
+    assert.deepStrictEqual(Object.keys(error.details).sort(), ['invite_only', 'invited_domains', 'invited_emails', 'password']);
+  }
+});
+
+test('passwords are hashed with a salt and verified', async () => {
+  const hash = await accessService.hashPassword('open sesame');
+
+  assert.match(hash, /^scrypt\$/);
+  assert.notStrictEqual(hash, await accessService.hashPassword('open sesame'));
+  assert.strictEqual(await accessService.verifyPassword('open sesame', hash), true);
+  assert.strictEqual(await accessService.verifyPassword('open sesamE', hash), false);
+  assert.strictEqual(await accessService.verifyPassword(undefined, hash), false);
+  assert.strictEqual(await accessService.verifyPassword('open sesame', 'plain'), false);
+});
+
+test('invites match by address or domain, case-insensitively', () => {
+  const access = {
+    invited_emails: accessService.normalizeInvites([' Ann@Example.org ', 'ann@example.org']),
+    invited_domains: ['acme.com']
+  };
+
+  assert.deepStrictEqual(access.invited_emails, ['ann@example.org']);
+  assert.strictEqual(accessService.isInvited(access, 'ANN@example.org'), true);
+  assert.strictEqual(accessService.isInvited(access, 'bob@acme.com'), true);
+  assert.strictEqual(accessService.isInvited(access, 'bob@sub.acme.com'), false);
+  assert.strictEqual(accessService.isInvited(access, 'not an email'), false);
+});
+
+test('unrestricted forms are open unless private', () => {
+  assert.doesNotThrow(() => accessService.assertAccess('f1', { isPrivate: false, access: null }));
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { isPrivate: true, access: null })), 'private');
+});
+
+test('password-protected forms need a token for the current password', () => {
+  const access = { password_hash: 'scrypt$a$b' };
+  const { token } = accessService.createAccessToken('f1', access);
+
+  assert.doesNotThrow(() => accessService.assertAccess('f1', { access, token }));
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access })), 'password_required');
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f2', { access, token })), 'password_required');
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access: { password_hash: 'scrypt$c$d' }, token })), 'password_required');
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access, token: `${token}x` })), 'password_required');
+});
+
+test('expired tokens are reported as such', () => {
+  const access = { password_hash: 'scrypt$a$b' };
+  const { token } = createSignedToken('form-access', { form_id: 'f1', email: null, password: accessService._fingerprint(access.password_hash) }, -1);
+
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access, token })), 'access_expired');
+});
+
+test('invite-only tokens are bound to the invited email', () => {
+  const access = { invite_only: true, invited_emails: ['ann@example.org'], invited_domains: [] };
+  const { token } = accessService.createAccessToken('f1', access, 'Ann@Example.org');
+
+  assert.doesNotThrow(() => accessService.assertAccess('f1', { access, token, email: 'ann@example.org' }));
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access })), 'invite_required');
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access, token, email: 'bob@example.org' })), 'not_invited');
+  assert.strictEqual(reasonOf(() => accessService.assertAccess('f1', { access: { ...access, invited_emails: [] }, token })), 'not_invited');
+});
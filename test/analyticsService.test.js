@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const analyticsService = require('../src/services/analyticsService');
+
+const answers = (data) => data.map(response_data => ({ response_data }));
+
+test('scales describe the answers and count every point of the scale', () => {
+  const summary = analyticsService.summarizeQuestion(
+    { id: 'q1', type: 'rating', text: 'Rate us', properties: { steps: 5 } },
+    answers([{ value: 5 }, { value: 4 }, { value: 4 }, { value: 1 }])
+  );
+
+  assert.strictEqual(summary.total_responses, 4);
+  assert.deepStrictEqual(
+    { mean: summary.mean, median: summary.median, min: summary.min, max: summary.max },
+    { mean: 3.5, median: 4, min: 1, max: 5 }
+  );
+  assert.deepStrictEqual(summary.scale, { min: 1, max: 5 });
+  assert.deepStrictEqual(summary.distribution, { 1: 1, 2: 0, 3: 0, 4: 2, 5: 1 });
+});
+
+test('NPS splits promoters, passives and detractors', () => {
+  const summary = analyticsService.summarizeQuestion(
+    { id: 'q1', type: 'nps', text: 'Recommend us?' },
+    answers([{ value: 10 }, { value: 9 }, { value: 8 }, { value: 3 }])
+  );
+
+  assert.strictEqual(summary.nps.score, 25);
+  assert.deepStrictEqual(summary.nps.promoters, { count: 2, percentage: 50 });
+  assert.deepStrictEqual(summary.nps.passives, { count: 1, percentage: 25 });
+  assert.deepStrictEqual(summary.nps.detractors, { count: 1, percentage: 25 });
+  assert.strictEqual(Object.keys(summary.distribution).length, 11);
+});
+
+test('numbers are summed and non-numeric answers ignored', () => {
+  const summary = analyticsService.summarizeQuestion(
+    { id: 'q1', type: 'number', text: 'Seats' },
+    answers([{ value: 2 }, { value: 3.5 }, { value: 'x' }, {}])
+  );
+
+  assert.strictEqual(summary.sum, 5.5);
+  assert.strictEqual(summary.median, 2.75);
+  assert.deepStrictEqual(summary.distribution, { 2: 1, 3.5: 1 });
+});
+
+test('choice counts include unselected and removed choices', () => {
+  const summary = analyticsService.summarizeQuestion(
+    { id: 'q1', type: 'checkbox', text: 'Colors', choices: [{ id: 'c1', text: 'Red' }, { id: 'c2', text: 'Blue' }] },
+    answers([{ choiceIds: ['c1', 'gone'] }, { choiceIds: ['c1'] }])
+  );
+
+  assert.deepStrictEqual(summary.distribution, [
+    { choice_id: 'c1', text: 'Red', count: 2, percentage: 100 },
+    { choice_id: 'c2', text: 'Blue', count: 0, percentage: 0 },
+    { choice_id: 'gone', text: null, count: 1, percentage: 50 }
+  ]);
+});
+
+test('matrix rows count each column over the answers to that row', () => {
+  const summary = analyticsService.summarizeQuestion(
+    {
+      id: 'q1',
+      type: 'matrix',
+      text: 'Agree?',
+      choices: [{ id: 'r2', text: 'Fast', order: 2 }, { id: 'r1', text: 'Cheap', order: 1 }],
+      properties: { columns: [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }] }
+    },
+    answers([{ rows: { r1: 'yes', r2: 'no' } }, { rows: { r1: 'yes' } }])
+  );
+
+  assert.deepStrictEqual(summary.rows.map(row => [row.choice_id, row.total_responses, row.counts]), [
+    ['r1', 2, { yes: 2, no: 0 }],
+    ['r2', 1, { yes: 0, no: 1 }]
+  ]);
+  assert.deepStrictEqual(summary.rows[1].percentages, { yes: 0, no: 100 });
+});
+
+test('rankings are ordered by Borda score', () => {
+  const summary = analyticsService.summarizeQuestion(
+    { id: 'q1', type: 'ranking', text: 'Order', choices: [{ id: 'a', text: 'A', order: 1 }, { id: 'b', text: 'B', order: 2 }, { id: 'c', text: 'C', order: 3 }] },
+    answers([{ choiceIds: ['b', 'a', 'c'] }, { choiceIds: ['b', 'c', 'a'] }])
+  );
+
+  assert.strictEqual(summary.positions, 3);
+  assert.deepStrictEqual(summary.rankings.map(ranking => [ranking.choice_id, ranking.borda_score, ranking.average_rank]), [
+    ['b', 6, 1],
+    ['a', 3, 2.5],
+    ['c', 3, 2.5]
+  ]);
+  assert.deepStrictEqual(summary.rankings[0].rank_distribution, [2, 0, 0]);
+});
+
+test('text, yes-no and date answers get their own summaries', () => {
+  const text = analyticsService.summarizeQuestion(
+    { id: 'q1', type: 'short-text', text: 'City' },
+    answers([{ text: 'Paris ' }, { text: 'Paris' }, { text: 'Rome' }])
+  );
+  assert.deepStrictEqual(text.common_responses, [{ text: 'Paris', count: 2 }, { text: 'Rome', count: 1 }]);
+
+  const yesNo = analyticsService.summarizeQuestion(
+    { id: 'q2', type: 'yes-no', text: 'Agree?' },
+    answers([{ value: true }, { value: false }, { value: true }, { value: true }])
+  );
+  assert.deepStrictEqual(yesNo.distribution.yes, { count: 3, percentage: 75 });
+
+  const dates = analyticsService.summarizeQuestion(
+    { id: 'q3', type: 'date', text: 'When?' },
+    answers([{ date: '2024-05-01' }, { date: '2023-12-31' }])
+  );
+  assert.deepStrictEqual({ earliest: dates.earliest, latest: dates.latest }, { earliest: '2023-12-31', latest: '2024-05-01' });
+});
+
+test('quiz marks are reported only when answers were marked', () => {
+  const question = { id: 'q1', type: 'multiple-choice', text: 'Capital?', choices: [] };
+
+  const marked = analyticsService.summarizeQuestion(question, [
+    { response_data: {}, is_correct: true },
+    { response_data: {}, is_correct: false },
+    { response_data: {}, is_correct: true },
+    { response_data: {}, is_correct: null }
+  ]);
+  assert.deepStrictEqual(marked.correctness, { correct: 2, incorrect: 1, rate: 66.67 });
+
+  assert.ok(!('correctness' in analyticsService.summarizeQuestion(question, answers([{}]))));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const availabilityService = require('../src/services/availabilityService');
+
+const settings = {
+  opens_at: '2026-01-01T00:00:00Z',
+  closes_at: '2026-02-01T00:00:00Z',
+  max_submissions: 10
+};
+
+const detailsOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.strictEqual(error.code, 'INVALID_SETTINGS');
+    return error.details;
+  }
+  return null;
+};
+
+test('validateSettings checks timestamps, cap and message', () => {
+  assert.strictEqual(detailsOf(() => availabilityService.validateSettings(settings)), null);
+  assert.strictEqual(detailsOf(() => availabilityService.validateSettings({ opens_at: null, max_submissions: null })), null);
+  assert.deepStrictEqual(Object.keys(detailsOf(() => availabilityService.validateSettings({
+    opens_at: 'tomorrow',
+    max_submissions: 0,
+    closed_message: 'x'.repeat(1001)
+  }))), ['opens_at', 'max_submissions', 'closed_message']);
+});
+
+test('closes_at must follow opens_at, including the stored one', () => {
+  assert.match(detailsOf(() => availabilityService.validateSettings({
+    opens_at: '2026-02-01T00:00:00Z',
+    closes_at: '2026-01-01T00:00:00Z'
+  })).closes_at, /after opens_at/);
+  assert.match(detailsOf(() => availabilityService.validateSettings(
+    { closes_at: '2025-12-31T00:00:00Z' },
+    settings
+  )).closes_at, /after opens_at/);
+});
+
+test('getAvailability follows the schedule and the cap', () => {
+  const at = (time) => new Date(time);
+
+  assert.deepStrictEqual(availabilityService.getAvailability(settings, 0, at('2025-12-31T23:59:59Z')), { open: false, reason: 'not_open' });
+  assert.deepStrictEqual(availabilityService.getAvailability(settings, 9, at('2026-01-15T00:00:00Z')), { open: true, reason: null });
+  assert.deepStrictEqual(availabilityService.getAvailability(settings, 10, at('2026-01-15T00:00:00Z')), { open: false, reason: 'full' });
+  assert.deepStrictEqual(availabilityService.getAvailability(settings, 0, at('2026-02-01T00:00:00Z')), { open: false, reason: 'closed' });
+  assert.deepStrictEqual(availabilityService.getAvailability(null, 1000), { open: true, reason: null });
+});
+
+test('assertOpen throws FORM_CLOSED with the form\'s message', () => {
+  assert.doesNotThrow(() => availabilityService.assertOpen(null, 0));
+
+  try {
+    availabilityService.assertOpen({ max_submissions: 1, closed_message: 'Sold out' }, 1);
+    assert.fail('Expected FORM_CLOSED');
+  } catch (error) {
+    assert.strictEqual(error.code, 'FORM_CLOSED');
+    assert.strictEqual(error.message, 'Sold out');
+    assert.deepStrictEqual(error.details, { reason: 'full' });
+  }
+});
+
+test('closedError gives the opening time of a form that is not open yet', () => {
+  const error = availabilityService.closedError(settings, 'not_open');
+
+  assert.strictEqual(error.message, 'This form is not open yet');
+  assert.deepStrictEqual(error.details, { reason: 'not_open', opens_at: settings.opens_at });
+});
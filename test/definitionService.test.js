@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const definitionService = require('../src/services/definitionService');
+
+const form = {
+  id: 'form-1',
+  name: 'Signup',
+  description: null,
+  is_private: false,
+  hidden_fields: ['utm_source'],
+  settings: [{ id: 'settings-1', form_id: 'form-1', ending_page_title: 'Thanks {{q:name}}', translations: {} }],
+  questions: [
+    { id: 'uuid-b', type: 'short-text', key: 'name', text: 'Name', order: 2, is_required: true },
+    {
+      id: 'uuid-a',
+      type: 'multiple-choice',
+      text: 'Plan',
+      order: 1,
+      choices: [
+        { id: 'uuid-c1', text: 'Free', order: 1, translations: {} },
+        { id: 'uuid-c2', text: 'Pro', order: 2 }
+      ]
+    },
+    {
+      id: 'uuid-d',
+      type: 'short-text',
+      text: 'Company',
+      order: 3,
+      logic: { show_if: { conditions: [{ question_id: 'uuid-a', operator: 'equals', value: 'uuid-c2' }] } }
+    }
+  ]
+};
+
+const invalidDetails = (definition) => {
+  try {
+    definitionService.fromDefinition(definition);
+  } catch (error) {
+    assert.strictEqual(error.code, 'INVALID_DEFINITION');
+    return error.details;
+  }
+  assert.fail('Expected INVALID_DEFINITION');
+};
+
+test('toDefinition replaces database IDs with refs and drops database state', () => {
+  const definition = definitionService.toDefinition(form);
+
+  assert.strictEqual(definition.format, 'tagform.form-definition');
+  assert.strictEqual(definition.version, 1);
+  assert.deepStrictEqual(definition.form, { name: 'Signup', is_private: false, hidden_fields: ['utm_source'] });
+  assert.deepStrictEqual(definition.settings, { ending_page_title: 'Thanks {{q:name}}' });
+
+  assert.deepStrictEqual(definition.questions.map(question => question.ref), ['q1', 'q2', 'q3']);
+  assert.deepStrictEqual(definition.questions[0].choices, [{ ref: 'c1', text: 'Free' }, { ref: 'c2', text: 'Pro' }]);
+  assert.deepStrictEqual(definition.questions[2].logic.show_if.conditions[0], { question_id: 'q1', operator: 'equals', value: 'c2' });
+  assert.ok(!JSON.stringify(definition).includes('uuid-'));
+});
+
+test('an exported definition imports back into equivalent rows', () => {
+  const { form: imported, settings, questions } = definitionService.fromDefinition(definitionService.toDefinition(form));
+
+  assert.strictEqual(imported.name, 'Signup');
+  assert.strictEqual(settings.ending_page_title, 'Thanks {{q:name}}');
+  assert.deepStrictEqual(questions.map(question => [question.id, question.parent_id, question.order]), [
+    ['q1', null, 1],
+    ['q2', null, 2],
+    ['q3', null, 3]
+  ]);
+  assert.deepStrictEqual(questions[0].choices.map(choice => choice.id), ['c1', 'c2']);
+  assert.strictEqual(questions[1].key, 'name');
+  assert.strictEqual(questions[2].logic.show_if.conditions[0].value, 'c2');
+});
+
+test('children are flattened with their parent ref', () => {
+  const { questions } = definitionService.fromDefinition({
+    format: 'tagform.form-definition',
+    version: 1,
+    form: { name: 'Nested' },
+    questions: [{
+      ref: 'parent',
+      type: 'short-text',
+      text: 'Parent',
+      children: [{ ref: 'child', type: 'short-text', text: 'Child' }]
+    }]
+  });
+
+  assert.deepStrictEqual(questions.map(question => [question.id, question.parent_id]), [['parent', null], ['child', 'parent']]);
+});
+
+test('fromDefinition reports every problem with its path', () => {
+  const details = invalidDetails({
+    format: 'other',
+    version: 2,
+    form: { name: ' ' },
+    settings: { theme: 'dark' },
+    questions: [
+      { ref: 'q1', type: 'short-text', text: 'A', key: 'dup' },
+      { ref: 'q1', type: 'signature', text: '', key: 'dup', choices: [{ text: '' }] }
+    ]
+  });
+
+  assert.deepStrictEqual(Object.keys(details).sort(), [
+    'form.name',
+    'format',
+    'questions[1].choices[0]',
+    'questions[1].key',
+    'questions[1].ref',
+    'questions[1].text',
+    'questions[1].type',
+    'settings.theme',
+    'version'
+  ]);
+});
+
+test('logic and piping are checked against the imported questions', () => {
+  const base = { format: 'tagform.form-definition', version: 1, form: { name: 'Refs' } };
+
+  const logicDetails = invalidDetails({
+    ...base,
+    questions: [
+      { ref: 'q1', type: 'short-text', text: 'First', logic: { show_if: { conditions: [{ question_id: 'q2', operator: 'answered' }] } } },
+      { ref: 'q2', type: 'short-text', text: 'Second' }
+    ]
+  });
+  assert.match(logicDetails['questions[ref=q1].logic.show_if.conditions[0]'], /earlier/);
+
+  const pipingDetails = invalidDetails({
+    ...base,
+    settings: { ending_page_title: 'Bye {{q:missing}}' },
+    questions: [{ ref: 'q1', type: 'short-text', text: 'First' }]
+  });
+  assert.deepStrictEqual(Object.keys(pipingDetails).map(key => key.split('.')[0]), ['settings']);
+});
+
+test('a document that is not an object is rejected outright', () => {
+  assert.deepStrictEqual(invalidDetails([]), { definition: 'Definition must be a JSON object' });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  ExpressionError,
+  parseExpression,
+  evaluateExpression,
+  getReferences
+} = require('../src/utils/expression');
+
+const evaluate = (source, values = {}) =>
+  evaluateExpression(parseExpression(source), (namespace, name) => (values[namespace] || {})[name]);
+
+test('arithmetic follows precedence', () => {
+  assert.strictEqual(evaluate('1 + 2 * 3'), 7);
+  assert.strictEqual(evaluate('(1 + 2) * 3'), 9);
+  assert.strictEqual(evaluate('-2 ^ 2'), -4);
+  assert.strictEqual(evaluate('7 % 4'), 3);
+});
+
+test('references are resolved by namespace', () => {
+  const values = { q: { weight: 80, height: 200 }, hidden: { segment: 'senior' } };
+  assert.strictEqual(evaluate('round(q.weight / (q.height / 100) ^ 2, 1)', values), 20);
+  assert.strictEqual(evaluate('hidden.segment == "SENIOR"', values), true);
+  assert.strictEqual(evaluate('q.missing', values), null);
+});
+
+test('word operators and conditionals', () => {
+  const values = { q: { age: 70 } };
+  assert.strictEqual(evaluate('q.age >= 65 or false ? "high" : "standard"', values), 'high');
+  assert.strictEqual(evaluate('not (q.age > 18 and q.age < 30)', values), true);
+});
+
+test('built-in functions', () => {
+  assert.strictEqual(evaluate('lookup("Pro", "Starter", 10, "Pro", 25, 0)'), 25);
+  assert.strictEqual(evaluate('lookup("Team", "Starter", 10, "Pro", 25, 0)'), 0);
+  assert.strictEqual(evaluate('sum(1, 2, 3)'), 6);
+  assert.strictEqual(evaluate('max(q.none, 4, 2)'), 4);
+  assert.strictEqual(evaluate('contains(q.tags, "b")', { q: { tags: ['a', 'B'] } }), true);
+  assert.strictEqual(evaluate('concat("a", 1, null)'), 'a1');
+  assert.strictEqual(evaluate('if(true, 1, 1 / 0)'), 1);
+});
+
+test('comparing an unanswered value is false', () => {
+  assert.strictEqual(evaluate('q.age > 1'), false);
+  assert.strictEqual(evaluate('q.age < 1'), false);
+});
+
+test('runtime errors are ExpressionErrors', () => {
+  assert.throws(() => evaluate('1 / 0'), ExpressionError);
+  assert.throws(() => evaluate('sqrt(-1)'), ExpressionError);
+});
+
+test('malformed expressions are rejected', () => {
+  for (const source of ['', '1 +', '"open', '1 # 2', 'nope(1)', 'constructor', 'x.y', 'a'.repeat(1001)]) {
+    assert.throws(() => parseExpression(source), ExpressionError, source);
+  }
+});
+
+test('getReferences lists every reference', () => {
+  const references = getReferences(parseExpression('q.a + if(hidden.b, var.c, q.a)'));
+  assert.deepStrictEqual(references, [
+    { namespace: 'q', name: 'a' },
+    { namespace: 'hidden', name: 'b' },
+    { namespace: 'var', name: 'c' },
+    { namespace: 'q', name: 'a' }
+  ]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const logicService = require('../src/services/logicService');
+
+const questions = [
+  { id: 'q1', key: 'plan', order: 1, choices: [{ id: 'free' }, { id: 'pro' }] },
+  { id: 'q2', key: 'seats', order: 2 },
+  { id: 'q3', key: 'company', order: 3, logic: { show_if: { conditions: [{ question_id: 'q1', operator: 'equals', value: 'pro' }] } } },
+  { id: 'q4', key: 'notes', order: 4 },
+  { id: 'q5', parent_id: 'q3', order: 1 }
+];
+
+const visible = (answers, context) =>
+  [...logicService.getVisibleQuestionIds(questions, new Map(Object.entries(answers)), context)];
+
+test('orderQuestions puts parents before children and siblings by order', () => {
+  const ordered = logicService.orderQuestions([
+    { id: 'b', order: 2 },
+    { id: 'child', parent_id: 'a', order: 1 },
+    { id: 'a', order: 1 },
+    { id: 'orphan', parent_id: 'gone', order: 3 }
+  ]);
+  assert.deepStrictEqual(ordered.map(q => q.id), ['a', 'child', 'b', 'orphan']);
+});
+
+test('evaluateGroup matches all or any conditions', () => {
+  const answers = { q1: 'pro', q2: 5 };
+  const getValue = (id) => answers[id];
+  const conditions = [
+    { question_id: 'q1', operator: 'equals', value: 'PRO ' },
+    { question_id: 'q2', operator: 'greater_than', value: 10 }
+  ];
+  assert.strictEqual(logicService.evaluateGroup({ conditions }, getValue), false);
+  assert.strictEqual(logicService.evaluateGroup({ match: 'any', conditions }, getValue), true);
+  assert.strictEqual(logicService.evaluateGroup(null, getValue), true);
+});
+
+test('show_if hides a question and the questions nested under it', () => {
+  assert.deepStrictEqual(visible({ q1: { choiceId: 'free' } }), ['q1', 'q2', 'q4']);
+  assert.deepStrictEqual(visible({ q1: { choiceId: 'pro' } }), ['q1', 'q2', 'q3', 'q5', 'q4']);
+});
+
+test('jumps skip ahead or end the form', () => {
+  const jumping = questions.map(q => (q.id === 'q2'
+    ? { ...q, logic: { jumps: [{ when: { conditions: [{ operator: 'less_than', value: 2 }] }, to: 'q4' }, { when: { conditions: [{ operator: 'answered' }] }, to: 'end' }] } }
+    : q));
+  const run = (answers) => [...logicService.getVisibleQuestionIds(jumping, new Map(Object.entries(answers)))];
+
+  assert.deepStrictEqual(run({ q1: { choiceId: 'pro' }, q2: { value: 1 } }), ['q1', 'q2', 'q4']);
+  assert.deepStrictEqual(run({ q1: { choiceId: 'pro' }, q2: { value: 3 } }), ['q1', 'q2']);
+});
+
+test('conditions can test calculated variables', () => {
+  const withVariable = questions.map(q => (q.id === 'q4'
+    ? { ...q, logic: { show_if: { conditions: [{ variable: 'big', operator: 'equals', value: true }] } } }
+    : q));
+  const variables = [{ name: 'big', expression: 'q.seats > 10' }];
+  const run = (seats) => [...logicService.getVisibleQuestionIds(
+    withVariable,
+    new Map([['q1', { choiceId: 'free' }], ['q2', { value: seats }]]),
+    { variables }
+  )];
+
+  assert.ok(run(20).includes('q4'));
+  assert.ok(!run(5).includes('q4'));
+});
+
+test('validateLogic accepts backward conditions and forward jumps', () => {
+  assert.doesNotThrow(() => logicService.validateLogic({
+    show_if: { conditions: [{ question_id: 'q1', operator: 'equals', value: 'free' }] },
+    jumps: [{ when: { conditions: [{ operator: 'answered' }] }, to: 'q4' }]
+  }, 'q2', questions));
+  assert.doesNotThrow(() => logicService.validateLogic(null, 'q2', questions));
+});
+
+test('validateLogic rejects references that do not look back', () => {
+  const invalid = (logic, questionId = 'q2') => {
+    try {
+      logicService.validateLogic(logic, questionId, questions);
+    } catch (error) {
+      assert.strictEqual(error.code, 'INVALID_LOGIC');
+      return error.details;
+    }
+    assert.fail('Expected INVALID_LOGIC');
+  };
+
+  assert.match(invalid({ show_if: { conditions: [{ question_id: 'q4', operator: 'answered' }] } })['show_if.conditions[0]'], /earlier/);
+  assert.match(invalid({ show_if: { conditions: [{ question_id: 'q1', operator: 'equals', value: 'gold' }] } })['show_if.conditions[0]'], /choice ID/);
+  assert.match(invalid({ show_if: { conditions: [{ question_id: 'q1', operator: 'like', value: 'x' }] } })['show_if.conditions[0]'], /Unknown operator/);
+  assert.match(invalid({ jumps: [{ when: { conditions: [{ operator: 'answered' }] }, to: 'q1' }] })['jumps[0].to'], /forward/);
+  assert.match(invalid({ show_if: { conditions: [{ variable: 'nope', operator: 'answered' }] } })['show_if.conditions[0]'], /unknown variable/);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const pageService = require('../src/services/pageService');
+
+const questions = [
+  { id: 's2', type: 'section', text: 'Details', order: 3 },
+  { id: 'q1', type: 'short-text', order: 1 },
+  { id: 's1', type: 'section', text: 'About you', description: 'A few questions', order: 2 },
+  { id: 'q2', type: 'short-text', parent_id: 'q1', order: 1 },
+  { id: 'q3', type: 'email', order: 4 },
+  { id: 's3', type: 'section', text: 'Thanks for waiting', order: 5 },
+  { id: 's4', type: 'section', text: 'Last', order: 6 },
+  { id: 'q4', type: 'short-text', order: 7 }
+];
+
+test('getPages starts a page at every top-level section', () => {
+  const pages = pageService.getPages(questions);
+
+  assert.deepStrictEqual(pages.map(page => [page.number, page.section_id, page.question_ids]), [
+    [1, null, ['q1', 'q2']],
+    [2, 's1', []],
+    [3, 's2', ['q3']],
+    [4, 's3', []],
+    [5, 's4', ['q4']]
+  ]);
+  assert.deepStrictEqual(
+    { title: pages[1].title, description: pages[1].description },
+    { title: 'About you', description: 'A few questions' }
+  );
+});
+
+test('forms without sections are a single page', () => {
+  assert.deepStrictEqual(pageService.getPages([{ id: 'q1', order: 1 }, { id: 'q2', order: 2 }]), [
+    { number: 1, section_id: null, title: null, description: null, question_ids: ['q1', 'q2'] }
+  ]);
+  assert.deepStrictEqual(pageService.getPages([]), []);
+});
+
+test('getNextPage skips pages that logic hid entirely', () => {
+  const pages = pageService.getPages(questions);
+  const next = (pageNumber, visible) => pageService.getNextPage(pages, pageNumber, new Set(visible));
+
+  assert.strictEqual(next(1, ['q1', 's1', 's2', 'q3', 's3', 's4', 'q4']), 2);
+  assert.strictEqual(next(2, ['s2', 'q3', 's3', 's4', 'q4']), 3);
+  // The section is shown but all of its questions are hidden
+  assert.strictEqual(next(2, ['s2', 's4', 'q4']), 5);
+  // Statement pages are shown on their own while their section is
+  assert.strictEqual(next(3, ['s3', 's4']), 4);
+  assert.strictEqual(next(4, ['s4']), null);
+  assert.strictEqual(next(5, ['s4', 'q4']), null);
+});
+
+test('validateSection rejects fields that do not apply to sections', () => {
+  assert.doesNotThrow(() => pageService.validateSection({ type: 'short-text', parent_id: 'x', is_required: true }));
+  assert.doesNotThrow(() => pageService.validateSection({ type: 'section', choices: [] }));
+
+  assert.throws(
+    () => pageService.validateSection({ type: 'section', parent_id: 'x', is_required: true, choices: ['A'] }),
+    error => error.code === 'INVALID_SECTION' &&
+      Object.keys(error.details).join() === 'parent_id,is_required,choices'
+  );
+});
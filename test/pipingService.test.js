@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const pipingService = require('../src/services/pipingService');
+
+const questions = [
+  { id: 'q1', key: 'name', order: 1, type: 'short-text' },
+  { id: 'q2', key: 'plan', order: 2, type: 'dropdown', choices: [{ id: 'c1', text: 'Free' }, { id: 'c2', text: 'Pro' }] },
+  { id: 'q3', key: 'extras', order: 3, type: 'checkbox', choices: [{ id: 'e1', text: 'SSO' }, { id: 'e2', text: 'Audit log' }] },
+  { id: 'q4', key: 'agree', order: 4, type: 'yes-no' },
+  { id: 'q5', order: 5, type: 'short-text' }
+];
+const variables = [{ name: 'greeting', expression: 'hidden.source' }, { name: 'pro', expression: 'q.plan == "c2"' }];
+
+const invalidDetails = (check) => {
+  try {
+    check();
+  } catch (error) {
+    assert.strictEqual(error.code, 'INVALID_REFERENCE');
+    return error.details;
+  }
+  assert.fail('Expected INVALID_REFERENCE');
+};
+
+test('interpolate renders answers, hidden fields and variables inline', () => {
+  const context = {
+    questions,
+    answers: new Map([
+      ['q1', { text: 'Ada' }],
+      ['q2', { choiceId: 'c2' }],
+      ['q3', { choiceIds: ['e1', 'e2'] }],
+      ['q4', { value: true }]
+    ]),
+    hiddenFields: { source: 'newsletter' },
+    variables: { pro: false, seats: 3 }
+  };
+
+  assert.strictEqual(
+    pipingService.interpolate('Hi {{ q:name }}, {{q:plan}} with {{q:extras}}? {{q:agree}}', context),
+    'Hi Ada, Pro with SSO, Audit log? Yes'
+  );
+  assert.strictEqual(pipingService.interpolate('From {{hidden:source}}: {{var:pro}} / {{var:seats}}', context), 'From newsletter: No / 3');
+  assert.strictEqual(pipingService.interpolate('[{{q:missing}}][{{hidden:none}}][{{var:none}}]', context), '[][][]');
+  assert.strictEqual(pipingService.interpolate('Keep {{other:x}} and {{plain}}', context), 'Keep {{other:x}} and {{plain}}');
+});
+
+test('question text can only pipe earlier questions and declared fields', () => {
+  assert.doesNotThrow(() => pipingService.validateQuestionReferences(
+    { text: 'Hi {{q:name}} from {{hidden:source}}', description: '{{var:pro}}' },
+    'q3',
+    questions,
+    ['source'],
+    variables
+  ));
+
+  const details = invalidDetails(() => pipingService.validateQuestionReferences(
+    {
+      text: '{{q:agree}} {{q:nope}}',
+      description: '{{hidden:campaign}} {{var:pro}}',
+      translations: { fr: { text: '{{ bad }}' } }
+    },
+    'q2',
+    questions,
+    ['source'],
+    variables
+  ));
+
+  assert.match(details.text, /\{\{q:agree\}\} can only reference earlier questions/);
+  assert.match(details.text, /\{\{q:nope\}\} references an unknown question key/);
+  assert.match(details.description, /undeclared hidden field/);
+  assert.match(details.description, /\{\{var:pro\}\} can only reference earlier questions/);
+  assert.match(details['translations.fr.text'], /not a valid reference/);
+});
+
+test('the landing page only pipes hidden fields; the ending page pipes anything', () => {
+  assert.doesNotThrow(() => pipingService.validateSettingsReferences(
+    { landing_page_title: 'Welcome {{hidden:source}} {{var:greeting}}', ending_page_title: 'Thanks {{q:agree}} {{var:pro}}' },
+    questions,
+    ['source'],
+    variables
+  ));
+
+  const details = invalidDetails(() => pipingService.validateSettingsReferences(
+    { landing_page_description: '{{q:name}} {{var:pro}}' },
+    questions,
+    ['source'],
+    variables
+  ));
+  assert.match(details.landing_page_description, /\{\{q:name\}\} cannot be used on the landing page/);
+  assert.match(details.landing_page_description, /\{\{var:pro\}\} cannot be used on the landing page/);
+});
+
+test('referenced keys and variables are collected across translations', () => {
+  const source = {
+    text: '{{q:name}}',
+    ending_page_title: '{{ q:plan }} {{var:pro}}',
+    landing_page_title: '{{var:greeting}}',
+    translations: { de: { description: '{{q:agree}}' } }
+  };
+
+  assert.deepStrictEqual([...pipingService.getReferencedKeys(source)].sort(), ['agree', 'name', 'plan']);
+  assert.deepStrictEqual([...pipingService.getReferencedVariables(source)].sort(), ['greeting', 'pro']);
+});
+
+test('renderForm interpolates only the pipeable fields', () => {
+  const rendered = pipingService.renderForm(
+    {
+      name: '{{q:name}}',
+      questions: [{ id: 'q5', text: 'Thanks {{q:name}}', key: '{{q:name}}' }],
+      settings: { ending_page_title: 'Bye {{q:name}}', redirect_url: 'https://example.com/{{q:name}}' }
+    },
+    { questions, answers: new Map([['q1', { text: 'Ada' }]]), hiddenFields: {} }
+  );
+
+  assert.strictEqual(rendered.name, '{{q:name}}');
+  assert.deepStrictEqual(rendered.questions[0], { id: 'q5', text: 'Thanks Ada', key: '{{q:name}}' });
+  assert.deepStrictEqual(rendered.settings, { ending_page_title: 'Bye Ada', redirect_url: 'https://example.com/{{q:name}}' });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const policyService = require('../src/services/policyService');
+
+const detailsOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return { code: error.code, ...error.details };
+  }
+  return null;
+};
+
+test('validateSettings checks the policy, period and edit window', () => {
+  assert.strictEqual(detailsOf(() => policyService.validateSettings({ submission_policy: 'unlimited', edit_window_hours: 24 })), null);
+  assert.match(detailsOf(() => policyService.validateSettings({ submission_policy: 'twice' })).submission_policy, /must be one of/);
+  assert.match(detailsOf(() => policyService.validateSettings({ submission_period_hours: 1.5 })).submission_period_hours, /whole number/);
+  assert.match(detailsOf(() => policyService.validateSettings({ edit_window_hours: 0 })).edit_window_hours, /whole number/);
+});
+
+test('one_per_period needs a period, saved now or before', () => {
+  assert.match(
+    detailsOf(() => policyService.validateSettings({ submission_policy: 'one_per_period' })).submission_period_hours,
+    /required/
+  );
+  assert.strictEqual(detailsOf(() => policyService.validateSettings(
+    { submission_policy: 'one_per_period' },
+    { submission_period_hours: 24 }
+  )), null);
+  assert.strictEqual(detailsOf(() => policyService.validateSettings(
+    { submission_period_hours: null },
+    { submission_policy: 'one_per_period', submission_period_hours: 24 }
+  )).code, 'INVALID_SETTINGS');
+});
+
+test('getPolicy defaults to one_per_email', () => {
+  assert.strictEqual(policyService.getPolicy(null), 'one_per_email');
+  assert.strictEqual(policyService.getPolicy({ submission_policy: 'anonymous' }), 'anonymous');
+});
+
+test('the period error says when the respondent may answer again', () => {
+  const settings = { submission_period_hours: 24 };
+  const error = policyService.periodTakenError(settings, '2026-01-01T12:00:00Z', 's1');
+
+  assert.strictEqual(error.code, 'DUPLICATE_SUBMISSION');
+  assert.strictEqual(error.status, 409);
+  assert.deepStrictEqual(error.details, { submission_id: 's1', next_allowed_at: '2026-01-02T12:00:00.000Z' });
+  assert.deepStrictEqual(Object.keys(policyService.periodTakenError(settings, '2026-01-01T12:00:00Z').details), ['next_allowed_at']);
+});
+
+test('respondent tokens are recognised by their hash', () => {
+  const { token, hash } = policyService.createRespondentToken();
+  const submission = { respondent_token_hash: hash };
+
+  assert.strictEqual(policyService.isRespondent(submission, token), true);
+  assert.strictEqual(policyService.isRespondent(submission, `${token}x`), false);
+  assert.strictEqual(policyService.isRespondent(submission, undefined), false);
+  assert.strictEqual(policyService.isRespondent({ respondent_token_hash: null }, token), false);
+});
+
+test('assertRespondent rejects callers without the current token', () => {
+  const { token, hash } = policyService.createRespondentToken();
+  const reissued = policyService.createRespondentToken();
+  const submission = { respondent_token_hash: hash };
+
+  assert.doesNotThrow(() => policyService.assertRespondent(submission, token));
+  assert.throws(() => policyService.assertRespondent(submission, undefined), { code: 'INVALID_RESPONDENT_TOKEN', status: 403 });
+
+  // A reissued token replaces the hash, so the old token stops working
+  const rotated = { respondent_token_hash: reissued.hash };
+  assert.doesNotThrow(() => policyService.assertRespondent(rotated, reissued.token));
+  assert.throws(() => policyService.assertRespondent(rotated, token), { code: 'INVALID_RESPONDENT_TOKEN' });
+});
+
+test('edits need the window, the respondent token and time left', () => {
+  const { token, hash } = policyService.createRespondentToken();
+  const submission = { respondent_token_hash: hash, completed_at: '2026-01-01T12:00:00Z' };
+  const settings = { edit_window_hours: 2 };
+  const at = (time) => new Date(`2026-01-01T${time}Z`);
+
+  assert.strictEqual(detailsOf(() => policyService.assertCanEdit(settings, submission, token, at('13:59:59'))), null);
+  assert.strictEqual(detailsOf(() => policyService.assertCanEdit({}, submission, token, at('12:00:00'))).code, 'EDITS_NOT_ALLOWED');
+  assert.strictEqual(detailsOf(() => policyService.assertCanEdit(settings, submission, 'nope', at('12:00:00'))).code, 'INVALID_RESPONDENT_TOKEN');
+  assert.deepStrictEqual(detailsOf(() => policyService.assertCanEdit(settings, submission, token, at('14:00:00'))), {
+    code: 'EDIT_WINDOW_CLOSED',
+    closed_at: '2026-01-01T14:00:00.000Z'
+  });
+});
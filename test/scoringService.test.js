@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const scoringService = require('../src/services/scoringService');
+
+const questions = [
+  {
+    id: 'q1',
+    type: 'multiple-choice',
+    choices: [{ id: 'a', is_correct: true, points: 2 }, { id: 'b' }, { id: 'c', is_correct: true }]
+  },
+  {
+    id: 'q2',
+    type: 'checkbox',
+    choices: [{ id: 'x', is_correct: true }, { id: 'y', is_correct: true, points: 3 }, { id: 'z' }]
+  },
+  { id: 'q3', type: 'short-text', properties: { accepted_answers: ['Paris', 'Ville  Lumière'], points: 5 } },
+  { id: 'q4', type: 'short-text' },
+  { id: 'q5', type: 'multiple-choice', choices: [{ id: 'p', is_correct: true }] }
+];
+const allVisible = new Set(questions.map(question => question.id));
+
+test('each question type is scored by its own rule', () => {
+  const { score, max_score, percentage, results } = scoringService.scoreSubmission(questions, new Map([
+    ['q1', { choiceId: 'c' }],
+    ['q2', { choiceIds: ['y', 'x'] }],
+    ['q3', { text: '  ville lumière ' }],
+    ['q4', { text: 'anything' }]
+  ]), allVisible);
+
+  assert.deepStrictEqual(results.get('q1'), { is_correct: true, score: 1, max_score: 2 });
+  assert.deepStrictEqual(results.get('q2'), { is_correct: true, score: 4, max_score: 4 });
+  assert.deepStrictEqual(results.get('q3'), { is_correct: true, score: 5, max_score: 5 });
+  assert.deepStrictEqual(results.get('q5'), { is_correct: false, score: 0, max_score: 1 });
+  assert.ok(!results.has('q4'));
+  assert.deepStrictEqual({ score, max_score, percentage }, { score: 10, max_score: 12, percentage: 83.33 });
+});
+
+test('checkbox answers only score when exactly the correct set is chosen', () => {
+  const score = (choiceIds) => scoringService.scoreSubmission(questions, new Map([['q2', { choiceIds }]]), new Set(['q2'])).score;
+
+  assert.strictEqual(score(['x', 'y']), 4);
+  assert.strictEqual(score(['x']), 0);
+  assert.strictEqual(score(['x', 'y', 'z']), 0);
+});
+
+test('questions hidden by logic do not count towards the maximum', () => {
+  const result = scoringService.scoreSubmission(questions, new Map([['q1', { choiceId: 'a' }]]), new Set(['q1', 'q4']));
+
+  assert.deepStrictEqual({ score: result.score, max_score: result.max_score, percentage: result.percentage }, { score: 2, max_score: 2, percentage: 100 });
+  assert.strictEqual(scoringService.scoreSubmission(questions, new Map(), new Set(['q4'])).percentage, null);
+});
+
+test('getOutcome applies the pass mark and picks the highest band reached', () => {
+  const settings = {
+    pass_percentage: 60,
+    score_bands: [{ min_percentage: 0, title: 'Try again' }, { min_percentage: 90, title: 'Expert' }, { min_percentage: 50, title: 'Good' }]
+  };
+
+  assert.deepStrictEqual(scoringService.getOutcome(settings, 95), { passed: true, ending: settings.score_bands[1] });
+  assert.deepStrictEqual(scoringService.getOutcome(settings, 55), { passed: false, ending: settings.score_bands[2] });
+  assert.deepStrictEqual(scoringService.getOutcome({}, 55), { passed: null, ending: null });
+  assert.deepStrictEqual(scoringService.getOutcome(settings, null), { passed: null, ending: null });
+});
+
+test('stripAnswerKey hides correct choices, points and accepted answers', () => {
+  assert.deepStrictEqual(scoringService.stripAnswerKey(questions[0]).choices, [{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+  assert.deepStrictEqual(scoringService.stripAnswerKey(questions[2]).properties, {});
+  assert.deepStrictEqual(
+    scoringService.stripAnswerKey({ id: 'q', type: 'number', properties: { min: 1 } }),
+    { id: 'q', type: 'number', properties: { min: 1 } }
+  );
+});
+
+test('choice scoring fields and quiz settings are validated', () => {
+  assert.doesNotThrow(() => scoringService.validateChoices(['Plain', { text: 'A', is_correct: true, points: 0 }]));
+  assert.throws(
+    () => scoringService.validateChoices([{ text: 'A', is_correct: 'yes', points: -1 }]),
+    error => error.code === 'INVALID_CHOICES' &&
+      Object.keys(error.details).join() === 'choices[0].is_correct,choices[0].points'
+  );
+
+  assert.doesNotThrow(() => scoringService.validateSettings({ is_quiz: true, pass_percentage: 70, score_bands: [{ min_percentage: 0, title: 'Done' }] }));
+  assert.throws(
+    () => scoringService.validateSettings({
+      pass_percentage: 120,
+      score_bands: [{ min_percentage: 50, title: 'A' }, { min_percentage: 50, title: ' ' }]
+    }),
+    error => error.code === 'INVALID_SETTINGS' &&
+      Object.keys(error.details).sort().join() === 'pass_percentage,score_bands,score_bands[1].title'
+  );
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const structureService = require('../src/services/structureService');
+
+const stored = () => [
+  { id: 'q1', parent_id: null, type: 'short-text', text: 'Name', order: 1, choices: [] },
+  {
+    id: 'q2',
+    parent_id: null,
+    type: 'multiple-choice',
+    text: 'Plan',
+    order: 2,
+    choices: [{ id: 'c1', text: 'Free', order: 1 }, { id: 'c2', text: 'Pro', order: 2 }]
+  },
+  { id: 'q3', parent_id: 'q2', type: 'short-text', text: 'Why?', order: 1, choices: [] }
+];
+
+const byId = (result) => new Map(result.questions.map(q => [q.id, q]));
+
+const invalid = (operations) => {
+  try {
+    structureService.applyOperations(stored(), operations);
+  } catch (error) {
+    assert.strictEqual(error.code, 'INVALID_OPERATION');
+    return error.details;
+  }
+  assert.fail('Expected INVALID_OPERATION');
+};
+
+test('creates questions and choices that later operations refer to by temp ID', () => {
+  const result = structureService.applyOperations(stored(), [
+    { op: 'create_question', temp_id: 'tmp-1', type: 'dropdown', text: 'Size', position: 1, choices: [{ temp_id: 'tmp-c', text: 'S' }] },
+    { op: 'create_choice', question_id: 'tmp-1', text: 'M' },
+    { op: 'update_choice', id: 'tmp-c', text: 'Small' },
+    { op: 'move_question', id: 'q1', parent_id: 'tmp-1' }
+  ]);
+  const questions = byId(result);
+  const id = result.idMap.get('tmp-1');
+  const created = questions.get(id);
+
+  assert.strictEqual(created.order, 1);
+  assert.strictEqual(questions.get('q2').order, 2);
+  assert.deepStrictEqual(created.choices.map(c => [c.text, c.order]), [['Small', 1], ['M', 2]]);
+  assert.strictEqual(created.choices[0].id, result.idMap.get('tmp-c'));
+  assert.strictEqual(questions.get('q1').parent_id, id);
+  assert.deepStrictEqual([...result.changed], [id]);
+  assert.deepStrictEqual(result.deletedQuestionIds, []);
+});
+
+test('renumbers siblings and choices after moves', () => {
+  const result = structureService.applyOperations(stored(), [
+    { op: 'move_question', id: 'q2', position: 1 },
+    { op: 'move_choice', id: 'c2', position: 1 }
+  ]);
+  const questions = byId(result);
+
+  assert.strictEqual(questions.get('q2').order, 1);
+  assert.strictEqual(questions.get('q1').order, 2);
+  assert.deepStrictEqual(questions.get('q2').choices.map(c => c.id), ['c2', 'c1']);
+  assert.ok(result.changed.has('q2'));
+});
+
+test('deleting a question deletes the questions nested under it, keeping their choices', () => {
+  const result = structureService.applyOperations(stored(), [{ op: 'delete_question', id: 'q2' }]);
+
+  assert.deepStrictEqual(result.questions.map(q => q.id), ['q1']);
+  assert.deepStrictEqual(result.deletedQuestionIds.sort(), ['q2', 'q3']);
+  assert.deepStrictEqual(result.deletedChoiceIds, []);
+});
+
+test('deleting a choice reports it for removal', () => {
+  const result = structureService.applyOperations(stored(), [{ op: 'delete_choice', id: 'c1' }]);
+
+  assert.deepStrictEqual(result.deletedChoiceIds, ['c1']);
+  assert.deepStrictEqual(byId(result).get('q2').choices.map(c => [c.id, c.order]), [['c2', 1]]);
+});
+
+test('does not modify the questions passed in', () => {
+  const questions = stored();
+  structureService.applyOperations(questions, [
+    { op: 'update_question', id: 'q1', text: 'Full name' },
+    { op: 'delete_choice', id: 'c1' }
+  ]);
+
+  assert.deepStrictEqual(questions, stored());
+});
+
+test('reports the index of the failing operation', () => {
+  assert.deepStrictEqual(invalid([]), { operations: 'operations must be a non-empty array' });
+  assert.match(invalid([{ op: 'rename_question' }])['operations[0]'], /op must be one of/);
+  assert.match(invalid([{ op: 'update_question', id: 'q1' }, { op: 'delete_question', id: 'nope' }])['operations[1]'], /not in this form/);
+  assert.match(invalid([{ op: 'create_question', type: 'hologram', text: 'x' }])['operations[0]'], /Unknown question type/);
+  assert.match(invalid([{ op: 'update_question', id: 'q1', type: 'long-text' }])['operations[0]'], /cannot be changed/);
+  assert.match(invalid([{ op: 'move_question', id: 'q2', parent_id: 'q3' }])['operations[0]'], /inside itself/);
+  assert.match(invalid([{ op: 'create_question', temp_id: 'q1', type: 'short-text', text: 'x' }])['operations[0]'], /already used/);
+  assert.match(invalid([{ op: 'move_choice', id: 'c1', position: 0 }])['operations[0]'], /position/);
+});
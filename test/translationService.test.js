@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const translationService = require('../src/services/translationService');
+
+const form = { default_language: 'en', languages: ['en', 'pt-BR', 'fr'] };
+
+const negotiate = (request) => translationService.negotiateLanguage(form, request);
+
+test('?lang= wins over the Accept-Language header', () => {
+  assert.strictEqual(negotiate({ lang: 'fr', acceptLanguage: 'pt-BR' }), 'fr');
+});
+
+test('tags match case-insensitively, then by primary language', () => {
+  assert.strictEqual(negotiate({ lang: 'PT-br' }), 'pt-BR');
+  assert.strictEqual(negotiate({ lang: 'pt-PT' }), 'pt-BR');
+  assert.strictEqual(negotiate({ lang: 'fr-CA' }), 'fr');
+});
+
+test('Accept-Language is read in order of quality', () => {
+  assert.strictEqual(negotiate({ acceptLanguage: 'de;q=0.9, fr;q=0.5, pt;q=0.8' }), 'pt-BR');
+  assert.strictEqual(negotiate({ acceptLanguage: 'fr;q=0, pt' }), 'pt-BR');
+  assert.strictEqual(negotiate({ acceptLanguage: 'de, *' }), 'en');
+});
+
+test('falls back to the default language', () => {
+  assert.strictEqual(negotiate({ lang: 'sw' }), 'en');
+  assert.strictEqual(negotiate(), 'en');
+  assert.strictEqual(translationService.negotiateLanguage({}, { lang: 'fr' }), null);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const validationService = require('../src/services/validationService');
+
+const codeOf = (question, data) => validationService.validateAnswer(question, data)?.code ?? null;
+
+const choices = [{ id: 'c1', text: 'Red' }, { id: 'c2', text: 'Blue' }, { id: 'c3', text: 'Green' }];
+
+test('text answers are checked against max_chars and their format', () => {
+  assert.strictEqual(codeOf({ type: 'short-text', max_chars: 5 }, { text: 'hello' }), null);
+  assert.strictEqual(codeOf({ type: 'short-text', max_chars: 5 }, { text: 'hello!' }), 'TEXT_TOO_LONG');
+  assert.strictEqual(codeOf({ type: 'long-text' }, { text: 42 }), 'INVALID_TEXT');
+
+  assert.strictEqual(codeOf({ type: 'email' }, { text: ' ada@example.com ' }), null);
+  assert.strictEqual(codeOf({ type: 'email' }, { text: 'ada@example' }), 'INVALID_EMAIL');
+
+  assert.strictEqual(codeOf({ type: 'phone' }, { text: '+44 (20) 7946-0958' }), null);
+  assert.strictEqual(codeOf({ type: 'phone' }, { text: '12345' }), 'INVALID_PHONE');
+  assert.strictEqual(codeOf({ type: 'phone' }, { text: 'call me' }), 'INVALID_PHONE');
+
+  assert.strictEqual(codeOf({ type: 'website' }, { text: 'example.com' }), null);
+  assert.strictEqual(codeOf({ type: 'website' }, { text: 'ftp://example.com' }), 'INVALID_URL');
+  assert.strictEqual(codeOf({ type: 'website' }, { text: 'localhost' }), 'INVALID_URL');
+});
+
+test('dates must be real calendar days in YYYY-MM-DD', () => {
+  assert.strictEqual(codeOf({ type: 'date' }, { date: '2024-02-29' }), null);
+  assert.strictEqual(codeOf({ type: 'date' }, { date: '2023-02-29' }), 'INVALID_DATE');
+  assert.strictEqual(codeOf({ type: 'date' }, { date: '29/02/2024' }), 'INVALID_DATE');
+});
+
+test('choice answers must pick existing choices once', () => {
+  const single = { type: 'multiple-choice', choices };
+  assert.strictEqual(codeOf(single, { choiceId: 'c2' }), null);
+  assert.strictEqual(codeOf(single, { choiceId: 'c9' }), 'INVALID_CHOICE');
+  assert.strictEqual(codeOf(single, { choiceIds: ['c1'] }), 'INVALID_CHOICE');
+
+  const multiple = { type: 'checkbox', choices };
+  assert.strictEqual(codeOf(multiple, { choiceIds: ['c1', 'c3'] }), null);
+  assert.strictEqual(codeOf(multiple, { choiceIds: ['c1', 'c1'] }), 'INVALID_CHOICE');
+  assert.strictEqual(codeOf(multiple, { choiceIds: 'c1' }), 'INVALID_CHOICE');
+});
+
+test('rankings fill every position, or the top rank_limit', () => {
+  assert.strictEqual(codeOf({ type: 'ranking', choices }, { choiceIds: ['c3', 'c1', 'c2'] }), null);
+  assert.strictEqual(codeOf({ type: 'ranking', choices }, { choiceIds: ['c3', 'c1'] }), 'INVALID_RANKING');
+
+  const top2 = { type: 'ranking', choices, properties: { rank_limit: 2 } };
+  assert.strictEqual(validationService.getRankPositions(top2), 2);
+  assert.strictEqual(codeOf(top2, { choiceIds: ['c3', 'c1'] }), null);
+  assert.strictEqual(codeOf(top2, { choiceIds: ['c3', 'c1', 'c2'] }), 'INVALID_RANKING');
+});
+
+test('scales and numbers stay within their range and step', () => {
+  assert.strictEqual(codeOf({ type: 'rating' }, { value: 5 }), null);
+  assert.strictEqual(codeOf({ type: 'rating' }, { value: 6 }), 'OUT_OF_RANGE');
+  assert.strictEqual(codeOf({ type: 'rating', properties: { steps: 10 } }, { value: 6 }), null);
+  assert.strictEqual(codeOf({ type: 'nps' }, { value: 0 }), null);
+  assert.strictEqual(codeOf({ type: 'nps' }, { value: 7.5 }), 'OUT_OF_RANGE');
+  assert.strictEqual(codeOf({ type: 'opinion-scale', properties: { start: 0, end: 4 } }, { value: 0 }), null);
+
+  const price = { type: 'number', properties: { min: 0, max: 1, step: 0.1 } };
+  assert.strictEqual(codeOf(price, { value: 0.3 }), null);
+  assert.strictEqual(codeOf(price, { value: 0.35 }), 'INVALID_STEP');
+  assert.strictEqual(codeOf(price, { value: 2 }), 'OUT_OF_RANGE');
+  assert.strictEqual(codeOf(price, { value: '0.3' }), 'INVALID_NUMBER');
+
+  assert.strictEqual(codeOf({ type: 'yes-no' }, { value: false }), null);
+  assert.strictEqual(codeOf({ type: 'yes-no' }, { value: 'no' }), 'INVALID_VALUE');
+});
+
+test('matrix answers use existing rows and columns', () => {
+  const matrix = {
+    type: 'matrix',
+    choices: [{ id: 'r1' }, { id: 'r2' }],
+    properties: { columns: [{ value: 'agree' }, { value: 'disagree' }] }
+  };
+
+  assert.strictEqual(codeOf(matrix, { rows: { r1: 'agree' } }), null);
+  assert.strictEqual(codeOf(matrix, { rows: { r1: 'maybe' } }), 'INVALID_CHOICE');
+  assert.strictEqual(codeOf(matrix, { rows: { r9: 'agree' } }), 'INVALID_CHOICE');
+  assert.strictEqual(codeOf(matrix, { rows: { r1: ['agree'] } }), 'INVALID_MATRIX');
+  assert.strictEqual(codeOf({ ...matrix, is_required: true }, { rows: { r1: 'agree' } }), 'REQUIRED_FIELD');
+});
+
+test('file answers list distinct uploads up to max_files', () => {
+  const upload = { type: 'file-upload', properties: { max_files: 2 } };
+  assert.strictEqual(codeOf(upload, { fileIds: ['f1', 'f2'] }), null);
+  assert.strictEqual(codeOf(upload, { fileIds: ['f1', 'f2', 'f3'] }), 'TOO_MANY_FILES');
+  assert.strictEqual(codeOf(upload, { fileIds: ['f1', 'f1'] }), 'INVALID_FILE');
+});
+
+test('empty answers only fail required questions', () => {
+  assert.strictEqual(codeOf({ type: 'short-text' }, { text: '  ' }), null);
+  assert.strictEqual(codeOf({ type: 'short-text', is_required: true }, { text: '  ' }), 'REQUIRED_FIELD');
+  assert.strictEqual(codeOf({ type: 'checkbox', is_required: true, choices }, { choiceIds: [] }), 'REQUIRED_FIELD');
+  assert.strictEqual(codeOf({ type: 'yes-no', is_required: true }, null), 'REQUIRED_FIELD');
+  assert.strictEqual(codeOf({ type: 'short-text' }, 'text'), 'INVALID_RESPONSE');
+  assert.strictEqual(codeOf({ type: 'signature' }, { text: 'x' }), 'UNSUPPORTED_QUESTION_TYPE');
+});
+
+test('validateResponses reports unknown, duplicate, hidden and missing required answers', () => {
+  const questions = [
+    { id: 'q1', type: 'short-text', is_required: true },
+    { id: 'q2', type: 'short-text', is_required: true },
+    { id: 'q3', type: 'short-text' },
+    { id: 'q4', type: 'short-text', is_required: true }
+  ];
+
+  const details = validationService.validateResponses(questions, [
+    { questionId: 'q1', data: { text: 'a' } },
+    { questionId: 'q1', data: { text: 'b' } },
+    { questionId: 'q3', data: { text: 'c' } },
+    { questionId: 'q9', data: { text: 'd' } },
+    { data: { text: 'e' } }
+  ], { visibleQuestionIds: new Set(['q1', 'q2']) });
+
+  assert.deepStrictEqual(
+    Object.fromEntries(Object.entries(details).map(([key, error]) => [key, error.code])),
+    {
+      q1: 'DUPLICATE_RESPONSE',
+      q3: 'HIDDEN_QUESTION',
+      q9: 'UNKNOWN_QUESTION',
+      'responses[4]': 'INVALID_RESPONSE',
+      q2: 'REQUIRED_FIELD'
+    }
+  );
+
+  assert.throws(
+    () => validationService.assertValidResponses(questions, []),
+    error => error.code === 'VALIDATION_ERROR' && error.status === 400 && Object.keys(error.details).length === 3
+  );
+});
+
+test('parsePrefill turns URL values into answers the question accepts', () => {
+  assert.deepStrictEqual(validationService.parsePrefill({ type: 'email' }, 'ada@example.com'), { text: 'ada@example.com' });
+  assert.strictEqual(validationService.parsePrefill({ type: 'email' }, 'not-an-email'), null);
+
+  const color = { type: 'dropdown', choices };
+  assert.deepStrictEqual(validationService.parsePrefill(color, ' blue '), { choiceId: 'c2' });
+  assert.deepStrictEqual(validationService.parsePrefill(color, 'c3'), { choiceId: 'c3' });
+  assert.strictEqual(validationService.parsePrefill(color, 'purple'), null);
+
+  assert.deepStrictEqual(validationService.parsePrefill({ type: 'checkbox', choices }, 'red,Green'), { choiceIds: ['c1', 'c3'] });
+  assert.strictEqual(validationService.parsePrefill({ type: 'checkbox', choices }, 'red,purple'), null);
+
+  assert.deepStrictEqual(validationService.parsePrefill({ type: 'yes-no' }, 'Yes'), { value: true });
+  assert.strictEqual(validationService.parsePrefill({ type: 'yes-no' }, 'maybe'), null);
+  assert.deepStrictEqual(validationService.parsePrefill({ type: 'nps' }, '9'), { value: 9 });
+  assert.strictEqual(validationService.parsePrefill({ type: 'nps' }, '11'), null);
+
+  // Required questions still take a prefill, and types without a parser never do
+  assert.deepStrictEqual(validationService.parsePrefill({ type: 'short-text', is_required: true }, 'Ada'), { text: 'Ada' });
+  assert.strictEqual(validationService.parsePrefill({ type: 'short-text' }, ''), null);
+  assert.strictEqual(validationService.parsePrefill({ type: 'file-upload' }, 'f1'), null);
+});
+
+test('hidden field names and values are checked', () => {
+  assert.doesNotThrow(() => validationService.validateHiddenFields(['utm_source', '_ref']));
+  assert.throws(() => validationService.validateHiddenFields(['utm-source']), { code: 'INVALID_HIDDEN_FIELDS' });
+  assert.throws(() => validationService.validateHiddenFields(['a', 'a']), { code: 'INVALID_HIDDEN_FIELDS' });
+
+  assert.deepStrictEqual(
+    validationService.pickHiddenFields(['utm_source'], { utm_source: 'news', other: 'x' }),
+    { utm_source: 'news' }
+  );
+  assert.throws(() => validationService.pickHiddenFields(['utm_source'], { utm_source: ['a'] }), { code: 'INVALID_HIDDEN_FIELDS' });
+});
@@ -0,0 +1,72 @@
+process.env.TOKEN_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const verificationService = require('../src/services/verificationService');
+
+const now = new Date('2026-01-01T12:00:00Z');
+const later = (seconds) => new Date(now.getTime() + seconds * 1000);
+
+const codeOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error.code;
+  }
+  return null;
+};
+
+test('validateSettings only accepts a boolean verify_email', () => {
+  assert.doesNotThrow(() => verificationService.validateSettings({}));
+  assert.doesNotThrow(() => verificationService.validateSettings({ verify_email: true }));
+  assert.strictEqual(codeOf(() => verificationService.validateSettings({ verify_email: 'yes' })), 'INVALID_SETTINGS');
+});
+
+test('a challenge stores a hash of a six digit code', () => {
+  const { code, challenge } = verificationService.createChallenge('s1', now);
+
+  assert.match(code, /^\d{6}$/);
+  assert.notStrictEqual(challenge.code_hash, code);
+  assert.strictEqual(challenge.attempts, 0);
+  assert.strictEqual(challenge.sent_at, now.toISOString());
+  assert.strictEqual(challenge.expires_at, later(600).toISOString());
+});
+
+test('the code matches only its own submission', () => {
+  const { code, challenge } = verificationService.createChallenge('s1', now);
+  const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  assert.strictEqual(verificationService.matches(challenge, code), true);
+  assert.strictEqual(verificationService.matches(challenge, ` ${code} `), true);
+  assert.strictEqual(verificationService.matches(challenge, wrong), false);
+  assert.strictEqual(verificationService.matches(challenge, null), false);
+  assert.strictEqual(verificationService.matches({ ...challenge, submission_id: 's2' }, code), false);
+});
+
+test('resending waits for the cooldown', () => {
+  const { challenge } = verificationService.createChallenge('s1', now);
+
+  assert.doesNotThrow(() => verificationService.assertCanResend(null, now));
+  try {
+    verificationService.assertCanResend(challenge, later(20));
+    assert.fail('Expected VERIFICATION_THROTTLED');
+  } catch (error) {
+    assert.strictEqual(error.code, 'VERIFICATION_THROTTLED');
+    assert.strictEqual(error.details.retry_after, 40);
+  }
+  assert.doesNotThrow(() => verificationService.assertCanResend(challenge, later(60)));
+});
+
+test('guesses stop once the code expires or is used up', () => {
+  const { challenge } = verificationService.createChallenge('s1', now);
+
+  assert.strictEqual(codeOf(() => verificationService.assertCanAttempt(challenge, later(599))), null);
+  assert.strictEqual(codeOf(() => verificationService.assertCanAttempt(challenge, later(600))), 'CODE_EXPIRED');
+  assert.strictEqual(codeOf(() => verificationService.assertCanAttempt(null, now)), 'CODE_EXPIRED');
+  assert.strictEqual(codeOf(() => verificationService.assertCanAttempt({ ...challenge, attempts: 5 }, now)), 'TOO_MANY_ATTEMPTS');
+});
+
+test('wrong codes report the attempts left', () => {
+  assert.deepStrictEqual(verificationService.wrongCodeError(2).details, { attempts_left: 3 });
+  assert.deepStrictEqual(verificationService.wrongCodeError(9).details, { attempts_left: 0 });
+});